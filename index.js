@@ -28,6 +28,11 @@ const logsRoutes = require('./routes/logs');
 const businessRoutes = require('./routes/business');
 const usageRoutes = require('./routes/usage');
 const analyticsRoutes = require('./routes/analytics');
+const adminRoutes = require('./routes/admin');
+
+// Background workers
+const { startWebhookWorker } = require('./services/webhookQueue');
+const { startSessionSweeper } = require('./services/sessionManager');
 
 const app = express();
 
@@ -113,7 +118,11 @@ app.use(cors(corsOptions.restrictive));
 
 // --- Parsers ---
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json({ limit: '1mb' }));  // single JSON parser (drop bodyParser)
+app.use(express.json({
+  limit: '1mb',
+  // keep the raw payload so webhook signatures (X-Hub-Signature-256) can be verified
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));  // single JSON parser (drop bodyParser)
 app.use(cookieParser());
 
 // Add request logging middleware
@@ -165,6 +174,7 @@ app.use('/dashboard', publicLimiter, authMiddleware, requireVerified, dashboardR
 app.use('/businesses', authMiddleware, businessActivityMiddleware('business_management'), businessRoutes);
 app.use('/usage', authMiddleware, businessActivityMiddleware('usage_view'), usageRoutes);
 app.use('/analytics', authMiddleware, businessActivityMiddleware('analytics_view'), analyticsRoutes);
+app.use('/admin', authMiddleware, requireAdmin, adminRoutes);
 
 // Shopify integration - Public routes for OAuth and webhooks (no auth required)
 app.use('/shopify', cors(corsOptions.permissive), publicLimiter, shopifyRoutes);
@@ -216,4 +226,10 @@ if (process.env.SESSION_SECRET) {
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
   console.log(`✅ Server is running on port ${PORT}`);
+
+  // Queued webhook events from every messaging channel are processed here
+  if (process.env.WEBHOOK_WORKER_DISABLED !== 'true') startWebhookWorker();
+
+  // Conversation memory past each business's autoClearAfter is archived here
+  startSessionSweeper();
 });
\ No newline at end of file
@@ -162,8 +162,9 @@ async function requireVerified(req, res, next) {
   }
 }
 
-// Middleware for admin-only routes (if needed)
-function requireAdmin(req, res, next) {
+// Middleware for admin-only routes
+// Admin rights are not part of the JWT, so they are read from the user record
+async function requireAdmin(req, res, next) {
   if (!req.user) {
     return res.status(401).json({ 
       success: false,
@@ -171,15 +172,28 @@ function requireAdmin(req, res, next) {
     });
   }
 
-  // Check if user has admin role (implement based on your user model)
-  if (!req.user.isAdmin && !req.user.role?.includes('admin')) {
-    return res.status(403).json({ 
+  try {
+    const db = await getDb();
+    const user = await db.collection('users').findOne({ _id: new ObjectId(req.user.userId) });
+
+    const isAdmin = user && (user.isAdmin === true || user.role === 'admin' || user.roles?.includes('admin'));
+    if (!isAdmin) {
+      return res.status(403).json({ 
+        success: false,
+        message: 'Admin access required.' 
+      });
+    }
+
+    req.user.isAdmin = true;
+    next();
+
+  } catch (error) {
+    console.error('Error checking admin status:', error);
+    return res.status(500).json({ 
       success: false,
-      message: 'Admin access required.' 
+      message: 'Internal server error.' 
     });
   }
-
-  next();
 }
 
 module.exports = {
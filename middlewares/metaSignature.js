@@ -0,0 +1,75 @@
+// middlewares/metaSignature.js
+const crypto = require('crypto');
+const { logError } = require('../services/advancedLogger');
+
+/**
+ * App secrets Meta may sign webhook payloads with.
+ * WhatsApp/Messenger use the Facebook app, Instagram Login apps use their own secret.
+ */
+function getAppSecrets() {
+  return [
+    process.env.META_APP_SECRET,
+    process.env.FB_APP_SECRET,
+    process.env.IG_APP_SECRET
+  ].filter(Boolean);
+}
+
+/**
+ * Check an X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer} rawBody - Unparsed request body
+ * @param {string} signatureHeader - Header value ("sha256=<hex>")
+ * @param {string[]} secrets - Candidate app secrets
+ * @returns {boolean} True if any secret produces a matching signature
+ */
+function isValidSignature(rawBody, signatureHeader, secrets) {
+  if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) return false;
+
+  const received = Buffer.from(signatureHeader.slice('sha256='.length), 'hex');
+
+  return secrets.some(secret => {
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  });
+}
+
+/**
+ * Reject webhook requests that are not signed by Meta
+ * Requires express.json() to keep the raw body on req.rawBody (see index.js)
+ * @param {string} platform - Platform name used for logging (whatsapp, messenger, instagram)
+ */
+function verifyMetaSignature(platform) {
+  return async (req, res, next) => {
+    const signature = req.headers['x-hub-signature-256'];
+    const secrets = getAppSecrets();
+
+    let reason = null;
+    if (secrets.length === 0) {
+      reason = 'app_secret_not_configured';
+    } else if (!signature) {
+      reason = 'missing_signature';
+    } else if (!isValidSignature(req.rawBody, signature, secrets)) {
+      reason = 'signature_mismatch';
+    }
+
+    if (!reason) return next();
+
+    console.warn(`🚫 Rejected ${platform} webhook (${reason}) from ${req.ip}`);
+
+    await logError(new Error(`Webhook signature verification failed: ${reason}`), {
+      platform,
+      endpoint: req.originalUrl,
+      severity: reason === 'app_secret_not_configured' ? 'critical' : 'warning',
+      category: 'security',
+      requestData: {
+        reason,
+        ip: req.ip,
+        userAgent: req.headers['user-agent'],
+        hasSignature: Boolean(signature)
+      }
+    });
+
+    res.sendStatus(403);
+  };
+}
+
+module.exports = { verifyMetaSignature, isValidSignature };
@@ -72,6 +72,10 @@ const authKey   = (req) => {
   //console.log(`🔒 Auth rate limit key: ${key}`);
   return key;
 };   // still prioritizes user/api key
+const sandboxKey = (req) => {
+  const uid = getUserId(req);
+  return uid ? `sandbox_user_${uid}` : `sandbox_ip_${getClientIP(req)}`;
+};   // per merchant account - mount after authMiddleware
 const publicKey = (req) => {
   const key = `public_ip_${getClientIP(req)}`;
   //console.log(`🌐 Public rate limit key: ${key}`);
@@ -129,5 +133,21 @@ const publicLimiter = rateLimit({
   },
 });
 
+// Sandbox chat calls the real model without counting usage, so each account gets its own small budget
+const sandboxLimiter = rateLimit({
+  windowMs: 10 * 60 * 1000, // 10 minutes
+  max: 30,
+  keyGenerator: sandboxKey,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    console.warn(`⚠️ Sandbox rate limit exceeded for: ${sandboxKey(req)}`);
+    res.status(429).json({
+      success: false,
+      error: 'Too many sandbox messages. Please try again in a few minutes.',
+      retryAfter: retryAfterSecs(req),
+    });
+  },
+});
 
-module.exports = { limiter, authLimiter, publicLimiter };
+module.exports = { limiter, authLimiter, publicLimiter, sandboxLimiter };
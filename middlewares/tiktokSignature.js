@@ -0,0 +1,62 @@
+// middlewares/tiktokSignature.js
+const crypto = require('crypto');
+const { logError } = require('../services/advancedLogger');
+
+/**
+ * Check a TikTok-Signature header ("t=<timestamp>,s=<hex>")
+ * The signed payload is "<timestamp>.<raw body>" with the app's client secret.
+ */
+function isValidTikTokSignature(rawBody, signatureHeader, secret) {
+  if (!rawBody || !signatureHeader || !secret) return false;
+
+  const parts = Object.fromEntries(
+    signatureHeader.split(',').map(pair => pair.trim().split('='))
+  );
+  if (!parts.t || !parts.s) return false;
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${parts.t}.${rawBody.toString('utf8')}`)
+    .digest();
+  const received = Buffer.from(parts.s, 'hex');
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Reject TikTok webhook requests that are not signed with TIKTOK_CLIENT_SECRET
+ */
+async function verifyTikTokSignature(req, res, next) {
+  const signature = req.headers['tiktok-signature'];
+  const secret = process.env.TIKTOK_CLIENT_SECRET;
+
+  let reason = null;
+  if (!secret) {
+    reason = 'client_secret_not_configured';
+  } else if (!signature) {
+    reason = 'missing_signature';
+  } else if (!isValidTikTokSignature(req.rawBody, signature, secret)) {
+    reason = 'signature_mismatch';
+  }
+
+  if (!reason) return next();
+
+  console.warn(`🚫 Rejected tiktok webhook (${reason}) from ${req.ip}`);
+
+  await logError(new Error(`Webhook signature verification failed: ${reason}`), {
+    platform: 'tiktok',
+    endpoint: req.originalUrl,
+    severity: reason === 'client_secret_not_configured' ? 'critical' : 'warning',
+    category: 'security',
+    requestData: {
+      reason,
+      ip: req.ip,
+      userAgent: req.headers['user-agent'],
+      hasSignature: Boolean(signature)
+    }
+  });
+
+  res.sendStatus(403);
+}
+
+module.exports = { verifyTikTokSignature, isValidTikTokSignature };
@@ -31,4 +31,29 @@ function validateChatRequest(req, res, next) {
   next();
 }
 
-module.exports = { validateChatRequest };
+const chatPollSchema = Joi.object({
+  domain: Joi.string()
+    .hostname()
+    .required(),
+  sessionId: Joi.string()
+    .alphanum()
+    .min(5)
+    .max(50)
+    .required(),
+  after: Joi.date()
+    .iso()
+});
+
+// Middleware for the widget's poll for team replies
+function validateChatPollRequest(req, res, next) {
+  const { error, value } = chatPollSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({ error: error.details[0].message });
+  }
+
+  req.poll = { domain: xss(value.domain), sessionId: xss(value.sessionId), after: value.after || null };
+
+  next();
+}
+
+module.exports = { validateChatRequest, validateChatPollRequest };
@@ -18,7 +18,8 @@ function createOrder(businessId, customerId, platform) {
       phone: '',
       address: '',
       email: '',
-      additionalNotes: ''
+      additionalNotes: '',
+      location: null // { latitude, longitude, name, address, mapsUrl } from a shared location pin
     },
     
     // Order items
@@ -121,6 +122,23 @@ function getMissingInfo(order) {
   return missing;
 }
 
+// Platform key orders are stored under, per conversation channel (Messenger orders have always been 'facebook')
+const ORDER_PLATFORMS = {
+  whatsapp: 'whatsapp',
+  messenger: 'facebook',
+  instagram: 'instagram',
+  telegram: 'telegram',
+  tiktok: 'tiktok',
+  website: 'website'
+};
+
+/**
+ * Order platform for a channel name (services/channels adapters, sessionManager conversations)
+ */
+function getOrderPlatform(channel) {
+  return ORDER_PLATFORMS[channel] || 'whatsapp';
+}
+
 /**
  * Validate order data
  */
@@ -154,5 +172,6 @@ module.exports = {
   calculateTotals,
   isOrderFlowComplete,
   getMissingInfo,
-  validateOrder
+  validateOrder,
+  getOrderPlatform
 };
@@ -9,6 +9,9 @@
   }
 
   const apiEndpoint = 'https://api.moaawen.ai/api/chat';
+  // Replies stream over Server-Sent Events where the browser can read response bodies
+  const streamEndpoint = `${apiEndpoint}/stream`;
+  const canStream = typeof ReadableStream !== 'undefined' && typeof TextDecoder !== 'undefined';
   const storageKey = 'moaawen_chat_history';
  
 
@@ -418,6 +421,40 @@
     color: var(--text-secondary);
   }
 
+  .product-cards {
+    display: flex;
+    gap: 8px;
+    margin-top: 8px;
+    overflow-x: auto;
+  }
+
+  .product-card {
+    flex: 0 0 140px;
+    background: var(--bg-surface);
+    border: 1px solid var(--border-subtle);
+    border-radius: 12px;
+    overflow: hidden;
+    font-size: 12px;
+  }
+
+  .product-card img {
+    width: 100%;
+    height: 110px;
+    object-fit: cover;
+    display: block;
+  }
+
+  .product-card-title {
+    padding: 6px 8px 0;
+    font-weight: 600;
+    color: var(--text-primary);
+  }
+
+  .product-card-price {
+    padding: 2px 8px 8px;
+    color: var(--text-secondary);
+  }
+
   .message.bot .message-meta {
     justify-content: flex-start;
     color: var(--text-secondary);
@@ -948,7 +985,7 @@ function formatMessage(text) {
 }
 
 
-  function addMessage(text, isUser, receipt = null) {
+  function addMessage(text, isUser, receipt = null, attachments = null) {
     // Hide welcome message when first message is sent
     if (welcomeMessage.style.display !== 'none') {
       welcomeMessage.style.display = 'none';
@@ -959,6 +996,7 @@ function formatMessage(text) {
       text, 
       isUser, 
       receipt, 
+      attachments,
       timestamp: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
       id: Date.now() + Math.random()
     };
@@ -1009,6 +1047,7 @@ function formatMessage(text) {
           <div class="avatar">AI</div>
           <div class="message-content">
             <div dir="auto" class="message-bubble">${formatMessage(msg.text)}</div>
+            ${renderProductCards(msg.attachments)}
             <div class="message-meta">
               <span class="message-time">${msg.timestamp}</span>
             </div>
@@ -1021,6 +1060,19 @@ function formatMessage(text) {
     chatMessages.scrollTop = chatMessages.scrollHeight;
   }
 
+  // Product cards sent with a reply (title/subtitle are escaped by the server)
+  function renderProductCards(attachments) {
+    if (!Array.isArray(attachments) || attachments.length === 0) return '';
+    const cards = attachments.map(a => `
+      <div class="product-card">
+        ${/^https:\/\//.test(a.imageUrl || '') ? `<img src="${encodeURI(a.imageUrl)}" alt="" loading="lazy">` : ''}
+        <div class="product-card-title">${a.title || ''}</div>
+        <div class="product-card-price">${a.subtitle || ''}</div>
+      </div>
+    `).join('');
+    return `<div class="product-cards">${cards}</div>`;
+  }
+
   const resizeBtn = $('resizeBtn');
 resizeBtn.onclick = () => {
   chatWindow.classList.toggle('large');
@@ -1049,6 +1101,51 @@ resizeBtn.onclick = () => {
 }
 
 
+  // Read the /chat/stream events, showing the reply text as it arrives.
+  // Resolves to the final { event, data } ('done' or 'error'); the live bubble is then replaced by addMessage.
+  async function readReplyStream(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let streamedText = '';
+    let liveBubble = null;
+    let result = null;
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const rawEvent = buffer.slice(0, boundary);
+        buffer = buffer.slice(boundary + 2);
+
+        const event = (rawEvent.match(/^event: (.*)$/m) || [])[1];
+        const dataLine = (rawEvent.match(/^data: (.*)$/m) || [])[1];
+        if (!event || !dataLine) continue;
+        const data = JSON.parse(dataLine);
+
+        if (event === 'delta') {
+          if (!liveBubble) {
+            typingIndicator.style.display = 'none';
+            renderMessage({ text: '', isUser: false, timestamp: new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) });
+            liveBubble = chatMessages.lastElementChild;
+          }
+          streamedText += data.text;
+          // Plain text while streaming; the final reply is formatted once complete
+          liveBubble.querySelector('.message-bubble').textContent = streamedText;
+          chatMessages.scrollTop = chatMessages.scrollHeight;
+        } else if (event === 'done' || event === 'error') {
+          result = { event, data };
+        }
+      }
+    }
+
+    if (liveBubble) liveBubble.remove();
+    return result;
+  }
+
   async function sendMessage() {
   const text = messageInput.value.trim();
   if (!text) return;
@@ -1063,7 +1160,7 @@ resizeBtn.onclick = () => {
   chatMessages.scrollTop = chatMessages.scrollHeight;
 
   try {
-    const response = await fetch(apiEndpoint, {
+    const response = await fetch(canStream ? streamEndpoint : apiEndpoint, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -1098,7 +1195,26 @@ resizeBtn.onclick = () => {
       return;
     }
 
-    const data = await response.json();
+    const isStream = (response.headers.get('content-type') || '').includes('text/event-stream');
+    let data;
+    if (isStream) {
+      const result = await readReplyStream(response);
+      if (!result || result.event === 'error') {
+        typingIndicator.style.display = 'none';
+        console.error('Chat stream error:', result?.data?.error || 'stream ended early');
+        return;
+      }
+      data = result.data;
+
+      // Channel disabled - no response should be shown
+      if (data.reply === null) {
+        typingIndicator.style.display = 'none';
+        console.log('🚫 Channel disabled - no response sent');
+        return;
+      }
+    } else {
+      data = await response.json();
+    }
     typingIndicator.style.display = 'none';
 
     // Only proceed if we have a valid response
@@ -1123,10 +1239,17 @@ resizeBtn.onclick = () => {
     );
     localStorage.setItem(storageKey, JSON.stringify(chatHistory));
 
-    // Simulate typing delay before AI reply
-    setTimeout(() => {
-      addMessage(data.reply || 'Sorry, I didn\'t receive a proper response. Please try again.', false);
-    }, 800);
+    // Split replies arrive as several bubbles; product cards go under the last one
+    const showReply = () => {
+      const replies = [].concat(data.reply || 'Sorry, I didn\'t receive a proper response. Please try again.');
+      replies.forEach((reply, i) => {
+        addMessage(reply, false, null, i === replies.length - 1 ? data.attachments : null);
+      });
+    };
+
+    // Simulate typing delay before AI reply (a streamed reply is already on screen)
+    if (isStream) showReply();
+    else setTimeout(showReply, 800);
 
   } catch (err) {
     typingIndicator.style.display = 'none';
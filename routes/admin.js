@@ -0,0 +1,90 @@
+// routes/admin.js
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { getQueueStats, listJobs, getJob, retryDeadLetter } = require('../services/webhookQueue');
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead'];
+
+/**
+ * GET /admin/webhook-jobs/stats
+ * Job counts by status and platform
+ */
+router.get('/webhook-jobs/stats', async (req, res) => {
+  try {
+    const stats = await getQueueStats();
+    res.json({ success: true, stats });
+  } catch (err) {
+    console.error('❌ Webhook queue stats error:', err.message);
+    res.status(500).json({ error: 'Failed to load webhook queue stats' });
+  }
+});
+
+/**
+ * GET /admin/webhook-jobs?status=pending|processing|completed|dead&platform=&limit=&skip=
+ * status=dead lists the dead-letter collection
+ */
+router.get('/webhook-jobs', async (req, res) => {
+  try {
+    const { status, platform } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Use one of: ${JOB_STATUSES.join(', ')}` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const skip = Math.max(parseInt(req.query.skip, 10) || 0, 0);
+
+    const { items, total } = await listJobs({ status, platform, limit, skip });
+    res.json({ success: true, jobs: items, total, limit, skip });
+  } catch (err) {
+    console.error('❌ Webhook job list error:', err.message);
+    res.status(500).json({ error: 'Failed to load webhook jobs' });
+  }
+});
+
+/**
+ * GET /admin/webhook-jobs/:id
+ * A queued job or dead letter, including its payload and error history
+ */
+router.get('/webhook-jobs/:id', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const job = await getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ success: true, job });
+  } catch (err) {
+    console.error('❌ Webhook job lookup error:', err.message);
+    res.status(500).json({ error: 'Failed to load webhook job' });
+  }
+});
+
+/**
+ * POST /admin/webhook-jobs/:id/retry
+ * Requeue a dead-lettered job
+ */
+router.post('/webhook-jobs/:id/retry', async (req, res) => {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ error: 'Invalid job ID' });
+    }
+
+    const jobId = await retryDeadLetter(req.params.id);
+    if (!jobId) {
+      return res.status(404).json({ error: 'Dead-lettered job not found' });
+    }
+
+    console.log(`🔁 Admin ${req.user.email} requeued dead-lettered webhook job ${req.params.id} as ${jobId}`);
+    res.json({ success: true, jobId });
+  } catch (err) {
+    console.error('❌ Webhook job retry error:', err.message);
+    res.status(500).json({ error: 'Failed to requeue webhook job' });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,9 @@ const path = require('path');
 const getDb = require('../db');
 const { authMiddleware } = require('../middlewares/authMiddleware');
 const { getBusinessAnalytics, getConversationLogs } = require('../services/advancedLogger');
+const { getDeliveryStats } = require('../services/outboundMessages');
+
+const TIME_RANGE_DAYS = { '7d': 7, '30d': 30, '90d': 90 };
 const router = express.Router();
 
 // Get all businesses for dropdown
@@ -167,6 +170,17 @@ router.get('/business/:businessId', authMiddleware, async (req, res) => {
       };
     }
 
+    // Delivery and read rates per channel (outbound_messages)
+    try {
+      const since = startDate
+        ? new Date(startDate)
+        : new Date(Date.now() - (TIME_RANGE_DAYS[timeRange] || 30) * 24 * 60 * 60 * 1000);
+      analytics.delivery = await getDeliveryStats(businessId, since);
+    } catch (deliveryError) {
+      console.error('❌ Error getting delivery stats:', deliveryError.message);
+      analytics.delivery = [];
+    }
+
     // Combine business info with analytics
     const response = {
       business: {
@@ -1,5 +1,6 @@
 // routes/business/advanced-settings.js
 const { express, getDb, ObjectId, authMiddleware, requireVerified } = require('./shared');
+const { getAllowedModelEntries, isAllowedModelEntry } = require('../../services/llm');
 const router = express.Router();
 
 // Default advanced settings structure
@@ -8,7 +9,9 @@ const defaultAdvancedSettings = {
     messenger: true,
     instagram: true,
     website: true,
-    whatsapp: true
+    whatsapp: true,
+    telegram: true,
+    tiktok: true
   },
   subscription: {
     autoRenewal: false
@@ -18,6 +21,7 @@ const defaultAdvancedSettings = {
   },
   features: {
     voicesEnabled: true,
+    voiceReplies: false, // answer voice notes with voice notes (WhatsApp, Messenger)
     imagesEnabled: true
   },
   aiPersonality: {
@@ -26,8 +30,23 @@ const defaultAdvancedSettings = {
   conversations: {
     autoClearAfter: '24hours'
   },
+  handoff: {
+    enabled: true,
+    detectNegativeSentiment: false, // opt-in: complaint detection also catches some ordinary questions
+    autoResumeAfter: '2hours' // bot takes over again after this long without a merchant reply
+  },
   responses: {
     lengthPreference: 'medium'
+  },
+  comments: {
+    autoReply: false,
+    replyMode: 'private',
+    keywords: [],
+    postIds: [],
+    publicReplyText: ''
+  },
+  ai: {
+    models: [] // empty = the plan's model chain
   }
 };
 
@@ -37,7 +56,9 @@ const validationRules = {
     messenger: 'boolean',
     instagram: 'boolean', 
     website: 'boolean',
-    whatsapp: 'boolean'
+    whatsapp: 'boolean',
+    telegram: 'boolean',
+    tiktok: 'boolean'
   },
   subscription: {
     autoRenewal: 'boolean'
@@ -47,6 +68,7 @@ const validationRules = {
   },
   features: {
     voicesEnabled: 'boolean',
+    voiceReplies: 'boolean',
     imagesEnabled: 'boolean'
   },
   aiPersonality: {
@@ -55,25 +77,71 @@ const validationRules = {
   conversations: {
     autoClearAfter: ['30mins', '2hours', '8hours', '24hours', '1week']
   },
+  // Human handoff (services/handoff.js)
+  handoff: {
+    enabled: 'boolean',
+    detectNegativeSentiment: 'boolean',
+    autoResumeAfter: ['15mins', '30mins', '1hour', '2hours', '8hours', '24hours']
+  },
   responses: {
     lengthPreference: ['short', 'medium', 'long']
+  },
+  // Post comment auto-replies (services/commentReplies.js). Empty keywords/postIds = every comment/post
+  comments: {
+    autoReply: 'boolean',
+    replyMode: ['public', 'private', 'both'],
+    keywords: 'string[]',
+    postIds: 'string[]',
+    publicReplyText: 'string'
+  },
+  // Ordered "provider:model" fallback chain for AI replies (services/llm), e.g. ["openai:gpt-5-mini", "openai:gpt-4.1-mini"]
+  ai: {
+    models: 'model[]'
   }
 };
 
+const MAX_STRING_LENGTH = 300;
+const MAX_LIST_ITEMS = 50;
+
+// Returns an error message for an invalid value, null otherwise
+function validateField(section, key, rule, value, business) {
+  if (rule === 'boolean' && typeof value !== 'boolean') {
+    return `${section}.${key} must be a boolean`;
+  }
+  if (rule === 'string' && (typeof value !== 'string' || value.length > MAX_STRING_LENGTH)) {
+    return `${section}.${key} must be a string of at most ${MAX_STRING_LENGTH} characters`;
+  }
+  if (rule === 'string[]' && (
+    !Array.isArray(value) ||
+    value.length > MAX_LIST_ITEMS ||
+    value.some(item => typeof item !== 'string' || !item.trim() || item.length > MAX_STRING_LENGTH)
+  )) {
+    return `${section}.${key} must be a list of at most ${MAX_LIST_ITEMS} non-empty strings`;
+  }
+  if (rule === 'model[]' && (
+    !Array.isArray(value) ||
+    value.length > 5 ||
+    value.some(item => typeof item !== 'string' || !isAllowedModelEntry(item, business))
+  )) {
+    return `${section}.${key} must be a list of at most 5 of: ${getAllowedModelEntries(business).join(', ')}`;
+  }
+  if (Array.isArray(rule) && !rule.includes(value)) {
+    return `${section}.${key} must be one of: ${rule.join(', ')}`;
+  }
+  return null;
+}
+
 // Helper function to validate settings
-function validateAdvancedSettings(settings) {
+function validateAdvancedSettings(settings, business) {
   const errors = [];
 
   for (const [section, sectionRules] of Object.entries(validationRules)) {
     if (settings[section]) {
       for (const [key, rule] of Object.entries(sectionRules)) {
         if (settings[section][key] !== undefined) {
-          const value = settings[section][key];
-          
-          if (rule === 'boolean' && typeof value !== 'boolean') {
-            errors.push(`${section}.${key} must be a boolean`);
-          } else if (Array.isArray(rule) && !rule.includes(value)) {
-            errors.push(`${section}.${key} must be one of: ${rule.join(', ')}`);
+          const error = validateField(section, key, rule, settings[section][key], business);
+          if (error) {
+            errors.push(error);
           }
         }
       }
@@ -145,7 +213,10 @@ router.get('/:businessId/advanced-settings', authMiddleware, async (req, res) =>
       features: { ...defaultAdvancedSettings.features, ...currentSettings.features },
       aiPersonality: { ...defaultAdvancedSettings.aiPersonality, ...currentSettings.aiPersonality },
       conversations: { ...defaultAdvancedSettings.conversations, ...currentSettings.conversations },
-      responses: { ...defaultAdvancedSettings.responses, ...currentSettings.responses }
+      handoff: { ...defaultAdvancedSettings.handoff, ...currentSettings.handoff },
+      responses: { ...defaultAdvancedSettings.responses, ...currentSettings.responses },
+      comments: { ...defaultAdvancedSettings.comments, ...currentSettings.comments },
+      ai: { ...defaultAdvancedSettings.ai, ...currentSettings.ai }
     };
 
     res.json({
@@ -188,8 +259,11 @@ router.put('/:businessId/advanced-settings', authMiddleware, requireVerified, as
       return res.status(400).json({ error: 'Settings object is required' });
     }
 
-    // Validate settings
-    const validationErrors = validateAdvancedSettings(settings);
+    const db = await getDb();
+    const { business } = await checkBusinessOwnership(businessId, userId, db);
+
+    // Validate settings (the allowed AI models depend on the business's plan)
+    const validationErrors = validateAdvancedSettings(settings, business);
     if (validationErrors.length > 0) {
       return res.status(400).json({ 
         error: 'Invalid settings', 
@@ -197,9 +271,6 @@ router.put('/:businessId/advanced-settings', authMiddleware, requireVerified, as
       });
     }
 
-    const db = await getDb();
-    const { business } = await checkBusinessOwnership(businessId, userId, db);
-
     // Get current settings and merge with new ones
     const currentAdvancedSettings = business.settings?.advanced || {};
     const updatedAdvancedSettings = {
@@ -209,7 +280,10 @@ router.put('/:businessId/advanced-settings', authMiddleware, requireVerified, as
       features: { ...currentAdvancedSettings.features, ...settings.features },
       aiPersonality: { ...currentAdvancedSettings.aiPersonality, ...settings.aiPersonality },
       conversations: { ...currentAdvancedSettings.conversations, ...settings.conversations },
-      responses: { ...currentAdvancedSettings.responses, ...settings.responses }
+      handoff: { ...currentAdvancedSettings.handoff, ...settings.handoff },
+      responses: { ...currentAdvancedSettings.responses, ...settings.responses },
+      comments: { ...currentAdvancedSettings.comments, ...settings.comments },
+      ai: { ...currentAdvancedSettings.ai, ...settings.ai }
     };
 
     // Update the business document
@@ -283,11 +357,9 @@ router.patch('/:businessId/advanced-settings', authMiddleware, requireVerified,
         for (const [key, value] of Object.entries(sectionUpdates)) {
           if (validationRules[section][key] !== undefined) {
             // Validate the specific field
-            const rule = validationRules[section][key];
-            if (rule === 'boolean' && typeof value !== 'boolean') {
-              return res.status(400).json({ error: `${section}.${key} must be a boolean` });
-            } else if (Array.isArray(rule) && !rule.includes(value)) {
-              return res.status(400).json({ error: `${section}.${key} must be one of: ${rule.join(', ')}` });
+            const error = validateField(section, key, validationRules[section][key], value, business);
+            if (error) {
+              return res.status(400).json({ error });
             }
 
             updateQuery[`settings.advanced.${section}.${key}`] = value;
@@ -1,7 +1,19 @@
 // routes/business/channels.js
 const { express, getDb, ObjectId, authMiddleware, requireVerified } = require('./shared');
+const crypto = require('crypto');
+const { getTelegramBot, setTelegramWebhook, deleteTelegramWebhook } = require('../../services/telegram');
+const { subscribePageWebhooks } = require('../../services/meta');
+const { canEnableChannel } = require('../../utils/businessPolicy');
 const router = express.Router();
 
+const BASE_URL = process.env.BASE_URL || 'https://moaawen.onrender.com';
+
+// Messages, receipts and post comments only reach the webhook once the Page is subscribed. A failure
+// doesn't block connecting - the merchant can subscribe the Page in the Meta App Dashboard instead.
+const WEBHOOK_SUBSCRIPTION_WARNING = 'Could not subscribe the Page to webhooks - subscribe it to messages and feed in the Meta App Dashboard';
+
+const trySubscribePageWebhooks = (pageId, token) => subscribePageWebhooks(pageId, token).then(() => true, () => false);
+
 // Connect/Update website channel
 // Connect website widget - requires verification
 router.put('/:id/channels/website', authMiddleware, requireVerified, async (req, res) => {
@@ -266,11 +278,18 @@ router.put('/:id/channels/instagram', authMiddleware, requireVerified, async (re
 
     console.log('Instagram channel connected successfully:', instagramData);
 
+    // Instagram messages and comments come through the linked Page
+    const webhooksSubscribed = instagramData.facebook_page_id
+      ? await trySubscribePageWebhooks(instagramData.facebook_page_id, instagramData.access_token)
+      : false;
+
     res.json({
       success: true,
       message: 'Instagram channel connected successfully',
       instagram_account_id: instagram_account_id.trim(),
-      username: username.trim()
+      username: username.trim(),
+      webhooks_subscribed: webhooksSubscribed,
+      ...(!webhooksSubscribed && { warning: WEBHOOK_SUBSCRIPTION_WARNING })
     });
 
   } catch (error) {
@@ -357,10 +376,14 @@ router.put('/:id/channels/messenger', authMiddleware, requireVerified, async (re
 
     console.log('Messenger channel connected successfully');
 
+    const webhooksSubscribed = await trySubscribePageWebhooks(page_id.trim(), access_token.trim());
+
     res.json({
       success: true,
       message: 'Messenger channel connected successfully',
-      page_id: page_id.trim()
+      page_id: page_id.trim(),
+      webhooks_subscribed: webhooksSubscribed,
+      ...(!webhooksSubscribed && { warning: WEBHOOK_SUBSCRIPTION_WARNING })
     });
 
   } catch (error) {
@@ -462,7 +485,7 @@ router.put('/:id/channels/tiktok', authMiddleware, requireVerified, async (req,
   try {
     console.log('Connecting TikTok channel for business:', req.params.id, 'by user:', req.user.userId);
     
-    const { account_id } = req.body;
+    const { account_id, access_token } = req.body;
     
     if (!account_id || !account_id.trim()) {
       return res.status(400).json({ error: 'TikTok Account ID is required' });
@@ -516,12 +539,23 @@ router.put('/:id/channels/tiktok', authMiddleware, requireVerified, async (req,
       return res.status(403).json({ error: 'Access denied. You do not own this business.' });
     }
 
+    // TikTok counts against the plan's channel allowance
+    if (!canEnableChannel(business, 'tiktok')) {
+      return res.status(403).json({ error: 'Your plan does not allow connecting another channel. Upgrade to add TikTok.' });
+    }
+
+    const tiktokData = { account_id: cleanAccountId };
+    if (access_token && access_token.trim()) {
+      tiktokData.access_token = access_token.trim();
+    }
+
     // Update the business with TikTok channel
     const result = await businessesCol.updateOne(
       { _id: new ObjectId(req.params.id) },
       { 
         $set: { 
-          'channels.tiktok': { account_id: cleanAccountId },
+          'channels.tiktok': tiktokData,
+          'settings.enabledChannels.tiktok': true,
           updatedAt: new Date()
         }
       }
@@ -545,6 +579,128 @@ router.put('/:id/channels/tiktok', authMiddleware, requireVerified, async (req,
   }
 });
 
+// Connect/Update Telegram channel
+// Connect Telegram bot - requires verification
+router.put('/:id/channels/telegram', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    console.log('Connecting Telegram channel for business:', req.params.id, 'by user:', req.user.userId);
+    
+    const { bot_token } = req.body;
+    
+    if (!bot_token || !bot_token.trim()) {
+      return res.status(400).json({ error: 'Telegram bot_token is required' });
+    }
+
+    const cleanToken = bot_token.trim();
+
+    // Bot tokens look like "<bot id>:<secret>" as issued by @BotFather
+    if (!/^\d+:[A-Za-z0-9_-]{20,}$/.test(cleanToken)) {
+      return res.status(400).json({ error: 'Invalid Telegram bot token format.' });
+    }
+
+    const db = await getDb();
+    const businessesCol = db.collection('businesses');
+    const usersCol = db.collection('users');
+
+    // Verify business ownership
+    const user = await usersCol.findOne({ _id: new ObjectId(req.user.userId) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const business = await businessesCol.findOne({ _id: new ObjectId(req.params.id) });
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    // Check ownership
+    let isOwner = false;
+    if (user.businesses && user.businesses.includes(req.params.id)) {
+      isOwner = true;
+    } else if (business.userId && business.userId.toString() === req.user.userId) {
+      isOwner = true;
+    } else if (business.contact?.email && business.contact.email === user.email) {
+      isOwner = true;
+    }
+
+    if (!isOwner) {
+      return res.status(403).json({ error: 'Access denied. You do not own this business.' });
+    }
+
+    // Telegram counts against the plan's channel allowance
+    if (!canEnableChannel(business, 'telegram')) {
+      return res.status(403).json({ error: 'Your plan does not allow connecting another channel. Upgrade to add Telegram.' });
+    }
+
+    // Validate the token against the Bot API
+    let bot;
+    try {
+      bot = await getTelegramBot(cleanToken);
+    } catch (error) {
+      console.error('Telegram getMe failed:', error.response?.data || error.message);
+      return res.status(400).json({ error: 'Telegram rejected this bot token' });
+    }
+
+    const botId = String(bot.id);
+
+    // Check if Telegram bot is already connected to another business
+    const existingBusiness = await businessesCol.findOne({
+      'channels.telegram.bot_id': botId,
+      _id: { $ne: new ObjectId(req.params.id) }
+    });
+
+    if (existingBusiness) {
+      return res.status(400).json({ 
+        error: `Telegram bot "@${bot.username}" is already connected to another business. Each bot can only be connected to one business.` 
+      });
+    }
+
+    // Point the bot's webhook at us; Telegram echoes the secret in X-Telegram-Bot-Api-Secret-Token
+    const webhookSecret = crypto.randomBytes(24).toString('hex');
+    try {
+      await setTelegramWebhook(cleanToken, `${BASE_URL}/webhook/telegram/${botId}`, webhookSecret);
+    } catch (error) {
+      console.error('Telegram setWebhook failed:', error.response?.data || error.message);
+      return res.status(502).json({ error: 'Failed to register Telegram webhook' });
+    }
+
+    // Update the business with Telegram channel
+    const result = await businessesCol.updateOne(
+      { _id: new ObjectId(req.params.id) },
+      { 
+        $set: { 
+          'channels.telegram': {
+            bot_id: botId,
+            username: bot.username,
+            bot_token: cleanToken,
+            webhook_secret: webhookSecret,
+            connected_at: new Date().toISOString()
+          },
+          'settings.enabledChannels.telegram': true,
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(400).json({ error: 'Failed to update Telegram channel' });
+    }
+
+    console.log('Telegram channel connected successfully');
+
+    res.json({
+      success: true,
+      message: 'Telegram channel connected successfully',
+      bot_id: botId,
+      username: bot.username
+    });
+
+  } catch (error) {
+    console.error('Error connecting Telegram channel:', error);
+    res.status(500).json({ error: 'Failed to connect Telegram channel' });
+  }
+});
+
 // Disconnect channel
 // Disconnect channel - requires verification
 router.delete('/:id/channels/:channelType', authMiddleware, requireVerified, async (req, res) => {
@@ -552,7 +708,7 @@ router.delete('/:id/channels/:channelType', authMiddleware, requireVerified, asy
     console.log('Disconnecting channel:', req.params.channelType, 'for business:', req.params.id, 'by user:', req.user.userId);
     
     const { channelType } = req.params;
-    const allowedChannels = ['whatsapp', 'instagram', 'website', 'facebook', 'messenger', 'tiktok', 'shopify'];
+    const allowedChannels = ['whatsapp', 'instagram', 'website', 'facebook', 'messenger', 'tiktok', 'telegram', 'shopify'];
     
     if (!allowedChannels.includes(channelType)) {
       return res.status(400).json({ error: 'Invalid channel type' });
@@ -587,6 +743,15 @@ router.delete('/:id/channels/:channelType', authMiddleware, requireVerified, asy
       return res.status(403).json({ error: 'Access denied. You do not own this business.' });
     }
 
+    // Stop Telegram from delivering updates for a bot we no longer serve
+    if (channelType === 'telegram' && business.channels?.telegram?.bot_token) {
+      try {
+        await deleteTelegramWebhook(business.channels.telegram.bot_token);
+      } catch (error) {
+        console.warn('Failed to delete Telegram webhook:', error.message);
+      }
+    }
+
     // Remove the channel
     const updateData = {
       updatedAt: new Date()
@@ -595,6 +760,11 @@ router.delete('/:id/channels/:channelType', authMiddleware, requireVerified, asy
     const unsetData = {};
     unsetData[`channels.${channelType}`] = "";
 
+    // Free up the plan channel slot taken when TikTok or Telegram was connected
+    if (channelType === 'tiktok' || channelType === 'telegram') {
+      updateData[`settings.enabledChannels.${channelType}`] = false;
+    }
+
     const result = await businessesCol.updateOne(
       { _id: new ObjectId(req.params.id) },
       { 
@@ -0,0 +1,281 @@
+// routes/business/conversations.js
+// Shared inbox: customer conversations across channels (services/sessionManager.js), manual replies
+// (services/inbox.js) and the human handoff state
+const {
+  express, authMiddleware, requireVerified,
+  verifyBusinessOwnership, handleOwnershipError
+} = require('./shared');
+const {
+  getConversationById,
+  listConversations,
+  getConversationMessages,
+  markConversationRead
+} = require('../../services/sessionManager');
+const { startHandoff, resumeBot } = require('../../services/handoff');
+const { sendAgentReply } = require('../../services/inbox');
+const { listConversationDocuments, getConversationDocument } = require('../../services/customerShares');
+const router = express.Router();
+
+// The business's conversation, or null
+const findBusinessConversation = async (businessId, conversationId) => {
+  const conversation = await getConversationById(conversationId);
+  return conversation && conversation.businessId === String(businessId) ? conversation : null;
+};
+
+const conversationKey = (conversation) => ({
+  businessId: conversation.businessId,
+  platform: conversation.platform,
+  customerId: conversation.customerId
+});
+
+const PLATFORMS = ['whatsapp', 'messenger', 'instagram', 'telegram', 'tiktok', 'website'];
+const MAX_REPLY_LENGTH = 4000;
+
+const toConversationResponse = (conversation) => ({
+  _id: conversation._id.toString(),
+  platform: conversation.platform,
+  customerId: conversation.customerId,
+  lastMessage: conversation.lastMessage || null,
+  lastMessageAt: conversation.lastMessageAt || null,
+  unreadCount: conversation.unreadCount || 0,
+  messageCount: conversation.messageCount || 0,
+  mode: conversation.mode || 'bot',
+  handoff: conversation.handoff || null
+});
+
+const toHandoffResponse = (conversation) => ({
+  success: true,
+  conversationId: conversation._id.toString(),
+  mode: conversation.mode || 'bot',
+  handoff: conversation.handoff || null
+});
+
+// GET /businesses/:businessId/conversations?platform=whatsapp&mode=human&unread=true - Conversations, latest activity first
+router.get('/:businessId/conversations', authMiddleware, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { platform, mode } = req.query;
+    const unread = req.query.unread === 'true';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = parseInt(req.query.skip) || 0;
+
+    if (platform && !PLATFORMS.includes(platform)) {
+      return res.status(400).json({ error: `Platform must be one of: ${PLATFORMS.join(', ')}` });
+    }
+    if (mode && !['bot', 'human'].includes(mode)) {
+      return res.status(400).json({ error: 'Mode must be one of: bot, human' });
+    }
+
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const { conversations, total } = await listConversations(businessId, { platform, mode, unread, limit, skip });
+
+    res.json({
+      success: true,
+      conversations: conversations.map(toConversationResponse),
+      total,
+      limit,
+      skip
+    });
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    handleOwnershipError(error, res, 'Failed to fetch conversations');
+  }
+});
+
+// GET /businesses/:businessId/conversations/:conversationId/messages?before=<ISO date> - A page of the thread, oldest first
+router.get('/:businessId/conversations/:conversationId/messages', authMiddleware, async (req, res) => {
+  try {
+    const { businessId, conversationId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const before = req.query.before ? new Date(req.query.before) : null;
+
+    if (before && isNaN(before.getTime())) {
+      return res.status(400).json({ error: 'before must be a date' });
+    }
+
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const conversation = await findBusinessConversation(businessId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { messages, hasMore } = await getConversationMessages(conversation._id, { before, limit });
+
+    res.json({
+      success: true,
+      conversation: toConversationResponse(conversation),
+      messages: messages.map(({ _id, role, content, createdAt, archiveId }) => ({
+        _id: _id.toString(),
+        role,
+        content,
+        createdAt,
+        archived: Boolean(archiveId)
+      })),
+      hasMore
+    });
+  } catch (error) {
+    console.error('Error fetching conversation messages:', error);
+    handleOwnershipError(error, res, 'Failed to fetch conversation messages');
+  }
+});
+
+// GET /businesses/:businessId/conversations/:conversationId/documents - Documents the customer sent, newest first
+router.get('/:businessId/conversations/:conversationId/documents', authMiddleware, async (req, res) => {
+  try {
+    const { businessId, conversationId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const conversation = await findBusinessConversation(businessId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const documents = await listConversationDocuments(businessId, {
+      platform: conversation.platform,
+      customerId: conversation.customerId,
+      limit
+    });
+
+    res.json({
+      success: true,
+      documents: documents.map(({ _id, filename, mimeType, caption, receivedAt }) => ({
+        _id: _id.toString(),
+        filename,
+        mimeType,
+        caption,
+        receivedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching conversation documents:', error);
+    handleOwnershipError(error, res, 'Failed to fetch conversation documents');
+  }
+});
+
+// GET /businesses/:businessId/conversations/:conversationId/documents/:documentId - Download a document
+router.get('/:businessId/conversations/:conversationId/documents/:documentId', authMiddleware, async (req, res) => {
+  try {
+    const { businessId, conversationId, documentId } = req.params;
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const conversation = await findBusinessConversation(businessId, conversationId);
+    const document = conversation && await getConversationDocument(businessId, documentId);
+    if (!document || document.platform !== conversation.platform || document.customerId !== conversation.customerId) {
+      return res.status(404).json({ error: 'Document not found' });
+    }
+
+    res.download(document.filePath, document.filename, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Error sending conversation document:', err.message);
+        res.status(404).json({ error: 'Document file not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching conversation document:', error);
+    handleOwnershipError(error, res, 'Failed to fetch the document');
+  }
+});
+
+// POST /businesses/:businessId/conversations/:conversationId/read - Reset the unread count
+router.post('/:businessId/conversations/:conversationId/read', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId, conversationId } = req.params;
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const conversation = await findBusinessConversation(businessId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    await markConversationRead(conversationKey(conversation));
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    handleOwnershipError(error, res, 'Failed to mark the conversation read');
+  }
+});
+
+// POST /businesses/:businessId/conversations/:conversationId/messages - Manual reply on the conversation's channel
+router.post('/:businessId/conversations/:conversationId/messages', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId, conversationId } = req.params;
+    const text = typeof req.body?.text === 'string' ? req.body.text.trim() : '';
+
+    if (!text) {
+      return res.status(400).json({ error: 'Text is required' });
+    }
+    if (text.length > MAX_REPLY_LENGTH) {
+      return res.status(400).json({ error: `Text must be at most ${MAX_REPLY_LENGTH} characters` });
+    }
+
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const conversation = await findBusinessConversation(businessId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const sent = await sendAgentReply(business, conversation, text);
+
+    res.status(201).json({
+      success: true,
+      message: {
+        _id: sent.message._id?.toString(),
+        role: sent.message.role,
+        content: sent.message.content,
+        createdAt: sent.message.createdAt
+      },
+      ...(sent.messageId && { platformMessageId: sent.messageId })
+    });
+  } catch (error) {
+    console.error('Error sending agent reply:', error.response?.data || error);
+
+    if (error.message.includes('the customer has to write first')) {
+      return res.status(409).json({ error: error.message });
+    }
+    handleOwnershipError(error, res, 'Failed to send the reply');
+  }
+});
+
+// POST /businesses/:businessId/conversations/:conversationId/handoff - Merchant takes over (the bot stops replying)
+router.post('/:businessId/conversations/:conversationId/handoff', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId, conversationId } = req.params;
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const conversation = await findBusinessConversation(businessId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const updated = await startHandoff(business, conversationKey(conversation), 'merchant', { notify: false });
+    res.json(toHandoffResponse(updated));
+  } catch (error) {
+    console.error('Error starting handoff:', error);
+    handleOwnershipError(error, res, 'Failed to take over the conversation');
+  }
+});
+
+// POST /businesses/:businessId/conversations/:conversationId/resume - Hand the conversation back to the bot
+router.post('/:businessId/conversations/:conversationId/resume', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId, conversationId } = req.params;
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const conversation = await findBusinessConversation(businessId, conversationId);
+    if (!conversation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const updated = await resumeBot(conversationKey(conversation), 'merchant');
+    res.json(toHandoffResponse(updated));
+  } catch (error) {
+    console.error('Error resuming bot:', error);
+    handleOwnershipError(error, res, 'Failed to hand the conversation back');
+  }
+});
+
+module.exports = router;
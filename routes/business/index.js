@@ -6,11 +6,23 @@ const router = express.Router();
 const crudRoutes = require('./crud');
 const channelRoutes = require('./channels');
 const shopifyRoutes = require('./shopify');
+const whatsappTemplateRoutes = require('./whatsapp-templates');
+const orderRoutes = require('./orders');
+const outboundMessageRoutes = require('./outbound-messages');
+const conversationRoutes = require('./conversations');
+const promptRoutes = require('./prompt');
+const sandboxRoutes = require('./sandbox');
 
 // Mount sub-routers
 router.use('/', crudRoutes);
 router.use('/', channelRoutes);
 router.use('/', shopifyRoutes);
+router.use('/', whatsappTemplateRoutes);
+router.use('/', orderRoutes);
+router.use('/', outboundMessageRoutes);
+router.use('/', conversationRoutes);
+router.use('/', promptRoutes);
+router.use('/', sandboxRoutes);
 
 // Mount products routes
 const productsRouter = require('../products');
@@ -0,0 +1,55 @@
+// routes/business/orders.js
+// Merchant actions on customer orders
+const {
+  express, getDb, authMiddleware, requireVerified,
+  verifyBusinessOwnership, handleOwnershipError
+} = require('./shared');
+const { ORDER_EVENTS, getNotificationChannel, sendOrderNotification } = require('../../services/orderNotifications');
+const router = express.Router();
+
+// POST /businesses/:businessId/orders/:orderId/notify - Mark an order shipped/delivered and tell the customer
+router.post('/:businessId/orders/:orderId/notify', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId, orderId } = req.params;
+    const { event, trackingNumber, trackingUrl } = req.body;
+
+    if (!ORDER_EVENTS[event]) {
+      return res.status(400).json({ error: `Event must be one of: ${Object.keys(ORDER_EVENTS).join(', ')}` });
+    }
+
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const db = await getDb();
+    const order = await db.collection('orders').findOne({ orderId, businessId: String(businessId) });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (order.status === 'pending' || order.status === 'cancelled') {
+      return res.status(400).json({ error: `Cannot notify about a ${order.status} order` });
+    }
+    if (!getNotificationChannel(order)) {
+      return res.status(409).json({ error: `Customers of ${order.platform} orders cannot be notified` });
+    }
+
+    const details = {};
+    if (trackingNumber) details.trackingNumber = String(trackingNumber).trim();
+    if (trackingUrl) details.trackingUrl = String(trackingUrl).trim();
+
+    const notification = await sendOrderNotification(business, order, event, details);
+
+    res.json({
+      success: true,
+      message: `Customer notified (${notification.via})`,
+      notification
+    });
+  } catch (error) {
+    console.error('Error sending order notification:', error.response?.data || error);
+
+    if (error.message.includes('messaging window has closed')) {
+      return res.status(409).json({ error: error.message });
+    }
+    handleOwnershipError(error, res, 'Failed to notify customer');
+  }
+});
+
+module.exports = router;
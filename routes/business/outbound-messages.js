@@ -0,0 +1,41 @@
+// routes/business/outbound-messages.js
+// Messages the bot sent, with their delivery status timeline (services/outboundMessages.js)
+const {
+  express, authMiddleware,
+  verifyBusinessOwnership, handleOwnershipError
+} = require('./shared');
+const { listOutboundMessages } = require('../../services/outboundMessages');
+const router = express.Router();
+
+const STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+// GET /businesses/:businessId/outbound-messages?status=failed - Outbound messages, newest first
+router.get('/:businessId/outbound-messages', authMiddleware, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { status, platform } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = parseInt(req.query.skip) || 0;
+
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${STATUSES.join(', ')}` });
+    }
+
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const { messages, total } = await listOutboundMessages(businessId, { status, platform, limit, skip });
+
+    res.json({
+      success: true,
+      messages: messages.map(m => ({ ...m, _id: m._id.toString() })),
+      total,
+      limit,
+      skip
+    });
+  } catch (error) {
+    console.error('Error fetching outbound messages:', error);
+    handleOwnershipError(error, res, 'Failed to fetch outbound messages');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,224 @@
+// routes/business/prompt.js
+// The assistant's bot name, persona and custom instructions (services/customPrompt.js): publishing
+// creates a new version, older versions can be rolled back to, and drafts can be previewed first
+const {
+  express, authMiddleware, requireVerified,
+  verifyBusinessOwnership, handleOwnershipError
+} = require('./shared');
+const {
+  MAX_BOT_NAME_LENGTH,
+  MAX_INSTRUCTIONS_LENGTH,
+  PROMPT_BUDGET,
+  validatePromptDraft,
+  listPersonaTemplates,
+  createPersonaTemplate,
+  deletePersonaTemplate,
+  getPromptConfig,
+  compileCustomPrompt,
+  publishPromptVersion,
+  listPromptVersions,
+  rollbackPromptVersion
+} = require('../../services/customPrompt');
+const { buildCatalogPrompt, buildCustomPromptSection, buildSystemPrompt } = require('../../services/promptBuilder');
+const { buildProductDatabase } = require('../../services/catalogBuilder');
+const router = express.Router();
+
+const LIMITS = { botName: MAX_BOT_NAME_LENGTH, instructions: MAX_INSTRUCTIONS_LENGTH, promptBudget: PROMPT_BUDGET };
+
+const toVersionResponse = ({ _id, businessId, ...version }) => ({ _id: _id?.toString(), ...version });
+
+// Draft fields that are left out keep their live value
+const mergeDraft = (config, draft) => ({
+  botName: draft.botName ?? config.botName,
+  personaId: draft.personaId !== undefined ? draft.personaId : config.personaId,
+  instructions: draft.instructions ?? config.instructions
+});
+
+// GET /businesses/:businessId/prompt - Live prompt settings and what they compile to
+router.get('/:businessId/prompt', authMiddleware, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const config = getPromptConfig(business);
+    res.json({
+      success: true,
+      prompt: config,
+      compiled: await compileCustomPrompt(businessId, config),
+      limits: LIMITS
+    });
+  } catch (error) {
+    console.error('Error fetching prompt settings:', error);
+    handleOwnershipError(error, res, 'Failed to fetch prompt settings');
+  }
+});
+
+// PUT /businesses/:businessId/prompt - Publish { botName, personaId, instructions, note } as a new version
+router.put('/:businessId/prompt', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const draft = req.body || {};
+
+    const errors = validatePromptDraft(draft);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid prompt settings', details: errors });
+    }
+
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const version = await publishPromptVersion(businessId, mergeDraft(getPromptConfig(business), draft), {
+      userId: req.user.userId,
+      note: draft.note
+    });
+
+    res.json({ success: true, message: `Prompt version ${version.version} is live`, version: toVersionResponse(version) });
+  } catch (error) {
+    console.error('Error publishing prompt settings:', error);
+
+    if (error.message.startsWith('Unknown persona template')) {
+      return res.status(400).json({ error: error.message });
+    }
+    handleOwnershipError(error, res, 'Failed to publish prompt settings');
+  }
+});
+
+// POST /businesses/:businessId/prompt/preview - The system prompt a draft would produce, without publishing it
+router.post('/:businessId/prompt/preview', authMiddleware, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const draft = req.body || {};
+
+    const errors = validatePromptDraft(draft);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid prompt settings', details: errors });
+    }
+
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const merged = mergeDraft(getPromptConfig(business), draft);
+    const customPrompt = await compileCustomPrompt(businessId, merged);
+    if (merged.personaId && !customPrompt.personaName) {
+      return res.status(400).json({ error: `Unknown persona template: ${merged.personaId}` });
+    }
+
+    const productDatabase = business.products?.length ? buildProductDatabase(business.products) : [];
+    const systemPrompt = buildSystemPrompt({
+      business,
+      hasProducts: productDatabase.length > 0,
+      catalog: productDatabase.length ? buildCatalogPrompt(businessId, productDatabase) : {},
+      advancedSettings: business.settings?.advanced,
+      customPrompt
+    });
+
+    res.json({
+      success: true,
+      compiled: customPrompt,
+      section: buildCustomPromptSection(customPrompt).trim(),
+      systemPrompt,
+      length: systemPrompt.length
+    });
+  } catch (error) {
+    console.error('Error previewing prompt settings:', error);
+    handleOwnershipError(error, res, 'Failed to preview prompt settings');
+  }
+});
+
+// GET /businesses/:businessId/prompt/versions - Published versions, newest first
+router.get('/:businessId/prompt/versions', authMiddleware, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const versions = await listPromptVersions(businessId);
+    res.json({
+      success: true,
+      liveVersion: getPromptConfig(business).version,
+      versions: versions.map(toVersionResponse)
+    });
+  } catch (error) {
+    console.error('Error fetching prompt versions:', error);
+    handleOwnershipError(error, res, 'Failed to fetch prompt versions');
+  }
+});
+
+// POST /businesses/:businessId/prompt/versions/:version/rollback - Make an older version live again
+router.post('/:businessId/prompt/versions/:version/rollback', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const versionNumber = parseInt(req.params.version, 10);
+
+    if (!Number.isInteger(versionNumber) || versionNumber < 1) {
+      return res.status(400).json({ error: 'Version must be a positive number' });
+    }
+
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const version = await rollbackPromptVersion(businessId, versionNumber, { userId: req.user.userId });
+    res.json({ success: true, message: `Version ${versionNumber} restored as version ${version.version}`, version: toVersionResponse(version) });
+  } catch (error) {
+    console.error('Error rolling back prompt version:', error);
+
+    if (/^Prompt version \d+ not found/.test(error.message)) {
+      return res.status(404).json({ error: error.message });
+    }
+    if (error.message.startsWith('Unknown persona template')) {
+      return res.status(409).json({ error: `${error.message} (it was deleted since that version)` });
+    }
+    handleOwnershipError(error, res, 'Failed to roll back prompt version');
+  }
+});
+
+// GET /businesses/:businessId/persona-templates - Built-in and the business's own persona templates
+router.get('/:businessId/persona-templates', authMiddleware, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    res.json({ success: true, templates: await listPersonaTemplates(businessId) });
+  } catch (error) {
+    console.error('Error fetching persona templates:', error);
+    handleOwnershipError(error, res, 'Failed to fetch persona templates');
+  }
+});
+
+// POST /businesses/:businessId/persona-templates - Save a persona template { name, description, instructions }
+router.post('/:businessId/persona-templates', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const template = await createPersonaTemplate(businessId, req.body || {});
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    console.error('Error creating persona template:', error);
+
+    if (error.message.startsWith('Template ')) {
+      return res.status(400).json({ error: error.message });
+    }
+    handleOwnershipError(error, res, 'Failed to create persona template');
+  }
+});
+
+// DELETE /businesses/:businessId/persona-templates/:templateId - Delete one of the business's templates
+router.delete('/:businessId/persona-templates/:templateId', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId, templateId } = req.params;
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    if (getPromptConfig(business).personaId === templateId) {
+      return res.status(409).json({ error: 'The live prompt uses this template - publish another persona first' });
+    }
+
+    const deleted = await deletePersonaTemplate(businessId, templateId);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (error) {
+    console.error('Error deleting persona template:', error);
+    handleOwnershipError(error, res, 'Failed to delete persona template');
+  }
+});
+
+module.exports = router;
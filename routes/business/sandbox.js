@@ -0,0 +1,102 @@
+// routes/business/sandbox.js
+// Sandbox chat: the merchant talks to their own bot through the full generateReply pipeline in dry-run
+// mode - no usage is counted, nothing is logged or remembered, and orders only exist in memory. Since the
+// model calls are real, each account is held to the sandboxLimiter budget instead
+const {
+  express, authMiddleware, requireVerified,
+  verifyBusinessOwnership, handleOwnershipError
+} = require('./shared');
+const { sandboxLimiter } = require('../../middlewares/rateLimit');
+const { generateReply } = require('../../services/openai');
+const { renderReply } = require('../../services/messageRenderer');
+const router = express.Router();
+
+// The metadata field generateReply derives each channel from
+const CHANNEL_METADATA = {
+  whatsapp: 'phone_number_id',
+  messenger: 'page_id',
+  instagram: 'instagram_account_id',
+  telegram: 'telegram_bot_id',
+  tiktok: 'tiktok_account_id',
+  website: 'domain'
+};
+const MAX_MESSAGE_LENGTH = 1000;
+const MAX_HISTORY_TURNS = 40;
+const MAX_TURN_LENGTH = 4000;
+
+// Returns an error message for an invalid sandbox request, null otherwise
+function validateSandboxRequest({ message, channel, history, cart }) {
+  if (typeof message !== 'string' || !message.trim() || message.length > MAX_MESSAGE_LENGTH) {
+    return `message must be a non-empty string of at most ${MAX_MESSAGE_LENGTH} characters`;
+  }
+  if (channel !== undefined && !CHANNEL_METADATA[channel]) {
+    return `channel must be one of: ${Object.keys(CHANNEL_METADATA).join(', ')}`;
+  }
+  if (history !== undefined && (
+    !Array.isArray(history) ||
+    history.length > MAX_HISTORY_TURNS ||
+    history.some(turn => !['user', 'assistant'].includes(turn?.role) || typeof turn.content !== 'string' || turn.content.length > MAX_TURN_LENGTH)
+  )) {
+    return `history must be a list of at most ${MAX_HISTORY_TURNS} { role: user | assistant, content } turns`;
+  }
+  if (cart !== undefined && cart !== null && (typeof cart !== 'object' || Array.isArray(cart))) {
+    return 'cart must be an object (the cart returned by the previous sandbox reply)';
+  }
+  return null;
+}
+
+/**
+ * POST /businesses/:businessId/sandbox/chat - Dry-run reply to { message, channel, history, cart }
+ *   channel: which channel to simulate (default website) - its formatting, interactive lists and enabled state
+ *   history: the sandbox conversation so far, [{ role: 'user' | 'assistant', content }]
+ *   cart:    the cart returned by the previous reply, to continue an order
+ * Returns the reply, the layer that answered (faq, ai, handoff, plan_check, error), the compiled system
+ * prompt (AI layer only), the order tool calls and display commands, the token usage and the cart.
+ */
+router.post('/:businessId/sandbox/chat', authMiddleware, requireVerified, sandboxLimiter, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { message, channel = 'website', history = [], cart = null } = req.body || {};
+
+    const validationError = validateSandboxRequest({ message, channel, history, cart });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const { business } = await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const result = await generateReply(
+      `sandbox-${req.user.userId}`,
+      message.trim(),
+      { [CHANNEL_METADATA[channel]]: 'sandbox' },
+      { dryRun: { business, history, cart } }
+    );
+
+    if (!result) {
+      return res.json({
+        success: true,
+        reply: null,
+        layer: 'channel_disabled',
+        message: `The ${channel} channel is disabled in the advanced settings - the bot would not answer`
+      });
+    }
+
+    const rendered = renderReply(result, channel);
+    res.json({
+      success: true,
+      reply: result.reply,
+      messages: Array.isArray(rendered.reply) ? rendered.reply : [rendered.reply],
+      layer: result.layer_used,
+      source: result.source,
+      duration: result.duration,
+      ...result.dryRun,
+      ...(result.interactive && { interactive: result.interactive }),
+      ...(result.attachments && { attachments: result.attachments })
+    });
+  } catch (error) {
+    console.error('Error running sandbox chat:', error);
+    handleOwnershipError(error, res, 'Failed to run the sandbox');
+  }
+});
+
+module.exports = router;
@@ -5,7 +5,59 @@ const { ObjectId } = require('bson');
 const { authMiddleware, requireVerified, requireAdmin } = require('../../middlewares/authMiddleware');
 const planSettings = require('../../utils/PlanSettings');
 
+// Helper function to verify business ownership
+const verifyBusinessOwnership = async (businessId, userId) => {
+  const db = await getDb();
+  const usersCol = db.collection('users');
+  const businessesCol = db.collection('businesses');
 
+  // Get user data to check ownership
+  const user = await usersCol.findOne({ _id: new ObjectId(userId) });
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  // Find the business
+  const business = await businessesCol.findOne({ _id: new ObjectId(businessId) });
+  if (!business) {
+    throw new Error('Business not found');
+  }
+
+  // Check ownership using the same logic as main business routes
+  let isOwner = false;
+
+  // Method 1: Check if business ID is in user's businesses array
+  if (user.businesses && user.businesses.includes(businessId)) {
+    isOwner = true;
+  }
+  // Method 2: Check if business has userId field matching current user
+  else if (business.userId && business.userId.toString() === userId) {
+    isOwner = true;
+  }
+  // Method 3: Check if business contact email matches user email
+  else if (business.contact?.email && business.contact.email === user.email) {
+    isOwner = true;
+  }
+
+  if (!isOwner) {
+    throw new Error('Access denied. You do not own this business.');
+  }
+
+  return { user, business };
+};
+
+const handleOwnershipError = (error, res, fallbackMessage) => {
+  if (error.message === 'User not found') {
+    return res.status(404).json({ error: 'User not found' });
+  }
+  if (error.message === 'Business not found') {
+    return res.status(404).json({ error: 'Business not found' });
+  }
+  if (error.message.includes('Access denied')) {
+    return res.status(403).json({ error: error.message });
+  }
+  res.status(500).json({ error: fallbackMessage });
+};
 
 module.exports = {
   express,
@@ -15,5 +67,6 @@ module.exports = {
   requireVerified,
   requireAdmin,
   planSettings,
-  
+  verifyBusinessOwnership,
+  handleOwnershipError
 };
@@ -3,6 +3,7 @@ const crypto = require('crypto');
 const { MongoClient, ObjectId } = require('mongodb');
 const shopifyClient = require('../../utils/shopifyClient');
 const saveOrUpdateStore = require('../../utils/saveOrUpdateStore');
+const { rebuildCatalogIndex } = require('../../services/catalogIndex');
 
 const router = express.Router();
 
@@ -335,6 +336,8 @@ async function syncShopifyProducts(businessId, shop, accessToken, business) {
     }
   );
 
+  rebuildCatalogIndex(businessId, finalProducts);
+
   console.log(`✅ Products synced successfully for business ${businessId}. Preserved ${migratedManualProducts.length} manual products, updated/added ${updatedShopifyProducts.length} Shopify products`);
 
   return {
@@ -0,0 +1,189 @@
+// routes/business/whatsapp-templates.js
+// Approved WhatsApp message templates, used for order updates once the 24h customer window has closed
+const {
+  express, getDb, ObjectId, authMiddleware, requireVerified,
+  verifyBusinessOwnership, handleOwnershipError
+} = require('./shared');
+const { ORDER_EVENTS, ORDER_FIELDS } = require('../../services/orderNotifications');
+const router = express.Router();
+
+const TEMPLATE_EVENTS = Object.keys(ORDER_EVENTS).map(event => `order_${event}`);
+
+// Validate the template fields sent by the dashboard
+const validateTemplate = ({ event, name, language, variables = [] }) => {
+  if (!TEMPLATE_EVENTS.includes(event)) {
+    return `Event must be one of: ${TEMPLATE_EVENTS.join(', ')}`;
+  }
+  if (typeof name !== 'string' || !/^[a-z0-9_]+$/.test(name.trim())) {
+    return 'Template name is required (lowercase letters, numbers and underscores, as approved in WhatsApp Manager)';
+  }
+  if (typeof language !== 'string' || !/^[a-z]{2,3}(_[A-Z]{2})?$/.test(language.trim())) {
+    return 'Language code is required (e.g. en, en_US, ar)';
+  }
+  if (!Array.isArray(variables) || variables.some(field => typeof field !== 'string')) {
+    return 'Variables must be an array of order fields';
+  }
+  const unknown = variables.filter(field => !Object.hasOwn(ORDER_FIELDS, field));
+  if (unknown.length) {
+    return `Unknown order fields: ${unknown.join(', ')}. Allowed: ${Object.keys(ORDER_FIELDS).join(', ')}`;
+  }
+  return null;
+};
+
+// GET /businesses/:businessId/whatsapp-templates - List templates and the fields they can use
+router.get('/:businessId/whatsapp-templates', authMiddleware, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const db = await getDb();
+    const templates = await db.collection('whatsapp_templates')
+      .find({ businessId: new ObjectId(businessId) })
+      .sort({ event: 1 })
+      .toArray();
+
+    res.json({
+      success: true,
+      templates: templates.map(t => ({ ...t, _id: t._id.toString(), businessId })),
+      events: TEMPLATE_EVENTS,
+      fields: Object.keys(ORDER_FIELDS)
+    });
+  } catch (error) {
+    console.error('Error fetching WhatsApp templates:', error);
+    handleOwnershipError(error, res, 'Failed to fetch WhatsApp templates');
+  }
+});
+
+// POST /businesses/:businessId/whatsapp-templates - Register a template for an order event
+router.post('/:businessId/whatsapp-templates', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { event, name, language, variables = [], isActive = true } = req.body;
+
+    const validationError = validateTemplate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const db = await getDb();
+    const templatesCol = db.collection('whatsapp_templates');
+
+    // One template per event
+    const existing = await templatesCol.findOne({ businessId: new ObjectId(businessId), event });
+    if (existing) {
+      return res.status(409).json({ error: `A template is already registered for ${event}` });
+    }
+
+    const currentDate = new Date();
+    const newTemplate = {
+      businessId: new ObjectId(businessId),
+      event,
+      name: name.trim(),
+      language: language.trim(),
+      variables,
+      isActive: Boolean(isActive),
+      createdAt: currentDate,
+      updatedAt: currentDate
+    };
+
+    const result = await templatesCol.insertOne(newTemplate);
+
+    res.status(201).json({
+      success: true,
+      message: 'WhatsApp template registered successfully',
+      template: { ...newTemplate, _id: result.insertedId.toString(), businessId }
+    });
+  } catch (error) {
+    console.error('Error creating WhatsApp template:', error);
+    handleOwnershipError(error, res, 'Failed to register WhatsApp template');
+  }
+});
+
+// PUT /businesses/:businessId/whatsapp-templates/:templateId - Update a template
+router.put('/:businessId/whatsapp-templates/:templateId', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId, templateId } = req.params;
+    const { event, name, language, variables = [], isActive = true } = req.body;
+
+    const validationError = validateTemplate(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const db = await getDb();
+    const templatesCol = db.collection('whatsapp_templates');
+
+    const existing = await templatesCol.findOne({
+      _id: new ObjectId(templateId),
+      businessId: new ObjectId(businessId)
+    });
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const conflict = await templatesCol.findOne({
+      businessId: new ObjectId(businessId),
+      event,
+      _id: { $ne: existing._id }
+    });
+    if (conflict) {
+      return res.status(409).json({ error: `A template is already registered for ${event}` });
+    }
+
+    await templatesCol.updateOne(
+      { _id: existing._id },
+      {
+        $set: {
+          event,
+          name: name.trim(),
+          language: language.trim(),
+          variables,
+          isActive: Boolean(isActive),
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    res.json({
+      success: true,
+      message: 'WhatsApp template updated successfully'
+    });
+  } catch (error) {
+    console.error('Error updating WhatsApp template:', error);
+    handleOwnershipError(error, res, 'Failed to update WhatsApp template');
+  }
+});
+
+// DELETE /businesses/:businessId/whatsapp-templates/:templateId - Remove a template
+router.delete('/:businessId/whatsapp-templates/:templateId', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { businessId, templateId } = req.params;
+
+    await verifyBusinessOwnership(businessId, req.user.userId);
+
+    const db = await getDb();
+    const result = await db.collection('whatsapp_templates').deleteOne({
+      _id: new ObjectId(templateId),
+      businessId: new ObjectId(businessId)
+    });
+
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'WhatsApp template deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting WhatsApp template:', error);
+    handleOwnershipError(error, res, 'Failed to delete WhatsApp template');
+  }
+});
+
+module.exports = router;
@@ -1,11 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const { generateReply } = require('../services/openai');
-const { validateChatRequest } = require('../middlewares/validate');
-const xss = require('xss'); 
-// Temporary in-memory store (you can later replace with DB)
-const sessionHistory = {};
+const { renderReply } = require('../services/messageRenderer');
+const { getBusinessInfo } = require('../services/business');
+const { getAgentMessagesSince } = require('../services/sessionManager');
+const { validateChatRequest, validateChatPollRequest } = require('../middlewares/validate');
+const xss = require('xss');
+// Conversation history is kept by generateReply (services/sessionManager.js), keyed by sessionId
 
+// Widget response body for a rendered reply
+function toChatResponse(reply) {
+  // Product cards for the widget to render under the reply
+  const attachments = reply.attachments?.map(a => ({ ...a, title: xss(a.title), subtitle: xss(a.subtitle) }));
+
+  // Handle multiple messages if response was split
+  if (reply.isMultiMessage && Array.isArray(reply.reply)) {
+    // Return all chunks as an array
+    return {
+      reply: reply.reply.map(chunk => xss(chunk)),
+      isMultiMessage: true,
+      totalChunks: reply.reply.length,
+      ...(attachments && { attachments })
+    };
+  }
+
+  return { reply: xss(reply.reply), ...(attachments && { attachments }) };
+}
 
 router.post('/chat', validateChatRequest, async (req, res) => {
   const { message, domain, sessionId } = req.body;
@@ -15,64 +35,91 @@ router.post('/chat', validateChatRequest, async (req, res) => {
   }
 
   try {
-    // Ensure session history array exists
-    if (!sessionHistory[sessionId]) {
-      sessionHistory[sessionId] = [];
+    // The widget renders the markdown itself
+    const reply = renderReply(await generateReply(sessionId, message, { domain }), 'website');
+
+    // If reply is null/undefined (channel disabled, or a human is handling the conversation), return 204 No Content
+    if (!reply) {
+      console.log(`🚫 No bot reply for domain ${domain} (channel disabled or human handoff)`);
+      return res.status(204).send(); // No response, channel disabled
     }
 
-    // Add user message
-    sessionHistory[sessionId].push({ role: 'user', content: message });
+    return res.json(toChatResponse(reply));
+  } catch (err) {
+    console.error('Chat API error:', err.message);
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /chat/stream - Same as /chat, streamed as Server-Sent Events:
+ *   event: delta  data: { text }   - reply text as it is generated (plain text, display commands removed)
+ *   event: done   data: { reply, isMultiMessage?, totalChunks?, attachments? } - the final reply, as /chat
+ *                 returns it ({ reply: null } when the website channel is disabled or a human took over)
+ *   event: error  data: { error }
+ * Order tool calls run while the reply is generated, between deltas.
+ */
+router.post('/chat/stream', validateChatRequest, async (req, res) => {
+  const { message, domain, sessionId } = req.body;
 
-    // Keep only last 10 messages
-    if (sessionHistory[sessionId].length > 10) {
-      sessionHistory[sessionId] = sessionHistory[sessionId].slice(-10);
-    }
+  if (!message || !domain || !sessionId) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // don't let nginx buffer the stream
+  });
+  res.flushHeaders();
 
- 
+  // Keep generating after a disconnect so order tool calls still complete - just stop writing
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  const sendEvent = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
 
-    // Pass the last 10 messages as context to OpenAI
-    const reply = await generateReply(sessionId, message, {
-      domain,
-      history: sessionHistory[sessionId], // pass conversation history
+  try {
+    const result = await generateReply(sessionId, message, { domain }, {
+      onDelta: (text) => sendEvent('delta', { text })
     });
 
-    // If reply is null/undefined (channel disabled), return 204 No Content
-    if (!reply) {
-      console.log(`🚫 Website channel disabled for domain ${domain} - ignoring message`);
-      return res.status(204).send(); // No response, channel disabled
+    if (!result) {
+      console.log(`🚫 No bot reply for domain ${domain} (channel disabled or human handoff)`);
+      sendEvent('done', { reply: null });
+    } else {
+      sendEvent('done', toChatResponse(renderReply(result, 'website')));
     }
+  } catch (err) {
+    console.error('Chat stream error:', err.message);
+    sendEvent('error', { error: 'Internal server error' });
+  }
 
-    // Handle multiple messages if response was split
-    if (reply.isMultiMessage && Array.isArray(reply.reply)) {
-      // Save all message chunks to history
-      reply.reply.forEach(chunk => {
-        sessionHistory[sessionId].push({ role: 'assistant', content: chunk });
-      });
-      
-      // Keep only last 10 messages
-      if (sessionHistory[sessionId].length > 10) {
-        sessionHistory[sessionId] = sessionHistory[sessionId].slice(-10);
-      }
-      
-      // Return all chunks as an array
-      return res.json({ 
-        reply: reply.reply.map(chunk => xss(chunk)),
-        isMultiMessage: true,
-        totalChunks: reply.reply.length
-      });
-    } else {
-      // Save the AI's reply to history
-      sessionHistory[sessionId].push({ role: 'assistant', content: reply.reply });
+  res.end();
+});
 
-      // Keep only last 10 messages again
-      if (sessionHistory[sessionId].length > 10) {
-        sessionHistory[sessionId] = sessionHistory[sessionId].slice(-10);
-      }
+/**
+ * GET /chat/messages?domain=&sessionId=&after=<ISO date> - Replies the shop team sent from the inbox
+ * since `after`, oldest first. The widget polls it while the chat is open:
+ *   { messages: [{ content, createdAt }] } - pass the last createdAt as the next `after`
+ */
+router.get('/chat/messages', validateChatPollRequest, async (req, res) => {
+  const { domain, sessionId, after } = req.poll;
 
-      return res.json({ reply: xss(reply.reply) });
-    }
+  try {
+    const business = await getBusinessInfo({ domain });
+    const messages = await getAgentMessagesSince({ businessId: business._id, platform: 'website', customerId: sessionId }, after);
+
+    return res.json({
+      messages: messages.map(m => ({ content: xss(m.content), createdAt: m.createdAt }))
+    });
   } catch (err) {
-    console.error('Chat API error:', err.message);
+    if (err.message.includes('No business found')) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+    console.error('Chat messages error:', err.message);
     return res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -3,6 +3,7 @@ const router = express.Router({ mergeParams: true });
 const {  ObjectId } = require('mongodb');
 const { authMiddleware, requireVerified } = require('../middlewares/authMiddleware');
 const getdb = require('../db');
+const { scheduleCatalogRefresh } = require('../services/catalogIndex');
 
 
 
@@ -252,7 +253,7 @@ router.post('/', authMiddleware, async (req, res) => {
     };
 
     // Add product to business document's products array
-    const result = db.collection('businesses').updateOne(
+    const result = await db.collection('businesses').updateOne(
       { _id: new ObjectId(businessId) },
       { 
         $push: { products: productData },
@@ -264,6 +265,8 @@ router.post('/', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Business not found' });
     }
 
+    scheduleCatalogRefresh(businessId);
+
     // Transform response to match expected format
     const newProduct = {
       id: newProductId.toString(), // Frontend expects 'id'
@@ -309,7 +312,7 @@ router.put('/:productId', authMiddleware, async (req, res) => {
     delete updateData.shopifyId;
 
     // Update product in business document's products array
-    const result =  db.collection('businesses').updateOne(
+    const result = await db.collection('businesses').updateOne(
       { 
         _id: new ObjectId(businessId),
         'products.id': parseInt(productId) // Match by product ID
@@ -332,6 +335,8 @@ router.put('/:productId', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    scheduleCatalogRefresh(businessId);
+
     // Get updated business to return the updated product
     const updatedBusiness = await db.collection('businesses').findOne({ 
       _id: new ObjectId(businessId) 
@@ -377,7 +382,7 @@ router.delete('/:productId', authMiddleware, async (req, res) => {
     const db = await getdb();
 
     // Remove product from business document's products array
-    const result =  db.collection('businesses').updateOne(
+    const result = await db.collection('businesses').updateOne(
       { _id: new ObjectId(businessId) },
       { 
         $pull: { products: { id: parseInt(productId) } },
@@ -393,6 +398,8 @@ router.delete('/:productId', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Product not found' });
     }
 
+    scheduleCatalogRefresh(businessId);
+
     res.json({ message: 'Product deleted successfully' });
 
   } catch (error) {
@@ -3,6 +3,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const shopifyClient = require('../utils/shopifyClient');
 const saveOrUpdateStore = require('../utils/saveOrUpdateStore');
+const { rebuildCatalogIndex } = require('../services/catalogIndex');
 const getdb = require('../db');
 const { ObjectId } = require('bson');
 
@@ -141,6 +142,7 @@ router.get('/callback', async (req, res) => {
         }
       );
 
+      rebuildCatalogIndex(businessConnection.businessId, flatProducts);
       console.log(`✅ Business ${businessConnection.businessId} connected to Shopify store ${shop}`);
       
       res.send(`
@@ -5,9 +5,13 @@ const router = express.Router();
 // Import all sub-modules
 const instagramRoutes = require('./instagram');
 const messengerRoutes = require('./messenger');
+const telegramRoutes = require('./telegram');
+const tiktokRoutes = require('./tiktok');
 
 // Mount sub-routers
 router.use('/', instagramRoutes);
 router.use('/', messengerRoutes);
+router.use('/', telegramRoutes);
+router.use('/', tiktokRoutes);
 
 module.exports = router;
@@ -0,0 +1,45 @@
+// routes/webhook/telegram.js
+const crypto = require('crypto');
+const { express, getBusinessInfo, enqueueAndAcknowledge } = require('./shared');
+
+const router = express.Router();
+
+// Telegram echoes the secret we registered with setWebhook in this header
+function hasValidSecret(req, business) {
+  const expected = business.channels?.telegram?.webhook_secret;
+  const received = req.headers['x-telegram-bot-api-secret-token'];
+  if (!expected || !received) return false;
+
+  const a = Buffer.from(String(received));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function verifyTelegramSecret(req, res, next) {
+  const { botId } = req.params;
+
+  // Load business - Telegram lookup using the bot ID from the webhook URL
+  let business;
+  try {
+    business = await getBusinessInfo({ telegram_bot_id: botId });
+  } catch (e) {
+    console.warn(`⚠️ No business found for Telegram bot ${botId}: ${e.message}`);
+    return res.sendStatus(404);
+  }
+
+  if (!hasValidSecret(req, business)) {
+    console.warn(`🚫 Rejected Telegram update for bot ${botId}: bad secret token`);
+    return res.sendStatus(403);
+  }
+
+  next();
+}
+
+// ✅ POST: Telegram Bot API updates (one webhook URL per connected bot)
+router.post(
+  '/telegram/:botId',
+  verifyTelegramSecret,
+  enqueueAndAcknowledge('telegram', (req) => ({ botId: req.params.botId, update: req.body }))
+);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+// routes/webhook/tiktok.js
+const { express, enqueueAndAcknowledge } = require('./shared');
+const { verifyTikTokSignature } = require('../../middlewares/tiktokSignature');
+
+const router = express.Router();
+
+// ✅ POST: TikTok Business Messaging webhook events
+router.post('/tiktok', verifyTikTokSignature, (req, res, next) => {
+  // Only inbound direct messages are queued
+  if (req.body?.event !== 'im_receive_msg') return res.sendStatus(200);
+  next();
+}, enqueueAndAcknowledge('tiktok'));
+
+module.exports = router;
@@ -120,6 +120,7 @@ class AdvancedLogger {
       // Performance metrics
       duration: data.duration || 0,
       tokens: data.tokens || {},
+      model: data.model,
       
       // Conversation flow
       sessionId: data.sessionId,
@@ -134,6 +135,7 @@ class AdvancedLogger {
       leadQuality: data.leadQuality,
       conversionIntent: data.conversionIntent,
       productMentions: data.productMentions || [],
+      toolCalls: data.toolCalls || [],
       
       // Technical metadata
       ipAddress: data.ipAddress,
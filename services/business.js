@@ -1,8 +1,8 @@
 const getDb = require('../db');
 
-async function getBusinessInfo({ phone_number_id, page_id, domain, shop, instagram_account_id }) {
-  if (!phone_number_id && !page_id && !domain && !shop && !instagram_account_id) {
-    throw new Error('getBusinessInfo: Missing all identifiers (phone_number_id, page_id, domain, shop, instagram_account_id)');
+async function getBusinessInfo({ phone_number_id, page_id, domain, shop, instagram_account_id, telegram_bot_id, tiktok_account_id }) {
+  if (!phone_number_id && !page_id && !domain && !shop && !instagram_account_id && !telegram_bot_id && !tiktok_account_id) {
+    throw new Error('getBusinessInfo: Missing all identifiers (phone_number_id, page_id, domain, shop, instagram_account_id, telegram_bot_id, tiktok_account_id)');
   }
 
 
@@ -48,6 +48,22 @@ async function getBusinessInfo({ phone_number_id, page_id, domain, shop, instagr
     }
   }
 
+  // Match Telegram by bot ID
+  if (!business && telegram_bot_id) {
+    business = await collection.findOne({ 'channels.telegram.bot_id': String(telegram_bot_id) });
+    if (business) {
+      return business;
+    }
+  }
+
+  // Match TikTok by account ID
+  if (!business && tiktok_account_id) {
+    business = await collection.findOne({ 'channels.tiktok.account_id': String(tiktok_account_id) });
+    if (business) {
+      return business;
+    }
+  }
+
   // Match website domain
   if (!business && domain) {
     business = await collection.findOne({ 'channels.website.domain': domain });
@@ -67,7 +83,7 @@ async function getBusinessInfo({ phone_number_id, page_id, domain, shop, instagr
   }
 
   if (!business) {
-    throw new Error(`getBusinessInfo: No business found for ${phone_number_id || page_id || instagram_account_id || domain || shop}`);
+    throw new Error(`getBusinessInfo: No business found for ${phone_number_id || page_id || instagram_account_id || telegram_bot_id || tiktok_account_id || domain || shop}`);
   }
 
   return {
@@ -61,6 +61,8 @@ function buildProductDatabase(products = []) {
           barcode: toStr(variant.barcode) || null,
           weight: toNum(variant.weight) || 0,
           inStock: variant.inStock !== false,
+
+          image: toStr(variant.image) || null,
         };
       });
 
@@ -82,6 +84,7 @@ function buildProductDatabase(products = []) {
       vendor: toStr(product.vendor) || null,
       type: toStr(product.type) || null,
       tags: Array.isArray(product.tags) ? product.tags : [],
+      image: toStr(product.images?.[0]?.src) || null,
 
       minPrice,
       maxPrice,
@@ -141,7 +144,8 @@ function formatProductDatabaseForAI(productDatabase) {
 }
 
 // Simple category grouping for AI context
-function groupProductsByCategory(productDatabase) {
+// listProducts: false keeps only the per-category counts (large catalogs)
+function groupProductsByCategory(productDatabase, { listProducts = true } = {}) {
   const categories = {};
   
   productDatabase.forEach(product => {
@@ -160,10 +164,12 @@ function groupProductsByCategory(productDatabase) {
     
     output += `${category.toUpperCase()}: ${totalProducts} products available, ${onSaleProducts} on sale\n`;
     
-    products.forEach(product => {
-      output += `  - ${product.title} (${product.totalVariants} variants available)\n`;
-    });
-    output += `\n`;
+    if (listProducts) {
+      products.forEach(product => {
+        output += `  - ${product.title} (${product.totalVariants} variants available)\n`;
+      });
+      output += `\n`;
+    }
   });
 
   return output;
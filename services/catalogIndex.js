@@ -0,0 +1,239 @@
+// services/catalogIndex.js
+// BM25 retrieval over a business's catalog, so the AI prompt only carries the products relevant
+// to the conversation instead of the whole catalog. Indexes are built from buildProductDatabase()
+// output and kept in memory per business. They only hold product IDs and tokens: hits are mapped
+// back to the caller's current productDatabase, and an index is rebuilt whenever the catalog's
+// searchable content no longer matches its fingerprint (so every instance picks up edits).
+//
+// Text is normalised for Lebanese Arabic / Arabizi: Arabic diacritics, alef/yaa/taa marbuta
+// variants and the "ال" prefix are folded, Arabizi words go through mappings/arabizi_mapping.json
+// (read-only - services/normalize.js also learns new words, which search must not do) and
+// mixed letter/digit words have their digits transliterated (7elwe → helwe).
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const getDb = require('../db');
+const { ObjectId } = require('mongodb');
+const { buildProductDatabase } = require('./catalogBuilder');
+
+const mappingPath = path.join(__dirname, 'mappings/arabizi_mapping.json');
+const arabiziMap = fs.existsSync(mappingPath) ? JSON.parse(fs.readFileSync(mappingPath)) : {};
+
+// Catalogs up to this size go into the prompt whole
+const FULL_CATALOG_LIMIT = 20;
+const DEFAULT_TOP_N = 8;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Field weights (tokens are repeated this many times in the document)
+const FIELD_WEIGHTS = { title: 3, tags: 2, type: 2, vendor: 1, variants: 2, description: 1 };
+
+const ARABIZI_DIGITS = { 2: 'a', 3: 'a', 5: 'kh', 6: 't', 7: 'h', 8: 'gh', 9: 's' };
+
+const indexes = new Map(); // businessId -> index
+
+/**
+ * Split text into normalised search tokens
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\u064B-\u0652\u0640]/g, '') // tashkeel, tatweel
+    .replace(/[أإآ]/g, 'ا')
+    .replace(/ى/g, 'ي')
+    .replace(/ة/g, 'ه')
+    .replace(/(.)\1{2,}/g, '$1')
+    .replace(/[\p{P}\p{S}]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(normalizeToken)
+    .filter(token => token.length > 1 || /\d/.test(token));
+}
+
+function normalizeToken(token) {
+  let word = arabiziMap[token] || token;
+
+  if ((word.match(/[a-z]/g) || []).length >= 3 && /[235-9]/.test(word)) {
+    word = word.replace(/[235-9]/g, digit => ARABIZI_DIGITS[digit]);
+  }
+  if (/^ال[\u0600-\u06FF]{2,}/.test(word)) word = word.slice(2);
+  if (/^[a-z]{4,}s$/.test(word) && !word.endsWith('ss')) word = word.slice(0, -1);
+
+  return word;
+}
+
+function productFields(product) {
+  return {
+    title: product.title,
+    tags: (product.tags || []).join(' '),
+    type: product.type,
+    vendor: product.vendor,
+    variants: product.variants.map(v => [v.name, v.option1, v.option2, v.option3].filter(Boolean).join(' ')).join(' '),
+    description: product.description
+  };
+}
+
+// Hash of what the index is built from - IDs and searchable text
+function catalogFingerprint(productDatabase) {
+  const hash = crypto.createHash('sha1');
+  for (const product of productDatabase) {
+    hash.update(JSON.stringify([product.id, productFields(product)]));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Build a BM25 index over a product database
+ */
+function buildCatalogIndex(productDatabase) {
+  const documents = productDatabase.map(product => {
+    const termFrequencies = new Map();
+    let length = 0;
+
+    for (const [field, text] of Object.entries(productFields(product))) {
+      const weight = FIELD_WEIGHTS[field];
+      for (const token of tokenize(text)) {
+        termFrequencies.set(token, (termFrequencies.get(token) || 0) + weight);
+        length += weight;
+      }
+    }
+    return { productId: product.id, termFrequencies, length };
+  });
+
+  const documentFrequencies = new Map();
+  for (const { termFrequencies } of documents) {
+    for (const token of termFrequencies.keys()) {
+      documentFrequencies.set(token, (documentFrequencies.get(token) || 0) + 1);
+    }
+  }
+
+  const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+
+  return {
+    documents,
+    documentFrequencies,
+    averageLength: documents.length ? totalLength / documents.length : 0,
+    productCount: documents.length,
+    fingerprint: catalogFingerprint(productDatabase),
+    builtAt: new Date()
+  };
+}
+
+/**
+ * Score every product against a query, best first (products without a matching term are left out)
+ * @param {Array} productDatabase - The current catalog, hits are taken from it by ID
+ * @returns {Array<object>} [{ product, score }]
+ */
+function searchCatalog(index, query, productDatabase) {
+  const productsById = new Map(productDatabase.map(product => [product.id, product]));
+  const queryTokens = [...new Set(tokenize(query))];
+  const total = index.documents.length;
+  const results = [];
+
+  for (const doc of index.documents) {
+    let score = 0;
+    for (const token of queryTokens) {
+      const tf = doc.termFrequencies.get(token);
+      if (!tf) continue;
+
+      const df = index.documentFrequencies.get(token);
+      const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (doc.length / index.averageLength)));
+    }
+    const product = productsById.get(doc.productId);
+    if (score > 0 && product) results.push({ product, score });
+  }
+
+  return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Replace a business's index (e.g. after a Shopify sync)
+ * @param {Array} products - Raw business.products
+ */
+function rebuildCatalogIndex(businessId, products) {
+  const index = buildCatalogIndex(buildProductDatabase(products));
+  indexes.set(String(businessId), index);
+  console.log(`🔎 Catalog index rebuilt for business ${businessId}: ${index.productCount} products`);
+  return index;
+}
+
+/**
+ * Reload a business's products and rebuild its index (after a product edit)
+ */
+async function refreshCatalogIndex(businessId) {
+  const db = await getDb();
+  const business = await db.collection('businesses').findOne(
+    { _id: new ObjectId(businessId) },
+    { projection: { products: 1 } }
+  );
+  if (!business) return null;
+  return rebuildCatalogIndex(businessId, business.products);
+}
+
+/**
+ * Rebuild in the background - a failed rebuild must not fail the request that edited the catalog
+ */
+function scheduleCatalogRefresh(businessId) {
+  refreshCatalogIndex(businessId).catch(err => {
+    console.warn(`⚠️ Catalog index rebuild failed for business ${businessId}:`, err.message);
+  });
+}
+
+/**
+ * The business's index, built on first use or when the catalog's content has changed
+ */
+function getCatalogIndex(businessId, productDatabase) {
+  const key = String(businessId);
+  const index = indexes.get(key);
+  if (index && index.fingerprint === catalogFingerprint(productDatabase)) return index;
+
+  const fresh = buildCatalogIndex(productDatabase);
+  indexes.set(key, fresh);
+  return fresh;
+}
+
+/**
+ * Products to put in the prompt for this conversation: the whole catalog when it is small,
+ * otherwise the cart's products plus the top matches for the recent messages.
+ * @param {object} options - { query, cartProductIds, limit }
+ * @returns {object} { products, retrieved } (retrieved = false when the whole catalog is used)
+ */
+function selectRelevantProducts(businessId, productDatabase, { query, cartProductIds = [], limit = DEFAULT_TOP_N } = {}) {
+  if (productDatabase.length <= FULL_CATALOG_LIMIT) {
+    return { products: productDatabase, retrieved: false };
+  }
+
+  const selected = new Map();
+  for (const id of cartProductIds) {
+    const product = productDatabase.find(p => p.id === String(id));
+    if (product) selected.set(product.id, product);
+  }
+
+  const index = getCatalogIndex(businessId, productDatabase);
+  for (const { product } of searchCatalog(index, query, productDatabase)) {
+    if (selected.size >= limit + cartProductIds.length) break;
+    selected.set(product.id, product);
+  }
+
+  // Nothing matched (e.g. a greeting) - offer the start of the catalog
+  for (const product of productDatabase) {
+    if (selected.size >= limit) break;
+    selected.set(product.id, product);
+  }
+
+  return { products: [...selected.values()], retrieved: true };
+}
+
+module.exports = {
+  tokenize,
+  buildCatalogIndex,
+  searchCatalog,
+  rebuildCatalogIndex,
+  refreshCatalogIndex,
+  scheduleCatalogRefresh,
+  getCatalogIndex,
+  selectRelevantProducts
+};
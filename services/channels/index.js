@@ -0,0 +1,49 @@
+// services/channels/index.js
+// Channel adapter registry. Every adapter implements:
+//   platform                                       - name used in logs, usage and idempotency keys
+//   parseInbound(payload)                          - webhook payload -> InboundMessage[] (see pipeline.js)
+//   getCredentials(business, inbound)              - per-business send credentials
+//   sendText(credentials, to, text)                - every send resolves to the platform message ID
+//   sendMedia(credentials, to, { type, url, caption })
+//   downloadMedia(credentials, inbound, kind, filename) - local file path
+//   markSeen(credentials, inbound)
+// Optional:
+//   parseStatuses(payload)                         - delivery/read/failed updates (services/outboundMessages.js)
+//   sendInteractive(credentials, to, interactive)  - list/button choices (services/interactiveMessages.js)
+//   sendAttachments(credentials, to, attachments)  - product cards (services/productAttachments.js);
+//                                                    without it each card goes out as a captioned photo
+//   sendTemplate(credentials, to, template)        - pre-approved template, allowed outside the 24h window
+//   sendVoice(credentials, to, audio)              - upload and send a voice note (services/tts)
+//   replyToComment(credentials, comment, text)     - public reply under a post comment
+//   sendPrivateReply(credentials, comment, text)   - one DM to a comment's author (services/commentReplies.js)
+//   planGated: true                                - enforce the plan's channel limit
+// Adding a channel = write an adapter, list it here, enqueue its webhooks under the same platform name.
+const { registerWebhookProcessor } = require('../webhookQueue');
+const {
+  processChannelPayload, handleInboundMessage, sendBatchedReply, getReplyQueue, getFallback
+} = require('./pipeline');
+const whatsapp = require('./whatsapp');
+const { messenger, instagram } = require('./meta');
+const telegram = require('./telegram');
+const tiktok = require('./tiktok');
+
+const adapters = { whatsapp, messenger, instagram, telegram, tiktok };
+
+for (const adapter of Object.values(adapters)) {
+  registerWebhookProcessor(adapter.platform, (payload) => processChannelPayload(adapter, payload));
+  registerWebhookProcessor(getReplyQueue(adapter.platform), (payload, job) => sendBatchedReply(adapter, payload, job));
+}
+
+function getChannelAdapter(platform) {
+  const adapter = adapters[platform];
+  if (!adapter) throw new Error(`Unknown channel: ${platform}`);
+  return adapter;
+}
+
+module.exports = {
+  adapters,
+  getChannelAdapter,
+  processChannelPayload,
+  handleInboundMessage,
+  getFallback
+};
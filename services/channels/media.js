@@ -0,0 +1,15 @@
+// services/channels/media.js
+const { downloadVoiceFile } = require('../transcribeVoice');
+const { downloadMedia } = require('../downloadMedia');
+
+/**
+ * Download inbound media to a local file. Voice notes go to tmp/, images and documents to media/.
+ * @param {string} kind - voice | image | document
+ */
+function saveInboundMedia(kind, url, filename, headers = {}) {
+  return kind === 'voice'
+    ? downloadVoiceFile(url, filename, headers)
+    : downloadMedia(url, filename, headers);
+}
+
+module.exports = { saveInboundMedia };
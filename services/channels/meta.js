@@ -0,0 +1,248 @@
+// services/channels/meta.js
+// Messenger and Instagram share the Send API and webhook shape; only the lookup key differs.
+// Post comments arrive as entry.changes (Page `feed` / Instagram `comments` subscriptions).
+const { saveInboundMedia } = require('./media');
+const {
+  sendMessengerMessage, sendInstagramMessage, sendMetaAttachment, sendMetaAudio, sendMetaGenericTemplate, sendMetaQuickReplies,
+  sendSenderAction, replyToComment, sendPrivateReply
+} = require('../meta');
+
+// Send API responses carry the new message's mid
+const messageId = (result) => result?.message_id;
+
+// Send API limits
+const MAX_CARDS = 10;
+const MAX_CARD_TEXT = 80;
+const MAX_QUICK_REPLIES = 13;
+const MAX_QUICK_REPLY_TITLE = 20;
+
+function truncate(text, max) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? s.slice(0, max - 1) + '…' : s;
+}
+
+// File attachments only carry a CDN URL - the name is its last path segment
+function fileNameFromUrl(url) {
+  try {
+    return decodeURIComponent(new URL(url).pathname.split('/').pop()) || 'document';
+  } catch {
+    return 'document';
+  }
+}
+
+/**
+ * Product attachments (services/productAttachments.js) as generic template cards
+ */
+function toGenericElements(attachments) {
+  return attachments.slice(0, MAX_CARDS).map(attachment => ({
+    title: truncate(attachment.title, MAX_CARD_TEXT),
+    ...(attachment.subtitle && { subtitle: truncate(attachment.subtitle, MAX_CARD_TEXT) }),
+    ...(attachment.imageUrl && { image_url: attachment.imageUrl }),
+    buttons: [{
+      type: 'postback',
+      title: attachment.selectionId.startsWith('add:') ? 'Order now' : 'See options',
+      payload: attachment.selectionId
+    }]
+  }));
+}
+
+/**
+ * WhatsApp-style list/button choices (services/interactiveMessages.js) as quick-reply chips
+ */
+function toQuickReplies(interactive) {
+  const choices = interactive.type === 'button'
+    ? interactive.action.buttons.map(b => b.reply)
+    : interactive.action.sections.flatMap(section => section.rows);
+
+  return choices.slice(0, MAX_QUICK_REPLIES).map(choice => ({
+    title: truncate(choice.title, MAX_QUICK_REPLY_TITLE),
+    payload: choice.id
+  }));
+}
+
+/**
+ * Normalize a new comment from a Page `feed` or Instagram `comments` change
+ * @returns {object|null} { id, postId, parentId, authorId, authorName, text }
+ */
+function parseCommentChange(platform, change) {
+  const value = change.value || {};
+
+  if (platform === 'instagram') {
+    if (change.field !== 'comments' || !value.id) return null;
+    return {
+      id: value.id,
+      postId: value.media?.id,
+      parentId: value.parent_id,
+      authorId: value.from?.id,
+      authorName: value.from?.username,
+      text: value.text
+    };
+  }
+
+  if (change.field !== 'feed' || value.item !== 'comment' || value.verb !== 'add') return null;
+  return {
+    id: value.comment_id,
+    postId: value.post_id,
+    parentId: value.parent_id !== value.post_id ? value.parent_id : undefined,
+    authorId: value.from?.id,
+    authorName: value.from?.name,
+    text: value.message
+  };
+}
+
+/**
+ * @param {string} platform - messenger | instagram
+ * @param {string} lookupKey - getBusinessInfo() key for the entry ID
+ */
+function createMetaAdapter(platform, lookupKey) {
+  const sendMessage = platform === 'instagram' ? sendInstagramMessage : sendMessengerMessage;
+
+  function parseInbound(payload) {
+    const messages = [];
+
+    for (const entry of payload?.entry || []) {
+      const pageId = entry.id;
+
+      for (const event of entry.messaging || []) {
+        const message = event.message;
+        const senderId = event.sender?.id;
+
+        // Card buttons (sendAttachments) come back as postbacks
+        if (event.postback?.payload && senderId !== pageId) {
+          messages.push({
+            platform,
+            messageId: event.postback.mid || `postback:${senderId}:${event.timestamp}`,
+            senderId,
+            type: 'selection',
+            text: event.postback.title,
+            media: null,
+            selection: { id: event.postback.payload, title: event.postback.title },
+            businessLookup: { [lookupKey]: pageId }
+          });
+          continue;
+        }
+
+        // Skip read receipts, delivery confirmations, echoes and the page's own messages
+        if (!message || message.is_echo || senderId === pageId) continue;
+
+        const audio = message.attachments?.find(att => att.type === 'audio');
+        const image = message.attachments?.find(att => att.type === 'image');
+        const file = message.attachments?.find(att => att.type === 'file');
+        const pin = message.attachments?.find(att => att.type === 'location');
+
+        const quickReply = message.quick_reply?.payload;
+
+        let type = 'unsupported';
+        if (quickReply) type = 'selection';
+        else if (audio?.payload?.url) type = 'voice';
+        else if (image?.payload?.url) type = 'image';
+        else if (pin?.payload?.coordinates) type = 'location';
+        else if (file?.payload?.url) type = 'document';
+        else if (message.text) type = 'text';
+
+        messages.push({
+          platform,
+          messageId: message.mid,
+          senderId,
+          type,
+          text: message.text,
+          media: type === 'voice' ? { url: audio.payload.url }
+            : type === 'image' ? { url: image.payload.url }
+              : type === 'document' ? { url: file.payload.url, filename: fileNameFromUrl(file.payload.url) } : null,
+          selection: quickReply ? { id: quickReply, title: message.text } : null,
+          location: type === 'location'
+            ? { latitude: pin.payload.coordinates.lat, longitude: pin.payload.coordinates.long, name: pin.title }
+            : null,
+          businessLookup: { [lookupKey]: pageId }
+        });
+      }
+
+      for (const change of entry.changes || []) {
+        const comment = parseCommentChange(platform, change);
+
+        // Skip other feed activity and the page's own comments (including our public replies)
+        if (!comment?.id || !comment.authorId || comment.authorId === pageId || !comment.text) continue;
+
+        messages.push({
+          platform,
+          messageId: `comment:${comment.id}`,
+          senderId: comment.authorId,
+          type: 'comment',
+          text: comment.text,
+          media: null,
+          comment,
+          businessLookup: { [lookupKey]: pageId }
+        });
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Delivery and read receipts for messages we sent. Messenger reports delivered mids and a read
+   * watermark (everything sent before it was read); Instagram reports the read mid.
+   */
+  function parseStatuses(payload) {
+    const updates = [];
+
+    for (const entry of payload?.entry || []) {
+      for (const event of entry.messaging || []) {
+        const recipientId = event.sender?.id;
+        const at = event.timestamp ? new Date(event.timestamp) : new Date();
+
+        if (event.delivery) {
+          for (const mid of event.delivery.mids || []) {
+            updates.push({ messageId: mid, status: 'delivered', at });
+          }
+          if (!event.delivery.mids?.length && event.delivery.watermark) {
+            updates.push({ recipientId, watermark: event.delivery.watermark, status: 'delivered', at });
+          }
+        }
+
+        if (event.read?.mid) {
+          updates.push({ messageId: event.read.mid, status: 'read', at });
+        } else if (event.read?.watermark) {
+          updates.push({ recipientId, watermark: event.read.watermark, status: 'read', at });
+        }
+      }
+    }
+
+    return updates;
+  }
+
+  function getCredentials(business, inbound) {
+    const token = business.channels?.[platform]?.access_token;
+    if (token) return { token };
+
+    console.warn(`⚠️ No ${platform} access token found for ${inbound.businessLookup[lookupKey]}, using default`);
+    return { token: process.env.PAGE_ACCESS_TOKEN };
+  }
+
+  return {
+    platform,
+    parseInbound,
+    parseStatuses,
+    getCredentials,
+    sendText: (credentials, to, text) => sendMessage(to, text, credentials.token).then(messageId),
+    sendMedia: (credentials, to, media) => sendMetaAttachment(to, media, credentials.token).then(messageId),
+    sendInteractive: (credentials, to, interactive) =>
+      sendMetaQuickReplies(to, interactive.body.text, toQuickReplies(interactive), credentials.token).then(messageId),
+    sendAttachments: (credentials, to, attachments) =>
+      sendMetaGenericTemplate(to, toGenericElements(attachments), credentials.token).then(messageId),
+    // Attachment URLs in the webhook are already signed, no auth header needed
+    downloadMedia: (credentials, inbound, kind, filename) => saveInboundMedia(kind, inbound.media.url, filename),
+    markSeen: (credentials, inbound) => sendSenderAction(inbound.senderId, 'mark_seen', credentials.token),
+    replyToComment: (credentials, comment, text) => replyToComment(platform, comment.id, text, credentials.token),
+    sendPrivateReply: (credentials, comment, text) => sendPrivateReply(comment.id, text, credentials.token).then(messageId),
+    // Instagram only accepts audio by URL, so voice replies are Messenger-only
+    ...(platform === 'messenger' && {
+      sendVoice: (credentials, to, audio) => sendMetaAudio(to, audio, credentials.token).then(messageId)
+    })
+  };
+}
+
+module.exports = {
+  messenger: createMetaAdapter('messenger', 'page_id'),
+  instagram: createMetaAdapter('instagram', 'instagram_account_id')
+};
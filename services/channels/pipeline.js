@@ -0,0 +1,494 @@
+// services/channels/pipeline.js
+// One inbound pipeline for every messaging channel: access checks, media handling,
+// transcription, batching, usage tracking and logging. Channel specifics live in the adapters.
+// Text replies are batched per customer through the webhook queue ("<platform>:reply" jobs, see
+// sendBatchedReply), so a failed reply is retried and dead-lettered like a failed webhook.
+const fs = require('fs');
+const path = require('path');
+const xss = require('xss');
+const { generateReply } = require('../openai');
+const { transcribeWithWhisper } = require('../transcribeVoice');
+const { matchImageAndGenerateReply } = require('../imageMatcher');
+const { getBusinessInfo } = require('../business');
+const { buildProductDatabase } = require('../catalogBuilder');
+const { handleInteractiveSelection } = require('../interactiveMessages');
+const { productCaption } = require('../productAttachments');
+const { renderReply } = require('../messageRenderer');
+const { synthesizeSpeech, estimateDurationSeconds } = require('../tts');
+const { handleComment } = require('../commentReplies');
+const {
+  applySharedLocation, applySharedContact, formatLocationAddress, storeConversationDocument
+} = require('../customerShares');
+const { updateSession } = require('../sessionManager');
+const { isChannelEnabled } = require('../advancedSettingsService');
+const { applyHandoff } = require('../handoff');
+const { claimMessage, releaseMessage } = require('../idempotencyStore');
+const { enqueueBatchedEvent, updateJobPayload } = require('../webhookQueue');
+const { recordInbound } = require('../customerWindow');
+const { trackOutbound, applyStatusUpdate } = require('../outboundMessages');
+const { checkAccess } = require('../../utils/businessPolicy');
+const { trackUsage } = require('../../utils/trackUsage');
+const { logConversation } = require('../../utils/logger');
+const { getOrderPlatform } = require('../../models/Order');
+
+/**
+ * @typedef {object} InboundMessage
+ * @property {string} platform - Adapter platform name
+ * @property {string} messageId - Unique per platform; used for de-duplication
+ * @property {string} senderId - Customer ID used for sessions and replies
+ * @property {string} [replyTo] - Where replies go when it is not senderId (e.g. a TikTok conversation)
+ * @property {string} type - text | voice | image | selection | location | contact | document | comment | unsupported
+ * @property {string} [text] - Message text, or the caption of a document
+ * @property {object} [media] - Platform media reference ({ id } or { url }, plus filename for documents)
+ * @property {object} [selection] - { id, title } of a tapped list row / reply button
+ * @property {object} [location] - { latitude, longitude, name?, address? } of a shared location pin
+ * @property {object} [contact] - { name, phone } of a shared contact card
+ * @property {object} [comment] - { id, postId, parentId, authorId, authorName, text } of a post comment
+ * @property {object} businessLookup - getBusinessInfo() identifier, e.g. { page_id }
+ */
+
+/**
+ * Map checkAccess() reasons to the message sent to the customer
+ */
+function getFallback(reasons = []) {
+  if (reasons.includes('subscription_expired')) return '⚠️ Your subscription expired. Please renew.';
+  if (reasons.includes('account_inactive') || reasons.includes('account_suspended')) return '⚠️ Your account is inactive.';
+  if (reasons.find(r => r.startsWith('message_limit'))) return '⚠️ Message limit reached. Upgrade your plan.';
+  if (reasons.find(r => r.startsWith('voice_limit'))) return '🎤 Voice minutes used up. Please send a text message.';
+  if (reasons.find(r => r.startsWith('image_processing_limit'))) return '🖼️ Image limit reached. Please describe the product in text.';
+  if (reasons.find(r => r.startsWith('feature_not_available:voiceInput'))) return '🎤 Voice not allowed in your plan.';
+  if (reasons.find(r => r.startsWith('feature_not_available:imageAnalysis'))) return '🖼️ Image analysis not allowed in your plan.';
+  if (reasons.find(r => r.startsWith('channel_limit_exceeded:'))) return '📵 This channel is not included in your plan.';
+
+  return '🚫 Access denied.';
+}
+
+/**
+ * Voice-note replies need the business's opt-in (features.voiceReplies) and voice input left on
+ */
+function wantsVoiceReplies(business) {
+  const features = business.settings?.advanced?.features;
+  return features?.voiceReplies === true && features?.voicesEnabled !== false;
+}
+
+// Markdown markers are read out loud by TTS engines. A chunked reply is read as one voice note.
+function speechText(reply) {
+  return [].concat(reply || []).join('\n').replace(/[*_~`#]/g, '').trim();
+}
+
+// A customer's messages within this window are answered together
+const REPLY_BATCH_MS = 10000;
+const CHUNK_DELAY_MS = 1000;
+
+function getReplyQueue(platform) {
+  return `${platform}:reply`;
+}
+
+const MEDIA_EXTENSIONS = { voice: '.ogg', image: '.jpg' };
+
+function mediaFilename(inbound, kind) {
+  const safeId = String(inbound.messageId).replace(/[^\w-]/g, '_');
+  const extension = MEDIA_EXTENSIONS[kind] || path.extname(inbound.media?.filename || '').replace(/[^\w.]/g, '') || '.bin';
+  return `${inbound.platform}_${kind}_${safeId}${extension}`;
+}
+
+/**
+ * Ways to answer one customer: plain text, a full rendered reply and a voice note
+ * @param {object} adapter - trackOutbound() wrapped channel adapter
+ * @param {string} to - Recipient (the inbound replyTo, else the sender)
+ */
+function createReplySender(adapter, business, credentials, to) {
+  const { platform } = adapter;
+  const channelRequirement = adapter.planGated ? { channel: platform } : {};
+  const send = (text) => adapter.sendText(credentials, to, text);
+
+  // Product cards: the channel's native format, else a photo with caption, else text
+  const deliverAttachments = async (attachments) => {
+    if (adapter.sendAttachments) return adapter.sendAttachments(credentials, to, attachments);
+
+    for (const attachment of attachments) {
+      const caption = xss(productCaption(attachment));
+      try {
+        if (!attachment.imageUrl) throw new Error('no image');
+        await adapter.sendMedia(credentials, to, { type: 'image', url: attachment.imageUrl, caption });
+      } catch {
+        await send(caption);
+      }
+    }
+  };
+
+  // Interactive choices go out natively where the channel supports them, as plain text otherwise.
+  // `reply` is rendered for the channel (services/messageRenderer.js) and may be several chunks.
+  const deliver = async ({ reply, interactive, attachments }, { spoken = false } = {}) => {
+    const chunks = [].concat(reply);
+    const nativeChoice = interactive && adapter.sendInteractive;
+    const bodyIsReply = nativeChoice && chunks.length === 1 && interactive.body.text === chunks[0];
+    if (!spoken && !bodyIsReply) {
+      for (const [i, chunk] of chunks.entries()) {
+        // A pause between chunks keeps them in order on the customer's side
+        if (i > 0) await new Promise(resolve => setTimeout(resolve, CHUNK_DELAY_MS));
+        await send(xss(chunk));
+      }
+    }
+
+    if (attachments?.length) {
+      // The text answer is already out - a broken image must not lose the rest of the reply
+      await deliverAttachments(attachments).catch(err => {
+        console.warn(`⚠️ ${platform} product attachments failed:`, err.response?.data || err.message);
+      });
+    }
+
+    if (nativeChoice) {
+      const body = { ...interactive.body, text: xss(interactive.body.text) };
+      await adapter.sendInteractive(credentials, to, { ...interactive, body });
+    }
+  };
+
+  // 🔊 Answer a reply as a voice note. Resolves false when it has to go out as text instead.
+  const speak = async ({ reply }) => {
+    const text = speechText(reply);
+    if (!text) return false;
+
+    const estimatedMinutes = Math.ceil(estimateDurationSeconds(text) / 60);
+    const access = checkAccess(business, { voiceMinutes: estimatedMinutes, ...channelRequirement });
+    if (!access.allowed) {
+      console.log(`🔇 Voice reply skipped for ${to}: ${access.reasons.join(', ')}`);
+      return false;
+    }
+
+    const audio = await synthesizeSpeech(text, { language: business.settings?.advanced?.language?.default });
+    await adapter.sendVoice(credentials, to, { ...audio, transcript: text });
+    await trackUsage(business._id, 'voice', Math.ceil(audio.durationSeconds / 60));
+    return true;
+  };
+
+  return { send, deliver, speak };
+}
+
+/**
+ * Run one inbound message through the pipeline
+ */
+async function handleInboundMessage(channelAdapter, inbound) {
+  const { platform, senderId } = inbound;
+
+  let business;
+  try {
+    business = await getBusinessInfo(inbound.businessLookup);
+  } catch (e) {
+    console.warn(`⚠️ No business found for ${platform} ${JSON.stringify(inbound.businessLookup)}: ${e.message}`);
+    return;
+  }
+
+  // Every reply below is stored in outbound_messages for delivery tracking
+  const adapter = trackOutbound(channelAdapter, business);
+  const credentials = adapter.getCredentials(business, inbound);
+  const { send, deliver } = createReplySender(adapter, business, credentials, inbound.replyTo || senderId);
+  const conversationKey = { businessId: business._id, platform, customerId: senderId };
+  const log = (message, aiReply, source) => logConversation({ platform, userId: senderId, message, aiReply, source });
+
+  // 💬 POST COMMENT - answered publicly or by private reply, not part of a chat thread
+  if (inbound.type === 'comment') {
+    await handleComment(adapter, business, credentials, inbound);
+    return;
+  }
+
+  // Read receipts are cosmetic - never let them fail the message
+  adapter.markSeen(credentials, inbound).catch(err => {
+    console.warn(`⚠️ ${platform} markSeen failed:`, err.response?.data || err.message);
+  });
+
+  // Opens the 24h window for free-form messages (order notifications fall back to templates after it)
+  recordInbound(business._id, platform, senderId, inbound).catch(err => {
+    console.warn(`⚠️ Could not record ${platform} customer window:`, err.message);
+  });
+
+  const channelRequirement = adapter.planGated ? { channel: platform } : {};
+  let messageText = inbound.text;
+
+  // 🖼️ IMAGE
+  if (inbound.type === 'image') {
+    const access = checkAccess(business, { feature: 'imageAnalysis', ...channelRequirement });
+    if (!access.allowed) {
+      const reply = getFallback(access.reasons);
+      await send(reply);
+      log('[Image]', { reply }, 'policy');
+      return;
+    }
+
+    const filePath = await adapter.downloadMedia(credentials, inbound, 'image', mediaFilename(inbound, 'image'));
+    const { reply } = await matchImageAndGenerateReply(senderId, filePath, inbound.businessLookup);
+    fs.unlink(filePath, () => {});
+
+    await send(xss(reply));
+    await trackUsage(business._id, 'image');
+    log('[Image]', { reply }, 'image');
+    return;
+  }
+
+  // 🎤 VOICE
+  if (inbound.type === 'voice') {
+    const access = checkAccess(business, { feature: 'voiceInput', ...channelRequirement });
+    if (!access.allowed) {
+      const reply = getFallback(access.reasons);
+      await send(reply);
+      log('[Voice]', { reply }, 'policy');
+      return;
+    }
+
+    const filePath = await adapter.downloadMedia(credentials, inbound, 'voice', mediaFilename(inbound, 'voice'));
+    const transcript = await transcribeWithWhisper(filePath);
+    fs.unlink(filePath, () => {});
+
+    if (transcript === '__TOO_LONG__') {
+      await send('⚠️ Voice too long. Please resend (max 30s).');
+      return;
+    }
+
+    if (!transcript?.trim()) return;
+
+    const estimatedMinutes = Math.ceil((transcript.length || 1) / 150); // ~150 words/min
+    await trackUsage(business._id, 'voice', estimatedMinutes);
+
+    messageText = transcript;
+    log('[Voice]', { reply: transcript }, 'voice');
+  }
+
+  // 👆 LIST / BUTTON SELECTION
+  if (inbound.type === 'selection' && inbound.selection?.id) {
+    const access = checkAccess(business, { messages: true, feature: 'aiReplies', ...channelRequirement });
+    if (!access.allowed) {
+      const reply = getFallback(access.reasons);
+      await send(reply);
+      log('[Selection]', { reply }, 'policy');
+      return;
+    }
+
+    // Same gates as a typed message (generateReply): disabled channels are ignored, and a
+    // conversation handled by a person is left to them
+    if (!isChannelEnabled(business.settings?.advanced, platform)) {
+      console.log(`🚫 Channel ${platform} is DISABLED for business ${business._id} - ignoring selection`);
+      return;
+    }
+
+    const handoff = await applyHandoff(business, conversationKey, inbound.selection.title || '').catch(err => {
+      console.error('⚠️ Error checking human handoff, answering with the bot:', err.message);
+      return { mode: 'bot' };
+    });
+    if (handoff.mode === 'human') {
+      await updateSession(conversationKey, 'user', `[Selected] ${inbound.selection.title}`);
+      if (handoff.notice) {
+        await updateSession(conversationKey, 'assistant', handoff.notice);
+        await send(xss(handoff.notice));
+      }
+      return;
+    }
+
+    let result;
+    try {
+      const productDatabase = buildProductDatabase(business.products);
+      result = await handleInteractiveSelection(
+        senderId, business._id, inbound.selection.id, productDatabase, getOrderPlatform(platform)
+      );
+    } catch (err) {
+      console.warn(`⚠️ ${platform} selection ${inbound.selection.id} failed: ${err.message}`);
+      result = { reply: '⚠️ Sorry, this option is not available anymore. Please choose another one.' };
+    }
+
+    if (result) {
+      // Keep the AI's history aware of what was picked
+      await updateSession(conversationKey, 'user', `[Selected] ${inbound.selection.title}`);
+      await updateSession(conversationKey, 'assistant', result.reply);
+
+      await deliver(renderReply(result, platform));
+      await trackUsage(business._id, 'message');
+      log('[Selection]', { reply: result.reply }, 'interactive');
+      return;
+    }
+    // Not one of our IDs - answer the row title as a normal message
+  }
+
+  // 📍 LOCATION / 👤 CONTACT - fill in the active order, then let the AI carry on from there
+  if (inbound.type === 'location' || inbound.type === 'contact') {
+    const access = checkAccess(business, { messages: true, feature: 'aiReplies', ...channelRequirement });
+    if (!access.allowed) {
+      const reply = getFallback(access.reasons);
+      await send(reply);
+      log(inbound.type === 'location' ? '[Location]' : '[Contact]', { reply }, 'policy');
+      return;
+    }
+
+    try {
+      if (inbound.type === 'location') {
+        const location = await applySharedLocation(senderId, business._id, inbound.location, getOrderPlatform(platform));
+        if (location) messageText = `[Shared location] ${formatLocationAddress(location)}`;
+      } else {
+        const contact = await applySharedContact(senderId, business._id, inbound.contact, getOrderPlatform(platform));
+        if (contact) messageText = `[Shared contact] ${[contact.name, contact.phone].filter(Boolean).join(' - ')}`;
+      }
+    } catch (err) {
+      console.warn(`⚠️ Could not save shared ${inbound.type} from ${senderId}: ${err.message}`);
+    }
+  }
+
+  // 📄 DOCUMENT - stored on the conversation and acknowledged; a caption is answered like a text
+  if (inbound.type === 'document') {
+    const access = checkAccess(business, { messages: true, ...channelRequirement });
+    if (!access.allowed) {
+      const reply = getFallback(access.reasons);
+      await send(reply);
+      log('[Document]', { reply }, 'policy');
+      return;
+    }
+
+    if (!isChannelEnabled(business.settings?.advanced, platform)) {
+      console.log(`🚫 Channel ${platform} is DISABLED for business ${business._id} - ignoring document`);
+      return;
+    }
+
+    const filename = inbound.media?.filename || 'document';
+    const filePath = await adapter.downloadMedia(credentials, inbound, 'document', mediaFilename(inbound, 'document'));
+    await storeConversationDocument({
+      businessId: business._id,
+      platform,
+      customerId: senderId,
+      messageId: inbound.messageId,
+      filename,
+      mimeType: inbound.media?.mimeType,
+      caption: messageText,
+      filePath
+    });
+    console.log(`📄 ${platform} document from ${senderId}: ${filename}`);
+
+    if (!messageText?.trim()) {
+      // A caption goes through generateReply's handoff check; a bare document is checked here
+      const handoff = await applyHandoff(business, conversationKey, `[Document] ${filename}`).catch(err => {
+        console.error('⚠️ Error checking human handoff, answering with the bot:', err.message);
+        return { mode: 'bot' };
+      });
+      if (handoff.mode === 'human') {
+        await updateSession(conversationKey, 'user', `[Document] ${filename}`);
+        if (handoff.notice) {
+          await updateSession(conversationKey, 'assistant', handoff.notice);
+          await send(xss(handoff.notice));
+        }
+        return;
+      }
+
+      const reply = `📄 Thanks! We received "${filename}" and will get back to you about it shortly.`;
+      await updateSession(conversationKey, 'user', `[Document] ${filename}`);
+      await updateSession(conversationKey, 'assistant', reply);
+      await send(xss(reply));
+      log('[Document]', { reply }, 'document');
+      return;
+    }
+    messageText = `[Document: ${filename}] ${messageText}`;
+  }
+
+  if (inbound.type === 'unsupported' || !messageText) {
+    console.log(`⏭️ Skipping ${platform} message ${inbound.messageId} (${inbound.type})`);
+    return;
+  }
+
+  messageText = xss(messageText.trim().substring(0, 1000));
+  console.log(`📲 ${platform} ${inbound.type === 'voice' ? 'voice' : 'text'} from ${senderId}: "${messageText}"`);
+
+  const access = checkAccess(business, { messages: true, feature: 'aiReplies', ...channelRequirement });
+  if (!access.allowed) {
+    const reply = getFallback(access.reasons);
+    await send(reply);
+    log('[Text]', { reply }, 'policy');
+    return;
+  }
+
+  // ⏳ BATCHED REPLY - answered by sendBatchedReply once the customer stops typing
+  await enqueueBatchedEvent(
+    getReplyQueue(platform),
+    `${business._id}:${senderId}`,
+    { senderId, replyTo: inbound.replyTo || null, businessLookup: inbound.businessLookup },
+    { text: messageText, type: inbound.type },
+    REPLY_BATCH_MS
+  );
+}
+
+/**
+ * Queue processor for "<platform>:reply" jobs: answer a batch of one customer's messages in one reply.
+ * The reply is saved on the job before it goes out, so a retry re-sends it instead of running the AI
+ * (and its order tools) again.
+ * @param {object} payload - { senderId, replyTo, businessLookup, items: [{ text, type }], result? }
+ */
+async function sendBatchedReply(channelAdapter, payload, job) {
+  const { senderId, replyTo, businessLookup, items } = payload;
+  const { platform } = channelAdapter;
+
+  const business = await getBusinessInfo(businessLookup);
+  const adapter = trackOutbound(channelAdapter, business);
+  const credentials = adapter.getCredentials(business, { businessLookup });
+  const { deliver, speak } = createReplySender(adapter, business, credentials, replyTo || senderId);
+
+  let result = payload.result;
+  if (result === undefined) {
+    const allMessages = items.map(item => item.text).join('\n');
+    result = renderReply(await generateReply(senderId, allMessages, businessLookup), platform) || null;
+    await updateJobPayload(job._id, { result });
+  }
+
+  // Nothing to send when the channel is disabled or a human is handling the conversation
+  if (!result) {
+    console.log(`🚫 No response sent for ${senderId} - message completely ignored`);
+    return;
+  }
+
+  const lastType = items[items.length - 1].type;
+  const replyWithVoice = lastType === 'voice' && Boolean(adapter.sendVoice) && wantsVoiceReplies(business);
+  const spoken = replyWithVoice && await speak(result).catch(err => {
+    console.warn(`⚠️ ${platform} voice reply failed, sending text:`, err.response?.data || err.message);
+    return false;
+  });
+
+  await deliver(result, { spoken });
+  await trackUsage(business._id, 'message');
+  logConversation({ platform, userId: senderId, message: '[Batched]', aiReply: result, source: lastType === 'voice' ? 'voice' : 'text' });
+}
+
+/**
+ * Process a queued webhook payload for a channel. Throws to have the job retried;
+ * the message that failed is released from the idempotency store first.
+ */
+async function processChannelPayload(adapter, payload) {
+  const messages = adapter.parseInbound(payload);
+  const statuses = adapter.parseStatuses ? adapter.parseStatuses(payload) : [];
+  let inFlight = null;
+
+  try {
+    for (const inbound of messages) {
+      inFlight = null;
+      if (!inbound.messageId || !inbound.senderId) continue;
+
+      if (!(await claimMessage(adapter.platform, inbound.messageId))) {
+        console.log(`⏭️ Skipping duplicate ${adapter.platform} message: ${inbound.messageId}`);
+        continue;
+      }
+      inFlight = inbound.messageId;
+
+      await handleInboundMessage(adapter, inbound);
+    }
+    inFlight = null;
+
+    // Status updates never move a message backwards, so replays are harmless
+    for (const update of statuses) {
+      await applyStatusUpdate(adapter.platform, update);
+    }
+  } catch (err) {
+    console.error(`❌ ${adapter.platform} pipeline error:`, err.response?.data || err.message);
+    if (inFlight) await releaseMessage(adapter.platform, inFlight);
+    throw err;
+  }
+}
+
+module.exports = {
+  getFallback,
+  getReplyQueue,
+  handleInboundMessage,
+  processChannelPayload,
+  sendBatchedReply
+};
@@ -0,0 +1,60 @@
+// services/channels/telegram.js
+// Queued payloads are { botId, update } - the bot ID comes from the webhook URL.
+const { saveInboundMedia } = require('./media');
+const { sendTelegramMessage, sendTelegramMedia, getTelegramFileUrl } = require('../telegram');
+
+function parseInbound({ botId, update } = {}) {
+  const message = update?.message;
+
+  // Only private chats with a human sender are answered (ignore groups, channels, bots)
+  if (!message || message.chat?.type !== 'private' || message.from?.is_bot) return [];
+
+  const voice = message.voice || message.audio;
+  const photo = message.photo?.[message.photo.length - 1]; // largest size last
+  const { document, contact } = message;
+  const pin = message.venue?.location || message.location;
+
+  let type = 'unsupported';
+  if (voice?.file_id) type = 'voice';
+  else if (photo?.file_id) type = 'image';
+  else if (pin) type = 'location';
+  else if (contact) type = 'contact';
+  else if (document?.file_id) type = 'document';
+  else if (message.text) type = 'text';
+
+  return [{
+    platform: 'telegram',
+    // update_id is only unique per bot
+    messageId: `${botId}:${update.update_id}`,
+    senderId: String(message.chat.id),
+    type,
+    text: message.text || message.caption,
+    media: type === 'voice' ? { id: voice.file_id }
+      : type === 'image' ? { id: photo.file_id }
+        : type === 'document' ? { id: document.file_id, mimeType: document.mime_type, filename: document.file_name } : null,
+    location: pin ? { ...pin, name: message.venue?.title, address: message.venue?.address } : null,
+    contact: contact
+      ? { name: [contact.first_name, contact.last_name].filter(Boolean).join(' '), phone: contact.phone_number }
+      : null,
+    businessLookup: { telegram_bot_id: String(botId) }
+  }];
+}
+
+async function downloadMedia(credentials, inbound, kind, filename) {
+  const url = await getTelegramFileUrl(inbound.media.id, credentials.token);
+  return saveInboundMedia(kind, url, filename);
+}
+
+// Bot API message IDs are only unique per chat
+const messageId = (message) => message && `${message.chat?.id}:${message.message_id}`;
+
+module.exports = {
+  platform: 'telegram',
+  planGated: true,
+  parseInbound,
+  getCredentials: (business) => ({ token: business.channels?.telegram?.bot_token }),
+  sendText: (credentials, to, text) => sendTelegramMessage(to, text, credentials.token).then(messageId),
+  sendMedia: (credentials, to, media) => sendTelegramMedia(to, media, credentials.token).then(messageId),
+  downloadMedia,
+  markSeen: async () => {} // the Bot API has no read receipts
+};
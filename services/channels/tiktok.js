@@ -0,0 +1,56 @@
+// services/channels/tiktok.js
+const { parseTikTokEvent, sendTikTokMessage } = require('../tiktok');
+
+function parseInbound(event) {
+  // Only inbound direct messages are answered
+  if (event?.event !== 'im_receive_msg') return [];
+
+  const msg = parseTikTokEvent(event);
+  if (!msg?.accountId || !msg.conversationId || !msg.messageId || !msg.from) {
+    console.log('⏭️ Skipping incomplete TikTok event');
+    return [];
+  }
+
+  // Skip messages sent by the business account itself
+  if (msg.from === msg.accountId) return [];
+
+  return [{
+    platform: 'tiktok',
+    messageId: `${msg.accountId}:${msg.messageId}`,
+    senderId: msg.from,
+    replyTo: msg.conversationId,
+    type: msg.type === 'text' && msg.text ? 'text' : 'unsupported',
+    text: msg.text,
+    media: null,
+    businessLookup: { tiktok_account_id: msg.accountId }
+  }];
+}
+
+function getCredentials(business, inbound) {
+  const accountId = inbound.businessLookup.tiktok_account_id;
+  let token = business.channels?.tiktok?.access_token;
+
+  if (!token) {
+    token = process.env.TIKTOK_ACCESS_TOKEN;
+    console.warn(`⚠️ No TikTok access token found for account ${accountId}, using default`);
+  }
+
+  return { accountId, token };
+}
+
+module.exports = {
+  platform: 'tiktok',
+  // TikTok is not part of every plan - checkAccess() enforces the channel limit
+  planGated: true,
+  parseInbound,
+  getCredentials,
+  sendText: (credentials, conversationId, text) => sendTikTokMessage(credentials.accountId, conversationId, text, credentials.token)
+    .then(data => data?.message_id),
+  sendMedia: async () => {
+    throw new Error('TikTok media messages are not supported yet');
+  },
+  downloadMedia: async () => {
+    throw new Error('TikTok media messages are not supported yet');
+  },
+  markSeen: async () => {}
+};
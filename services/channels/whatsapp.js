@@ -0,0 +1,132 @@
+// services/channels/whatsapp.js
+const { saveInboundMedia } = require('./media');
+const {
+  sendWhatsAppMessage, sendWhatsAppMedia, sendWhatsAppInteractive, sendWhatsAppTemplate, sendWhatsAppVoice, getWhatsAppMediaUrl, markWhatsAppRead
+} = require('../whatsapp');
+
+const MESSAGE_TYPES = {
+  text: 'text',
+  audio: 'voice',
+  image: 'image',
+  interactive: 'selection',
+  location: 'location',
+  contacts: 'contact',
+  document: 'document'
+};
+
+/**
+ * First shared contact card with a phone number, as { name, phone }
+ */
+function parseContact(contacts = []) {
+  const card = contacts.find(c => c.phones?.length) || contacts[0];
+  if (!card) return null;
+
+  const phone = card.phones?.[0];
+  return {
+    name: card.name?.formatted_name || [card.name?.first_name, card.name?.last_name].filter(Boolean).join(' '),
+    phone: phone?.phone || (phone?.wa_id ? `+${phone.wa_id}` : '')
+  };
+}
+
+/**
+ * Resolve the WhatsApp Cloud API credentials for a business.
+ * Falls back to the global WHATSAPP_PHONE_ID / WHATSAPP_TOKEN env values (logged).
+ */
+function getCredentials(business, inbound = {}) {
+  const channel = business?.channels?.whatsapp || {};
+  const phoneId = inbound.businessLookup?.phone_number_id;
+  let phoneNumberId = channel.phone_number_id;
+  let accessToken = channel.access_token;
+
+  if (!phoneNumberId) {
+    phoneNumberId = phoneId || process.env.WHATSAPP_PHONE_ID;
+    console.warn(`⚠️ No WhatsApp phone_number_id stored for business ${business?._id || business?.id}, using ${phoneId ? 'webhook' : 'default'} phone ID`);
+  }
+
+  if (!accessToken) {
+    accessToken = process.env.WHATSAPP_TOKEN;
+    console.warn(`⚠️ No WhatsApp access token found for phone ${phoneNumberId}, using default`);
+  }
+
+  return { phoneNumberId, accessToken };
+}
+
+function parseInbound(payload) {
+  const messages = [];
+
+  for (const entry of payload?.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value;
+      const phoneId = value?.metadata?.phone_number_id;
+      if (!phoneId || !value.messages) continue;
+
+      for (const msg of value.messages) {
+        const type = MESSAGE_TYPES[msg.type] || 'unsupported';
+        const media = msg.audio || msg.image || msg.document;
+        const choice = msg.interactive?.list_reply || msg.interactive?.button_reply;
+
+        messages.push({
+          platform: 'whatsapp',
+          messageId: msg.id,
+          senderId: msg.from,
+          type,
+          text: msg.text?.body || choice?.title || msg.document?.caption,
+          media: media ? { id: media.id, mimeType: media.mime_type, ...(media.filename && { filename: media.filename }) } : null,
+          selection: choice ? { id: choice.id, title: choice.title } : null,
+          location: msg.location || null,
+          contact: msg.contacts ? parseContact(msg.contacts) : null,
+          businessLookup: { phone_number_id: phoneId }
+        });
+      }
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Delivery statuses for messages we sent (sent, delivered, read, failed)
+ */
+function parseStatuses(payload) {
+  const updates = [];
+
+  for (const entry of payload?.entry || []) {
+    for (const change of entry.changes || []) {
+      for (const status of change.value?.statuses || []) {
+        const error = status.errors?.[0];
+        updates.push({
+          messageId: status.id,
+          status: status.status,
+          at: status.timestamp ? new Date(Number(status.timestamp) * 1000) : new Date(),
+          ...(error && { error: error.error_data?.details || error.message || error.title })
+        });
+      }
+    }
+  }
+
+  return updates;
+}
+
+// Cloud API responses carry the new message's wamid
+const messageId = (result) => result?.messages?.[0]?.id;
+
+async function downloadMedia(credentials, inbound, kind, filename) {
+  if (!inbound.media?.id) throw new Error(`WhatsApp message ${inbound.messageId} has no media ID`);
+
+  const url = await getWhatsAppMediaUrl(inbound.media.id, credentials.accessToken);
+  return saveInboundMedia(kind, url, filename, { Authorization: `Bearer ${credentials.accessToken}` });
+}
+
+module.exports = {
+  platform: 'whatsapp',
+  parseInbound,
+  parseStatuses,
+  getCredentials,
+  sendText: (credentials, to, text) => sendWhatsAppMessage(to, text, credentials).then(messageId),
+  sendMedia: (credentials, to, media) => sendWhatsAppMedia(to, media, credentials).then(messageId),
+  sendInteractive: (credentials, to, interactive) => sendWhatsAppInteractive(to, interactive, credentials).then(messageId),
+  sendTemplate: (credentials, to, template) => sendWhatsAppTemplate(to, template, credentials).then(messageId),
+  sendVoice: (credentials, to, audio) => sendWhatsAppVoice(to, audio, credentials).then(messageId),
+  downloadMedia,
+  markSeen: (credentials, inbound) => markWhatsAppRead(inbound.messageId, credentials)
+};
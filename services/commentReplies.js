@@ -0,0 +1,98 @@
+// services/commentReplies.js
+// Auto-replies to Facebook / Instagram post comments, driven by settings.advanced.comments:
+//   autoReply        - master switch (off by default)
+//   replyMode        - public: answer under the comment
+//                      private: answer in a private-reply DM, which continues as a normal conversation
+//                      both: DM the answer and leave a short public note (publicReplyText)
+//   keywords         - only comments containing one of these (empty = every comment)
+//   postIds          - only comments on these posts/media (empty = every post)
+// Comments arrive as Page `feed` and Instagram `comments` webhook changes. Connecting Messenger or
+// Instagram subscribes the Page (services/meta.js subscribePageWebhooks); the Instagram `comments`
+// field itself is an app-level subscription, turned on once in the Meta App Dashboard (Webhooks).
+const xss = require('xss');
+const { generateReply } = require('./openai');
+const { formatText } = require('./messageRenderer');
+const { checkAccess } = require('../utils/businessPolicy');
+const { trackUsage } = require('../utils/trackUsage');
+const { logConversation } = require('../utils/logger');
+
+const MAX_PUBLIC_REPLY = 300;
+const MAX_PRIVATE_REPLY = { messenger: 2000, instagram: 1000 };
+const DEFAULT_PUBLIC_NOTE = 'Thanks for your comment! We sent you a message 📩';
+
+function clip(text, max) {
+  const s = String(text || '').trim();
+  return s.length > max ? s.slice(0, max - 1) + '…' : s;
+}
+
+/**
+ * Whether a comment matches the business's post and keyword rules
+ */
+function isCommentEligible(rules, comment) {
+  if (!rules?.autoReply) return false;
+
+  const postIds = rules.postIds || [];
+  if (postIds.length && !postIds.some(id => String(id) === String(comment.postId))) return false;
+
+  const keywords = (rules.keywords || []).map(k => k.toLowerCase().trim()).filter(Boolean);
+  if (keywords.length) {
+    const text = String(comment.text || '').toLowerCase();
+    if (!keywords.some(k => text.includes(k))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Answer a new post comment according to the business's comment rules
+ */
+async function handleComment(adapter, business, credentials, inbound) {
+  const { platform, senderId, comment } = inbound;
+  const rules = business.settings?.advanced?.comments;
+
+  if (!adapter.replyToComment || !isCommentEligible(rules, comment)) {
+    console.log(`⏭️ Skipping ${platform} comment ${comment.id} (not eligible for auto-reply)`);
+    return;
+  }
+
+  const access = checkAccess(business, { messages: true, feature: 'aiReplies' });
+  if (!access.allowed) {
+    console.log(`🚫 Not answering ${platform} comment ${comment.id}: ${access.reasons.join(', ')}`);
+    return;
+  }
+
+  const text = xss(comment.text.trim().substring(0, 1000));
+  console.log(`💬 ${platform} comment from ${senderId} on ${comment.postId}: "${text}"`);
+
+  const result = await generateReply(senderId, text, inbound.businessLookup);
+  if (!result) return; // Channel disabled in advanced settings
+
+  const aiReply = xss(formatText(Array.isArray(result.reply) ? result.reply.join('\n\n') : result.reply, platform));
+  const mode = rules.replyMode || 'private';
+
+  if (mode === 'public') {
+    await adapter.replyToComment(credentials, comment, clip(aiReply, MAX_PUBLIC_REPLY));
+  } else {
+    // Meta allows a single private reply per comment - send the whole answer at once
+    await adapter.sendPrivateReply(credentials, comment, clip(aiReply, MAX_PRIVATE_REPLY[platform] || 1000));
+
+    if (mode === 'both') {
+      await adapter.replyToComment(credentials, comment, clip(rules.publicReplyText || DEFAULT_PUBLIC_NOTE, MAX_PUBLIC_REPLY));
+    }
+  }
+
+  await trackUsage(business._id, 'message');
+  logConversation({
+    platform,
+    userId: senderId,
+    userName: comment.authorName,
+    message: `[Comment] ${text}`,
+    aiReply: { ...result, reply: aiReply },
+    source: `comment_${mode}`
+  });
+}
+
+module.exports = {
+  isCommentEligible,
+  handleComment
+};
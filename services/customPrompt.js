@@ -0,0 +1,316 @@
+// services/customPrompt.js
+// What a business writes into its assistant's system prompt: a bot display name, a persona
+// (built-in PERSONA_TEMPLATES or the business's own persona_templates) and free-form instructions.
+// Every publish is a numbered version in prompt_versions; the live one is copied to
+// business.settings.prompt, and a rollback publishes an older version again.
+// Merchant text is untrusted: it is sanitised, kept within a length budget and fenced off in the
+// prompt below the fixed rules (services/promptBuilder.js).
+const getDb = require('../db');
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_BOT_NAME = 'Moaawen';
+const MAX_BOT_NAME_LENGTH = 40;
+const MAX_INSTRUCTIONS_LENGTH = 2000;
+const MAX_PERSONA_LENGTH = 1000;
+const MAX_TEMPLATE_NAME_LENGTH = 60;
+const MAX_CUSTOM_TEMPLATES = 20;
+// Persona and instructions together, as they end up in the prompt
+const PROMPT_BUDGET = 2500;
+
+const PERSONA_TEMPLATES = [
+  {
+    id: 'friendly_shop',
+    name: 'Friendly shop assistant',
+    description: 'Warm and welcoming, like a helpful salesperson in a neighbourhood shop',
+    instructions: 'Be warm and welcoming. Greet returning customers like regulars, recommend products the way a helpful salesperson would, and keep the conversation light.'
+  },
+  {
+    id: 'professional',
+    name: 'Professional advisor',
+    description: 'Polite, precise and to the point',
+    instructions: 'Be polite and precise. Avoid slang and keep emojis to a minimum. Give clear facts (prices, availability, delivery) before anything else.'
+  },
+  {
+    id: 'luxury_boutique',
+    name: 'Luxury boutique',
+    description: 'Refined and attentive, for premium brands',
+    instructions: 'Speak with a refined, attentive style. Describe materials, craftsmanship and fit. Never pressure the customer; offer personal styling advice instead.'
+  },
+  {
+    id: 'playful',
+    name: 'Playful and fun',
+    description: 'Energetic and light-hearted, for young audiences',
+    instructions: 'Be energetic and playful. Use emojis and light humour, celebrate the customer\'s choices, and keep answers short and punchy.'
+  },
+  {
+    id: 'tech_expert',
+    name: 'Tech expert',
+    description: 'Knowledgeable about specifications and comparisons',
+    instructions: 'Act as a knowledgeable product expert. Explain specifications in simple words, compare options when asked, and recommend based on the customer\'s needs and budget.'
+  }
+];
+
+let indexesEnsured = false;
+
+async function getCollections() {
+  const db = await getDb();
+  const versions = db.collection('prompt_versions');
+  const templates = db.collection('persona_templates');
+
+  if (!indexesEnsured) {
+    try {
+      await versions.createIndex({ businessId: 1, version: -1 }, { name: 'prompt_versions_business', unique: true });
+      await templates.createIndex({ businessId: 1, createdAt: -1 }, { name: 'persona_templates_business' });
+    } catch (_) {
+      // ignore index creation races between processes
+    } finally {
+      indexesEnsured = true;
+    }
+  }
+  return { businesses: db.collection('businesses'), versions, templates };
+}
+
+/**
+ * Clean merchant-written text before it goes into a prompt: no control characters, no
+ * markers the assistant or the parser rely on, no fake role or section headers
+ */
+function sanitizePromptText(text) {
+  return String(text || '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2066-\u2069]/g, '')
+    .replace(/\[\/?AI_ORDER_ACTIONS\]/gi, '')
+    .replace(/<<<|>>>|={3,}|`{3,}/g, '')
+    .replace(/^\s*(system|assistant|developer|user)\s*:/gim, '')
+    .replace(/^\s*#{1,6}\s*/gm, '')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/^ +| +$/gm, '')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function sanitizeBotName(name) {
+  return String(name || '')
+    .replace(/[^\p{L}\p{N} .'&-]/gu, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, MAX_BOT_NAME_LENGTH);
+}
+
+// Cut text to `budget` characters, at a line or sentence end when there is one close by
+function fitToBudget(text, budget) {
+  if (text.length <= budget) return { text, truncated: false };
+
+  const cut = text.slice(0, budget);
+  const boundary = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf('. '), cut.lastIndexOf('。'));
+  return { text: (boundary > budget * 0.6 ? cut.slice(0, boundary + 1) : cut).trim(), truncated: true };
+}
+
+/**
+ * Check a prompt draft ({ botName, personaId, instructions })
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validatePromptDraft(draft) {
+  const errors = [];
+  if (!draft || typeof draft !== 'object') return ['Prompt settings must be an object'];
+
+  const { botName, personaId, instructions } = draft;
+  if (botName !== undefined && botName !== null && botName !== '') {
+    if (typeof botName !== 'string' || botName.length > MAX_BOT_NAME_LENGTH) {
+      errors.push(`botName must be a string of at most ${MAX_BOT_NAME_LENGTH} characters`);
+    } else if (!sanitizeBotName(botName)) {
+      errors.push('botName must contain letters or numbers');
+    }
+  }
+  if (personaId !== undefined && personaId !== null && typeof personaId !== 'string') {
+    errors.push('personaId must be a string');
+  }
+  if (instructions !== undefined && instructions !== null &&
+    (typeof instructions !== 'string' || instructions.length > MAX_INSTRUCTIONS_LENGTH)) {
+    errors.push(`instructions must be a string of at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+  }
+  return errors;
+}
+
+/**
+ * Built-in templates followed by the business's own
+ */
+async function listPersonaTemplates(businessId) {
+  const { templates } = await getCollections();
+  const custom = await templates.find({ businessId: String(businessId) }).sort({ createdAt: -1 }).toArray();
+
+  return [
+    ...PERSONA_TEMPLATES.map(template => ({ ...template, builtIn: true })),
+    ...custom.map(({ _id, name, description, instructions, createdAt }) => ({
+      id: _id.toString(), name, description, instructions, builtIn: false, createdAt
+    }))
+  ];
+}
+
+async function getPersonaTemplate(businessId, personaId) {
+  if (!personaId) return null;
+
+  const builtIn = PERSONA_TEMPLATES.find(template => template.id === personaId);
+  if (builtIn) return builtIn;
+  if (!ObjectId.isValid(personaId)) return null;
+
+  const { templates } = await getCollections();
+  const custom = await templates.findOne({ _id: new ObjectId(personaId), businessId: String(businessId) });
+  return custom && { id: custom._id.toString(), name: custom.name, description: custom.description, instructions: custom.instructions };
+}
+
+/**
+ * Save a persona template of the business
+ */
+async function createPersonaTemplate(businessId, { name, description, instructions }) {
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_TEMPLATE_NAME_LENGTH) {
+    throw new Error(`Template name must be a non-empty string of at most ${MAX_TEMPLATE_NAME_LENGTH} characters`);
+  }
+  if (typeof instructions !== 'string' || !instructions.trim() || instructions.length > MAX_PERSONA_LENGTH) {
+    throw new Error(`Template instructions must be a non-empty string of at most ${MAX_PERSONA_LENGTH} characters`);
+  }
+
+  const { templates } = await getCollections();
+  if (await templates.countDocuments({ businessId: String(businessId) }) >= MAX_CUSTOM_TEMPLATES) {
+    throw new Error(`Template limit reached (${MAX_CUSTOM_TEMPLATES})`);
+  }
+
+  const template = {
+    businessId: String(businessId),
+    name: name.trim(),
+    description: typeof description === 'string' ? description.trim().slice(0, 200) : '',
+    instructions: instructions.trim(),
+    createdAt: new Date()
+  };
+  const { insertedId } = await templates.insertOne(template);
+  return { id: insertedId.toString(), ...template, builtIn: false };
+}
+
+/**
+ * @returns {Promise<boolean>} Whether a template was deleted
+ */
+async function deletePersonaTemplate(businessId, templateId) {
+  if (!ObjectId.isValid(templateId)) return false;
+  const { templates } = await getCollections();
+  const { deletedCount } = await templates.deleteOne({ _id: new ObjectId(templateId), businessId: String(businessId) });
+  return deletedCount > 0;
+}
+
+/**
+ * The live prompt settings of a business (business.settings.prompt)
+ */
+function getPromptConfig(business) {
+  const config = business?.settings?.prompt || {};
+  return {
+    version: config.version || 0,
+    botName: config.botName || '',
+    personaId: config.personaId || null,
+    instructions: config.instructions || '',
+    updatedAt: config.updatedAt || null
+  };
+}
+
+/**
+ * Turn prompt settings into what goes into the prompt: sanitised, within PROMPT_BUDGET
+ * (the persona is kept whole first, the instructions get the rest)
+ * @returns {Promise<object>} { botName, persona, instructions, truncated }
+ */
+async function compileCustomPrompt(businessId, config) {
+  const template = await getPersonaTemplate(businessId, config.personaId);
+
+  const persona = fitToBudget(sanitizePromptText(template?.instructions).slice(0, MAX_PERSONA_LENGTH), PROMPT_BUDGET);
+  const instructions = fitToBudget(
+    sanitizePromptText(config.instructions).slice(0, MAX_INSTRUCTIONS_LENGTH),
+    Math.max(PROMPT_BUDGET - persona.text.length, 0)
+  );
+
+  return {
+    botName: sanitizeBotName(config.botName) || DEFAULT_BOT_NAME,
+    persona: persona.text,
+    personaName: template?.name || null,
+    instructions: instructions.text,
+    truncated: persona.truncated || instructions.truncated
+  };
+}
+
+/**
+ * Publish prompt settings as the next version and make it live
+ * @param {object} draft - { botName, personaId, instructions }
+ * @param {object} [options] - { userId, note, restoredFrom }
+ * @returns {Promise<object>} The version
+ */
+async function publishPromptVersion(businessId, draft, { userId, note, restoredFrom } = {}) {
+  if (draft.personaId && !(await getPersonaTemplate(businessId, draft.personaId))) {
+    throw new Error(`Unknown persona template: ${draft.personaId}`);
+  }
+
+  const { businesses, versions } = await getCollections();
+  const latest = await versions.findOne({ businessId: String(businessId) }, { sort: { version: -1 } });
+  const now = new Date();
+
+  const version = {
+    businessId: String(businessId),
+    version: (latest?.version || 0) + 1,
+    botName: sanitizeBotName(draft.botName),
+    personaId: draft.personaId || null,
+    instructions: typeof draft.instructions === 'string' ? draft.instructions.trim() : '',
+    note: typeof note === 'string' ? note.trim().slice(0, 200) : '',
+    restoredFrom: restoredFrom || null,
+    createdBy: userId || null,
+    createdAt: now
+  };
+  // The unique index rejects a concurrent publish of the same number
+  await versions.insertOne(version);
+
+  await businesses.updateOne(
+    { _id: new ObjectId(businessId) },
+    {
+      $set: {
+        'settings.prompt': {
+          version: version.version,
+          botName: version.botName,
+          personaId: version.personaId,
+          instructions: version.instructions,
+          updatedAt: now
+        },
+        updatedAt: now
+      }
+    }
+  );
+
+  console.log(`📝 Prompt version ${version.version} published for business ${businessId}${restoredFrom ? ` (restored from ${restoredFrom})` : ''}`);
+  return version;
+}
+
+async function listPromptVersions(businessId, { limit = 50 } = {}) {
+  const { versions } = await getCollections();
+  return versions.find({ businessId: String(businessId) }).sort({ version: -1 }).limit(limit).toArray();
+}
+
+/**
+ * Make an older version live again (published as a new version)
+ */
+async function rollbackPromptVersion(businessId, versionNumber, { userId } = {}) {
+  const { versions } = await getCollections();
+  const target = await versions.findOne({ businessId: String(businessId), version: versionNumber });
+  if (!target) throw new Error(`Prompt version ${versionNumber} not found`);
+
+  return publishPromptVersion(businessId, target, { userId, note: `Rollback to version ${versionNumber}`, restoredFrom: versionNumber });
+}
+
+module.exports = {
+  DEFAULT_BOT_NAME,
+  MAX_BOT_NAME_LENGTH,
+  MAX_INSTRUCTIONS_LENGTH,
+  PROMPT_BUDGET,
+  PERSONA_TEMPLATES,
+  sanitizePromptText,
+  validatePromptDraft,
+  listPersonaTemplates,
+  createPersonaTemplate,
+  deletePersonaTemplate,
+  getPromptConfig,
+  compileCustomPrompt,
+  publishPromptVersion,
+  listPromptVersions,
+  rollbackPromptVersion
+};
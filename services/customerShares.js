@@ -0,0 +1,129 @@
+// services/customerShares.js
+// Location pins, contact cards and documents shared by customers:
+//   location - becomes the structured delivery address of the active order
+//   contact  - fills the order's customer name / phone
+//   document - stored against the conversation (conversation_documents) and acknowledged
+const { ObjectId } = require('mongodb');
+const getDb = require('../db');
+const { updateCustomerInfo } = require('./orderManager');
+
+const COLLECTION = 'conversation_documents';
+
+let indexesEnsured = false;
+
+async function getDocumentsCollection() {
+  const db = await getDb();
+  const col = db.collection(COLLECTION);
+  if (!indexesEnsured) {
+    await col.createIndex({ businessId: 1, platform: 1, customerId: 1, receivedAt: -1 }, { name: 'documents_conversation' });
+    indexesEnsured = true;
+  }
+  return col;
+}
+
+/**
+ * Normalize a shared location pin
+ * @param {object} pin - { latitude, longitude, name?, address? }
+ * @returns {object|null} { latitude, longitude, name, address, mapsUrl }
+ */
+function toStructuredLocation(pin) {
+  const latitude = Number(pin?.latitude);
+  const longitude = Number(pin?.longitude);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) return null;
+
+  return {
+    latitude,
+    longitude,
+    name: pin.name?.trim() || '',
+    address: pin.address?.trim() || '',
+    mapsUrl: `https://maps.google.com/?q=${latitude},${longitude}`
+  };
+}
+
+/**
+ * One-line delivery address for a structured location, e.g. "Hamra St, Beirut (https://maps.google.com/?q=…)"
+ */
+function formatLocationAddress(location) {
+  const label = [location.name, location.address].filter(Boolean).join(', ');
+  return label ? `${label} (${location.mapsUrl})` : location.mapsUrl;
+}
+
+/**
+ * Save a shared location as the delivery address of the customer's active order
+ * @param {string} platform - Order platform (models/Order.js getOrderPlatform)
+ * @returns {Promise<object|null>} The structured location, or null for an invalid pin
+ */
+async function applySharedLocation(senderId, businessId, pin, platform) {
+  const location = toStructuredLocation(pin);
+  if (!location) return null;
+
+  await updateCustomerInfo(senderId, businessId, { address: formatLocationAddress(location), location }, platform);
+  return location;
+}
+
+/**
+ * Save a shared contact card as the customer's name / phone on the active order
+ * @param {object} contact - { name?, phone? }
+ * @param {string} platform - Order platform (models/Order.js getOrderPlatform)
+ * @returns {Promise<object|null>} { name, phone } that were saved, or null when the card had neither
+ */
+async function applySharedContact(senderId, businessId, contact, platform) {
+  const name = contact?.name?.trim() || '';
+  const phone = contact?.phone?.trim() || '';
+  if (!name && !phone) return null;
+
+  await updateCustomerInfo(senderId, businessId, { name, phone }, platform);
+  return { name, phone };
+}
+
+/**
+ * Store a document the customer sent
+ * @param {object} document - { businessId, platform, customerId, messageId, filename, mimeType, caption, filePath }
+ */
+async function storeConversationDocument({ businessId, platform, customerId, messageId, filename, mimeType, caption, filePath }) {
+  const col = await getDocumentsCollection();
+  const doc = {
+    businessId: String(businessId),
+    platform,
+    customerId: String(customerId),
+    messageId: String(messageId),
+    filename: filename || 'document',
+    mimeType: mimeType || null,
+    caption: caption || '',
+    filePath,
+    receivedAt: new Date()
+  };
+  const result = await col.insertOne(doc);
+  return { ...doc, _id: result.insertedId };
+}
+
+/**
+ * Documents received from one customer (or the whole business), newest first
+ */
+async function listConversationDocuments(businessId, { platform, customerId, limit = 50 } = {}) {
+  const col = await getDocumentsCollection();
+  const filter = { businessId: String(businessId) };
+  if (platform) filter.platform = platform;
+  if (customerId) filter.customerId = String(customerId);
+
+  return col.find(filter).sort({ receivedAt: -1 }).limit(limit).toArray();
+}
+
+/**
+ * One of the business's documents, or null
+ */
+async function getConversationDocument(businessId, documentId) {
+  if (!ObjectId.isValid(documentId)) return null;
+  const col = await getDocumentsCollection();
+  return col.findOne({ _id: new ObjectId(documentId), businessId: String(businessId) });
+}
+
+module.exports = {
+  toStructuredLocation,
+  formatLocationAddress,
+  applySharedLocation,
+  applySharedContact,
+  storeConversationDocument,
+  listConversationDocuments,
+  getConversationDocument
+};
@@ -0,0 +1,77 @@
+// services/customerWindow.js
+// Tracks when each customer last wrote to a business, per channel, and where replies to them go.
+// WhatsApp (and Meta) only allow free-form messages within 24h of the customer's last message;
+// after that, only approved templates can be sent.
+const getDb = require('../db');
+
+const SESSION_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+let indexesEnsured = false;
+
+async function getWindowsCollection() {
+  const db = await getDb();
+  const col = db.collection('customer_windows');
+  if (!indexesEnsured) {
+    await col.createIndex(
+      { businessId: 1, platform: 1, customerId: 1 },
+      { unique: true, name: 'customer_window_key' }
+    );
+    indexesEnsured = true;
+  }
+  return col;
+}
+
+/**
+ * Remember that a customer just messaged the business
+ * @param {object} [contact] - { replyTo, businessLookup } of the inbound message, for replies sent
+ *   outside the pipeline (services/inbox.js); replyTo is only set when it isn't the customer ID (TikTok)
+ */
+async function recordInbound(businessId, platform, customerId, { replyTo, businessLookup } = {}, at = new Date()) {
+  const col = await getWindowsCollection();
+  await col.updateOne(
+    { businessId: String(businessId), platform, customerId: String(customerId) },
+    {
+      $set: {
+        lastInboundAt: at,
+        ...(replyTo && { replyTo: String(replyTo) }),
+        ...(businessLookup && { businessLookup })
+      }
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Where to send a message to the customer outside of an inbound message
+ * @returns {Promise<object>} { to, businessLookup }
+ */
+async function getReplyTarget(businessId, platform, customerId) {
+  const col = await getWindowsCollection();
+  const doc = await col.findOne({ businessId: String(businessId), platform, customerId: String(customerId) });
+  return { to: doc?.replyTo || String(customerId), businessLookup: doc?.businessLookup || {} };
+}
+
+/**
+ * @returns {Promise<Date|null>} Time of the customer's last message, if any
+ */
+async function getLastInbound(businessId, platform, customerId) {
+  const col = await getWindowsCollection();
+  const doc = await col.findOne({ businessId: String(businessId), platform, customerId: String(customerId) });
+  return doc?.lastInboundAt || null;
+}
+
+/**
+ * Whether free-form messages can still be sent to this customer
+ */
+async function isWindowOpen(businessId, platform, customerId, windowMs = SESSION_WINDOW_MS) {
+  const last = await getLastInbound(businessId, platform, customerId);
+  return Boolean(last) && Date.now() - new Date(last).getTime() < windowMs;
+}
+
+module.exports = {
+  SESSION_WINDOW_MS,
+  recordInbound,
+  getLastInbound,
+  isWindowOpen,
+  getReplyTarget
+};
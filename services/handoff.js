@@ -0,0 +1,181 @@
+// services/handoff.js
+// Human handoff: when a customer asks for a person (or, if the merchant opted in, is clearly upset), the
+// conversation switches to `human` mode - the bot stops answering it (generateReply returns nothing) and
+// the merchant is emailed.
+// The bot resumes when the merchant hands back, or after settings.advanced.handoff.autoResumeAfter
+// without merchant activity. State lives on the conversation (services/sessionManager.js):
+//   mode: 'bot' | 'human'
+//   handoff: { reason, message, startedAt, lastActivityAt, endedAt, endedBy }
+const getDb = require('../db');
+const { ObjectId } = require('mongodb');
+const { getConversation, setConversationFields } = require('./sessionManager');
+const { sendHandoffEmail } = require('../utils/mailer');
+
+const AUTO_RESUME_DURATIONS = {
+  '15mins': 15 * 60 * 1000,
+  '30mins': 30 * 60 * 1000,
+  '1hour': 60 * 60 * 1000,
+  '2hours': 2 * 60 * 60 * 1000,
+  '8hours': 8 * 60 * 60 * 1000,
+  '24hours': 24 * 60 * 60 * 1000
+};
+
+const HANDOFF_NOTICE = "🙋 I've asked a member of our team to join this conversation. They'll reply here shortly.";
+
+// Requests for a person, in English, Arabic and Arabizi
+const ESCALATION_PATTERNS = [
+  /\b(talk|speak|chat)\s+(to|with)\s+(a\s+|an\s+|the\s+|some\s*)?(human|person|someone|agent|manager|owner|representative|real person|customer\s+(service|support))\b/i,
+  /\b(real|actual|live)\s+(person|human|agent)\b/i,
+  /\bhuman\s+(agent|support|being)\b/i,
+  /(احكي|إحكي|اتكلم|أتكلم|اتواصل|أتواصل)\s+(مع|مع\s+ال)\s*(حدا|شخص|موظف|انسان|إنسان|مسؤول|المسؤول|المدير|صاحب|خدمة\s*العملاء)/,
+  /(موظف|انسان\s*حقيقي|إنسان\s*حقيقي)/,
+  /\b(e7ke|i7ke|7ke|ehke|ihke|etkalam|itkalam)\s+(ma3|m3)\s+(7ada|hada|shakhes|insan|mas2oul|mas2ool|mwazaf|mwazzaf|modir)\b/i,
+  /\b(mwazaf|mwazzaf|insan\s+7a2i2i)\b/i
+];
+
+// Complaint vocabulary. One strong word isn't enough ("is this the worst quality or the best?"):
+// it takes two, or one plus a mild word or shouting
+const STRONG_NEGATIVE = /\b(scam|scammers?|fraud|thie(f|ves)|worst|terrible|horrible|disgusting|ridiculous|unacceptable|never again|wtf|nasabin|nassabin|7aramiye|zift)\b|(نصاب|نصابين|حرامي|حرامية|سرقة|زفت|مهزلة)/gi;
+const MILD_NEGATIVE = /\b(angry|upset|disappointed|annoyed|frustrated|still waiting|refund|complain|complaint|broken|damaged|wrong item|za3lan|m3asab|mit2akhar)\b|(زعلان|معصب|متأخر|مكسور|شكوى)/gi;
+
+function getHandoffSettings(advancedSettings) {
+  const settings = advancedSettings?.handoff || {};
+  return {
+    enabled: settings.enabled !== false,
+    detectNegativeSentiment: settings.detectNegativeSentiment === true,
+    autoResumeMs: AUTO_RESUME_DURATIONS[settings.autoResumeAfter] || AUTO_RESUME_DURATIONS['2hours']
+  };
+}
+
+function isEscalationRequest(text) {
+  return ESCALATION_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Whether a message reads as a clear complaint (complaint words, shouting)
+ */
+function isNegativeSentiment(text) {
+  const value = String(text || '');
+  const strong = (value.match(STRONG_NEGATIVE) || []).length;
+  let signals = (value.match(MILD_NEGATIVE) || []).length;
+
+  if (/[!?؟]{3,}/.test(value)) signals += 1;
+  const words = value.match(/[A-Za-z]{3,}/g) || [];
+  if (words.length >= 2 && words.filter(word => word === word.toUpperCase()).length / words.length >= 0.6) signals += 1;
+
+  return strong >= 2 || (strong === 1 && signals >= 1);
+}
+
+/**
+ * Why a message should go to a human, or null
+ * @returns {string|null} escalation_request | negative_sentiment
+ */
+function detectHandoffTrigger(text, settings = getHandoffSettings()) {
+  if (isEscalationRequest(text)) return 'escalation_request';
+  if (settings.detectNegativeSentiment && isNegativeSentiment(text)) return 'negative_sentiment';
+  return null;
+}
+
+async function notifyMerchant(business, key, reason, message) {
+  let email = business.contact?.email;
+  if (!email && business.userId) {
+    const db = await getDb();
+    const owner = await db.collection('users').findOne({ _id: new ObjectId(String(business.userId)) }, { projection: { email: 1 } });
+    email = owner?.email;
+  }
+  if (!email) {
+    console.warn(`⚠️ No email to notify business ${business._id} about a handoff`);
+    return;
+  }
+
+  await sendHandoffEmail(email, {
+    businessName: business.name,
+    platform: key.platform,
+    customerId: key.customerId,
+    reason,
+    message: String(message || '').slice(0, 500)
+  });
+}
+
+/**
+ * Switch a conversation to human mode
+ * @param {string} reason - escalation_request | negative_sentiment | merchant
+ * @param {object} [options] - { message, notify } (notify emails the merchant, default true)
+ */
+async function startHandoff(business, key, reason, { message = '', notify = true } = {}) {
+  const now = new Date();
+  const conversation = await setConversationFields(key, {
+    mode: 'human',
+    handoff: { reason, message, startedAt: now, lastActivityAt: now, endedAt: null, endedBy: null }
+  });
+  console.log(`🙋 Handoff to human for ${key.platform} conversation ${key.customerId} (business ${key.businessId}, ${reason})`);
+
+  if (notify) {
+    notifyMerchant(business, key, reason, message).catch(err => {
+      console.warn(`⚠️ Could not notify business ${key.businessId} about a handoff:`, err.message);
+    });
+  }
+  return conversation;
+}
+
+/**
+ * Hand a conversation back to the bot
+ * @param {string} endedBy - merchant | idle
+ */
+async function resumeBot(key, endedBy) {
+  const conversation = await getConversation(key);
+  if (conversation?.mode !== 'human') return conversation;
+
+  console.log(`🤖 Bot resumed for ${key.platform} conversation ${key.customerId} (${endedBy})`);
+  return setConversationFields(key, {
+    mode: 'bot',
+    'handoff.endedAt': new Date(),
+    'handoff.endedBy': endedBy
+  });
+}
+
+/**
+ * Merchant activity (e.g. a manual reply) restarts the auto-resume countdown
+ */
+async function touchHandoff(key) {
+  const conversation = await getConversation(key);
+  if (conversation?.mode !== 'human') return;
+  await setConversationFields(key, { 'handoff.lastActivityAt': new Date() });
+}
+
+/**
+ * Decide whether the bot may answer a customer message. Resumes the bot once the handoff has
+ * been idle for too long, and starts a handoff when the message calls for one.
+ * A dry run (sandbox) only reports whether the message would start a handoff.
+ * @returns {Promise<object>} { mode: 'bot' } | { mode: 'human', notice?, reason? } (notice = tell the customer a person is coming)
+ */
+async function applyHandoff(business, key, userMessage, { dryRun = false } = {}) {
+  const settings = getHandoffSettings(business.settings?.advanced);
+  const conversation = dryRun ? null : await getConversation(key);
+
+  if (conversation?.mode === 'human') {
+    const lastActivity = conversation.handoff?.lastActivityAt || conversation.handoff?.startedAt;
+    if (!lastActivity || Date.now() - new Date(lastActivity).getTime() < settings.autoResumeMs) {
+      return { mode: 'human' };
+    }
+    await resumeBot(key, 'idle');
+  }
+
+  if (!settings.enabled) return { mode: 'bot' };
+
+  const reason = detectHandoffTrigger(userMessage, settings);
+  if (!reason) return { mode: 'bot' };
+
+  if (!dryRun) await startHandoff(business, key, reason, { message: userMessage });
+  return { mode: 'human', notice: HANDOFF_NOTICE, reason };
+}
+
+module.exports = {
+  getHandoffSettings,
+  detectHandoffTrigger,
+  isNegativeSentiment,
+  startHandoff,
+  resumeBot,
+  touchHandoff,
+  applyHandoff
+};
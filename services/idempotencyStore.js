@@ -0,0 +1,172 @@
+// services/idempotencyStore.js
+// Webhook de-duplication keyed by platform message ID, shared across restarts and instances.
+// Pick the backend with IDEMPOTENCY_STORE=mongo (default) | redis | memory.
+const getDb = require('../db');
+
+const DEFAULT_TTL_MS = 48 * 60 * 60 * 1000; // Meta retries failed deliveries for well over a day
+
+/**
+ * Process-local store - for tests and single-instance development only
+ */
+class MemoryIdempotencyStore {
+  constructor() {
+    this.keys = new Map(); // key -> expiresAt (ms)
+  }
+
+  async claim(key, ttlMs = DEFAULT_TTL_MS) {
+    const now = Date.now();
+    const expiresAt = this.keys.get(key);
+    if (expiresAt && expiresAt > now) return false;
+
+    this.keys.set(key, now + ttlMs);
+    this.sweep(now);
+    return true;
+  }
+
+  async release(key) {
+    this.keys.delete(key);
+  }
+
+  sweep(now) {
+    if (this.keys.size < 1000) return;
+    for (const [key, expiresAt] of this.keys) {
+      if (expiresAt <= now) this.keys.delete(key);
+    }
+  }
+}
+
+/**
+ * MongoDB store - one document per key, expired by a TTL index on expiresAt
+ */
+class MongoIdempotencyStore {
+  constructor(collectionName = 'processed_messages') {
+    this.collectionName = collectionName;
+    this.indexesEnsured = false;
+  }
+
+  async getCollection() {
+    const db = await getDb();
+    const col = db.collection(this.collectionName);
+    if (!this.indexesEnsured) {
+      try {
+        await col.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0, name: 'processed_messages_ttl' });
+      } catch (_) {
+        // ignore index creation races between processes
+      } finally {
+        this.indexesEnsured = true;
+      }
+    }
+    return col;
+  }
+
+  async claim(key, ttlMs = DEFAULT_TTL_MS) {
+    const col = await this.getCollection();
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + ttlMs);
+
+    try {
+      await col.insertOne({ _id: key, createdAt: now, expiresAt });
+      return true;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+
+    // The TTL monitor only runs once a minute - take over keys that already expired
+    const result = await col.updateOne(
+      { _id: key, expiresAt: { $lte: now } },
+      { $set: { createdAt: now, expiresAt } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async release(key) {
+    const col = await this.getCollection();
+    await col.deleteOne({ _id: key });
+  }
+}
+
+/**
+ * Redis store - SET NX with a PX expiry
+ */
+class RedisIdempotencyStore {
+  constructor(options = {}) {
+    const { createClient } = require('redis');
+    this.prefix = options.prefix || 'idempotency:';
+    this.client = createClient({
+      url: options.url || process.env.REDIS_URL ||
+        `redis://${process.env.REDIS_HOST || '127.0.0.1'}:${process.env.REDIS_PORT || 6379}`
+    });
+    this.client.on('error', (err) => console.error('❌ Redis idempotency store error:', err.message));
+    this.connecting = null;
+  }
+
+  async getClient() {
+    if (!this.client.isOpen) {
+      this.connecting = this.connecting || this.client.connect();
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  async claim(key, ttlMs = DEFAULT_TTL_MS) {
+    const client = await this.getClient();
+    const result = await client.set(this.prefix + key, '1', { NX: true, PX: ttlMs });
+    return result === 'OK';
+  }
+
+  async release(key) {
+    const client = await this.getClient();
+    await client.del(this.prefix + key);
+  }
+}
+
+let store = null;
+
+/**
+ * Get the configured process-wide store
+ */
+function getIdempotencyStore() {
+  if (store) return store;
+
+  const driver = (process.env.IDEMPOTENCY_STORE || 'mongo').toLowerCase();
+  if (driver === 'redis') store = new RedisIdempotencyStore();
+  else if (driver === 'memory') store = new MemoryIdempotencyStore();
+  else store = new MongoIdempotencyStore();
+
+  console.log(`🔁 Webhook idempotency store: ${driver}`);
+  return store;
+}
+
+/**
+ * Replace the process-wide store (tests)
+ */
+function setIdempotencyStore(customStore) {
+  store = customStore;
+}
+
+/**
+ * Record a platform message as processed.
+ * @param {string} platform - whatsapp, messenger, instagram, telegram, tiktok
+ * @param {string} messageId - Platform message ID
+ * @returns {Promise<boolean>} True the first time the message is seen, false for duplicates
+ */
+async function claimMessage(platform, messageId, ttlMs = DEFAULT_TTL_MS) {
+  return getIdempotencyStore().claim(`${platform}:${messageId}`, ttlMs);
+}
+
+/**
+ * Forget a claimed message so a retried delivery is processed again
+ */
+async function releaseMessage(platform, messageId) {
+  return getIdempotencyStore().release(`${platform}:${messageId}`);
+}
+
+module.exports = {
+  MemoryIdempotencyStore,
+  MongoIdempotencyStore,
+  RedisIdempotencyStore,
+  getIdempotencyStore,
+  setIdempotencyStore,
+  claimMessage,
+  releaseMessage
+};
@@ -0,0 +1,50 @@
+// services/inbox.js
+// Manual replies from the merchant's shared inbox. The reply goes out on the conversation's channel
+// and is stored as an `agent` turn; the website widget has no push channel, so it polls for them
+// (GET /api/chat/messages).
+const { getChannelAdapter } = require('./channels');
+const { isWindowOpen, getReplyTarget } = require('./customerWindow');
+const { trackOutbound } = require('./outboundMessages');
+const { updateSession, markConversationRead } = require('./sessionManager');
+const { touchHandoff } = require('./handoff');
+
+/**
+ * Send a team member's reply to the customer of a conversation
+ * @param {object} business - Business document
+ * @param {object} conversation - Conversation document (services/sessionManager.js)
+ * @param {string} text
+ * @returns {Promise<object>} { message, messageId? } (messageId = platform message ID, not set for the website)
+ */
+async function sendAgentReply(business, conversation, text) {
+  const key = {
+    businessId: conversation.businessId,
+    platform: conversation.platform,
+    customerId: conversation.customerId
+  };
+
+  let messageId;
+  if (conversation.platform !== 'website') {
+    const adapter = trackOutbound(getChannelAdapter(conversation.platform), business);
+    if (!(await isWindowOpen(business._id, conversation.platform, conversation.customerId))) {
+      throw new Error('The 24h messaging window has closed - the customer has to write first');
+    }
+
+    // TikTok replies go to the thread, and its credentials need the account the customer wrote to
+    const { to, businessLookup } = await getReplyTarget(business._id, conversation.platform, conversation.customerId);
+    if (conversation.platform === 'tiktok' && !businessLookup.tiktok_account_id) {
+      throw new Error('No TikTok thread stored for this customer yet - the customer has to write first');
+    }
+
+    const credentials = adapter.getCredentials(business, { businessLookup });
+    messageId = await adapter.sendText(credentials, to, text);
+  }
+
+  const message = await updateSession(key, 'agent', text);
+  await touchHandoff(key);
+  await markConversationRead(key);
+
+  console.log(`💬 Agent reply sent on ${conversation.platform} to ${conversation.customerId} (business ${conversation.businessId})`);
+  return { message, messageId };
+}
+
+module.exports = { sendAgentReply };
@@ -0,0 +1,196 @@
+// services/interactiveMessages.js
+// WhatsApp interactive list/button messages for product and variant choices.
+// Row and button IDs encode the selection so replies map straight to addItemToOrder:
+//   add:<productId>:<variantId>   - add this variant to the order
+//   product:<productId>           - show this product's variants
+const { addItemToOrder } = require('./orderManager');
+const { getMissingInfo } = require('../models/Order');
+
+// WhatsApp Cloud API limits
+const MAX_LIST_ROWS = 10;
+const MAX_BUTTONS = 3;
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+const MAX_BUTTON_TITLE = 20;
+const MAX_BODY = 1024;
+const MAX_LIST_BUTTON = 20;
+
+const DEFAULT_BODY = 'Please choose an option 👇';
+
+function truncate(text, max) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  return s.length > max ? s.slice(0, max - 1) + '…' : s;
+}
+
+// Body text keeps its line breaks
+function clip(text, max) {
+  const s = String(text || '').trim();
+  return s.length > max ? s.slice(0, max - 1) + '…' : s;
+}
+
+function formatPrice(price) {
+  return Number.isFinite(price) && price > 0 ? `$${price}` : '';
+}
+
+function productPriceLabel(product) {
+  if (!product.minPrice) return '';
+  return product.minPrice === product.maxPrice
+    ? `$${product.minPrice}`
+    : `$${product.minPrice} - $${product.maxPrice}`;
+}
+
+function listMessage(body, buttonText, sectionTitle, rows) {
+  return {
+    type: 'list',
+    body: { text: clip(body || DEFAULT_BODY, MAX_BODY) },
+    action: {
+      button: truncate(buttonText, MAX_LIST_BUTTON),
+      sections: [{ title: truncate(sectionTitle, MAX_ROW_TITLE), rows }]
+    }
+  };
+}
+
+/**
+ * List of products. Single-variant products are added directly; the others open their variants.
+ * @param {Array} productDatabase - buildProductDatabase() output
+ * @param {Array<string>} productIds - Products to offer, in order (max 10 are shown)
+ */
+function buildProductList(productDatabase, productIds, { body } = {}) {
+  const products = productIds
+    .map(id => productDatabase.find(p => String(p.id) === String(id)))
+    .filter(Boolean)
+    .slice(0, MAX_LIST_ROWS);
+
+  if (products.length === 0) return null;
+
+  const rows = products.map(product => ({
+    id: product.variants.length === 1
+      ? `add:${product.id}:${product.variants[0].id}`
+      : `product:${product.id}`,
+    title: truncate(product.title, MAX_ROW_TITLE),
+    description: truncate([productPriceLabel(product), product.description].filter(Boolean).join(' · '), MAX_ROW_DESCRIPTION)
+  }));
+
+  return listMessage(body, 'View products', 'Products', rows);
+}
+
+/**
+ * Variant picker for one product: reply buttons for up to 3 variants, a list otherwise
+ */
+function buildVariantChoice(productDatabase, productId, { body } = {}) {
+  const product = productDatabase.find(p => String(p.id) === String(productId));
+  if (!product || product.variants.length === 0) return null;
+
+  const text = body || `${product.title} ${productPriceLabel(product)}\nWhich option would you like?`;
+
+  if (product.variants.length <= MAX_BUTTONS) {
+    return {
+      type: 'button',
+      body: { text: clip(text, MAX_BODY) },
+      action: {
+        buttons: product.variants.map(variant => ({
+          type: 'reply',
+          reply: {
+            id: `add:${product.id}:${variant.id}`,
+            title: truncate(variant.name, MAX_BUTTON_TITLE)
+          }
+        }))
+      }
+    };
+  }
+
+  const rows = product.variants.slice(0, MAX_LIST_ROWS).map(variant => ({
+    id: `add:${product.id}:${variant.id}`,
+    title: truncate(variant.name, MAX_ROW_TITLE),
+    description: truncate([
+      formatPrice(variant.price),
+      variant.isDiscounted && variant.originalPrice ? `was $${variant.originalPrice}` : ''
+    ].filter(Boolean).join(' · '), MAX_ROW_DESCRIPTION)
+  }));
+
+  return listMessage(text, 'Choose option', product.title, rows);
+}
+
+/**
+ * Parse SHOW_PRODUCTS / SHOW_VARIANTS lines from an [AI_ORDER_ACTIONS] block
+ * @returns {object|null} { type: 'products', productIds } | { type: 'variants', productId }
+ */
+function extractInteractiveAction(aiResponse) {
+  const actionMatch = aiResponse?.match(/\[AI_ORDER_ACTIONS\](.*?)\[\/AI_ORDER_ACTIONS\]/s);
+  if (!actionMatch) return null;
+
+  for (const line of actionMatch[1].split('\n').map(l => l.trim())) {
+    const upper = line.toUpperCase();
+    if (upper.startsWith('SHOW_VARIANTS:')) {
+      const productId = line.slice('SHOW_VARIANTS:'.length).trim().replace(/^"|"$/g, '');
+      if (productId) return { type: 'variants', productId };
+    }
+    if (upper.startsWith('SHOW_PRODUCTS:')) {
+      const productIds = line.slice('SHOW_PRODUCTS:'.length)
+        .split(',')
+        .map(s => s.trim().replace(/^"|"$/g, ''))
+        .filter(Boolean);
+      if (productIds.length) return { type: 'products', productIds };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build the interactive message requested by the model, or null if it cannot be built
+ */
+function buildInteractiveFromAction(action, productDatabase, options = {}) {
+  if (!action || !Array.isArray(productDatabase) || productDatabase.length === 0) return null;
+  if (action.type === 'variants') return buildVariantChoice(productDatabase, action.productId, options);
+  if (action.type === 'products') return buildProductList(productDatabase, action.productIds, options);
+  return null;
+}
+
+/**
+ * @returns {object|null} { action: 'add', productId, variantId } | { action: 'product', productId }
+ */
+function parseSelectionId(id) {
+  const [action, productId, variantId] = String(id || '').split(':');
+  if (action === 'add' && productId && variantId) return { action, productId, variantId };
+  if (action === 'product' && productId) return { action, productId };
+  return null;
+}
+
+/**
+ * Act on a list_reply / button_reply from the customer
+ * @returns {Promise<object|null>} { reply, interactive? } or null when the ID is not ours
+ */
+async function handleInteractiveSelection(senderId, businessId, selectionId, productDatabase, platform = 'whatsapp') {
+  const selection = parseSelectionId(selectionId);
+  if (!selection) return null;
+
+  if (selection.action === 'product') {
+    const interactive = buildVariantChoice(productDatabase, selection.productId);
+    if (!interactive) return { reply: '❓ This product is no longer available.' };
+    return { reply: interactive.body.text, interactive };
+  }
+
+  const { addedItem, order } = await addItemToOrder(
+    senderId, businessId, selection.productId, selection.variantId, 1, platform
+  );
+
+  let reply = `✅ Added ${addedItem.productTitle} - ${addedItem.variantName} to your order.\n🧾 Total: $${order.total || addedItem.totalPrice}`;
+
+  const missing = order ? getMissingInfo(order) : [];
+  if (missing.length) {
+    reply += `\n\nTo complete your order, please send your ${missing.join(', ')}.`;
+  }
+
+  return { reply, addedItem };
+}
+
+module.exports = {
+  productPriceLabel,
+  buildProductList,
+  buildVariantChoice,
+  extractInteractiveAction,
+  buildInteractiveFromAction,
+  parseSelectionId,
+  handleInteractiveSelection
+};
@@ -0,0 +1,264 @@
+// services/llm/index.js
+// LLM providers behind generateReply. A provider implements:
+//   name
+//   complete({ model, input, tools, toolChoice, maxOutputTokens, reasoningEffort }) -> { text, toolCalls, usage }
+//   stream(request, onDelta) -> { text, toolCalls, usage }   (optional - calls onDelta with each text delta)
+// where input is the Responses API item list ([{ role, content }], plus function_call /
+// function_call_output items when tools ran), tools are [{ name, description, parameters }]
+// (JSON schema) and toolCalls are [{ id, name, arguments }] with arguments as a JSON string.
+//
+// Models are picked as an ordered fallback chain of "provider:model" entries:
+//   settings.advanced.ai.models (per business) → plan aiModels (utils/PlanSettings.js) → DEFAULT_CHAIN
+// A business can only pick entries of its plan's aiModels or LLM_ALLOWED_MODELS (comma-separated).
+// Every entry has a circuit breaker: after CIRCUIT_FAILURE_THRESHOLD consecutive failures it is
+// skipped for CIRCUIT_COOLDOWN_MS, then a single trial call closes or re-opens it.
+// LLM_PROVIDER=mock routes every call to the deterministic mock provider (development, tests).
+const openai = require('./openai');
+const mock = require('./mock');
+const { getCurrentPlan } = require('../../utils/businessPolicy');
+
+const DEFAULT_CHAIN = ['openai:gpt-5-mini', 'openai:gpt-4.1-mini'];
+const CIRCUIT_FAILURE_THRESHOLD = 3;
+const CIRCUIT_COOLDOWN_MS = 60 * 1000;
+const MAX_TOOL_ROUNDS = 4;
+
+const providers = { openai, mock };
+const circuits = new Map(); // "provider:model" -> { failures, openUntil }
+
+function registerLlmProvider(provider) {
+  if (!provider?.name || typeof provider.complete !== 'function') {
+    throw new Error('An LLM provider needs a name and a complete(request) function');
+  }
+  providers[provider.name] = provider;
+}
+
+function listLlmProviders() {
+  return Object.keys(providers);
+}
+
+/**
+ * Parse a chain entry: "openai:gpt-5-mini" → { provider: 'openai', model: 'gpt-5-mini' }. "mock" alone is allowed.
+ */
+function parseModelEntry(entry) {
+  const [provider, ...rest] = String(entry || '').trim().split(':');
+  return { provider, model: rest.join(':') || 'default' };
+}
+
+function isKnownModelEntry(entry) {
+  return Boolean(providers[parseModelEntry(entry).provider]);
+}
+
+/**
+ * Entries a business may put in its own chain. The mock provider only with LLM_PROVIDER=mock.
+ */
+function getAllowedModelEntries(business) {
+  const configured = String(process.env.LLM_ALLOWED_MODELS || '').split(',').map(entry => entry.trim());
+  const allowed = [...(getCurrentPlan(business).config.aiModels || []), ...configured].filter(entry =>
+    entry && isKnownModelEntry(entry) && parseModelEntry(entry).provider !== 'mock'
+  );
+  if (process.env.LLM_PROVIDER === 'mock') allowed.push('mock');
+  return [...new Set(allowed)];
+}
+
+function isAllowedModelEntry(entry, business) {
+  return getAllowedModelEntries(business).includes(String(entry || '').trim());
+}
+
+/**
+ * Ordered "provider:model" chain for a business (its own choice, then its plan's, then the default)
+ */
+function resolveModelChain(business) {
+  if (process.env.LLM_PROVIDER === 'mock') return ['mock'];
+
+  // Saved before a plan change, the business's own chain may no longer be allowed
+  const ownChain = (business?.settings?.advanced?.ai?.models || []).filter(entry => {
+    if (isAllowedModelEntry(entry, business)) return true;
+    console.warn(`⚠️ Ignoring model not allowed for business ${business._id || business.id}: ${entry}`);
+    return false;
+  });
+
+  const candidates = [
+    ownChain,
+    business && getCurrentPlan(business).config.aiModels,
+    DEFAULT_CHAIN
+  ];
+
+  for (const chain of candidates) {
+    const known = (chain || []).filter(entry => {
+      if (isKnownModelEntry(entry)) return true;
+      console.warn(`⚠️ Ignoring unknown LLM provider in chain: ${entry}`);
+      return false;
+    });
+    if (known.length) return known;
+  }
+  return DEFAULT_CHAIN;
+}
+
+// ================== CIRCUIT BREAKER ==================
+
+function isCircuitOpen(key) {
+  const circuit = circuits.get(key);
+  return Boolean(circuit && circuit.openUntil > Date.now());
+}
+
+function recordSuccess(key) {
+  circuits.delete(key);
+}
+
+function recordFailure(key) {
+  const circuit = circuits.get(key) || { failures: 0, openUntil: 0 };
+  circuit.failures += 1;
+  // Also re-opens straight away when the trial call after a cooldown fails
+  if (circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    circuit.openUntil = Date.now() + CIRCUIT_COOLDOWN_MS;
+    console.warn(`🔌 Circuit open for ${key} after ${circuit.failures} failures (retry in ${CIRCUIT_COOLDOWN_MS / 1000}s)`);
+  }
+  circuits.set(key, circuit);
+}
+
+/**
+ * Circuit state per chain entry, for health checks
+ */
+function getCircuitStates() {
+  return [...circuits.entries()].map(([key, { failures, openUntil }]) => ({
+    key,
+    failures,
+    open: openUntil > Date.now(),
+    openUntil: openUntil ? new Date(openUntil) : null
+  }));
+}
+
+function resetCircuits() {
+  circuits.clear();
+}
+
+/**
+ * Run a completion through the business's model chain, falling back on errors.
+ * With onDelta the text is streamed; once a delta went out, a failure is final (no fallback).
+ * @param {object} request - { input, maxOutputTokens, reasoningEffort }
+ * @param {object} options - { business, chain, onDelta } (chain overrides the business's)
+ * @returns {Promise<object>} { text, toolCalls, usage, provider, model, attempts }
+ */
+async function complete(request, { business, chain, onDelta } = {}) {
+  const entries = chain || resolveModelChain(business);
+  const attempts = [];
+
+  for (const entry of entries) {
+    const { provider: providerName, model } = parseModelEntry(entry);
+    const key = `${providerName}:${model}`;
+
+    if (isCircuitOpen(key)) {
+      attempts.push({ key, skipped: 'circuit_open' });
+      continue;
+    }
+
+    const provider = providers[providerName];
+    let streamed = false;
+
+    try {
+      let result;
+      if (onDelta && provider.stream) {
+        result = await provider.stream({ ...request, model }, (delta) => {
+          streamed = true;
+          onDelta(delta);
+        });
+      } else {
+        result = await provider.complete({ ...request, model });
+        if (onDelta && result.text) onDelta(result.text);
+      }
+
+      const { text, toolCalls, usage } = result;
+      recordSuccess(key);
+      if (attempts.length) console.log(`🔁 LLM answered by fallback ${key} after: ${attempts.map(a => a.key).join(', ')}`);
+      return { text, toolCalls: toolCalls || [], usage: usage || {}, provider: providerName, model, attempts };
+    } catch (err) {
+      const error = err.response?.data?.error?.message || err.message;
+      console.warn(`⚠️ LLM ${key} failed: ${error}`);
+      recordFailure(key);
+      attempts.push({ key, error });
+
+      // Text already shown to the customer can't be taken back
+      if (streamed) throw new Error(`LLM ${key} failed mid-stream: ${error}`);
+    }
+  }
+
+  throw new Error(`All LLM providers failed: ${attempts.map(a => `${a.key} (${a.error || a.skipped})`).join(', ')}`);
+}
+
+const addUsage = (total, usage = {}) => {
+  for (const [name, value] of Object.entries(usage)) {
+    if (typeof value === 'number') total[name] = (total[name] || 0) + value;
+  }
+  return total;
+};
+
+/**
+ * complete() with tools: every tool call the model makes is run through executeTool and its result
+ * is sent back, until the model answers without calling a tool (after MAX_TOOL_ROUNDS the tools
+ * are switched off so it has to answer). executeTool(name, args) resolves to a JSON-serialisable
+ * result; a thrown error or invalid arguments go back to the model as { ok: false, error }.
+ * @param {object} request - { input, tools, maxOutputTokens, reasoningEffort }
+ * @param {object} options - { business, chain, onDelta, executeTool }
+ * @returns {Promise<object>} { text, toolCalls: [{ name, arguments, result }], usage, provider, model, attempts }
+ */
+async function completeWithTools(request, { executeTool, onDelta, ...options } = {}) {
+  const input = [...request.input];
+  const texts = [];
+  const toolCalls = [];
+  const usage = {};
+  let result;
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    const toolChoice = round === MAX_TOOL_ROUNDS ? 'none' : undefined;
+    // Separate the text of successive rounds in the stream the same way as in the final reply
+    let separated = !texts.length;
+    const roundDelta = onDelta && ((delta) => {
+      if (!separated) {
+        onDelta('\n\n');
+        separated = true;
+      }
+      onDelta(delta);
+    });
+
+    result = await complete({ ...request, input, toolChoice }, { ...options, onDelta: roundDelta });
+    addUsage(usage, result.usage);
+    if (result.text) texts.push(result.text);
+
+    const calls = request.tools?.length && executeTool ? result.toolCalls : [];
+    if (!calls.length) break;
+
+    for (const call of calls) {
+      let output;
+      try {
+        output = await executeTool(call.name, JSON.parse(call.arguments || '{}'));
+      } catch (err) {
+        output = { ok: false, error: err instanceof SyntaxError ? 'Arguments are not valid JSON' : err.message };
+      }
+
+      // Arguments and error texts can hold the customer's details, so only the outcome is logged
+      console.log(`🛠️ Tool ${call.name} → ${output?.ok === false ? 'error' : 'ok'}`);
+      toolCalls.push({ name: call.name, arguments: call.arguments, result: output });
+      input.push(
+        { type: 'function_call', call_id: call.id, name: call.name, arguments: call.arguments },
+        { type: 'function_call_output', call_id: call.id, output: JSON.stringify(output) }
+      );
+    }
+  }
+
+  return { ...result, text: texts.join('\n\n'), toolCalls, usage };
+}
+
+module.exports = {
+  DEFAULT_CHAIN,
+  registerLlmProvider,
+  listLlmProviders,
+  parseModelEntry,
+  isKnownModelEntry,
+  getAllowedModelEntries,
+  isAllowedModelEntry,
+  resolveModelChain,
+  getCircuitStates,
+  resetCircuits,
+  complete,
+  completeWithTools
+};
@@ -0,0 +1,45 @@
+// services/llm/mock.js
+// Deterministic offline provider for development and tests: no network, the same input
+// always gives the same reply. The model name "fail" throws, to exercise the fallback chain.
+// It never calls tools.
+
+// Rough token count (~4 characters per token)
+function countTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function lastUserMessage(input = []) {
+  const message = [...input].reverse().find(m => m.role === 'user');
+  return String(message?.content || '').trim();
+}
+
+async function complete({ model, input }) {
+  if (model === 'fail') throw new Error('Mock provider failure (model "fail")');
+
+  const userMessage = lastUserMessage(input);
+  const text = userMessage
+    ? `Thanks for your message! You said: "${userMessage.slice(0, 200)}"`
+    : 'Hello! How can I help you today?';
+
+  const inputTokens = countTokens(input.map(m => m.content || m.output || '').join('\n'));
+  const outputTokens = countTokens(text);
+
+  return {
+    text,
+    toolCalls: [],
+    usage: { input_tokens: inputTokens, output_tokens: outputTokens, total_tokens: inputTokens + outputTokens }
+  };
+}
+
+// Streams the same reply word by word
+async function stream(request, onDelta) {
+  const result = await complete(request);
+  for (const word of result.text.match(/\S+\s*/g) || []) onDelta(word);
+  return result;
+}
+
+module.exports = {
+  name: 'mock',
+  complete,
+  stream
+};
@@ -0,0 +1,96 @@
+// services/llm/openai.js
+// OpenAI Responses API provider
+const axios = require('axios');
+
+// Only reasoning models accept the reasoning / verbosity options
+const REASONING_MODELS = /^(gpt-5|o\d)/;
+
+const RESPONSES_URL = 'https://api.openai.com/v1/responses';
+
+function requestBody({ model, input, tools, toolChoice, maxOutputTokens = 1600, reasoningEffort = 'medium' }) {
+  return {
+    model,
+    input,
+    max_output_tokens: maxOutputTokens,
+    ...(REASONING_MODELS.test(model) && { reasoning: { effort: reasoningEffort }, text: { verbosity: 'low' } }),
+    ...(tools?.length && { tools: tools.map(tool => ({ type: 'function', ...tool })) }),
+    ...(toolChoice && { tool_choice: toolChoice })
+  };
+}
+
+const toToolCall = (item) => ({ id: item.call_id, name: item.name, arguments: item.arguments });
+
+function requestConfig(extra = {}) {
+  return {
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` },
+    timeout: Number(process.env.LLM_TIMEOUT_MS) || 60000,
+    ...extra
+  };
+}
+
+async function complete(request) {
+  const response = await axios.post(RESPONSES_URL, requestBody(request), requestConfig());
+
+  const output = response.data.output || [];
+  const text = output
+    .flatMap(o => o.content || [])
+    .filter(c => c.type === 'output_text')
+    .map(c => c.text)
+    .join(' ')
+    .trim();
+  const toolCalls = output.filter(o => o.type === 'function_call').map(toToolCall);
+
+  // An empty answer (e.g. the token budget went to reasoning) counts as a failure so the chain moves on
+  if (!text && !toolCalls.length) throw new Error(`OpenAI ${request.model} returned no text (status: ${response.data.status || 'unknown'})`);
+
+  return { text, toolCalls, usage: response.data.usage || {} };
+}
+
+/**
+ * Same as complete(), forwarding output text deltas as they arrive (Responses API server-sent events)
+ */
+async function stream(request, onDelta) {
+  const response = await axios.post(RESPONSES_URL, { ...requestBody(request), stream: true }, requestConfig({ responseType: 'stream' }));
+  response.data.setEncoding('utf8');
+
+  let text = '';
+  let usage = {};
+  let buffer = '';
+  const toolCalls = [];
+
+  for await (const chunk of response.data) {
+    buffer += chunk;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const data = buffer.slice(0, boundary)
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      buffer = buffer.slice(boundary + 2);
+      if (!data || data === '[DONE]') continue;
+
+      const event = JSON.parse(data);
+      if (event.type === 'response.output_text.delta') {
+        text += event.delta;
+        onDelta(event.delta);
+      } else if (event.type === 'response.output_item.done' && event.item?.type === 'function_call') {
+        toolCalls.push(toToolCall(event.item));
+      } else if (event.type === 'response.completed') {
+        usage = event.response?.usage || {};
+      } else if (event.type === 'response.failed' || event.type === 'error') {
+        throw new Error(event.response?.error?.message || event.message || `OpenAI ${request.model} stream failed`);
+      }
+    }
+  }
+
+  if (!text.trim() && !toolCalls.length) throw new Error(`OpenAI ${request.model} streamed no text`);
+  return { text: text.trim(), toolCalls, usage };
+}
+
+module.exports = {
+  name: 'openai',
+  complete,
+  stream
+};
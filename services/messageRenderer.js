@@ -0,0 +1,143 @@
+// services/messageRenderer.js
+// Per-channel rendering of AI replies, applied after generateReply and before each channel sends:
+//   whatsapp  - 4096 chars, markdown converted to WhatsApp formatting (*bold*, _italic_, ~strike~)
+//   messenger - 2000 chars, plain text
+//   instagram - 1000 chars, plain text
+//   website   - markdown kept for the widget, split into 900-char bubbles
+// Replies longer than the limit are split on paragraphs, then sentences, then words.
+
+const RENDER_PROFILES = {
+  whatsapp: { maxLength: 4096, format: 'whatsapp' },
+  messenger: { maxLength: 2000, format: 'plain' },
+  instagram: { maxLength: 1000, format: 'plain' },
+  telegram: { maxLength: 4096, format: 'plain' },
+  tiktok: { maxLength: 1000, format: 'plain' },
+  website: { maxLength: 900, format: 'markdown' }
+};
+
+const DEFAULT_PROFILE = { maxLength: 900, format: 'plain' };
+
+function getRenderProfile(platform) {
+  return RENDER_PROFILES[platform] || DEFAULT_PROFILE;
+}
+
+// [text](url) → "text (url)", or just the URL when the text is the URL
+function unlink(text) {
+  return text.replace(/\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)/g, (_, label, url) => (label === url ? url : `${label} (${url})`));
+}
+
+/**
+ * Markdown → WhatsApp formatting
+ */
+function toWhatsApp(text) {
+  return unlink(text)
+    .replace(/(^|[^*\w])\*(?![\s*])([^*\n]+?)\*(?!\*)/gm, '$1_$2_')
+    .replace(/^#{1,6}\s+(.+?)\s*#*$/gm, '*$1*')
+    .replace(/\*\*(.+?)\*\*/g, '*$1*')
+    .replace(/__(.+?)__/g, '*$1*')
+    .replace(/~~(.+?)~~/g, '~$1~')
+    .replace(/\*{2,}/g, '*');
+}
+
+/**
+ * Markdown → plain text (Messenger, Instagram and other channels without formatting)
+ */
+function toPlain(text) {
+  return unlink(text)
+    .replace(/```[a-z]*\n?([\s\S]*?)```/g, '$1')
+    .replace(/^#{1,6}\s+(.+?)\s*#*$/gm, '$1')
+    .replace(/^(\s*)[*-]\s+/gm, '$1• ')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/__(.+?)__/g, '$1')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/(^|[\s(])\*(\S(?:.*?\S)?)\*(?=[\s.,!?;:)]|$)/gm, '$1$2')
+    .replace(/`([^`]+)`/g, '$1');
+}
+
+/**
+ * Apply a channel's text format
+ */
+function formatText(text, platform) {
+  const { format } = getRenderProfile(platform);
+  const s = String(text || '').trim();
+
+  if (format === 'whatsapp') return toWhatsApp(s);
+  if (format === 'plain') return toPlain(s);
+  return s;
+}
+
+// Greedily pack pieces into chunks of at most maxLength, joined by separator
+function pack(pieces, separator, maxLength, splitPiece) {
+  const chunks = [];
+  let current = '';
+
+  for (const piece of pieces) {
+    if (!piece.trim()) continue;
+
+    if (piece.length > maxLength) {
+      if (current) chunks.push(current);
+      current = '';
+      const parts = splitPiece(piece);
+      chunks.push(...parts.slice(0, -1));
+      current = parts[parts.length - 1] || '';
+      continue;
+    }
+
+    if (current && current.length + separator.length + piece.length > maxLength) {
+      chunks.push(current);
+      current = piece;
+    } else {
+      current = current ? `${current}${separator}${piece}` : piece;
+    }
+  }
+
+  if (current.trim()) chunks.push(current);
+  return chunks.map(chunk => chunk.trim()).filter(Boolean);
+}
+
+/**
+ * Split a message into chunks of at most maxLength characters
+ */
+function splitMessage(message, maxLength) {
+  const text = String(message || '').trim();
+  if (text.length <= maxLength) return [text];
+
+  const byWords = (sentence) => pack(sentence.split(' '), ' ', maxLength,
+    (word) => word.match(new RegExp(`[\\s\\S]{1,${maxLength}}`, 'g')));
+  const bySentences = (paragraph) => pack(paragraph.split(/(?<=[.!?])\s+/), ' ', maxLength, byWords);
+
+  return pack(text.split(/\n{2,}/), '\n\n', maxLength, bySentences);
+}
+
+/**
+ * Render a generateReply() result for a channel: format the text (and a native
+ * interactive body), then split it into chunks the channel accepts.
+ * @returns {object} The result with reply as a string, or an array of chunks (isMultiMessage)
+ */
+function renderReply(result, platform) {
+  if (!result) return result;
+
+  const { maxLength } = getRenderProfile(platform);
+  const text = Array.isArray(result.reply) ? result.reply.join('\n\n') : result.reply;
+  const chunks = splitMessage(formatText(text, platform), maxLength);
+
+  const interactive = result.interactive && {
+    ...result.interactive,
+    body: { ...result.interactive.body, text: formatText(result.interactive.body.text, platform) }
+  };
+
+  return {
+    ...result,
+    reply: chunks.length > 1 ? chunks : chunks[0],
+    isMultiMessage: chunks.length > 1,
+    ...(interactive && { interactive })
+  };
+}
+
+module.exports = {
+  RENDER_PROFILES,
+  getRenderProfile,
+  formatText,
+  splitMessage,
+  renderReply
+};
@@ -1,9 +1,10 @@
 const axios = require('axios');
+const FormData = require('form-data');
 
 const sendMessengerMessage = async (recipientId, messageText, token) => {
   try {
     console.log(`💬 Sending Messenger message to ${recipientId}`);
-    await axios.post(
+    const response = await axios.post(
       'https://graph.facebook.com/v19.0/me/messages',
       {
         recipient: { id: recipientId },
@@ -17,6 +18,7 @@ const sendMessengerMessage = async (recipientId, messageText, token) => {
       }
     );
     console.log(`✅ Messenger message sent successfully to ${recipientId}`);
+    return response.data;
   } catch (err) {
     console.error(`❌ Messenger send error to ${recipientId}:`, err.response?.data || err.message);
     throw err; // Re-throw to allow calling code to handle
@@ -26,7 +28,7 @@ const sendMessengerMessage = async (recipientId, messageText, token) => {
 const sendInstagramMessage = async (recipientId, messageText, token) => {
   try {
     console.log(`📱 Sending Instagram message to ${recipientId}`);
-    await axios.post(
+    const response = await axios.post(
       'https://graph.facebook.com/v19.0/me/messages',
       {
         recipient: { id: recipientId },
@@ -40,10 +42,244 @@ const sendInstagramMessage = async (recipientId, messageText, token) => {
       }
     );
     console.log(`✅ Instagram message sent successfully to ${recipientId}`);
+    return response.data;
   } catch (err) {
     console.error(`❌ Instagram send error to ${recipientId}:`, err.response?.data || err.message);
     throw err; // Re-throw to allow calling code to handle
   }
 };
 
-module.exports = { sendMessengerMessage, sendInstagramMessage };
+/**
+ * Send an image, audio, video or file attachment by public URL (Messenger and Instagram)
+ * @param {object} media - { type, url }
+ */
+const sendMetaAttachment = async (recipientId, media, token) => {
+  try {
+    console.log(`📎 Sending ${media.type} attachment to ${recipientId}`);
+    const response = await axios.post(
+      'https://graph.facebook.com/v19.0/me/messages',
+      {
+        recipient: { id: recipientId },
+        message: {
+          attachment: {
+            type: media.type === 'document' ? 'file' : media.type,
+            payload: { url: media.url, is_reusable: true }
+          }
+        },
+        messaging_type: 'RESPONSE',
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    console.log(`✅ Attachment sent successfully to ${recipientId}`);
+    return response.data;
+  } catch (err) {
+    console.error(`❌ Attachment send error to ${recipientId}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Upload and send an audio file as a voice message (Messenger)
+ * @param {object} audio - { buffer, mimeType, filename }
+ */
+const sendMetaAudio = async (recipientId, audio, token) => {
+  try {
+    console.log(`🔊 Sending audio to ${recipientId}`);
+    const form = new FormData();
+    form.append('recipient', JSON.stringify({ id: recipientId }));
+    form.append('message', JSON.stringify({ attachment: { type: 'audio', payload: { is_reusable: false } } }));
+    form.append('messaging_type', 'RESPONSE');
+    form.append('filedata', audio.buffer, { filename: audio.filename, contentType: audio.mimeType });
+
+    const response = await axios.post(
+      'https://graph.facebook.com/v19.0/me/messages',
+      form,
+      {
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...form.getHeaders()
+        }
+      }
+    );
+    console.log(`✅ Audio sent successfully to ${recipientId}`);
+    return response.data;
+  } catch (err) {
+    console.error(`❌ Audio send error to ${recipientId}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Send a generic template (a swipeable carousel of cards with image, title, subtitle and buttons)
+ * @param {Array} elements - Send API generic template elements (max 10)
+ */
+const sendMetaGenericTemplate = async (recipientId, elements, token) => {
+  try {
+    console.log(`🃏 Sending ${elements.length} card(s) to ${recipientId}`);
+    const response = await axios.post(
+      'https://graph.facebook.com/v19.0/me/messages',
+      {
+        recipient: { id: recipientId },
+        message: {
+          attachment: {
+            type: 'template',
+            payload: { template_type: 'generic', elements }
+          }
+        },
+        messaging_type: 'RESPONSE',
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    console.log(`✅ Cards sent successfully to ${recipientId}`);
+    return response.data;
+  } catch (err) {
+    console.error(`❌ Cards send error to ${recipientId}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Send text with quick-reply chips (max 13, tapped chips come back as message.quick_reply.payload)
+ * @param {Array} quickReplies - [{ title, payload }]
+ */
+const sendMetaQuickReplies = async (recipientId, messageText, quickReplies, token) => {
+  try {
+    console.log(`🔘 Sending ${quickReplies.length} quick replies to ${recipientId}`);
+    const response = await axios.post(
+      'https://graph.facebook.com/v19.0/me/messages',
+      {
+        recipient: { id: recipientId },
+        message: {
+          text: messageText,
+          quick_replies: quickReplies.map(q => ({ content_type: 'text', title: q.title, payload: q.payload }))
+        },
+        messaging_type: 'RESPONSE',
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    console.log(`✅ Quick replies sent successfully to ${recipientId}`);
+    return response.data;
+  } catch (err) {
+    console.error(`❌ Quick replies send error to ${recipientId}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Send a sender action such as mark_seen or typing_on
+ */
+const sendSenderAction = async (recipientId, action, token) => {
+  await axios.post(
+    'https://graph.facebook.com/v19.0/me/messages',
+    {
+      recipient: { id: recipientId },
+      sender_action: action
+    },
+    {
+      headers: {
+        Authorization: `Bearer ${token}`
+      }
+    }
+  );
+};
+
+/**
+ * Reply publicly under a comment. Facebook uses /{comment-id}/comments, Instagram /{comment-id}/replies.
+ */
+const replyToComment = async (platform, commentId, messageText, token) => {
+  const edge = platform === 'instagram' ? 'replies' : 'comments';
+  try {
+    console.log(`💬 Replying publicly to ${platform} comment ${commentId}`);
+    await axios.post(
+      `https://graph.facebook.com/v19.0/${commentId}/${edge}`,
+      { message: messageText },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    console.log(`✅ Public reply posted on comment ${commentId}`);
+  } catch (err) {
+    console.error(`❌ Public reply error on comment ${commentId}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Send a private reply: one DM to the author of a comment, which opens a normal conversation
+ */
+const sendPrivateReply = async (commentId, messageText, token) => {
+  try {
+    console.log(`✉️ Sending private reply to comment ${commentId}`);
+    const response = await axios.post(
+      'https://graph.facebook.com/v19.0/me/messages',
+      {
+        recipient: { comment_id: commentId },
+        message: { text: messageText }
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    console.log(`✅ Private reply sent for comment ${commentId}`);
+    return response.data;
+  } catch (err) {
+    console.error(`❌ Private reply error for comment ${commentId}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+// Page webhook fields the channel adapters handle (services/channels/meta.js); `feed` carries post comments
+const PAGE_WEBHOOK_FIELDS = ['messages', 'messaging_postbacks', 'message_deliveries', 'message_reads', 'feed'];
+
+/**
+ * Subscribe the app to a Page's webhooks. Needs a Page token with pages_manage_metadata.
+ * Instagram accounts are reached through their linked Page.
+ */
+const subscribePageWebhooks = async (pageId, token) => {
+  try {
+    console.log(`🔔 Subscribing page ${pageId} to webhooks: ${PAGE_WEBHOOK_FIELDS.join(', ')}`);
+    await axios.post(
+      `https://graph.facebook.com/v19.0/${pageId}/subscribed_apps`,
+      null,
+      {
+        params: { subscribed_fields: PAGE_WEBHOOK_FIELDS.join(',') },
+        headers: {
+          Authorization: `Bearer ${token}`
+        }
+      }
+    );
+    console.log(`✅ Page ${pageId} subscribed to webhooks`);
+  } catch (err) {
+    console.error(`❌ Webhook subscription error for page ${pageId}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+module.exports = {
+  sendMessengerMessage,
+  sendInstagramMessage,
+  sendMetaAttachment,
+  sendMetaAudio,
+  sendMetaGenericTemplate,
+  sendMetaQuickReplies,
+  sendSenderAction,
+  replyToComment,
+  sendPrivateReply,
+  subscribePageWebhooks
+};
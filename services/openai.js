@@ -1,94 +1,130 @@
-const axios = require('axios');
 const path = require('path');
 const { getBusinessInfo } = require('./business');
 const { matchFAQSmart } = require('./modelMatcher');
 const { logConversation, logError, logAnalyticsEvent } = require('./advancedLogger');
 const { trackUsage } = require('../utils/trackUsage');
-const { 
-  buildProductDatabase,
-  formatProductDatabaseForAI,
-  groupProductsByCategory
-} = require('./catalogBuilder');
+const { buildProductDatabase } = require('./catalogBuilder');
 const { updateSession, getSessionHistory, getSessionSummary } = require('./sessionManager');
-const {
-  getActiveOrder,
-
-} = require('./orderManager');
-const { getMissingInfo, isOrderFlowComplete } = require('../models/Order');
-const { processAIOrderActions } = require('./AiOrder');
+const orderManager = require('./orderManager');
+const { createSandboxOrders } = require('./sandboxOrders');
+const { getMissingInfo, isOrderFlowComplete, getOrderPlatform } = require('../models/Order');
+const { ORDER_TOOLS, createOrderToolExecutor } = require('./orderTools');
+const { extractInteractiveAction, buildInteractiveFromAction } = require('./interactiveMessages');
+const { extractProductAttachmentActions, buildProductAttachments } = require('./productAttachments');
+const { completeWithTools } = require('./llm');
 const { 
   getBusinessAdvancedSettings, 
-  applyAdvancedSettingsToPrompt,
   isFeatureEnabled,
   isChannelEnabled 
 } = require('./advancedSettingsService');
+const { buildCatalogPrompt, buildSystemPrompt } = require('./promptBuilder');
+const { getPromptConfig, compileCustomPrompt } = require('./customPrompt');
+const { applyHandoff } = require('./handoff');
 
+const ACTIONS_OPEN = '[AI_ORDER_ACTIONS]';
+const ACTIONS_CLOSE = '[/AI_ORDER_ACTIONS]';
 
+// Length of the longest end of `text` that could still grow into `marker`
+const partialMarkerLength = (text, marker) => {
+  for (let length = Math.min(text.length, marker.length - 1); length > 0; length--) {
+    if (marker.startsWith(text.slice(-length))) return length;
+  }
+  return 0;
+};
 
-const replyTimeouts = new Map();
-const pendingMessages = new Map();
+// Forward streamed text to onText with [AI_ORDER_ACTIONS] (display command) blocks removed as they arrive
+const createActionBlockFilter = (onText) => {
+  let buffer = '';
+  let inBlock = false;
 
-// Function to split long messages into chunks of max 900 characters
-const splitLongMessage = (message, maxLength = 900) => {
-  if (message.length <= maxLength) {
-    return [message];
-  }
+  const emit = (text) => {
+    if (text) onText(text);
+  };
 
-  const chunks = [];
-  let currentChunk = '';
-  
-  // Split by sentences first (. ! ?)
-  const sentences = message.split(/(?<=[.!?])\s+/);
-  
-  for (const sentence of sentences) {
-    // If adding this sentence would exceed the limit
-    if (currentChunk.length + sentence.length + 1 > maxLength) {
-      // If current chunk is not empty, save it
-      if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
-        currentChunk = '';
-      }
-      
-      // If the sentence itself is too long, split by words
-      if (sentence.length > maxLength) {
-        const words = sentence.split(' ');
-        for (const word of words) {
-          if (currentChunk.length + word.length + 1 > maxLength) {
-            if (currentChunk.trim()) {
-              chunks.push(currentChunk.trim());
-              currentChunk = '';
-            }
+  return {
+    push(delta) {
+      buffer += delta;
+
+      while (buffer) {
+        if (inBlock) {
+          const end = buffer.indexOf(ACTIONS_CLOSE);
+          if (end === -1) {
+            // Drop the block's content, keeping only what could be the start of the closing marker
+            buffer = buffer.slice(buffer.length - partialMarkerLength(buffer, ACTIONS_CLOSE));
+            return;
           }
-          currentChunk += (currentChunk ? ' ' : '') + word;
+          buffer = buffer.slice(end + ACTIONS_CLOSE.length);
+          inBlock = false;
+          continue;
         }
-      } else {
-        currentChunk = sentence;
+
+        const start = buffer.indexOf(ACTIONS_OPEN);
+        if (start !== -1) {
+          emit(buffer.slice(0, start));
+          buffer = buffer.slice(start + ACTIONS_OPEN.length);
+          inBlock = true;
+          continue;
+        }
+
+        const held = partialMarkerLength(buffer, ACTIONS_OPEN);
+        emit(buffer.slice(0, buffer.length - held));
+        buffer = buffer.slice(buffer.length - held);
+        return;
       }
-    } else {
-      currentChunk += (currentChunk ? ' ' : '') + sentence;
+    },
+    flush() {
+      if (!inBlock) emit(buffer);
+      buffer = '';
     }
+  };
+};
+
+// The display commands of a reply's [AI_ORDER_ACTIONS] block, one per line
+const extractDisplayCommands = (text) => {
+  const block = text.match(/\[AI_ORDER_ACTIONS\](.*?)\[\/AI_ORDER_ACTIONS\]/s);
+  return block ? block[1].split('\n').map(line => line.trim()).filter(Boolean) : [];
+};
+
+const parseToolArguments = (args) => {
+  try {
+    return JSON.parse(args);
+  } catch (_) {
+    return args;
   }
-  
-  // Add the last chunk if it exists
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
-  }
-  
-  return chunks;
 };
 
-const generateReply = async (senderId, userMessage, metadata = {}) => {
+// What a dry run reports besides the reply
+const dryRunReport = ({ systemPrompt = null, completion = null, cart = null, error = null } = {}) => ({
+  systemPrompt,
+  toolCalls: (completion?.toolCalls || []).map(({ name, arguments: args, result }) => ({ name, arguments: parseToolArguments(args), result })),
+  displayCommands: completion ? extractDisplayCommands(completion.text) : [],
+  usage: completion?.usage || null,
+  model: completion ? `${completion.provider}:${completion.model}` : null,
+  cart,
+  ...(error && { error })
+});
+
+/**
+ * Answer a customer message. With options.onDelta (website streaming), the AI layer's text is
+ * forwarded as it is generated, action blocks stripped; the result is the same as without it.
+ * Cart changes happen through order tool calls (services/orderTools.js) while the reply is generated.
+ * options.dryRun = { business, history, cart } runs the same layers for the merchant's sandbox without
+ * leaving a trace: no usage, logs, conversation memory or handoff, and the order tools work on an
+ * in-memory cart (services/sandboxOrders.js). The conversation so far comes from history
+ * ([{ role, content }]), and the result gets a `dryRun` report (system prompt, tool calls, usage, cart).
+ */
+const generateReply = async (senderId, userMessage, metadata = {}, { onDelta, dryRun = null } = {}) => {
   const start = Date.now();
-  const { phone_number_id, page_id, domain, instagram_account_id, shop } = metadata;
+  const { phone_number_id, page_id, domain, instagram_account_id, telegram_bot_id, tiktok_account_id, shop } = metadata;
 
-  if (!phone_number_id && !page_id && !domain && !instagram_account_id && !shop) {
+  if (!phone_number_id && !page_id && !domain && !instagram_account_id && !telegram_bot_id && !tiktok_account_id && !shop) {
     await logError(
       new Error('Missing identifiers for generateReply'),
       {
         senderId,
         businessId: null,
         endpoint: 'generateReply',
-        requestData: { phone_number_id, page_id, domain, instagram_account_id, shop },
+        requestData: { phone_number_id, page_id, domain, instagram_account_id, telegram_bot_id, tiktok_account_id, shop },
         severity: 'warning',
         category: 'validation'
       }
@@ -96,19 +132,25 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
     throw new Error('Unsupported metadata or missing identifiers');
   }
 
-  const business = await getBusinessInfo({ phone_number_id, page_id, domain, instagram_account_id, shop });
+  const business = dryRun?.business || await getBusinessInfo({ phone_number_id, page_id, domain, instagram_account_id, telegram_bot_id, tiktok_account_id, shop });
+
+  // Dry runs leave no trace
+  const logTurn = dryRun ? async () => {} : logConversation;
+  const saveTurn = dryRun ? async () => {} : updateSession;
+
+  // Detect current channel
+  let currentChannel = 'unknown';
+  if (phone_number_id) currentChannel = 'whatsapp';
+  else if (page_id) currentChannel = 'messenger';
+  else if (instagram_account_id) currentChannel = 'instagram';
+  else if (telegram_bot_id) currentChannel = 'telegram';
+  else if (tiktok_account_id) currentChannel = 'tiktok';
+  else if (domain || shop) currentChannel = 'website';
 
   // 🚫 CHANNEL RESTRICTION CHECK - Completely ignore disabled channels
   try {
     const advancedSettings = await getBusinessAdvancedSettings(business._id || business.id);
     
-    // Detect current channel
-    let currentChannel = 'unknown';
-    if (phone_number_id) currentChannel = 'whatsapp';
-    else if (page_id) currentChannel = 'messenger';
-    else if (instagram_account_id) currentChannel = 'instagram';
-    else if (domain || shop) currentChannel = 'website';
-    
     // Check if channel is enabled - if not, completely ignore the message
     if (!isChannelEnabled(advancedSettings, currentChannel)) {
       console.log(`🚫 Channel ${currentChannel} is DISABLED for business ${business._id || business.id} - completely ignoring message`);
@@ -122,6 +164,32 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
     console.error('⚠️ Error checking channel restrictions, allowing message:', error.message);
   }
 
+  // Conversation memory lives in MongoDB (services/sessionManager.js)
+  const conversationKey = { businessId: business._id || business.id, platform: currentChannel, customerId: senderId };
+
+  // 🙋 HUMAN HANDOFF - stay quiet while a merchant handles the conversation (services/handoff.js)
+  try {
+    const handoff = await applyHandoff(business, conversationKey, userMessage, { dryRun: Boolean(dryRun) });
+    if (handoff.mode === 'human') {
+      await saveTurn(conversationKey, 'user', userMessage);
+      if (!handoff.notice) {
+        console.log(`🙋 ${currentChannel} conversation ${senderId} is handled by a human - not replying`);
+        return undefined;
+      }
+
+      await saveTurn(conversationKey, 'assistant', handoff.notice);
+      return {
+        reply: handoff.notice,
+        source: 'handoff',
+        layer_used: 'handoff',
+        duration: Date.now() - start,
+        ...(dryRun && { dryRun: dryRunReport() })
+      };
+    }
+  } catch (error) {
+    console.error('⚠️ Error checking human handoff, answering with the bot:', error.message);
+  }
+
   // 🛡️ Plan/access check
   const { checkAccess } = require('../utils/businessPolicy');
   const access = checkAccess(business, { messages: true, feature: 'aiReplies' });
@@ -131,7 +199,7 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
     const reason = access.reasons.join(', ');
     const fallbackMessage = '🚫 Your access is restricted. Please contact support.';
 
-    await logConversation({
+    await logTurn({
       senderId,
       businessId: business.id,
       businessName: business.name,
@@ -145,12 +213,16 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
       isFirstMessage: false,
       errors: access.reasons
     });
+    // Keep the exchange in the conversation so the inbox shows it
+    await saveTurn(conversationKey, 'user', userMessage);
+    await saveTurn(conversationKey, 'assistant', fallbackMessage);
 
     return {
       reply: fallbackMessage,
       source: 'policy',
       layer_used: 'plan_check',
-      duration: 0
+      duration: 0,
+      ...(dryRun && { dryRun: dryRunReport() })
     };
   }
 
@@ -159,7 +231,7 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
   const faqAnswer = matchFAQSmart(userMessage, business.faqs || []);
   if (faqAnswer) {
     const duration = Date.now() - start;
-    await logConversation({
+    await logTurn({
       senderId,
       businessId: business.id,
       businessName: business.name,
@@ -168,22 +240,28 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
       responseSource: 'faq',
       layer: 'faq',
       duration,
-      platform: phone_number_id ? 'whatsapp' : page_id ? 'facebook' : instagram_account_id ? 'instagram' : 'unknown',
+      platform: phone_number_id ? 'whatsapp' : page_id ? 'facebook' : instagram_account_id ? 'instagram' : telegram_bot_id ? 'telegram' : tiktok_account_id ? 'tiktok' : 'unknown',
       messageType: 'text',
       isFirstMessage: false,
       intent: 'faq_match'
     });
-    return { reply: faqAnswer, source: 'faq', layer_used: 'faq', duration };
+    await saveTurn(conversationKey, 'user', userMessage);
+    await saveTurn(conversationKey, 'assistant', faqAnswer);
+    return { reply: faqAnswer, source: 'faq', layer_used: 'faq', duration, ...(dryRun && { dryRun: dryRunReport() }) };
   }
     
 
   // Save user message
-  updateSession(senderId, 'user', userMessage);
+  await saveTurn(conversationKey, 'user', userMessage);
 
   // Get history for context
-  const memorySummary = getSessionSummary(senderId);
-  const history = getSessionHistory(senderId).map(({ role, content, timestamp }) => ({ 
-    role, 
+  const memorySummary = dryRun ? '' : await getSessionSummary(conversationKey);
+  const sessionHistory = dryRun
+    ? [...dryRun.history, { role: 'user', content: userMessage, timestamp: new Date().toISOString() }]
+    : await getSessionHistory(conversationKey);
+  // Replies the shop team sent from the inbox are the business speaking, so they go in as assistant turns
+  const history = sessionHistory.map(({ role, content, timestamp }) => ({ 
+    role: role === 'agent' ? 'assistant' : role, 
     content: role === 'user' ? `[Time: ${timestamp || 'unknown'}] ${content}` : content
   }));
 
@@ -192,15 +270,16 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
   let productDatabase = [];
   let formattedProductData = '';
   let categoryOverview = '';
+  let catalogNote = '';
   
   // 🛒 AI-POWERED ORDER FLOW HANDLING - Only if business has products
   let orderContext = '';
   let currentOrder = null;
+  let executeTool = null;
+  let sandboxOrders = null;
   
   if (hasProducts) {
     productDatabase = buildProductDatabase(business.products);
-    formattedProductData = formatProductDatabaseForAI(productDatabase);
-    categoryOverview = groupProductsByCategory(productDatabase);
     
     
     if (productDatabase.length > 0) {
@@ -213,14 +292,22 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
       });
     }
     
-    // Determine platform from metadata
-    let platform = 'whatsapp'; // default
-    if (page_id) platform = 'facebook';
-    if (instagram_account_id) platform = 'instagram';
+    // Orders are keyed by channel, the same way list/button selections and shared locations key them
+    const platform = getOrderPlatform(currentChannel);
+
+    // A dry run's cart only lives in memory
+    if (dryRun) {
+      sandboxOrders = createSandboxOrders(productDatabase, dryRun.cart);
+      await sandboxOrders.seedCart(senderId, business._id || business.id, platform);
+    }
+    const orders = sandboxOrders || orderManager;
+
+    // Tools edit the same order the context below describes
+    executeTool = createOrderToolExecutor({ senderId, businessId: business._id || business.id, platform, productDatabase, orders });
     
     try {
       // Get current order if exists
-      currentOrder = await getActiveOrder(senderId, business._id || business.id, platform);
+      currentOrder = await orders.getActiveOrder(senderId, business._id || business.id, platform);
       
       // Build order context for AI
       orderContext = `\n\n=== ORDER CONTEXT ===\n`;
@@ -253,237 +340,24 @@ const generateReply = async (senderId, userMessage, metadata = {}) => {
       console.error('Error handling order context:', error);
       orderContext = '\n\n=== ORDER CONTEXT ===\nError loading order information.\n=== END ORDER CONTEXT ===\n';
     }
+
+    // 🔎 Large catalogs: only the products relevant to the conversation go into the prompt
+    // The session already holds the current message
+    const recentUserMessages = sessionHistory.filter(m => m.role === 'user').slice(-3).map(m => m.content);
+    ({ formattedProductData, categoryOverview, catalogNote } = buildCatalogPrompt(business._id || business.id, productDatabase, {
+      query: recentUserMessages.join('\n'),
+      cartProductIds: currentOrder?.items.map(item => item.productId) || []
+    }));
   }
 
-  // Build dynamic system prompt based on whether business has products
-  const basePrompt = `
-You are Moaawen, the helpful assistant for ${business.name} in Lebanon.
-
-**CRITICAL LANGUAGE INSTRUCTION**
-Analyze the user's most recent message and respond in the EXACT SAME LANGUAGE and dialect they used:
-- If they wrote in English → respond in English
-- If they wrote in Arabic → respond in Arabic using Arabic script
-- If they wrote in Lebanese dialect → respond in Lebanese dialect using Arabic script
-- If they wrote in Arabizi → respond in Lebanese Arabic using Arabic script
-- Match their tone, formality, and style naturally
-
-IGNORE all previous conversation languages - only focus on their current message language.
-
-**Memory Handling**
-- Use conversation history and memory summary as context to respond accurately
-- Refer back to previous user messages when relevant
-- If a question was already answered, use that information
-- Don't repeat the same questions unnecessarily
-
-📞 **Contact Details**
-- Phone: ${business.contact?.phone || 'N/A'}
-- Email: ${business.contact?.email || 'N/A'}
-- WhatsApp: ${business.contact?.whatsapp || 'N/A'}
-- Instagram: ${business.contact?.instagram || 'N/A'}
-
-⚙️ **Description, Services, Benefits & Features**
-${business.description || 'N/A'}
-
-🌐 **Website**
-${business.website || 'N/A'}`;
-
-  // Add product-specific content only if products exist
-  const productPrompt = hasProducts ? `
-
----
-
-### **COMPLETE PRODUCT DATABASE**
-${formattedProductData}
-
-### **CATEGORY OVERVIEW**
-${categoryOverview}
-
-**AI PRODUCT INTELLIGENCE INSTRUCTIONS:**
-
-You have COMPLETE access to all product and variant data above. Use your intelligence to:
-
-1. **Understand ANY query about products/variants**:
-   - Colors, sizes, materials, prices, availability
-   - Product comparisons, recommendations
-   - Category browsing, specific searches
-   - Stock availability, pricing questions
-   - IMPORTANT: never say in stock and out of stock. just show whats availble and dont say anything about out of stock products
-
-2. **Handle ALL languages naturally**:
-   - Arabic: "عندك قميص أحمر مقاس متوسط؟"
-   - English: "Do you have a red shirt in medium?"
-   - Lebanese: "fi 3andak qamis a7mar medium?"
-   - Mixed: "عندك هاي ال shirt بالblue؟"
-
-3. **Provide intelligent responses**:
-   - Exact matches when available
-   - Smart alternatives when requested item unavailable
-   - Category recommendations
-   - Price comparisons
-
-4. **Format responses beautifully**:
-   - Use emojis and clear structure
-   - Show prices, discounts, stock status
-   - Group related items logically
-   - Make it scannable and attractive
-
-5. **Be contextually smart**:
-   - For general queries → show overview/categories
-   - For specific queries → show exact matches
-   - For browsing → show relevant selections
-   - For comparisons → highlight differences
-
-**PRODUCT-SPECIFIC RULES:**
-1. **Always check stock status** before confirming availability
-2. **Show prices clearly** including any discounts
-3. **Suggest alternatives** if exact request unavailable  
-4. **Be conversational and helpful** - don't just list data
-5. **Format beautifully** with emojis and structure
-6. **Never say in stock or out of stock** 
-
----
-
-### **🛒 STREAMLINED ORDER CONVERSATION FLOW**
-
-**EFFICIENT ORDER HANDLING APPROACH:**
-You are a helpful assistant who can efficiently guide customers through purchases without excessive confirmations.
-
-**1. SMART ORDER DETECTION:**
-When customers express buying intent, immediately help them complete their order:
-- English: "I want", "I'd like to buy", "can I order", "how do I get", "add to cart"
-- Arabic: "بدي اشتري", "كيف اطلب", "ممكن احصل على", "بدي"
-- Lebanese: "bade ishtare", "kif adar otlob", "bade"
-
-**2. IMMEDIATE ACTION APPROACH:**
-When customers show buying intent:
-- **Add products immediately** - don't ask for confirmation unless unclear
-- **Collect info as you go** - ask for name, phone, address naturally in conversation
-- **Move forward confidently** - trust customer intent and act on it
-- **Avoid repetitive confirmations** - one confirmation is enough
-
-**3. STREAMLINED ORDER FLOW:**
-- **Step 1**: Customer says they want something → Add it immediately + ask what else they need
-- **Step 2**: Collect delivery info naturally in conversation
-- **Step 3**: Summarize order and complete it - don't ask "are you sure" multiple times
-
-**4. CONFIDENCE RULES:**
-- **Trust customer intent** - if they say they want it, add it
-- **Ask once, act on answer** - don't re-confirm repeatedly  
-- **Be decisive** - help them complete their order efficiently
-- **Only ask for clarification** when genuinely unclear about what they want
-
-**5. AI ORDER ACTIONS FORMAT:**
-When you need to perform order actions, use these specific action commands at the end of your response:
-
-**CRITICAL: UNDERSTAND PRODUCT vs VARIANT IDs**
-- Each product has a main PRODUCT_ID (e.g., "8057184747709")  
-- Each product has multiple VARIANT_IDs (e.g., "45292206129341", "45292206129342")
-- NEVER use the same ID for both productId and variantId
-- ALWAYS use: ADD_PRODUCT: PRODUCT_ID, VARIANT_ID, quantity
-
-**Available Action Commands:**
-- ADD_PRODUCT: productId, variantId, quantity
-- UPDATE_INFO: name="value", phone="value", address="value"  
-- CONFIRM_ORDER: true
-- CANCEL_ORDER: true
-
-**Format Rules:**
-- Wrap all actions in: [AI_ORDER_ACTIONS] ... [/AI_ORDER_ACTIONS]
-- Use EXACT product and variant IDs from the product database above
-- Copy the IDs exactly as shown in the database - DO NOT modify or guess
-- One action per line within the action block
-- Actions are executed automatically after your response
-
-**EXAMPLE - CORRECT FORMAT:**
-[AI_ORDER_ACTIONS]
-ADD_PRODUCT: 8057184747709, 45292206129341, 2
-UPDATE_INFO: name="John", phone="03123456"
-[/AI_ORDER_ACTIONS]
-
-**WRONG - DO NOT DO THIS:**
-[AI_ORDER_ACTIONS]
-ADD_PRODUCT: 8057184747709, 8057184747709, 2  ← WRONG: Same ID used twice
-[/AI_ORDER_ACTIONS]
-
-**6. CONVERSATION EXAMPLES:**
-
-**Efficient Order Handling:**
-
-Customer: "What colors do you have for this shirt?"
-AI: "Great question! 😊 This shirt comes in blue, red, pink, and black. The blue is particularly popular. Which color would you like?"
-
-Customer: "بدي القميص الأحمر"
-AI: "ممتاز! 😊 أضفت القميص الأحمر لطلبك. أي مقاس تفضل؟ عنا S, M, L, XL"
-[AI_ORDER_ACTIONS]
-ADD_PRODUCT: {product_id_from_database}, {red_variant_id_from_database}, 1
-[/AI_ORDER_ACTIONS]
-
-Customer: "Medium please"
-AI: "مثالي! القميص الأحمر مقاس M أضفته لطلبك. شو اسمك ورقم تلفونك للتوصيل؟"
-[AI_ORDER_ACTIONS]
-ADD_PRODUCT: {product_id_from_database}, {red_medium_variant_id_from_database}, 1
-[/AI_ORDER_ACTIONS]
-
-Customer: "I want to buy the blue hoodie"
-AI: "Perfect! 😊 I've added the blue hoodie to your order. What size would you like? We have S, M, L, XL available."
-[AI_ORDER_ACTIONS]
-ADD_PRODUCT: {product_id_from_database}, {blue_variant_id_from_database}, 1
-[/AI_ORDER_ACTIONS]
-
-Customer: "My name is John, phone 03-123-456"
-AI: "Thanks John! 😊 Just need your delivery address and we'll have your order ready."
-[AI_ORDER_ACTIONS]
-UPDATE_INFO: name="John", phone="03-123-456"
-[/AI_ORDER_ACTIONS]
-
-Customer: "Beirut, Hamra street"
-AI: "Perfect! 🎉 Your order is complete:\n- Blue hoodie (Medium) - $25\nTotal: $25\nDelivery to: Beirut, Hamra street\n\nWe'll process this right away!"
-[AI_ORDER_ACTIONS]
-UPDATE_INFO: address="Beirut, Hamra street"
-CONFIRM_ORDER: true
-[/AI_ORDER_ACTIONS]
-
-**7. ACTION-ORIENTED INTERACTION RULES:**
-- **Be confident and helpful**: When customers want something, help them get it quickly
-- **Act on clear intent**: If they say they want to buy, start the order process immediately
-- **Minimize confirmations**: Don't ask "are you sure?" multiple times - trust their intent
-- **Flow naturally**: Collect info as part of natural conversation, not formal interrogation
-- **Complete orders efficiently**: Guide them from interest to completed order smoothly
-- **Only clarify when unclear**: Ask questions only when you genuinely don't understand their request
-- **Show enthusiasm**: Be excited to help them complete their purchase` : `
-
-**NO PRODUCTS AVAILABLE**
-This business does not currently have products in their catalog. Focus on:
-- Answering questions about services
-- Providing contact information
-- Explaining business description and offerings
-- Directing customers to contact directly for product inquiries`;
-
-  // Add general rules that apply to all businesses
-  const generalRules = `
-
-**EFFICIENT INTERACTION PRINCIPLES:**
-1. **Decisive Action**: When customers express buying intent, act immediately to help them
-2. **Trust Customer Intent**: If they say they want something, believe them and proceed
-3. **Minimize Friction**: Reduce unnecessary confirmations and questions
-4. **Smooth Flow**: Guide from interest → selection → info collection → completion
-5. **Natural Efficiency**: Be helpful and fast without being robotic
-
-**GENERAL RULES:**
-1. **Scope**: Only answer questions about the business, its ${hasProducts ? 'products, ' : ''}services, or general operations
-2. **Greetings**: For casual greetings, respond warmly and be genuinely welcoming
-3. **Irrelevant Questions**: For unrelated topics, politely redirect to business-related questions with a smile
-4. **Response Style**: Be conversational, helpful, warm, and use emojis naturally
-5. **Language Consistency**: Always match the user's language and dialect exactly
-6. **No Pressure**: Never make customers feel obligated to buy anything${hasProducts ? '' : '\n7. **Product Queries**: If asked about products, explain that the business doesn\'t have an online catalog and provide contact information'}`;
-
-  // 🎨 APPLY ADVANCED SETTINGS TO AI BEHAVIOR
-  let enhancedBasePrompt = basePrompt + productPrompt + generalRules;
+  // WhatsApp renders product/variant choices as tappable lists and buttons
+  const supportsInteractive = Boolean(phone_number_id);
+
+  // 🎨 Advanced settings and the business's own persona/instructions shape the prompt
+  let advancedSettings = null;
   try {
-    const advancedSettings = await getBusinessAdvancedSettings(business._id || business.id);
+    advancedSettings = await getBusinessAdvancedSettings(business._id || business.id);
     if (advancedSettings) {
-      enhancedBasePrompt = applyAdvancedSettingsToPrompt(advancedSettings, enhancedBasePrompt);
-      
       // Log that advanced settings are being applied
       console.log('Applied advanced settings for business:', business._id || business.id, {
         tone: advancedSettings.aiPersonality?.tone,
@@ -498,9 +372,23 @@ This business does not currently have products in their catalog. Focus on:
     // Continue with base prompt if advanced settings fail
   }
 
+  let customPrompt = null;
+  try {
+    customPrompt = await compileCustomPrompt(business._id || business.id, getPromptConfig(business));
+  } catch (customPromptError) {
+    console.error('Error loading custom prompt:', customPromptError);
+  }
+
   const systemPrompt = {
     role: 'system',
-    content: enhancedBasePrompt.trim()
+    content: buildSystemPrompt({
+      business,
+      hasProducts,
+      catalog: { formattedProductData, categoryOverview, catalogNote },
+      supportsInteractive,
+      advancedSettings,
+      customPrompt
+    })
   };
 
 
@@ -512,36 +400,37 @@ This business does not currently have products in their catalog. Focus on:
   ];
 
   try {
-     const response = await axios.post('https://api.openai.com/v1/responses', {
-  model: 'gpt-5-mini',
-  input: messages,   
-  reasoning: { effort: "medium" }, 
-  max_output_tokens: 1600,   
-    text: {
-    verbosity: "low"   
-  }
+    // Model chain per business/plan with fallback and circuit breaker (services/llm)
+    const actionFilter = onDelta && createActionBlockFilter(onDelta);
+    const completion = await completeWithTools({
+      input: messages,
+      tools: executeTool ? ORDER_TOOLS : undefined,
+      maxOutputTokens: 1600,
+      reasoningEffort: 'medium'
+    }, { business, executeTool, onDelta: actionFilter && ((delta) => actionFilter.push(delta)) });
+    actionFilter?.flush();
+    const replyText = completion.text;
 
-}, {
-      headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }
-    });
-
-    const replyText = response.data.output
-  ?.flatMap(o => o.content || [])
-  .filter(c => c.type === "output_text")
-  .map(c => c.text)
-  .join(" ")
-  .trim();
-  
     // Remove AI action commands from user-facing response
     const cleanReplyText = replyText.replace(/\[AI_ORDER_ACTIONS\].*?\[\/AI_ORDER_ACTIONS\]/gs, '').trim();
     
-    // Split long messages into multiple chunks if needed
-    const messageChunks = splitLongMessage(cleanReplyText, 900);
+    // 👆 Interactive product/variant choice requested by the model (WhatsApp)
+    // A reply over the 1024-char body limit goes out as text before the default list body
+    const interactive = supportsInteractive && hasProducts
+      ? buildInteractiveFromAction(extractInteractiveAction(replyText), productDatabase, {
+        body: cleanReplyText.length <= 1024 ? cleanReplyText : undefined
+      })
+      : null;
+
+    // 🖼️ Product photos/cards requested by the model, rendered natively by each channel
+    const attachments = hasProducts
+      ? buildProductAttachments(productDatabase, extractProductAttachmentActions(replyText))
+      : [];
     
     const duration = Date.now() - start;
-    const platform = phone_number_id ? 'whatsapp' : page_id ? 'facebook' : instagram_account_id ? 'instagram' : 'unknown';
+    const platform = phone_number_id ? 'whatsapp' : page_id ? 'facebook' : instagram_account_id ? 'instagram' : telegram_bot_id ? 'telegram' : tiktok_account_id ? 'tiktok' : 'unknown';
 
-    await logConversation({
+    await logTurn({
       senderId,
       businessId: business.id,
       businessName: business.name,
@@ -551,53 +440,39 @@ This business does not currently have products in their catalog. Focus on:
       layer: 'ai',
       intent: 'general',
       duration,
-      tokens: response.data.usage || {},
+      tokens: completion.usage,
+      model: `${completion.provider}:${completion.model}`,
+      toolCalls: completion.toolCalls.map(({ name, arguments: args, result }) => ({ name, arguments: args, ok: result?.ok !== false, error: result?.error })),
       platform,
       messageType: 'text',
       isFirstMessage: false,
-      messageChunks: messageChunks.length > 1 ? messageChunks.length : undefined,
       productMentions: hasProducts ? extractProductMentions(cleanReplyText, productDatabase) : [],
       conversionIntent: detectConversionIntent(userMessage, cleanReplyText),
       userSatisfaction: estimateUserSatisfaction(cleanReplyText)
     });
 
-    await trackUsage(business._id, 'message');
-    
+    if (!dryRun) await trackUsage(business._id, 'message');
 
-    // 🤖 AI-POWERED ORDER POST-PROCESSING - Use original response with actions
-    try {
-      await processAIOrderActions(senderId, business._id || business.id, userMessage, replyText, productDatabase);
-    } catch (orderError) {
-      console.error('Error processing AI order actions:', orderError);
-    }
-
-    updateSession(senderId, 'assistant', cleanReplyText);
+    await saveTurn(conversationKey, 'assistant', cleanReplyText);
     
-    // Return multiple messages if the response was split
-    if (messageChunks.length > 1) {
-      return { 
-        reply: messageChunks, 
-        source: 'ai', 
-        layer_used: 'ai', 
-        duration,
-        isMultiMessage: true 
-      };
-    } else {
-      return { 
-        reply: cleanReplyText, 
-        source: 'ai', 
-        layer_used: 'ai', 
-        duration 
-      };
-    }
+    // Channel formatting and splitting happen in services/messageRenderer.js
+    return { 
+      reply: cleanReplyText, 
+      source: 'ai', 
+      layer_used: 'ai', 
+      duration,
+      ...(interactive && { interactive }),
+      ...(attachments.length && { attachments }),
+      ...(dryRun && { dryRun: dryRunReport({ systemPrompt: systemPrompt.content, completion, cart: sandboxOrders?.getCart() || null }) })
+    };
   } catch (err) {
     const duration = Date.now() - start;
     const errMsg = err?.response?.data?.error?.message || err.message;
-    const platform = phone_number_id ? 'whatsapp' : page_id ? 'facebook' : instagram_account_id ? 'instagram' : 'unknown';
+    const platform = phone_number_id ? 'whatsapp' : page_id ? 'facebook' : instagram_account_id ? 'instagram' : telegram_bot_id ? 'telegram' : tiktok_account_id ? 'tiktok' : 'unknown';
 
     const fallbackReply = "Sorry, I'm having trouble right now. Please try again or contact us directly.";
 
-    await logError(err, {
+    if (!dryRun) await logError(err, {
       senderId,
       businessId: business.id,
       platform,
@@ -607,7 +482,7 @@ This business does not currently have products in their catalog. Focus on:
       requestData: { userMessage, metadata }
     });
 
-    await logConversation({
+    await logTurn({
       senderId,
       businessId: business.id,
       businessName: business.name,
@@ -622,57 +497,16 @@ This business does not currently have products in their catalog. Focus on:
       errors: [errMsg]
     });
 
-    return { reply: fallbackReply, source: 'error', layer_used: 'error', duration };
+    return {
+      reply: fallbackReply,
+      source: 'error',
+      layer_used: 'error',
+      duration,
+      ...(dryRun && { dryRun: dryRunReport({ systemPrompt: systemPrompt.content, cart: sandboxOrders?.getCart() || null, error: errMsg }) })
+    };
   }
 };
 
-const scheduleBatchedReply = (senderId, userMessage, metadata, onReply) => {
-  if (!pendingMessages.has(senderId)) pendingMessages.set(senderId, []);
-  pendingMessages.get(senderId).push(userMessage);
-
-  if (replyTimeouts.has(senderId)) clearTimeout(replyTimeouts.get(senderId));
-
-  const timeout = setTimeout(async () => {
-    const allMessages = pendingMessages.get(senderId).join('\n');
-    pendingMessages.delete(senderId);
-    replyTimeouts.delete(senderId);
-
-    const result = await generateReply(senderId, allMessages, metadata);
-    
-    // If result is null/undefined (channel disabled), don't send any response
-    if (!result) {
-      console.log(`🚫 No response sent for ${senderId} - message completely ignored`);
-      return;
-    }
-    
-    // Handle multiple messages if response was split
-    if (result.isMultiMessage && Array.isArray(result.reply)) {
-      // Send each message chunk with a small delay
-      for (let i = 0; i < result.reply.length; i++) {
-        const messageChunk = result.reply[i];
-        const chunkResult = {
-          ...result,
-          reply: messageChunk,
-          isMultiMessage: false,
-          chunkIndex: i + 1,
-          totalChunks: result.reply.length
-        };
-        
-        if (i > 0) {
-          // Add a small delay between messages to ensure proper delivery order
-          await new Promise(resolve => setTimeout(resolve, 1000));
-        }
-        
-        onReply(chunkResult);
-      }
-    } else {
-      onReply(result);
-    }
-  }, 10000);
-
-  replyTimeouts.set(senderId, timeout);
-};
-
 // Helper methods for enhanced logging
 const extractProductMentions = (message, productDatabase) => {
   if (!message || !productDatabase) return [];
@@ -719,6 +553,6 @@ const estimateUserSatisfaction = (aiReply) => {
 };
 
 
-module.exports = { generateReply, scheduleBatchedReply };
+module.exports = { generateReply };
 
 
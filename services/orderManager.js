@@ -379,6 +379,11 @@ async function updateCustomerInfo(customerId, businessId, customerData, platform
       updateFields['orderFlow.collectedInfo.hasAddress'] = true;
     }
 
+    if (customerData.location) {
+      order.customer.location = customerData.location;
+      updateFields['customer.location'] = customerData.location;
+    }
+
     if (customerData.email) {
       order.customer.email = customerData.email;
       updateFields['customer.email'] = customerData.email;
@@ -0,0 +1,147 @@
+// services/orderNotifications.js
+// Merchant-triggered order updates (shipped, delivered) sent to the customer on the order's channel.
+// Inside the 24h customer window a free-form text is sent; once it has closed, WhatsApp orders
+// use the business's approved template for the event (whatsapp_templates collection).
+// Website orders can't be notified: the widget only reaches customers while their chat is open.
+const getDb = require('../db');
+const { ObjectId } = require('bson');
+const { getChannelAdapter } = require('./channels');
+const { isWindowOpen, getReplyTarget } = require('./customerWindow');
+const { trackOutbound } = require('./outboundMessages');
+
+// Order platform (models/Order.js) -> channel adapter the customer is reached on
+const NOTIFICATION_CHANNELS = {
+  whatsapp: 'whatsapp',
+  facebook: 'messenger',
+  instagram: 'instagram',
+  telegram: 'telegram',
+  tiktok: 'tiktok'
+};
+
+const ORDER_EVENTS = {
+  shipped: {
+    status: 'shipped',
+    timestampField: 'shippedAt',
+    text: (order) => `📦 Your order ${order.orderId} has been shipped!` +
+      (order.trackingNumber ? `\nTracking number: ${order.trackingNumber}` : '') +
+      (order.trackingUrl ? `\nTrack it here: ${order.trackingUrl}` : '')
+  },
+  delivered: {
+    status: 'delivered',
+    timestampField: 'deliveredAt',
+    text: (order) => `✅ Your order ${order.orderId} has been delivered. Thank you for shopping with us!`
+  }
+};
+
+// Order fields a template variable can be mapped to
+const ORDER_FIELDS = {
+  orderId: (order) => order.orderId,
+  'customer.name': (order) => order.customer?.name,
+  'customer.phone': (order) => order.customer?.phone,
+  'customer.address': (order) => order.customer?.address,
+  total: (order) => `$${order.total}`,
+  subtotal: (order) => `$${order.subtotal}`,
+  itemsSummary: (order) => (order.items || [])
+    .map(item => `${item.quantity}x ${item.productTitle}${item.variantName ? ` (${item.variantName})` : ''}`)
+    .join(', '),
+  status: (order) => order.status,
+  trackingNumber: (order) => order.trackingNumber,
+  trackingUrl: (order) => order.trackingUrl,
+  businessName: (order, business) => business?.name
+};
+
+/**
+ * Resolve a template's variable mapping to body parameter values, in order.
+ * WhatsApp rejects empty parameters, so missing values become "-".
+ */
+function resolveTemplateParameters(template, order, business) {
+  return (template.variables || []).map(field => {
+    const value = ORDER_FIELDS[field]?.(order, business);
+    return value === undefined || value === null || value === '' ? '-' : String(value);
+  });
+}
+
+async function getTemplateForEvent(businessId, event) {
+  const db = await getDb();
+  return db.collection('whatsapp_templates').findOne({
+    businessId: new ObjectId(businessId),
+    event,
+    isActive: true
+  });
+}
+
+/**
+ * Channel an order's customer can be notified on, or null (website and unknown platforms)
+ */
+function getNotificationChannel(order) {
+  return NOTIFICATION_CHANNELS[order.platform] || null;
+}
+
+/**
+ * Apply an order event and tell the customer about it
+ * @param {object} business - Business document
+ * @param {object} order - Order document (orders collection)
+ * @param {string} event - Key of ORDER_EVENTS
+ * @param {object} [details] - { trackingNumber, trackingUrl }
+ * @returns {Promise<object>} { via: 'text' | 'template', template?, messageId? }
+ */
+async function sendOrderNotification(business, order, event, details = {}) {
+  const definition = ORDER_EVENTS[event];
+  if (!definition) throw new Error(`Unknown order event: ${event}`);
+
+  const channel = getNotificationChannel(order);
+  if (!channel) throw new Error(`Customers of ${order.platform} orders cannot be notified`);
+
+  const adapter = trackOutbound(getChannelAdapter(channel), business);
+  const { to, businessLookup } = await getReplyTarget(business._id, channel, order.customerId);
+  const credentials = adapter.getCredentials(business, { businessLookup });
+  const updatedOrder = { ...order, ...details, status: definition.status };
+
+  let notification;
+  if (await isWindowOpen(business._id, channel, order.customerId)) {
+    const messageId = await adapter.sendText(credentials, to, definition.text(updatedOrder));
+    notification = { via: 'text', messageId };
+  } else {
+    if (!adapter.sendTemplate) {
+      throw new Error(`The 24h messaging window has closed and ${channel} does not support templates`);
+    }
+
+    const template = await getTemplateForEvent(business._id, `order_${event}`);
+    if (!template) {
+      throw new Error(`The 24h messaging window has closed and no active template is configured for order_${event}`);
+    }
+
+    const messageId = await adapter.sendTemplate(credentials, to, {
+      name: template.name,
+      language: template.language,
+      parameters: resolveTemplateParameters(template, updatedOrder, business)
+    });
+    notification = { via: 'template', template: template.name, messageId };
+  }
+
+  const now = new Date();
+  const db = await getDb();
+  await db.collection('orders').updateOne(
+    { _id: order._id },
+    {
+      $set: {
+        ...details,
+        status: definition.status,
+        [definition.timestampField]: now,
+        updatedAt: now
+      },
+      $push: { notifications: { event, ...notification, sentAt: now } }
+    }
+  );
+
+  console.log(`📣 Order ${order.orderId} ${event} notification sent via ${notification.via}`);
+  return notification;
+}
+
+module.exports = {
+  ORDER_EVENTS,
+  ORDER_FIELDS,
+  resolveTemplateParameters,
+  getNotificationChannel,
+  sendOrderNotification
+};
@@ -0,0 +1,239 @@
+// services/orderTools.js
+// Order tools the AI calls while it answers (services/llm completeWithTools). Each tool checks its
+// arguments against the catalog and the live cart and returns { ok: true, ... } or { ok: false, error };
+// errors go back to the model in the same turn, so it can retry or tell the customer what went wrong.
+const orderManager = require('./orderManager');
+const { getMissingInfo } = require('../models/Order');
+const { getCatalogIndex, searchCatalog } = require('./catalogIndex');
+
+const MAX_QUANTITY = 10;
+const LOOKUP_LIMIT = 5;
+
+const ORDER_TOOLS = [
+  {
+    name: 'lookup_product',
+    description: 'Search the catalog for products matching a description (name, type, color, size...). Use it when the product the customer wants is not in the product list you were given.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What the customer is looking for, in their words' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'add_item',
+    description: 'Add a product variant to the customer\'s cart. Only call it once the customer has chosen the variant (size, color...).',
+    parameters: {
+      type: 'object',
+      properties: {
+        product_id: { type: 'string', description: 'PRODUCT_ID from the catalog' },
+        variant_id: { type: 'string', description: 'VARIANT_ID of the chosen variant (can be left out when the product has a single variant)' },
+        quantity: { type: 'integer', minimum: 1, maximum: MAX_QUANTITY }
+      },
+      required: ['product_id']
+    }
+  },
+  {
+    name: 'remove_item',
+    description: 'Remove a line from the customer\'s cart.',
+    parameters: {
+      type: 'object',
+      properties: {
+        product_id: { type: 'string' },
+        variant_id: { type: 'string', description: 'Needed when the cart has several variants of the product' }
+      },
+      required: ['product_id']
+    }
+  },
+  {
+    name: 'update_customer_info',
+    description: 'Save the customer\'s delivery details. Pass only the fields the customer gave.',
+    parameters: {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        phone: { type: 'string' },
+        address: { type: 'string' }
+      }
+    }
+  },
+  {
+    name: 'confirm_order',
+    description: 'Place the order. Needs at least one item and the customer\'s name, phone and address.',
+    parameters: { type: 'object', properties: {} }
+  },
+  {
+    name: 'cancel_order',
+    description: 'Cancel the customer\'s current order when they ask to.',
+    parameters: { type: 'object', properties: {} }
+  }
+];
+
+/**
+ * Clean and standardize customer phone numbers
+ */
+function cleanCustomerPhone(phone) {
+  if (!phone || typeof phone !== 'string') return phone;
+
+  // Remove spaces, dashes, parentheses
+  let cleanPhone = phone.replace(/[\s-().]/g, '');
+
+  // Handle Lebanese phone number formats
+  if (cleanPhone.startsWith('00961')) {
+    cleanPhone = '+961' + cleanPhone.slice(5);
+  } else if (cleanPhone.startsWith('961') && !cleanPhone.startsWith('+961')) {
+    cleanPhone = '+961' + cleanPhone.slice(3);
+  } else if (cleanPhone.startsWith('0') && cleanPhone.length === 8) {
+    cleanPhone = '+961' + cleanPhone.slice(1);
+  } else if (!cleanPhone.startsWith('+') && cleanPhone.length === 7) {
+    cleanPhone = '+961' + cleanPhone;
+  }
+
+  return cleanPhone;
+}
+
+const fail = (error, details = {}) => ({ ok: false, error, ...details });
+
+const describeVariant = (variant) => ({ variant_id: variant.id, name: variant.name, price: variant.price });
+
+function describeCart(order) {
+  return {
+    items: (order?.items || []).map(item => ({
+      product_id: String(item.productId),
+      variant_id: String(item.variantId),
+      title: item.productTitle,
+      variant: item.variantName,
+      quantity: item.quantity,
+      total: item.totalPrice
+    })),
+    total: order?.total || 0,
+    missing_info: order ? getMissingInfo(order) : []
+  };
+}
+
+/**
+ * Tool executor for one customer conversation
+ * @param {object} context - { senderId, businessId, platform, productDatabase, orders }
+ *   (orders: order functions to use instead of services/orderManager.js, e.g. services/sandboxOrders.js)
+ * @returns {Function} async (name, args) => result
+ */
+function createOrderToolExecutor({ senderId, businessId, platform, productDatabase, orders = orderManager }) {
+  const { getActiveOrder, addItemToOrder, removeItemFromOrder, updateCustomerInfo, confirmOrder, cancelOrder } = orders;
+
+  const findProduct = (productId) => productDatabase.find(p => p.id === String(productId ?? '').trim());
+
+  const tools = {
+    async lookup_product({ query }) {
+      if (typeof query !== 'string' || !query.trim()) return fail('query is required');
+
+      const matches = searchCatalog(getCatalogIndex(businessId, productDatabase), query, productDatabase).slice(0, LOOKUP_LIMIT);
+      if (!matches.length) return fail(`No products match "${query}". Ask the customer to describe it differently.`);
+
+      return {
+        ok: true,
+        products: matches.map(({ product }) => ({
+          product_id: product.id,
+          title: product.title,
+          type: product.type,
+          variants: product.variants.map(describeVariant)
+        }))
+      };
+    },
+
+    async add_item({ product_id, variant_id, quantity = 1 }) {
+      const product = findProduct(product_id);
+      if (!product) return fail(`Unknown product_id "${product_id}". Use an ID from the catalog or lookup_product.`);
+
+      quantity = Number(quantity);
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+        return fail(`quantity must be a whole number from 1 to ${MAX_QUANTITY}`);
+      }
+
+      let variant = variant_id ? product.variants.find(v => v.id === String(variant_id).trim()) : null;
+      if (!variant && !variant_id && product.variants.length === 1) variant = product.variants[0];
+      if (!variant) {
+        const problem = variant_id
+          ? `variant_id "${variant_id}" is not an available variant of "${product.title}"`
+          : `"${product.title}" has several variants - ask the customer which one they want`;
+        return fail(problem, { variants: product.variants.map(describeVariant) });
+      }
+
+      try {
+        const { addedItem, order } = await addItemToOrder(senderId, businessId, product.id, variant.id, quantity, platform);
+        return { ok: true, added: addedItem, cart: describeCart(order) };
+      } catch (err) {
+        return fail(err.message);
+      }
+    },
+
+    async remove_item({ product_id, variant_id }) {
+      const order = await getActiveOrder(senderId, businessId, platform, { createIfMissing: false });
+      const lines = (order?.items || []).filter(item => String(item.productId) === String(product_id ?? '').trim());
+      if (!lines.length) return fail(`Product "${product_id}" is not in the cart`, { cart: describeCart(order) });
+
+      const line = variant_id ? lines.find(item => String(item.variantId) === String(variant_id).trim()) : lines.length === 1 && lines[0];
+      if (!line) {
+        return fail(variant_id ? `Variant "${variant_id}" of this product is not in the cart` : 'The cart has several variants of this product - pass variant_id', { cart: describeCart(order) });
+      }
+
+      try {
+        const { removedItem, order: updated } = await removeItemFromOrder(senderId, businessId, line.productId, line.variantId, platform);
+        return { ok: true, removed: { title: removedItem.productTitle, variant: removedItem.variantName }, cart: describeCart(updated) };
+      } catch (err) {
+        return fail(err.message);
+      }
+    },
+
+    async update_customer_info({ name, phone, address }) {
+      const info = {};
+      if (typeof name === 'string' && name.trim()) info.name = name.trim();
+      if (typeof address === 'string' && address.trim()) info.address = address.trim();
+      if (typeof phone === 'string' && phone.trim()) {
+        info.phone = cleanCustomerPhone(phone.trim());
+        const digits = info.phone.replace(/\D/g, '');
+        if (digits.length < 7 || digits.length > 15) return fail(`"${phone}" is not a valid phone number - ask the customer to check it`);
+      }
+      if (!Object.keys(info).length) return fail('Pass at least one of name, phone or address');
+
+      try {
+        const { order, missingInfo } = await updateCustomerInfo(senderId, businessId, info, platform);
+        return { ok: true, saved: info, missing_info: missingInfo, cart: describeCart(order) };
+      } catch (err) {
+        return fail(err.message);
+      }
+    },
+
+    async confirm_order() {
+      const order = await getActiveOrder(senderId, businessId, platform, { createIfMissing: false });
+      if (!order?.items?.length) return fail('The cart is empty - nothing to confirm');
+
+      const missing = getMissingInfo(order);
+      if (missing.length) return fail(`Ask the customer for: ${missing.join(', ')}`, { missing_info: missing });
+
+      try {
+        const { orderId } = await confirmOrder(senderId, businessId, platform);
+        return { ok: true, order_id: orderId, total: order.total };
+      } catch (err) {
+        return fail(err.message);
+      }
+    },
+
+    async cancel_order() {
+      try {
+        await cancelOrder(senderId, businessId, platform);
+        return { ok: true };
+      } catch (err) {
+        return fail(err.message);
+      }
+    }
+  };
+
+  return async (name, args) => {
+    const tool = tools[name];
+    if (!tool) return fail(`Unknown tool "${name}"`);
+    return tool(args && typeof args === 'object' ? args : {});
+  };
+}
+
+module.exports = { ORDER_TOOLS, createOrderToolExecutor };
@@ -0,0 +1,213 @@
+// services/outboundMessages.js
+// Every message we send is stored with its platform message ID and a status timeline
+// (sent → delivered → read, or failed), fed by WhatsApp `statuses` and Meta delivery/read webhooks.
+const getDb = require('../db');
+
+const COLLECTION = 'outbound_messages';
+const PREVIEW_LENGTH = 200;
+
+// A status only replaces the ones listed here - late or duplicate webhooks never move a message backwards
+const ADVANCES_FROM = {
+  delivered: ['sent'],
+  read: ['sent', 'delivered'],
+  failed: ['sent', 'delivered']
+};
+
+let indexesEnsured = false;
+
+async function getOutboundCollection() {
+  const db = await getDb();
+  const col = db.collection(COLLECTION);
+  if (!indexesEnsured) {
+    await col.createIndex({ platform: 1, platformMessageId: 1 }, { name: 'outbound_platform_message' });
+    await col.createIndex({ businessId: 1, createdAt: -1 }, { name: 'outbound_business_created' });
+    await col.createIndex({ platform: 1, recipientId: 1, createdAt: -1 }, { name: 'outbound_recipient_created' });
+    indexesEnsured = true;
+  }
+  return col;
+}
+
+function errorMessage(err) {
+  const data = err.response?.data;
+  return data?.error?.message || data?.description || data?.message || err.message;
+}
+
+/**
+ * Store one outbound message
+ * @param {object} message - { businessId, platform, recipientId, kind, preview, platformMessageId, status, error }
+ */
+async function recordOutbound({ businessId, platform, recipientId, kind, preview, platformMessageId, status = 'sent', error }) {
+  const now = new Date();
+  const col = await getOutboundCollection();
+  await col.insertOne({
+    businessId: String(businessId),
+    platform,
+    recipientId: String(recipientId),
+    kind,
+    preview: String(preview || '').slice(0, PREVIEW_LENGTH),
+    platformMessageId: platformMessageId ? String(platformMessageId) : null,
+    status,
+    error: error || null,
+    statuses: [{ status, at: now, ...(error && { error }) }],
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Wrap an adapter so every send is recorded. Adapter sends resolve to the platform message ID.
+ * Failed sends are recorded as failed and rethrown.
+ */
+function trackOutbound(adapter, business) {
+  const track = (kind, send, getRecipient, getPreview) => async (credentials, target, content) => {
+    const entry = {
+      businessId: business._id,
+      platform: adapter.platform,
+      recipientId: getRecipient(target),
+      kind: kind(content),
+      preview: getPreview(content)
+    };
+
+    let platformMessageId;
+    try {
+      platformMessageId = await send(credentials, target, content);
+    } catch (err) {
+      recordOutbound({ ...entry, status: 'failed', error: errorMessage(err) }).catch(recordErr => {
+        console.warn(`⚠️ Could not record failed ${adapter.platform} send:`, recordErr.message);
+      });
+      throw err;
+    }
+
+    recordOutbound({ ...entry, platformMessageId }).catch(recordErr => {
+      console.warn(`⚠️ Could not record ${adapter.platform} send:`, recordErr.message);
+    });
+    return platformMessageId;
+  };
+
+  const toRecipient = (to) => to;
+  const tracked = { ...adapter };
+
+  tracked.sendText = track(() => 'text', adapter.sendText, toRecipient, (text) => text);
+  tracked.sendMedia = track((media) => media.type, adapter.sendMedia, toRecipient, (media) => media.caption || media.url);
+  if (adapter.sendInteractive) {
+    tracked.sendInteractive = track(() => 'interactive', adapter.sendInteractive, toRecipient, (interactive) => interactive.body?.text);
+  }
+  if (adapter.sendAttachments) {
+    tracked.sendAttachments = track(() => 'cards', adapter.sendAttachments, toRecipient,
+      (attachments) => attachments.map(a => a.title).join(', '));
+  }
+  if (adapter.sendVoice) {
+    tracked.sendVoice = track(() => 'voice', adapter.sendVoice, toRecipient, (audio) => audio.transcript);
+  }
+  if (adapter.sendTemplate) {
+    tracked.sendTemplate = track(() => 'template', adapter.sendTemplate, toRecipient, (template) => template.name);
+  }
+  if (adapter.sendPrivateReply) {
+    tracked.sendPrivateReply = track(() => 'private_reply', adapter.sendPrivateReply, (comment) => comment.authorId, (text) => text);
+  }
+
+  return tracked;
+}
+
+/**
+ * Apply a delivery/read/failed status from a webhook
+ * @param {string} platform
+ * @param {object} update - { status, at, error?, messageId } for one message,
+ *                          or { status, at, recipientId, watermark } for everything sent before a Meta watermark
+ */
+async function applyStatusUpdate(platform, update) {
+  const allowedFrom = ADVANCES_FROM[update.status];
+  if (!allowedFrom) return; // 'sent' is recorded when we send
+
+  const col = await getOutboundCollection();
+  const entry = { status: update.status, at: update.at || new Date(), ...(update.error && { error: update.error }) };
+  const set = { status: update.status, updatedAt: new Date(), ...(update.error && { error: update.error }) };
+
+  if (update.messageId) {
+    const result = await col.updateOne(
+      { platform, platformMessageId: String(update.messageId), status: { $in: allowedFrom } },
+      { $set: set, $push: { statuses: entry } }
+    );
+    if (result.modifiedCount) {
+      console.log(`📬 ${platform} message ${update.messageId} → ${update.status}`);
+    }
+    return;
+  }
+
+  if (update.recipientId && update.watermark) {
+    const result = await col.updateMany(
+      {
+        platform,
+        recipientId: String(update.recipientId),
+        createdAt: { $lte: new Date(update.watermark) },
+        status: { $in: allowedFrom }
+      },
+      { $set: set, $push: { statuses: entry } }
+    );
+    if (result.modifiedCount) {
+      console.log(`📬 ${result.modifiedCount} ${platform} message(s) to ${update.recipientId} → ${update.status}`);
+    }
+  }
+}
+
+/**
+ * List a business's outbound messages, newest first (e.g. status=failed for the dashboard)
+ */
+async function listOutboundMessages(businessId, { status, platform, limit = 50, skip = 0 } = {}) {
+  const col = await getOutboundCollection();
+  const filter = { businessId: String(businessId) };
+  if (status) filter.status = status;
+  if (platform) filter.platform = platform;
+
+  const [messages, total] = await Promise.all([
+    col.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+    col.countDocuments(filter)
+  ]);
+
+  return { messages, total };
+}
+
+/**
+ * Delivery and read rates per channel for messages sent since `since`
+ * @returns {Promise<Array>} [{ platform, total, delivered, read, failed, deliveryRate, readRate }] (rates in %)
+ */
+async function getDeliveryStats(businessId, since) {
+  const col = await getOutboundCollection();
+  const match = { businessId: String(businessId) };
+  if (since) match.createdAt = { $gte: since };
+
+  const rows = await col.aggregate([
+    { $match: match },
+    { $group: { _id: { platform: '$platform', status: '$status' }, count: { $sum: 1 } } }
+  ]).toArray();
+
+  const byPlatform = {};
+  for (const { _id, count } of rows) {
+    if (!byPlatform[_id.platform]) {
+      byPlatform[_id.platform] = { platform: _id.platform, total: 0, delivered: 0, read: 0, failed: 0 };
+    }
+    const stats = byPlatform[_id.platform];
+    stats.total += count;
+    if (_id.status === 'delivered') stats.delivered += count;
+    if (_id.status === 'read') {
+      stats.delivered += count; // Read implies delivered
+      stats.read += count;
+    }
+    if (_id.status === 'failed') stats.failed += count;
+  }
+
+  const rate = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+  return Object.values(byPlatform).map(stats => ({
+    ...stats,
+    deliveryRate: rate(stats.delivered, stats.total),
+    readRate: rate(stats.read, stats.total)
+  }));
+}
+
+module.exports = {
+  recordOutbound,
+  trackOutbound,
+  applyStatusUpdate,
+  listOutboundMessages,
+  getDeliveryStats
+};
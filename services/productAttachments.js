@@ -0,0 +1,74 @@
+// services/productAttachments.js
+// Product cards attached to AI replies (SEND_PRODUCT action). Each channel renders them natively:
+// a generic-template carousel on Messenger/Instagram, a photo with caption elsewhere.
+//   { type: 'product', productId, variantId, title, subtitle, imageUrl, selectionId }
+// selectionId uses the interactiveMessages ID format, so tapping "Order" adds the item like a list row would.
+const { productPriceLabel } = require('./interactiveMessages');
+
+const MAX_ATTACHMENTS = 3;
+
+/**
+ * Parse SEND_PRODUCT: productId[, variantId] lines from an [AI_ORDER_ACTIONS] block
+ * @returns {Array<object>} [{ productId, variantId? }]
+ */
+function extractProductAttachmentActions(aiResponse) {
+  const actionMatch = aiResponse?.match(/\[AI_ORDER_ACTIONS\](.*?)\[\/AI_ORDER_ACTIONS\]/s);
+  if (!actionMatch) return [];
+
+  return actionMatch[1].split('\n')
+    .map(l => l.trim())
+    .filter(line => line.toUpperCase().startsWith('SEND_PRODUCT:'))
+    .map(line => {
+      const [productId, variantId] = line.slice('SEND_PRODUCT:'.length)
+        .split(',')
+        .map(s => s.trim().replace(/^"|"$/g, ''));
+      return { productId, variantId: variantId || undefined };
+    })
+    .filter(action => action.productId);
+}
+
+/**
+ * Build product attachments for the requested products (unknown IDs are dropped)
+ */
+function buildProductAttachments(productDatabase, actions) {
+  const attachments = [];
+
+  for (const { productId, variantId } of actions) {
+    const product = productDatabase.find(p => String(p.id) === String(productId));
+    if (!product || attachments.some(a => a.productId === product.id)) continue;
+
+    const variant = variantId ? product.variants.find(v => String(v.id) === String(variantId)) : null;
+    const single = product.variants.length === 1 ? product.variants[0] : null;
+    const chosen = variant || single;
+
+    attachments.push({
+      type: 'product',
+      productId: product.id,
+      variantId: chosen?.id,
+      title: chosen && product.variants.length > 1 ? `${product.title} - ${chosen.name}` : product.title,
+      subtitle: [
+        chosen ? `$${chosen.price}` : productPriceLabel(product),
+        chosen?.isDiscounted && chosen.originalPrice ? `was $${chosen.originalPrice}` : ''
+      ].filter(Boolean).join(' · '),
+      imageUrl: chosen?.image || product.image || null,
+      selectionId: chosen ? `add:${product.id}:${chosen.id}` : `product:${product.id}`
+    });
+
+    if (attachments.length >= MAX_ATTACHMENTS) break;
+  }
+
+  return attachments;
+}
+
+/**
+ * Caption used where a product is sent as a plain photo or text
+ */
+function productCaption(attachment) {
+  return [attachment.title, attachment.subtitle].filter(Boolean).join('\n');
+}
+
+module.exports = {
+  extractProductAttachmentActions,
+  buildProductAttachments,
+  productCaption
+};
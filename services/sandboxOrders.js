@@ -0,0 +1,155 @@
+// services/sandboxOrders.js
+// In-memory stand-in for services/orderManager.js used by sandbox dry runs (routes/business/sandbox.js):
+// the order tools run their real checks, but the cart only lives for the request and nothing is saved.
+// Same function signatures and results as orderManager, for the one sandbox customer.
+const {
+  createOrder,
+  createOrderItem,
+  calculateTotals,
+  isOrderFlowComplete,
+  getMissingInfo
+} = require('../models/Order');
+
+const MAX_SEED_ITEMS = 20;
+
+function recomputeStage(order) {
+  if (order.items.length === 0) {
+    order.orderFlow.stage = 'collecting_items';
+  } else if (!isOrderFlowComplete(order)) {
+    order.orderFlow.stage = 'collecting_info';
+  } else {
+    order.orderFlow.stage = 'reviewing';
+  }
+}
+
+/**
+ * @param {Array} productDatabase - buildProductDatabase() result
+ * @param {object} [seed] - cart to start from, as returned by a previous dry run:
+ *   { items: [{ productId, variantId, quantity }], customer: { name, phone, address } }
+ */
+function createSandboxOrders(productDatabase, seed = null) {
+  let order = null;
+
+  const getActiveOrder = async (customerId, businessId, platform = 'whatsapp', { createIfMissing = true } = {}) => {
+    if (!order && createIfMissing) order = createOrder(String(businessId), String(customerId), platform);
+    return order;
+  };
+
+  const addItemToOrder = async (customerId, businessId, productId, variantId, quantity = 1, platform = 'whatsapp') => {
+    const active = await getActiveOrder(customerId, businessId, platform);
+    const qty = Number.isFinite(+quantity) && +quantity > 0 ? Math.min(+quantity, 10) : 1;
+
+    const product = productDatabase.find(p => p.id === String(productId));
+    if (!product) throw new Error(`Product not found: ${productId}`);
+    const variant = product.variants.find(v => v.id === String(variantId));
+    if (!variant) throw new Error(`Variant not found: ${variantId}`);
+
+    const price = Number(variant.price || variant.originalPrice);
+    if (!Number.isFinite(price) || price <= 0) throw new Error('Invalid price for selected variant');
+
+    const line = active.items.find(item => item.productId === product.id && item.variantId === variant.id);
+    if (line) {
+      line.quantity += qty;
+      line.price = price;
+      line.totalPrice = line.quantity * price;
+    } else {
+      active.items.push(createOrderItem(product.id, variant.id, product.title, variant.name, price, qty, {
+        option1: variant.option1,
+        option2: variant.option2,
+        option3: variant.option3,
+        sku: variant.sku,
+        image: variant.image
+      }));
+    }
+
+    calculateTotals(active);
+    recomputeStage(active);
+    return {
+      success: true,
+      order: active,
+      addedItem: { productTitle: product.title, variantName: variant.name, quantity: qty, price, totalPrice: price * qty }
+    };
+  };
+
+  const removeItemFromOrder = async (customerId, businessId, productId, variantId) => {
+    if (!order) throw new Error('No active order');
+    const index = order.items.findIndex(item => item.productId === String(productId) && item.variantId === String(variantId));
+    if (index === -1) throw new Error('Item not found in order');
+
+    const [removedItem] = order.items.splice(index, 1);
+    calculateTotals(order);
+    recomputeStage(order);
+    return { success: true, order, removedItem };
+  };
+
+  const updateCustomerInfo = async (customerId, businessId, customerData, platform = 'whatsapp') => {
+    const active = await getActiveOrder(customerId, businessId, platform);
+    for (const [field, flag] of [['name', 'hasName'], ['phone', 'hasPhone'], ['address', 'hasAddress']]) {
+      const value = typeof customerData[field] === 'string' ? customerData[field].trim() : '';
+      if (value) {
+        active.customer[field] = value;
+        active.orderFlow.collectedInfo[flag] = true;
+      }
+    }
+
+    recomputeStage(active);
+    return { success: true, order: active, isComplete: isOrderFlowComplete(active), missingInfo: getMissingInfo(active) };
+  };
+
+  const confirmOrder = async () => {
+    if (!order) throw new Error('No active order to confirm');
+    if (!isOrderFlowComplete(order)) {
+      throw new Error(`Order information is incomplete. Missing: ${getMissingInfo(order).join(', ')}`);
+    }
+
+    const confirmed = { ...order, status: 'confirmed', confirmedAt: new Date() };
+    confirmed.orderFlow = { ...order.orderFlow, stage: 'completed' };
+    order = null;
+    return { success: true, order: confirmed, orderId: confirmed.orderId };
+  };
+
+  const cancelOrder = async () => {
+    if (!order) throw new Error('No active order to cancel');
+
+    const cancelled = { ...order, status: 'cancelled' };
+    cancelled.orderFlow = { ...order.orderFlow, stage: 'cancelled' };
+    order = null;
+    return { success: true, order: cancelled };
+  };
+
+  /**
+   * Start from the cart of a previous dry run. Lines that no longer match the catalog are skipped.
+   */
+  const seedCart = async (customerId, businessId, platform) => {
+    if (!seed || typeof seed !== 'object') return;
+
+    const items = Array.isArray(seed.items) ? seed.items.slice(0, MAX_SEED_ITEMS) : [];
+    for (const item of items) {
+      await addItemToOrder(customerId, businessId, item?.productId, item?.variantId, item?.quantity, platform).catch(() => {});
+    }
+    if (seed.customer && typeof seed.customer === 'object') {
+      await updateCustomerInfo(customerId, businessId, seed.customer, platform);
+    }
+  };
+
+  return {
+    getActiveOrder,
+    addItemToOrder,
+    removeItemFromOrder,
+    updateCustomerInfo,
+    confirmOrder,
+    cancelOrder,
+    seedCart,
+    // The current cart, in the shape seedCart accepts
+    getCart: () => order && {
+      items: order.items.map(({ productId, variantId, productTitle, variantName, quantity, totalPrice }) => ({
+        productId, variantId, productTitle, variantName, quantity, totalPrice
+      })),
+      customer: { name: order.customer.name, phone: order.customer.phone, address: order.customer.address },
+      total: order.total,
+      missingInfo: getMissingInfo(order)
+    }
+  };
+}
+
+module.exports = { createSandboxOrders };
@@ -1,62 +1,393 @@
-const sessionHistory = new Map();
-const sessionTimeouts = new Map();
-const summaries = new Map(); // Store long-term memory summaries
-
-/** Simple memory handling without language tracking */
-function updateSession(senderId, role, content) {
-  if (!sessionHistory.has(senderId)) sessionHistory.set(senderId, []);
-  const history = sessionHistory.get(senderId);
-
-  // Add timestamp to each message
-  history.push({ 
-    role, 
-    content, 
-    timestamp: Date.now() 
-  });
-
-  // Summarize if history > 20
-  if (history.length > 20) {
-    const oldMessages = history.splice(0, history.length - 20);
-    const summaryText = oldMessages
-      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}`)
-      .join(' ')
-      .slice(0, 1200);
-
-    const previousSummary = summaries.get(senderId) || '';
-    summaries.set(senderId, `${previousSummary} ${summaryText}`.trim());
+// services/sessionManager.js
+// Conversation memory in MongoDB, so it survives restarts and is shared by every instance:
+//   conversations          - one per business + channel + customer: summary, counters, last message
+//   conversation_messages  - the turns
+//   conversation_archives  - ended sessions: summary and time span (their turns carry the archiveId)
+// A conversation is identified by a key { businessId, platform, customerId }.
+// The prompt gets the summary plus the latest HISTORY_LIMIT turns. Once SUMMARY_BATCH more turns have
+// piled up, the older ones are folded into the summary by the LLM in the background.
+// Memory lasts for the business's conversations.autoClearAfter after the last turn; then the session
+// is archived (on the next turn, or by the sweeper) and the customer starts with a clean memory.
+// Turns are by the customer (user), the bot (assistant) or the merchant's team (agent, from the inbox);
+// unreadCount counts customer turns since the team last read the conversation.
+const { ObjectId } = require('mongodb');
+const getDb = require('../db');
+const { complete } = require('./llm');
+const { getBusinessAdvancedSettings, getConversationClearDuration } = require('./advancedSettingsService');
+
+const HISTORY_LIMIT = 20;
+const SUMMARY_BATCH = 10;
+const SUMMARY_LOCK_MS = 2 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const SWEEP_BATCH = 100;
+
+let sweeperTimer = null;
+
+let indexesEnsured = false;
+
+async function getCollections() {
+  const db = await getDb();
+  const conversations = db.collection('conversations');
+  const messages = db.collection('conversation_messages');
+  const archives = db.collection('conversation_archives');
+
+  if (!indexesEnsured) {
+    try {
+      await conversations.createIndex({ businessId: 1, platform: 1, customerId: 1 }, { name: 'conversations_key', unique: true });
+      await conversations.createIndex({ businessId: 1, lastMessageAt: -1 }, { name: 'conversations_recent' });
+      await conversations.createIndex({ expiresAt: 1 }, { name: 'conversations_expiry' });
+      await messages.createIndex({ conversationId: 1, createdAt: -1 }, { name: 'messages_thread' });
+      await archives.createIndex({ conversationId: 1, archivedAt: -1 }, { name: 'archives_conversation' });
+    } catch (_) {
+      // ignore index creation races between processes
+    } finally {
+      indexesEnsured = true;
+    }
   }
+  return { conversations, messages, archives };
+}
 
-  // Reset 10-min timer
-  if (sessionTimeouts.has(senderId)) clearTimeout(sessionTimeouts.get(senderId));
-  const timeout = setTimeout(() => {
-    sessionHistory.delete(senderId);
-    sessionTimeouts.delete(senderId);
-    summaries.delete(senderId);
-    console.log(`🗑️ Cleared session history for ${senderId} after 10 min`);
-  }, 10 * 60 * 1000);
-  sessionTimeouts.set(senderId, timeout);
+function conversationFilter({ businessId, platform, customerId }) {
+  return { businessId: String(businessId), platform: String(platform || 'unknown'), customerId: String(customerId) };
 }
 
-function getSessionHistory(senderId) {
-  return sessionHistory.get(senderId) || [];
+const isExpired = (conversation) => Boolean(conversation?.expiresAt && conversation.expiresAt <= new Date());
+
+/**
+ * End a conversation's current session: its summary and time span go to conversation_archives,
+ * its turns are tagged with the archive, and the conversation starts over with an empty memory.
+ * @returns {Promise<object|null>} The archive, or null when another instance archived it first
+ */
+async function archiveSession(conversation, reason = 'expired') {
+  const { conversations, messages, archives } = await getCollections();
+  const now = new Date();
+
+  // Claim the session - only one instance archives it, and not if a turn came in meanwhile
+  const ended = await conversations.findOneAndUpdate(
+    { _id: conversation._id, expiresAt: conversation.expiresAt },
+    { $set: { summary: '', summarizedUntil: null, summarizingAt: null, sessionStartedAt: null, expiresAt: null, archivedAt: now } }
+  );
+  if (!ended) return null;
+
+  const archive = {
+    conversationId: ended._id,
+    businessId: ended.businessId,
+    platform: ended.platform,
+    customerId: ended.customerId,
+    summary: ended.summary || '',
+    startedAt: ended.sessionStartedAt || ended.createdAt,
+    endedAt: ended.lastMessageAt,
+    reason,
+    archivedAt: now
+  };
+  const { insertedId } = await archives.insertOne(archive);
+
+  const { modifiedCount } = await messages.updateMany(
+    { conversationId: ended._id, archiveId: null, createdAt: { $lte: ended.lastMessageAt } },
+    { $set: { archiveId: insertedId } }
+  );
+  await archives.updateOne({ _id: insertedId }, { $set: { messageCount: modifiedCount } });
+
+  console.log(`📦 Archived ${modifiedCount} messages of ${ended.platform} conversation ${ended.customerId} (business ${ended.businessId}, ${reason})`);
+  return { _id: insertedId, ...archive, messageCount: modifiedCount };
 }
 
-function getSessionSummary(senderId) {
-  return summaries.get(senderId) || '';
+async function getClearDuration(businessId) {
+  return getConversationClearDuration(await getBusinessAdvancedSettings(businessId));
 }
 
-function clearSession(senderId) {
-  sessionHistory.delete(senderId);
-  sessionTimeouts.delete(senderId);
-  summaries.delete(senderId);
-  if (sessionTimeouts.has(senderId)) {
-    clearTimeout(sessionTimeouts.get(senderId));
+/**
+ * Add a turn to a conversation (created on its first message)
+ * @param {object} key - { businessId, platform, customerId }
+ * @param {string} role - user | assistant | agent
+ */
+async function updateSession(key, role, content) {
+  const { conversations, messages } = await getCollections();
+  const filter = conversationFilter(key);
+
+  const existing = await conversations.findOne(filter);
+  if (isExpired(existing)) await archiveSession(existing);
+
+  const clearAfterMs = await getClearDuration(filter.businessId);
+  const now = new Date();
+
+  const conversation = await conversations.findOneAndUpdate(
+    filter,
+    {
+      $setOnInsert: { ...filter, summary: '', summarizedUntil: null, createdAt: now },
+      $set: {
+        lastMessage: { role, content, at: now },
+        lastMessageAt: now,
+        expiresAt: new Date(now.getTime() + clearAfterMs),
+        updatedAt: now
+      },
+      $inc: { messageCount: 1, ...(role === 'user' && { unreadCount: 1 }) }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  if (!conversation.sessionStartedAt) {
+    await conversations.updateOne({ _id: conversation._id, sessionStartedAt: null }, { $set: { sessionStartedAt: now } });
   }
+
+  const message = { conversationId: conversation._id, ...filter, role, content, createdAt: now };
+  await messages.insertOne(message);
+
+  // Summarise after the assistant's turn so a reply never waits for it
+  if (role === 'assistant') {
+    summarizeConversation(conversation).catch(err => {
+      console.warn(`⚠️ Could not summarise conversation ${conversation._id}:`, err.message);
+    });
+  }
+
+  return message;
+}
+
+/**
+ * The conversation document, also when its memory has expired (null when there is none)
+ */
+async function getConversation(key) {
+  const { conversations } = await getCollections();
+  return conversations.findOne(conversationFilter(key));
+}
+
+async function getConversationById(conversationId) {
+  if (!ObjectId.isValid(conversationId)) return null;
+  const { conversations } = await getCollections();
+  return conversations.findOne({ _id: new ObjectId(conversationId) });
+}
+
+/**
+ * Set fields on a conversation (e.g. its handoff state), creating it if needed
+ * @returns {Promise<object>} The updated conversation
+ */
+async function setConversationFields(key, fields) {
+  const { conversations } = await getCollections();
+  const filter = conversationFilter(key);
+  const now = new Date();
+
+  return conversations.findOneAndUpdate(
+    filter,
+    { $setOnInsert: { ...filter, createdAt: now }, $set: { ...fields, updatedAt: now } },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Reset a conversation's unread count (the team has read it)
+ */
+async function markConversationRead(key) {
+  const { conversations } = await getCollections();
+  const now = new Date();
+  await conversations.updateOne(conversationFilter(key), { $set: { unreadCount: 0, lastReadAt: now } });
+}
+
+/**
+ * A business's conversations across channels, latest activity first
+ * @param {object} [options] - { platform, mode, unread (only with unread messages), limit, skip }
+ * @returns {Promise<object>} { conversations, total }
+ */
+async function listConversations(businessId, { platform, mode, unread, limit = 50, skip = 0 } = {}) {
+  const { conversations } = await getCollections();
+  const filter = { businessId: String(businessId), lastMessageAt: { $ne: null } };
+  if (platform) filter.platform = platform;
+  if (mode === 'human') filter.mode = 'human';
+  if (mode === 'bot') filter.mode = { $ne: 'human' };
+  if (unread) filter.unreadCount = { $gt: 0 };
+
+  const [items, total] = await Promise.all([
+    conversations
+      .find(filter, { projection: { summary: 0, summarizingAt: 0 } })
+      .sort({ lastMessageAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray(),
+    conversations.countDocuments(filter)
+  ]);
+
+  return { conversations: items, total };
+}
+
+/**
+ * A page of a conversation's turns, archived sessions included, oldest first
+ * @param {object} [options] - { before (Date - only older turns), limit }
+ * @returns {Promise<object>} { messages, hasMore }
+ */
+async function getConversationMessages(conversationId, { before, limit = 50 } = {}) {
+  const { messages } = await getCollections();
+  const filter = { conversationId: new ObjectId(String(conversationId)) };
+  if (before) filter.createdAt = { $lt: before };
+
+  const page = await messages
+    .find(filter, { projection: { role: 1, content: 1, createdAt: 1, archiveId: 1 } })
+    .sort({ createdAt: -1 })
+    .limit(limit + 1)
+    .toArray();
+
+  return { messages: page.slice(0, limit).reverse(), hasMore: page.length > limit };
+}
+
+/**
+ * The team's turns in a conversation after `since`, oldest first (the website widget polls for them)
+ */
+async function getAgentMessagesSince(key, since) {
+  const conversation = await getConversation(key);
+  if (!conversation) return [];
+
+  const { messages } = await getCollections();
+  return messages
+    .find({ conversationId: conversation._id, role: 'agent', ...(since && { createdAt: { $gt: since } }) })
+    .sort({ createdAt: 1 })
+    .limit(HISTORY_LIMIT)
+    .toArray();
+}
+
+// The conversation, unless its memory has expired (it is archived on the next turn)
+async function findConversation(key) {
+  const { conversations } = await getCollections();
+  const conversation = await conversations.findOne(conversationFilter(key));
+  return isExpired(conversation) ? null : conversation;
+}
+
+/**
+ * Latest turns that are not in the summary yet, oldest first
+ * @returns {Promise<Array>} [{ role, content, timestamp }]
+ */
+async function getSessionHistory(key, { limit = HISTORY_LIMIT } = {}) {
+  const conversation = await findConversation(key);
+  if (!conversation) return [];
+
+  const { messages } = await getCollections();
+  const turns = await messages
+    .find({
+      conversationId: conversation._id,
+      archiveId: null,
+      ...(conversation.summarizedUntil && { createdAt: { $gt: conversation.summarizedUntil } })
+    })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+
+  return turns.reverse().map(({ role, content, createdAt }) => ({ role, content, timestamp: createdAt.toISOString() }));
+}
+
+async function getSessionSummary(key) {
+  const conversation = await findConversation(key);
+  return conversation?.summary || '';
+}
+
+/**
+ * Fold the turns older than the latest HISTORY_LIMIT into the conversation summary.
+ * Only one instance summarises a conversation at a time; on failure the turns simply wait for the next try.
+ */
+async function summarizeConversation(conversation) {
+  const { conversations, messages } = await getCollections();
+  const pendingFilter = {
+    conversationId: conversation._id,
+    archiveId: null,
+    ...(conversation.summarizedUntil && { createdAt: { $gt: conversation.summarizedUntil } })
+  };
+
+  const pending = await messages.countDocuments(pendingFilter);
+  if (pending < HISTORY_LIMIT + SUMMARY_BATCH) return;
+
+  const now = new Date();
+  const locked = await conversations.findOneAndUpdate(
+    { _id: conversation._id, $or: [{ summarizingAt: null }, { summarizingAt: { $lt: new Date(now - SUMMARY_LOCK_MS) } }] },
+    { $set: { summarizingAt: now } }
+  );
+  if (!locked) return;
+
+  try {
+    const older = await messages
+      .find(pendingFilter)
+      .sort({ createdAt: 1 })
+      .limit(pending - HISTORY_LIMIT)
+      .toArray();
+
+    const speakers = { user: 'Customer', assistant: 'Assistant', agent: 'Shop team' };
+    const transcript = older.map(m => `${speakers[m.role] || 'Assistant'}: ${m.content}`).join('\n');
+    const { text } = await complete({
+      input: [
+        {
+          role: 'system',
+          content: 'You keep the memory of a customer service chat for an online shop. Merge the previous summary and the new messages into one summary of at most 150 words, in English. Keep what matters for later turns: what the customer wants or asked about, products and options mentioned, order progress, delivery details, promises made and open questions. Leave out greetings and small talk.'
+        },
+        { role: 'user', content: `Previous summary:\n${locked.summary || '(none)'}\n\nNew messages:\n${transcript}` }
+      ],
+      maxOutputTokens: 600,
+      reasoningEffort: 'low'
+    });
+
+    // No-op when the session was archived meanwhile (archiving clears summarizingAt)
+    await conversations.updateOne(
+      { _id: conversation._id, summarizingAt: now },
+      { $set: { summary: text.trim(), summarizedUntil: older[older.length - 1].createdAt, summarizedAt: new Date(), summarizingAt: null } }
+    );
+    console.log(`🧠 Summarised ${older.length} messages of conversation ${conversation._id}`);
+  } catch (err) {
+    await conversations.updateOne({ _id: conversation._id, summarizingAt: now }, { $set: { summarizingAt: null } });
+    throw err;
+  }
+}
+
+/**
+ * Start a conversation over with an empty memory (the session is archived, not deleted)
+ */
+async function clearSession(key) {
+  const { conversations } = await getCollections();
+  const conversation = await conversations.findOne(conversationFilter(key));
+  return conversation?.expiresAt ? archiveSession(conversation, 'cleared') : null;
+}
+
+/**
+ * Archive every session whose memory has expired
+ */
+async function sweepExpiredSessions() {
+  const { conversations } = await getCollections();
+  const expired = await conversations
+    .find({ expiresAt: { $lte: new Date() } })
+    .limit(SWEEP_BATCH)
+    .toArray();
+
+  for (const conversation of expired) {
+    await archiveSession(conversation).catch(err => {
+      console.warn(`⚠️ Could not archive conversation ${conversation._id}:`, err.message);
+    });
+  }
+  return expired.length;
+}
+
+/**
+ * Start archiving expired sessions periodically (call once per process)
+ */
+function startSessionSweeper() {
+  if (sweeperTimer) return;
+  sweeperTimer = setInterval(() => {
+    sweepExpiredSessions().catch(err => console.error('❌ Session sweeper error:', err.message));
+  }, SWEEP_INTERVAL_MS);
+  console.log(`🧹 Session sweeper started (every ${SWEEP_INTERVAL_MS / 60000} min)`);
+}
+
+function stopSessionSweeper() {
+  if (sweeperTimer) clearInterval(sweeperTimer);
+  sweeperTimer = null;
 }
 
 module.exports = {
   updateSession,
   getSessionHistory,
   getSessionSummary,
-  clearSession
+  clearSession,
+  getConversation,
+  getConversationById,
+  setConversationFields,
+  markConversationRead,
+  listConversations,
+  getConversationMessages,
+  getAgentMessagesSince,
+  archiveSession,
+  sweepExpiredSessions,
+  startSessionSweeper,
+  stopSessionSweeper
 };
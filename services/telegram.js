@@ -0,0 +1,90 @@
+const axios = require('axios');
+
+// Override to point at a local fake Bot API server in development/testing
+const getApiBase = () => (process.env.TELEGRAM_API_BASE || 'https://api.telegram.org').replace(/\/$/, '');
+
+/**
+ * Call a Telegram Bot API method and unwrap the { ok, result } envelope
+ */
+const callTelegram = async (token, method, payload = {}) => {
+  const response = await axios.post(`${getApiBase()}/bot${token}/${method}`, payload);
+
+  if (!response.data?.ok) {
+    throw new Error(`Telegram ${method} failed: ${response.data?.description || 'unknown error'}`);
+  }
+
+  return response.data.result;
+};
+
+const getTelegramBot = async (token) => {
+  return callTelegram(token, 'getMe');
+};
+
+const setTelegramWebhook = async (token, url, secretToken) => {
+  return callTelegram(token, 'setWebhook', {
+    url,
+    secret_token: secretToken,
+    allowed_updates: ['message']
+  });
+};
+
+const deleteTelegramWebhook = async (token) => {
+  return callTelegram(token, 'deleteWebhook');
+};
+
+const sendTelegramMessage = async (chatId, messageText, token) => {
+  try {
+    console.log(`✈️ Sending Telegram message to ${chatId}`);
+    const message = await callTelegram(token, 'sendMessage', { chat_id: chatId, text: messageText });
+    console.log(`✅ Telegram message sent successfully to ${chatId}`);
+    return message;
+  } catch (err) {
+    console.error(`❌ Telegram send error to ${chatId}:`, err.response?.data || err.message);
+    throw err; // Re-throw to allow calling code to handle
+  }
+};
+
+// Bot API method and field for each outbound media type
+const MEDIA_METHODS = {
+  image: ['sendPhoto', 'photo'],
+  audio: ['sendAudio', 'audio'],
+  voice: ['sendVoice', 'voice'],
+  video: ['sendVideo', 'video'],
+  document: ['sendDocument', 'document']
+};
+
+/**
+ * Send a photo, audio, video or document by public URL
+ * @param {object} media - { type, url, caption }
+ */
+const sendTelegramMedia = async (chatId, media, token) => {
+  const [method, field] = MEDIA_METHODS[media.type] || MEDIA_METHODS.document;
+  try {
+    console.log(`✈️ Sending Telegram ${media.type} to ${chatId}`);
+    const message = await callTelegram(token, method, { chat_id: chatId, [field]: media.url, caption: media.caption });
+    console.log(`✅ Telegram ${media.type} sent successfully to ${chatId}`);
+    return message;
+  } catch (err) {
+    console.error(`❌ Telegram media send error to ${chatId}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Resolve a file_id from an update to a download URL (valid for at least an hour)
+ */
+const getTelegramFileUrl = async (fileId, token) => {
+  const file = await callTelegram(token, 'getFile', { file_id: fileId });
+  if (!file?.file_path) throw new Error(`Telegram file ${fileId} has no file_path`);
+
+  return `${getApiBase()}/file/bot${token}/${file.file_path}`;
+};
+
+module.exports = {
+  getTelegramBot,
+  setTelegramWebhook,
+  deleteTelegramWebhook,
+  sendTelegramMessage,
+  sendTelegramMedia,
+  getTelegramFileUrl
+};
@@ -0,0 +1,67 @@
+const axios = require('axios');
+
+// Override to point at a sandbox / fake Business API server in development
+const getApiBase = () => (process.env.TIKTOK_API_BASE || 'https://business-api.tiktok.com/open_api/v1.3').replace(/\/$/, '');
+
+/**
+ * Parse a Business Messaging webhook event into a flat message object.
+ * TikTok delivers the message body as a JSON string in `content`.
+ * @returns {object|null} { accountId, conversationId, messageId, from, type, text, timestamp }
+ */
+const parseTikTokEvent = (event) => {
+  if (!event || !event.content) return null;
+
+  let content = event.content;
+  if (typeof content === 'string') {
+    try {
+      content = JSON.parse(content);
+    } catch (e) {
+      console.warn('⚠️ Unparseable TikTok event content:', e.message);
+      return null;
+    }
+  }
+
+  return {
+    accountId: String(event.user_openid || content.to || ''),
+    conversationId: content.conversation_id,
+    messageId: content.message_id,
+    from: content.from,
+    type: content.type || content.message_type,
+    text: content.text?.body || (typeof content.text === 'string' ? content.text : ''),
+    timestamp: content.create_time || event.create_time
+  };
+};
+
+const sendTikTokMessage = async (accountId, conversationId, messageText, token) => {
+  try {
+    console.log(`🎵 Sending TikTok message to conversation ${conversationId}`);
+    const response = await axios.post(
+      `${getApiBase()}/business/message/send/`,
+      {
+        business_id: accountId,
+        recipient_type: 'CONVERSATION',
+        recipient: conversationId,
+        message_type: 'TEXT',
+        text: { body: messageText }
+      },
+      {
+        headers: {
+          'Access-Token': token,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+
+    // The Business API reports failures in-band with a non-zero code
+    if (response.data?.code && response.data.code !== 0) {
+      throw new Error(`TikTok send failed: ${response.data.message}`);
+    }
+    console.log(`✅ TikTok message sent successfully to ${conversationId}`);
+    return response.data?.data;
+  } catch (err) {
+    console.error(`❌ TikTok send error to ${conversationId}:`, err.response?.data || err.message);
+    throw err; // Re-throw to allow calling code to handle
+  }
+};
+
+module.exports = { parseTikTokEvent, sendTikTokMessage };
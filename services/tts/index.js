@@ -0,0 +1,63 @@
+// services/tts/index.js
+// Text-to-speech providers for voice-note replies. A provider implements:
+//   name
+//   synthesize(text, { language }) -> { buffer, mimeType, filename, durationSeconds? }
+// The audio must be something WhatsApp and Messenger accept as a voice note (OGG/Opus or MP3).
+// TTS_PROVIDER selects the provider (openai by default, stub for local runs and tests).
+const openai = require('./openai');
+const stub = require('./stub');
+
+const providers = { openai, stub };
+let activeProvider = null;
+
+function registerTtsProvider(provider) {
+  if (!provider?.name || typeof provider.synthesize !== 'function') {
+    throw new Error('A TTS provider needs a name and a synthesize(text, options) function');
+  }
+  providers[provider.name] = provider;
+}
+
+function getTtsProvider() {
+  if (activeProvider) return activeProvider;
+
+  const name = process.env.TTS_PROVIDER || 'openai';
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown TTS provider: ${name}`);
+  return provider;
+}
+
+/**
+ * Replace the provider, e.g. with the stub in tests. Pass null to go back to TTS_PROVIDER.
+ */
+function setTtsProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Estimate spoken length when the provider does not report it (~150 words per minute)
+ */
+function estimateDurationSeconds(text) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(1, Math.round((words / 150) * 60));
+}
+
+/**
+ * Turn a reply into a voice note
+ * @returns {Promise<object>} { buffer, mimeType, filename, durationSeconds }
+ */
+async function synthesizeSpeech(text, options = {}) {
+  const provider = getTtsProvider();
+  const audio = await provider.synthesize(text, options);
+  return {
+    ...audio,
+    durationSeconds: audio.durationSeconds || estimateDurationSeconds(text)
+  };
+}
+
+module.exports = {
+  registerTtsProvider,
+  getTtsProvider,
+  setTtsProvider,
+  estimateDurationSeconds,
+  synthesizeSpeech
+};
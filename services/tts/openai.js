@@ -0,0 +1,32 @@
+// services/tts/openai.js
+const axios = require('axios');
+
+const DEFAULT_MODEL = 'gpt-4o-mini-tts';
+const DEFAULT_VOICE = 'alloy';
+
+/**
+ * OpenAI speech API, returned as OGG/Opus so WhatsApp shows it as a voice note
+ */
+async function synthesize(text, { language } = {}) {
+  const response = await axios.post('https://api.openai.com/v1/audio/speech', {
+    model: process.env.TTS_MODEL || DEFAULT_MODEL,
+    voice: process.env.TTS_VOICE || DEFAULT_VOICE,
+    input: text,
+    response_format: 'opus',
+    ...(language === 'arabic' && { instructions: 'Speak in a natural Lebanese Arabic accent.' })
+  }, {
+    responseType: 'arraybuffer',
+    headers: { Authorization: `Bearer ${process.env.OPENAI_API_KEY}` }
+  });
+
+  return {
+    buffer: Buffer.from(response.data),
+    mimeType: 'audio/ogg',
+    filename: 'reply.ogg'
+  };
+}
+
+module.exports = {
+  name: 'openai',
+  synthesize
+};
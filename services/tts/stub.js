@@ -0,0 +1,42 @@
+// services/tts/stub.js
+// Offline provider: a silent WAV as long as the text would take to read. No network, no API key.
+const SAMPLE_RATE = 8000;
+
+function silentWav(seconds) {
+  const samples = SAMPLE_RATE * seconds;
+  const buffer = Buffer.alloc(44 + samples);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16); // fmt chunk size
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE, 28); // byte rate (8-bit mono)
+  buffer.writeUInt16LE(1, 32); // block align
+  buffer.writeUInt16LE(8, 34); // bits per sample
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples, 40);
+  buffer.fill(128, 44); // 8-bit PCM silence
+
+  return buffer;
+}
+
+async function synthesize(text) {
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean).length;
+  const durationSeconds = Math.max(1, Math.round((words / 150) * 60));
+
+  return {
+    buffer: silentWav(durationSeconds),
+    mimeType: 'audio/wav',
+    filename: 'reply.wav',
+    durationSeconds
+  };
+}
+
+module.exports = {
+  name: 'stub',
+  synthesize
+};
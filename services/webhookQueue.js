@@ -0,0 +1,355 @@
+// services/webhookQueue.js
+// Persistent queue for inbound webhook events. Routes enqueue the raw payload and answer 200
+// straight away; the worker below runs the platform processor with retries and exponential
+// backoff, and moves jobs that keep failing to a dead-letter collection.
+// Batched jobs (enqueueBatchedEvent) collect items under a key and run once no item arrived for a
+// while, e.g. a customer's burst of messages answered in one reply.
+const os = require('os');
+const getDb = require('../db');
+const { ObjectId } = require('mongodb');
+const { logError } = require('./advancedLogger');
+
+const JOBS_COLLECTION = 'webhook_jobs';
+const DEAD_LETTER_COLLECTION = 'webhook_dead_letters';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_JOB_MAX_ATTEMPTS, 10) || 6;
+const BASE_BACKOFF_MS = parseInt(process.env.WEBHOOK_JOB_BACKOFF_MS, 10) || 5000;
+const MAX_BACKOFF_MS = 15 * 60 * 1000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_WORKER_POLL_MS, 10) || 1000;
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000; // jobs locked longer than this belonged to a crashed worker
+const COMPLETED_RETENTION_SECONDS = 3 * 24 * 60 * 60;
+const DUPLICATE_KEY_ERROR = 11000;
+const MAX_UPSERT_ATTEMPTS = 3;
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const processors = new Map(); // platform -> async (payload, job) => void
+let indexesEnsured = false;
+let workerTimer = null;
+let workerRunning = false;
+
+async function getCollections() {
+  const db = await getDb();
+  const jobs = db.collection(JOBS_COLLECTION);
+  const deadLetters = db.collection(DEAD_LETTER_COLLECTION);
+
+  if (!indexesEnsured) {
+    try {
+      await jobs.createIndex({ status: 1, nextRunAt: 1 });
+      // One open batch per key, so concurrent upserts cannot start two (enqueueBatchedEvent)
+      await jobs.createIndex(
+        { platform: 1, batchKey: 1 },
+        {
+          name: 'open_batch_unique',
+          unique: true,
+          partialFilterExpression: { batchKey: { $exists: true }, status: 'pending', attempts: 0 }
+        }
+      );
+      await jobs.createIndex({ platform: 1, receivedAt: -1 });
+      await jobs.createIndex({ completedAt: 1 }, { expireAfterSeconds: COMPLETED_RETENTION_SECONDS });
+      await deadLetters.createIndex({ platform: 1, deadAt: -1 });
+    } catch (error) {
+      console.warn('⚠️ Could not ensure webhook queue indexes:', error.message);
+    } finally {
+      indexesEnsured = true;
+    }
+  }
+
+  return { jobs, deadLetters };
+}
+
+/**
+ * Register the function that processes queued events for a platform.
+ * Processors must throw to request a retry.
+ */
+function registerWebhookProcessor(platform, processor) {
+  processors.set(platform, processor);
+}
+
+/**
+ * Persist an inbound webhook payload for background processing
+ * @returns {Promise<ObjectId>} Job ID
+ */
+async function enqueueWebhookEvent(platform, payload) {
+  const { jobs } = await getCollections();
+  const now = new Date();
+
+  const result = await jobs.insertOne({
+    platform,
+    payload,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextRunAt: now,
+    receivedAt: now,
+    updatedAt: now,
+    errors: []
+  });
+
+  // Pick the job up right away instead of waiting for the next poll
+  if (workerTimer) setImmediate(runWorker);
+
+  return result.insertedId;
+}
+
+/**
+ * Add an item to the pending batch for a key, or start a new batch. Every item moves the job's
+ * run time to delayMs from now; the processor gets the payload { ...context, items }.
+ * Once the batch has been picked up (or failed once), later items start a new batch.
+ * @returns {Promise<ObjectId>} Job ID
+ */
+async function enqueueBatchedEvent(platform, batchKey, context, item, delayMs) {
+  const { jobs } = await getCollections();
+  const now = new Date();
+
+  const contextFields = Object.fromEntries(Object.entries(context).map(([key, value]) => [`payload.${key}`, value]));
+  const upsertItem = () => jobs.findOneAndUpdate(
+    { platform, batchKey, status: 'pending', attempts: 0 },
+    {
+      $setOnInsert: { ...contextFields, maxAttempts: MAX_ATTEMPTS, receivedAt: now, errors: [] },
+      $set: { nextRunAt: new Date(now.getTime() + delayMs), updatedAt: now },
+      $push: { 'payload.items': item }
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const job = await upsertItem();
+      return job._id;
+    } catch (error) {
+      // Another request opened the batch between our match and insert - add to that one instead
+      if (error.code !== DUPLICATE_KEY_ERROR || attempt >= MAX_UPSERT_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Save progress on a running job's payload, so a retry can pick up from there
+ * @param {object} fields - Payload fields to set, e.g. { result }
+ */
+async function updateJobPayload(jobId, fields) {
+  const { jobs } = await getCollections();
+  const update = Object.fromEntries(Object.entries(fields).map(([key, value]) => [`payload.${key}`, value]));
+  await jobs.updateOne({ _id: jobId }, { $set: { ...update, updatedAt: new Date() } });
+}
+
+function getBackoffDelay(attempts) {
+  return Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+}
+
+async function claimNextJob(jobs) {
+  const now = new Date();
+  return jobs.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextRunAt: { $lte: now } },
+        { status: 'processing', lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+      ]
+    },
+    {
+      $set: { status: 'processing', lockedAt: now, lockedBy: WORKER_ID, updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { nextRunAt: 1 }, returnDocument: 'after' }
+  );
+}
+
+async function handleFailure(job, error, { jobs, deadLetters }) {
+  const now = new Date();
+  const failure = {
+    attempt: job.attempts,
+    message: error.response?.data ? JSON.stringify(error.response.data) : error.message,
+    at: now
+  };
+
+  if (job.attempts >= (job.maxAttempts || MAX_ATTEMPTS)) {
+    const { _id, lockedAt, lockedBy, ...rest } = job;
+    await deadLetters.insertOne({
+      ...rest,
+      jobId: _id,
+      status: 'dead',
+      lastError: failure.message,
+      errors: [...(job.errors || []), failure],
+      deadAt: now
+    });
+    await jobs.deleteOne({ _id });
+
+    console.error(`💀 Webhook job ${_id} (${job.platform}) dead-lettered after ${job.attempts} attempts: ${failure.message}`);
+    await logError(error, {
+      platform: job.platform,
+      endpoint: `webhook_queue:${job.platform}`,
+      severity: 'error',
+      category: 'webhook_queue',
+      requestData: { jobId: _id.toString(), attempts: job.attempts }
+    });
+    return;
+  }
+
+  const delay = getBackoffDelay(job.attempts);
+  await jobs.updateOne(
+    { _id: job._id },
+    {
+      $set: {
+        status: 'pending',
+        nextRunAt: new Date(now.getTime() + delay),
+        lastError: failure.message,
+        updatedAt: now
+      },
+      $unset: { lockedAt: '', lockedBy: '' },
+      $push: { errors: failure }
+    }
+  );
+  console.warn(`🔁 Webhook job ${job._id} (${job.platform}) failed attempt ${job.attempts}, retrying in ${Math.round(delay / 1000)}s: ${failure.message}`);
+}
+
+async function processJob(job, collections) {
+  const processor = processors.get(job.platform);
+
+  try {
+    if (!processor) {
+      throw new Error(`No webhook processor registered for platform "${job.platform}"`);
+    }
+
+    await processor(job.payload, job);
+
+    const now = new Date();
+    await collections.jobs.updateOne(
+      { _id: job._id },
+      {
+        $set: { status: 'completed', completedAt: now, updatedAt: now },
+        $unset: { lockedAt: '', lockedBy: '', payload: '' }
+      }
+    );
+  } catch (error) {
+    await handleFailure(job, error, collections);
+  }
+}
+
+/**
+ * Drain every job that is due, one at a time so per-customer message order is kept
+ */
+async function runWorker() {
+  if (workerRunning) return;
+  workerRunning = true;
+
+  try {
+    const collections = await getCollections();
+    let job;
+    while ((job = await claimNextJob(collections.jobs))) {
+      await processJob(job, collections);
+    }
+  } catch (error) {
+    console.error('❌ Webhook worker error:', error.message);
+  } finally {
+    workerRunning = false;
+  }
+}
+
+/**
+ * Start polling the queue (call once per process)
+ */
+function startWebhookWorker() {
+  if (workerTimer) return;
+  workerTimer = setInterval(runWorker, POLL_INTERVAL_MS);
+  console.log(`👷 Webhook worker ${WORKER_ID} started (poll ${POLL_INTERVAL_MS}ms, max ${MAX_ATTEMPTS} attempts)`);
+  setImmediate(runWorker);
+}
+
+function stopWebhookWorker() {
+  if (workerTimer) clearInterval(workerTimer);
+  workerTimer = null;
+}
+
+/**
+ * Queue overview: job counts by platform and status, plus dead-letter totals
+ */
+async function getQueueStats() {
+  const { jobs, deadLetters } = await getCollections();
+
+  const [jobCounts, deadCounts] = await Promise.all([
+    jobs.aggregate([{ $group: { _id: { platform: '$platform', status: '$status' }, count: { $sum: 1 } } }]).toArray(),
+    deadLetters.aggregate([{ $group: { _id: '$platform', count: { $sum: 1 } } }]).toArray()
+  ]);
+
+  const stats = { byStatus: {}, byPlatform: {}, deadLetters: 0 };
+  for (const { _id, count } of jobCounts) {
+    stats.byStatus[_id.status] = (stats.byStatus[_id.status] || 0) + count;
+    stats.byPlatform[_id.platform] = stats.byPlatform[_id.platform] || {};
+    stats.byPlatform[_id.platform][_id.status] = count;
+  }
+  for (const { _id, count } of deadCounts) {
+    stats.deadLetters += count;
+    stats.byPlatform[_id] = stats.byPlatform[_id] || {};
+    stats.byPlatform[_id].dead = count;
+  }
+
+  return stats;
+}
+
+/**
+ * List jobs, or dead letters when status is "dead"
+ */
+async function listJobs({ status, platform, limit = 50, skip = 0 } = {}) {
+  const { jobs, deadLetters } = await getCollections();
+  const col = status === 'dead' ? deadLetters : jobs;
+
+  const filter = {};
+  if (status && status !== 'dead') filter.status = status;
+  if (platform) filter.platform = platform;
+
+  const sort = status === 'dead' ? { deadAt: -1 } : { receivedAt: -1 };
+  const [items, total] = await Promise.all([
+    col.find(filter).sort(sort).skip(skip).limit(limit).toArray(),
+    col.countDocuments(filter)
+  ]);
+
+  return { items, total };
+}
+
+async function getJob(id) {
+  const { jobs, deadLetters } = await getCollections();
+  const _id = new ObjectId(id);
+  return (await jobs.findOne({ _id })) || deadLetters.findOne({ _id });
+}
+
+/**
+ * Move a dead-lettered job back onto the queue with a fresh attempt budget
+ * @returns {Promise<ObjectId|null>} New job ID, or null if the dead letter does not exist
+ */
+async function retryDeadLetter(id) {
+  const { jobs, deadLetters } = await getCollections();
+  const deadLetter = await deadLetters.findOne({ _id: new ObjectId(id) });
+  if (!deadLetter) return null;
+
+  const now = new Date();
+  const result = await jobs.insertOne({
+    platform: deadLetter.platform,
+    payload: deadLetter.payload,
+    status: 'pending',
+    attempts: 0,
+    maxAttempts: MAX_ATTEMPTS,
+    nextRunAt: now,
+    receivedAt: deadLetter.receivedAt || now,
+    updatedAt: now,
+    errors: deadLetter.errors || [],
+    retriedFrom: deadLetter._id
+  });
+  await deadLetters.deleteOne({ _id: deadLetter._id });
+
+  return result.insertedId;
+}
+
+module.exports = {
+  registerWebhookProcessor,
+  enqueueWebhookEvent,
+  enqueueBatchedEvent,
+  updateJobPayload,
+  startWebhookWorker,
+  stopWebhookWorker,
+  getQueueStats,
+  listJobs,
+  getJob,
+  retryDeadLetter,
+  getBackoffDelay
+};
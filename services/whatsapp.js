@@ -0,0 +1,174 @@
+const axios = require('axios');
+const FormData = require('form-data');
+
+const GRAPH_API = 'https://graph.facebook.com/v18.0';
+
+const authHeaders = (accessToken) => ({
+  Authorization: `Bearer ${accessToken}`,
+  'Content-Type': 'application/json'
+});
+
+const postMessage = async (phoneNumberId, accessToken, payload) => {
+  const response = await axios.post(`${GRAPH_API}/${phoneNumberId}/messages`, {
+    messaging_product: 'whatsapp',
+    ...payload
+  }, { headers: authHeaders(accessToken) });
+
+  return response.data;
+};
+
+const sendWhatsAppMessage = async (to, messageText, { phoneNumberId, accessToken }) => {
+  try {
+    console.log(`🟢 Sending WhatsApp message to ${to}`);
+    const result = await postMessage(phoneNumberId, accessToken, {
+      to,
+      type: 'text',
+      text: { body: messageText }
+    });
+    console.log(`✅ WhatsApp message sent successfully to ${to}`);
+    return result;
+  } catch (err) {
+    console.error(`❌ WhatsApp send error to ${to}:`, err.response?.data || err.message);
+    throw err; // Re-throw to allow calling code to handle
+  }
+};
+
+/**
+ * Send an image, audio, video or document by public link
+ * @param {object} media - { type, url, caption, filename }
+ */
+const sendWhatsAppMedia = async (to, media, { phoneNumberId, accessToken }) => {
+  try {
+    console.log(`🟢 Sending WhatsApp ${media.type} to ${to}`);
+    const body = { link: media.url };
+    if (media.caption && media.type !== 'audio') body.caption = media.caption;
+    if (media.filename && media.type === 'document') body.filename = media.filename;
+
+    const result = await postMessage(phoneNumberId, accessToken, {
+      to,
+      type: media.type,
+      [media.type]: body
+    });
+    console.log(`✅ WhatsApp ${media.type} sent successfully to ${to}`);
+    return result;
+  } catch (err) {
+    console.error(`❌ WhatsApp media send error to ${to}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Send an interactive list or reply-button message
+ * @param {object} interactive - Cloud API `interactive` object (see services/interactiveMessages.js)
+ */
+const sendWhatsAppInteractive = async (to, interactive, { phoneNumberId, accessToken }) => {
+  try {
+    console.log(`🟢 Sending WhatsApp interactive ${interactive.type} to ${to}`);
+    const result = await postMessage(phoneNumberId, accessToken, {
+      to,
+      type: 'interactive',
+      interactive
+    });
+    console.log(`✅ WhatsApp interactive ${interactive.type} sent successfully to ${to}`);
+    return result;
+  } catch (err) {
+    console.error(`❌ WhatsApp interactive send error to ${to}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Send an approved message template - the only message type allowed outside the 24h window
+ * @param {object} template - { name, language, parameters: [string] } (body parameters, in order)
+ */
+const sendWhatsAppTemplate = async (to, { name, language, parameters = [] }, { phoneNumberId, accessToken }) => {
+  try {
+    console.log(`🟢 Sending WhatsApp template "${name}" to ${to}`);
+    const template = { name, language: { code: language } };
+    if (parameters.length) {
+      template.components = [{
+        type: 'body',
+        parameters: parameters.map(text => ({ type: 'text', text: String(text) }))
+      }];
+    }
+
+    const result = await postMessage(phoneNumberId, accessToken, {
+      to,
+      type: 'template',
+      template
+    });
+    console.log(`✅ WhatsApp template "${name}" sent successfully to ${to}`);
+    return result;
+  } catch (err) {
+    console.error(`❌ WhatsApp template send error to ${to}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Upload audio/image bytes to WhatsApp and return the media ID to send
+ * @param {object} file - { buffer, mimeType, filename }
+ */
+const uploadWhatsAppMedia = async (file, { phoneNumberId, accessToken }) => {
+  const form = new FormData();
+  form.append('messaging_product', 'whatsapp');
+  form.append('type', file.mimeType);
+  form.append('file', file.buffer, { filename: file.filename, contentType: file.mimeType });
+
+  const response = await axios.post(`${GRAPH_API}/${phoneNumberId}/media`, form, {
+    headers: { Authorization: `Bearer ${accessToken}`, ...form.getHeaders() }
+  });
+  return response.data.id;
+};
+
+/**
+ * Send generated audio as a voice note
+ * @param {object} audio - { buffer, mimeType, filename }
+ */
+const sendWhatsAppVoice = async (to, audio, credentials) => {
+  try {
+    console.log(`🟢 Sending WhatsApp voice note to ${to}`);
+    const mediaId = await uploadWhatsAppMedia(audio, credentials);
+    const result = await postMessage(credentials.phoneNumberId, credentials.accessToken, {
+      to,
+      type: 'audio',
+      audio: { id: mediaId }
+    });
+    console.log(`✅ WhatsApp voice note sent successfully to ${to}`);
+    return result;
+  } catch (err) {
+    console.error(`❌ WhatsApp voice send error to ${to}:`, err.response?.data || err.message);
+    throw err;
+  }
+};
+
+/**
+ * Resolve a media ID from an inbound message to a short-lived download URL
+ */
+const getWhatsAppMediaUrl = async (mediaId, accessToken) => {
+  const response = await axios.get(`${GRAPH_API}/${mediaId}`, {
+    headers: { Authorization: `Bearer ${accessToken}` }
+  });
+  return response.data.url;
+};
+
+/**
+ * Mark an inbound message as read (blue ticks)
+ */
+const markWhatsAppRead = async (messageId, { phoneNumberId, accessToken }) => {
+  await postMessage(phoneNumberId, accessToken, {
+    status: 'read',
+    message_id: messageId
+  });
+};
+
+module.exports = {
+  sendWhatsAppMessage,
+  sendWhatsAppMedia,
+  sendWhatsAppInteractive,
+  sendWhatsAppTemplate,
+  uploadWhatsAppMedia,
+  sendWhatsAppVoice,
+  getWhatsAppMediaUrl,
+  markWhatsAppRead
+};
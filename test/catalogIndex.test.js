@@ -0,0 +1,135 @@
+// test/catalogIndex.test.js
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { stubModule, load } = require('./helpers/stub');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+// Node 20's test runner misreads a log line that shares a pipe read with one of its own messages
+// when the line starts with a multi-byte emoji, which every index rebuild logs
+mock.method(console, 'log', () => {});
+
+const memoryDb = createMemoryDb();
+stubModule('db.js', memoryDb.getDb);
+
+const {
+  tokenize,
+  buildCatalogIndex,
+  searchCatalog,
+  rebuildCatalogIndex,
+  refreshCatalogIndex,
+  getCatalogIndex,
+  selectRelevantProducts
+} = load('services/catalogIndex.js');
+const { buildProductDatabase } = load('services/catalogBuilder.js');
+
+const product = (id, title, fields = {}) => ({
+  id,
+  title,
+  variants: [{ id: `${id}01`, option1: 'M', discountedPrice: '20' }],
+  ...fields
+});
+
+const smallCatalog = () => [
+  product(1, 'Running Shoes', { tags: ['sport'], description: 'Light shoes for daily runs' }),
+  product(2, 'Leather Bag', { vendor: 'Atelier', description: 'Goes well with running shoes' }),
+  product(3, 'فستان سهرة', { tags: ['الفساتين'] }),
+  product(4, 'Wool Scarf', { variants: [{ id: '401', option1: 'Red', inStock: false }] })
+];
+
+// More products than go into the prompt whole
+const largeCatalog = () => Array.from({ length: 30 }, (_, i) => product(100 + i, `Plain Item ${i}`))
+  .concat(smallCatalog());
+
+beforeEach(() => memoryDb.reset());
+
+test('tokenize folds Arabic variants, the ال prefix, Arabizi digits and plurals', () => {
+  assert.deepEqual(
+    tokenize('الأحذيةةة الرياضية! 7elwe Shoes sooo nice, 3ndak fustan? size 42 ة'),
+    ['احذيه', 'رياضيه', 'helwe', 'shoe', 'so', 'nice', 'andak', 'fustan', 'size', '42']
+  );
+  assert.deepEqual(tokenize(''), []);
+  assert.deepEqual(tokenize(null), []);
+});
+
+test('search ranks title matches first and skips products without a matching term', () => {
+  const productDatabase = buildProductDatabase(smallCatalog());
+  const index = buildCatalogIndex(productDatabase);
+
+  assert.equal(index.productCount, 3); // the out-of-stock scarf is not in the catalog
+  assert.deepEqual(searchCatalog(index, 'running shoes', productDatabase).map(hit => hit.product.id), ['1', '2']);
+  assert.deepEqual(searchCatalog(index, 'فساتين', productDatabase).map(hit => hit.product.id), ['3']);
+  assert.deepEqual(searchCatalog(index, 'hello there', productDatabase), []);
+});
+
+test('hits come from the current catalog, not the one the index was built from', () => {
+  const productDatabase = buildProductDatabase(smallCatalog());
+  const index = buildCatalogIndex(productDatabase);
+
+  const current = productDatabase.filter(p => p.id !== '1').map(p => ({ ...p, minPrice: 15 }));
+  const hits = searchCatalog(index, 'shoes', current);
+
+  assert.deepEqual(hits.map(hit => hit.product.id), ['2']);
+  assert.equal(hits[0].product.minPrice, 15);
+});
+
+test('getCatalogIndex reuses the index until the searchable content changes', () => {
+  const businessId = new ObjectId();
+  const productDatabase = buildProductDatabase(smallCatalog());
+  const index = getCatalogIndex(businessId, productDatabase);
+
+  const repriced = productDatabase.map(p => ({ ...p, minPrice: 99 }));
+  assert.equal(getCatalogIndex(businessId, repriced), index);
+
+  const renamed = productDatabase.map(p => (p.id === '2' ? { ...p, title: 'Leather Backpack' } : p));
+  const rebuilt = getCatalogIndex(businessId, renamed);
+  assert.notEqual(rebuilt, index);
+  assert.deepEqual(searchCatalog(rebuilt, 'backpack', renamed).map(hit => hit.product.id), ['2']);
+});
+
+test('rebuildCatalogIndex and refreshCatalogIndex replace the business index', async () => {
+  const businessId = new ObjectId();
+  const products = smallCatalog();
+
+  const rebuilt = rebuildCatalogIndex(businessId, products);
+  assert.equal(getCatalogIndex(businessId, buildProductDatabase(products)), rebuilt);
+
+  products.push(product(5, 'Canvas Sneakers'));
+  await memoryDb.collection('businesses').insertOne({ _id: businessId, products });
+  const refreshed = await refreshCatalogIndex(businessId.toString());
+
+  assert.equal(refreshed.productCount, 4);
+  assert.equal(getCatalogIndex(businessId, buildProductDatabase(products)), refreshed);
+  assert.equal(await refreshCatalogIndex(new ObjectId().toString()), null);
+});
+
+test('small catalogs go into the prompt whole', () => {
+  const productDatabase = buildProductDatabase(smallCatalog());
+
+  const { products, retrieved } = selectRelevantProducts(new ObjectId(), productDatabase, { query: 'shoes' });
+
+  assert.equal(retrieved, false);
+  assert.equal(products, productDatabase);
+});
+
+test('large catalogs keep the cart, then the best matches, up to the limit', () => {
+  const productDatabase = buildProductDatabase(largeCatalog());
+
+  const { products, retrieved } = selectRelevantProducts(new ObjectId(), productDatabase, {
+    query: 'do you have running shoes?',
+    cartProductIds: [3],
+    limit: 2
+  });
+
+  assert.equal(retrieved, true);
+  assert.deepEqual(products.map(p => p.id), ['3', '1', '2']);
+});
+
+test('a query without matches falls back to the start of the catalog', () => {
+  const productDatabase = buildProductDatabase(largeCatalog());
+
+  const { products, retrieved } = selectRelevantProducts(new ObjectId(), productDatabase, { query: 'hello!' });
+
+  assert.equal(retrieved, true);
+  assert.deepEqual(products.map(p => p.id), productDatabase.slice(0, 8).map(p => p.id));
+});
@@ -0,0 +1,134 @@
+// test/channelPipeline.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createBusiness, createFakeAdapter, loadPipeline } = require('./helpers/pipeline');
+
+process.env.IDEMPOTENCY_STORE = 'memory';
+
+const { pipeline, memoryDb, state } = loadPipeline();
+const { processChannelPayload, sendBatchedReply, getReplyQueue } = pipeline;
+const jobs = memoryDb.collection('webhook_jobs');
+
+const textMessage = (messageId, text, extra = {}) => ({
+  platform: 'messenger',
+  messageId,
+  senderId: 'customer-1',
+  type: 'text',
+  text,
+  businessLookup: { page_id: 'page-1' },
+  ...extra
+});
+
+beforeEach(() => {
+  memoryDb.reset();
+  state.business = createBusiness();
+  state.reply = { reply: 'Hello from the shop' };
+  state.generateReplyCalls.length = 0;
+});
+
+test('text messages from one customer are batched into a single reply job', async () => {
+  const adapter = createFakeAdapter('messenger');
+  await processChannelPayload(adapter, { messages: [textMessage('m1', 'Hi'), textMessage('m2', 'Do you have shoes?')] });
+
+  assert.equal(jobs.docs.length, 1);
+  const [job] = jobs.docs;
+  assert.equal(job.platform, getReplyQueue('messenger'));
+  assert.equal(job.batchKey, `${state.business._id}:customer-1`);
+  assert.deepEqual(job.payload.items.map(item => item.text), ['Hi', 'Do you have shoes?']);
+  assert.deepEqual(job.payload.businessLookup, { page_id: 'page-1' });
+  assert.equal(adapter.sent.length, 0);
+});
+
+test('a redelivered message is only handled once', async () => {
+  const adapter = createFakeAdapter('messenger');
+  await processChannelPayload(adapter, { messages: [textMessage('m3', 'Hi')] });
+  await processChannelPayload(adapter, { messages: [textMessage('m3', 'Hi')] });
+
+  assert.deepEqual(jobs.docs[0].payload.items, [{ text: 'Hi', type: 'text' }]);
+});
+
+test('a message that fails is released so the retried job handles it again', async () => {
+  const adapter = createFakeAdapter('messenger');
+  const findOneAndUpdate = jobs.findOneAndUpdate;
+  jobs.findOneAndUpdate = async () => { throw new Error('database down'); };
+  try {
+    await assert.rejects(processChannelPayload(adapter, { messages: [textMessage('m4', 'Hi')] }), /database down/);
+  } finally {
+    jobs.findOneAndUpdate = findOneAndUpdate;
+  }
+
+  await processChannelPayload(adapter, { messages: [textMessage('m4', 'Hi')] });
+  assert.equal(jobs.docs.length, 1);
+});
+
+test('messages for an unknown business are dropped without failing the job', async () => {
+  state.business = null;
+  await processChannelPayload(createFakeAdapter('messenger'), { messages: [textMessage('m5', 'Hi')] });
+  assert.equal(jobs.docs.length, 0);
+});
+
+test('a business without access gets the plan fallback instead of an AI reply', async () => {
+  state.business = createBusiness({ subscription: { plan: 'pro', status: 'active', endDate: '2000-01-01' } });
+  state.business.settings.limits.maxMessages = 1;
+  state.business.settings.limits.usedMessages = 1;
+  const adapter = createFakeAdapter('messenger');
+
+  await processChannelPayload(adapter, { messages: [textMessage('m6', 'Hi')] });
+
+  assert.equal(jobs.docs.length, 0);
+  assert.equal(adapter.sent.length, 1);
+  assert.match(adapter.sent[0].text, /^⚠️/);
+});
+
+test('unsupported messages are skipped', async () => {
+  const adapter = createFakeAdapter('messenger');
+  await processChannelPayload(adapter, { messages: [textMessage('m7', undefined, { type: 'unsupported' })] });
+  assert.equal(jobs.docs.length, 0);
+  assert.equal(adapter.sent.length, 0);
+});
+
+test('sendBatchedReply answers the whole batch once and saves the reply on the job', async () => {
+  const adapter = createFakeAdapter('messenger');
+  await processChannelPayload(adapter, { messages: [textMessage('m8', 'Hi'), textMessage('m9', 'Price?')] });
+  const [job] = jobs.docs;
+
+  await sendBatchedReply(adapter, job.payload, job);
+
+  assert.equal(state.generateReplyCalls.length, 1);
+  assert.equal(state.generateReplyCalls[0][1], 'Hi\nPrice?');
+  assert.deepEqual(adapter.sent.map(s => [s.to, s.text]), [['customer-1', 'Hello from the shop']]);
+  assert.equal(jobs.docs[0].payload.result.reply, 'Hello from the shop');
+});
+
+test('a retried reply job re-sends the saved reply without asking the AI again', async () => {
+  const adapter = createFakeAdapter('messenger');
+  await processChannelPayload(adapter, { messages: [textMessage('m10', 'Hi')] });
+  const [job] = jobs.docs;
+  job.payload.result = { reply: 'Saved answer' };
+
+  await sendBatchedReply(adapter, job.payload, job);
+
+  assert.equal(state.generateReplyCalls.length, 0);
+  assert.deepEqual(adapter.sent.map(s => s.text), ['Saved answer']);
+});
+
+test('nothing is sent when generateReply stays silent', async () => {
+  state.reply = null;
+  const adapter = createFakeAdapter('messenger');
+  await processChannelPayload(adapter, { messages: [textMessage('m11', 'Hi')] });
+  const [job] = jobs.docs;
+
+  await sendBatchedReply(adapter, job.payload, job);
+  assert.equal(adapter.sent.length, 0);
+  assert.equal(jobs.docs[0].payload.result, null);
+});
+
+test('replies go to replyTo when the channel answers a thread rather than the sender', async () => {
+  const adapter = createFakeAdapter('tiktok');
+  const inbound = { ...textMessage('m12', 'Hi'), platform: 'tiktok', replyTo: 'conversation-9', businessLookup: { tiktok_account_id: 'acct' } };
+  await processChannelPayload(adapter, { messages: [inbound] });
+  const [job] = jobs.docs;
+
+  await sendBatchedReply(adapter, job.payload, job);
+  assert.equal(adapter.sent[0].to, 'conversation-9');
+});
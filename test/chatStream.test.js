@@ -0,0 +1,119 @@
+// test/chatStream.test.js
+const { test, before, after, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { stubModule, load } = require('./helpers/stub');
+const { createMemoryDb } = require('./helpers/memoryDb');
+const { createBusiness } = require('./helpers/pipeline');
+
+// Node 20's test runner misreads a log line that shares a pipe read with one of its own messages
+// when the line starts with a multi-byte emoji, which generateReply logs on every turn
+mock.method(console, 'log', () => {});
+
+const memoryDb = createMemoryDb();
+const state = { business: null, deltas: [] };
+stubModule('db.js', memoryDb.getDb);
+stubModule('services/business.js', { getBusinessInfo: async () => state.business });
+// The FAQ matcher learns words into services/mappings on every call
+stubModule('services/modelMatcher.js', { matchFAQSmart: () => null });
+stubModule('services/advancedLogger.js', { logError: async () => {}, logConversation: async () => {}, logAnalyticsEvent: async () => {} });
+
+process.env.LLM_ALLOWED_MODELS = 'scripted:stream';
+const llm = load('services/llm/index.js');
+llm.registerLlmProvider({
+  name: 'scripted',
+  complete: async () => ({ text: state.deltas.join('') }),
+  stream: async (request, onDelta) => {
+    for (const delta of state.deltas) onDelta(delta);
+    return { text: state.deltas.join('') };
+  }
+});
+const chatRoutes = load('routes/chat.js');
+
+let server;
+let baseUrl;
+before(async () => {
+  server = http.createServer(express().use(express.json()).use('/api', chatRoutes));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+});
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(async () => {
+  memoryDb.reset();
+  state.business = createBusiness({
+    domain: 'shop.example',
+    settings: { advanced: { ai: { models: ['scripted:stream'] } } }
+  });
+  await memoryDb.collection('businesses').insertOne(state.business);
+});
+
+// POST /chat/stream and parse the Server-Sent Events
+async function streamChat(body) {
+  const response = await fetch(`${baseUrl}/chat/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  const text = await response.text();
+  if (!response.headers.get('content-type').startsWith('text/event-stream')) return { response, events: [] };
+
+  const events = text.split('\n\n').filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+  return { response, events };
+}
+
+const chat = { message: 'How much is the tote?', domain: 'shop.example', sessionId: 'session123' };
+
+test('replies stream as delta events with order action blocks stripped, even when split across deltas', async () => {
+  state.deltas = ['The **tote** is', ' $20.[AI_ORD', 'ER_ACTIONS]\nADD_ITEM: p1, v1\n[/AI_ORDER', '_ACTIONS] Want ', 'one?'];
+
+  const { response, events } = await streamChat(chat);
+
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+  const deltas = events.filter(e => e.event === 'delta').map(e => e.data.text);
+  assert.equal(deltas.join(''), 'The **tote** is $20. Want one?');
+  assert.ok(deltas.every(text => !text.includes('[') && !text.includes('ADD_ITEM')));
+
+  const done = events.at(-1);
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.reply, 'The **tote** is $20. Want one?');
+});
+
+test('a marker-like bracket that never becomes a block is passed through at the end', async () => {
+  state.deltas = ['Sizes: [AI_', 'small] or large'];
+
+  const { events } = await streamChat(chat);
+
+  assert.equal(events.filter(e => e.event === 'delta').map(e => e.data.text).join(''), 'Sizes: [AI_small] or large');
+});
+
+test('a disabled website channel ends the stream with an empty reply', async () => {
+  await memoryDb.collection('businesses').updateOne({ _id: state.business._id }, { $set: { 'settings.advanced.channels.website': false } });
+  state.deltas = ['Never sent'];
+
+  const { events } = await streamChat(chat);
+
+  assert.deepEqual(events, [{ event: 'done', data: { reply: null } }]);
+});
+
+test('invalid requests are rejected before the stream starts', async () => {
+  const { response } = await streamChat({ ...chat, sessionId: 'x' });
+  assert.equal(response.status, 400);
+});
+
+test('the non-streaming endpoint returns the same stripped reply', async () => {
+  state.deltas = ['Yes! [AI_ORDER_ACTIONS]\nCONFIRM_ORDER: true\n[/AI_ORDER_ACTIONS]'];
+
+  const response = await fetch(`${baseUrl}/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(chat)
+  });
+
+  assert.deepEqual(await response.json(), { reply: 'Yes!' });
+});
@@ -0,0 +1,146 @@
+// test/commentReplies.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { load } = require('./helpers/stub');
+const { createBusiness, createFakeAdapter, loadPipeline } = require('./helpers/pipeline');
+
+process.env.IDEMPOTENCY_STORE = 'memory';
+
+const { pipeline, memoryDb, state } = loadPipeline();
+const { isCommentEligible } = load('services/commentReplies.js');
+const metaAdapters = load('services/channels/meta.js');
+const { replyToComment, sendPrivateReply, subscribePageWebhooks } = load('services/meta.js');
+
+const originalPost = axios.post;
+afterEach(() => { axios.post = originalPost; });
+
+function createCommentAdapter() {
+  const adapter = createFakeAdapter('messenger');
+  adapter.replyToComment = async (credentials, comment, text) => { adapter.sent.push({ kind: 'public', to: comment.id, text }); };
+  adapter.sendPrivateReply = async (credentials, comment, text) => { adapter.sent.push({ kind: 'private', to: comment.id, text }); };
+  return adapter;
+}
+
+const commentMessage = (text, postId = 'post-1') => ({
+  platform: 'messenger',
+  messageId: 'comment:c1',
+  senderId: 'customer-1',
+  type: 'comment',
+  text,
+  media: null,
+  comment: { id: 'c1', postId, authorId: 'customer-1', authorName: 'Rana', text },
+  businessLookup: { page_id: 'page-1' }
+});
+
+const withComments = (comments) => createBusiness({ settings: { advanced: { comments } } });
+
+beforeEach(() => {
+  memoryDb.reset();
+  state.reply = { reply: 'Yes, size 42 is in stock' };
+  state.generateReplyCalls.length = 0;
+});
+
+test('isCommentEligible applies the auto-reply switch, post list and keywords', () => {
+  const comment = { postId: 'post-1', text: 'What is the PRICE?' };
+
+  assert.equal(isCommentEligible(undefined, comment), false);
+  assert.equal(isCommentEligible({ autoReply: false }, comment), false);
+  assert.equal(isCommentEligible({ autoReply: true }, comment), true);
+  assert.equal(isCommentEligible({ autoReply: true, postIds: ['post-2'] }, comment), false);
+  assert.equal(isCommentEligible({ autoReply: true, postIds: ['post-1'], keywords: [' price '] }, comment), true);
+  assert.equal(isCommentEligible({ autoReply: true, keywords: ['delivery'] }, comment), false);
+});
+
+test('Page feed and Instagram comment changes are parsed into comment messages', () => {
+  const [fromPage] = metaAdapters.messenger.parseInbound({
+    entry: [{
+      id: 'page-1',
+      changes: [
+        { field: 'feed', value: { item: 'comment', verb: 'add', comment_id: 'c1', post_id: 'p1', parent_id: 'p1', from: { id: 'u1', name: 'Rana' }, message: 'Price?' } },
+        { field: 'feed', value: { item: 'comment', verb: 'add', comment_id: 'c2', post_id: 'p1', from: { id: 'page-1' }, message: 'Our own reply' } },
+        { field: 'feed', value: { item: 'reaction', verb: 'add', post_id: 'p1', from: { id: 'u2' } } }
+      ]
+    }]
+  });
+  assert.equal(fromPage.type, 'comment');
+  assert.equal(fromPage.messageId, 'comment:c1');
+  assert.deepEqual(fromPage.comment, { id: 'c1', postId: 'p1', parentId: undefined, authorId: 'u1', authorName: 'Rana', text: 'Price?' });
+  assert.deepEqual(fromPage.businessLookup, { page_id: 'page-1' });
+
+  const parsed = metaAdapters.instagram.parseInbound({
+    entry: [{ id: 'ig-1', changes: [{ field: 'comments', value: { id: 'c9', media: { id: 'm1' }, from: { id: 'u1', username: 'rana' }, text: 'Love it' } }] }]
+  });
+  assert.equal(parsed.length, 1);
+  assert.equal(parsed[0].comment.postId, 'm1');
+  assert.deepEqual(parsed[0].businessLookup, { instagram_account_id: 'ig-1' });
+});
+
+test('public mode answers under the comment and counts the message', async () => {
+  state.business = withComments({ autoReply: true, replyMode: 'public' });
+  await memoryDb.collection('businesses').insertOne(state.business);
+  const adapter = createCommentAdapter();
+
+  await pipeline.handleInboundMessage(adapter, commentMessage('Do you have size 42?'));
+
+  assert.deepEqual(adapter.sent, [{ kind: 'public', to: 'c1', text: 'Yes, size 42 is in stock' }]);
+  assert.equal(state.generateReplyCalls[0][1], 'Do you have size 42?');
+  assert.equal(memoryDb.collection('businesses').docs[0].settings.limits.usedMessages, 1);
+});
+
+test('both mode sends a private reply and a short public note', async () => {
+  state.business = withComments({ autoReply: true, replyMode: 'both', publicReplyText: 'Check your inbox!' });
+  const adapter = createCommentAdapter();
+
+  await pipeline.handleInboundMessage(adapter, commentMessage('How much?'));
+
+  assert.deepEqual(adapter.sent, [
+    { kind: 'private', to: 'c1', text: 'Yes, size 42 is in stock' },
+    { kind: 'public', to: 'c1', text: 'Check your inbox!' }
+  ]);
+});
+
+test('long public replies are clipped to 300 characters', async () => {
+  state.business = withComments({ autoReply: true, replyMode: 'public' });
+  state.reply = { reply: 'a'.repeat(500) };
+  const adapter = createCommentAdapter();
+
+  await pipeline.handleInboundMessage(adapter, commentMessage('Tell me everything'));
+
+  assert.equal(adapter.sent[0].text.length, 300);
+  assert.ok(adapter.sent[0].text.endsWith('…'));
+});
+
+test('ineligible comments and businesses without AI replies are skipped', async () => {
+  const adapter = createCommentAdapter();
+
+  state.business = withComments({ autoReply: true, keywords: ['price'] });
+  await pipeline.handleInboundMessage(adapter, commentMessage('Nice photo'));
+
+  state.business = withComments({ autoReply: true });
+  state.business.settings.features.aiReplies = false;
+  await pipeline.handleInboundMessage(adapter, commentMessage('What is the price?'));
+
+  assert.equal(adapter.sent.length, 0);
+  assert.equal(state.generateReplyCalls.length, 0);
+});
+
+test('Graph API calls use the comment edges and the Page subscription fields', async () => {
+  const requests = [];
+  axios.post = async (url, body, config) => {
+    requests.push({ url, body, config });
+    return { data: { message_id: 'mid.1' } };
+  };
+
+  await replyToComment('messenger', 'c1', 'Thanks!', 'page-token');
+  await replyToComment('instagram', 'c2', 'Thanks!', 'page-token');
+  await sendPrivateReply('c3', 'Hi there', 'page-token');
+  await subscribePageWebhooks('page-1', 'page-token');
+
+  assert.equal(requests[0].url, 'https://graph.facebook.com/v19.0/c1/comments');
+  assert.equal(requests[1].url, 'https://graph.facebook.com/v19.0/c2/replies');
+  assert.deepEqual(requests[2].body, { recipient: { comment_id: 'c3' }, message: { text: 'Hi there' } });
+  assert.equal(requests[3].url, 'https://graph.facebook.com/v19.0/page-1/subscribed_apps');
+  assert.match(requests[3].config.params.subscribed_fields, /(^|,)feed(,|$)/);
+  assert.equal(requests[3].config.headers.Authorization, 'Bearer page-token');
+});
@@ -0,0 +1,170 @@
+// test/customerShares.test.js
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { load } = require('./helpers/stub');
+const { createBusiness, createFakeAdapter, loadPipeline } = require('./helpers/pipeline');
+const { createOwner, startApi } = require('./helpers/api');
+
+process.env.IDEMPOTENCY_STORE = 'memory';
+
+// Node 20's test runner misreads a log line that shares a pipe read with one of its own messages
+// when the line starts with a multi-byte emoji, which the pipeline logs for every share
+mock.method(console, 'log', () => {});
+
+const { pipeline, memoryDb, state } = loadPipeline();
+const { toStructuredLocation, formatLocationAddress } = load('services/customerShares.js');
+const whatsappAdapter = load('services/channels/whatsapp.js');
+const metaAdapters = load('services/channels/meta.js');
+const { startHandoff } = load('services/handoff.js');
+const conversationRoutes = load('routes/business/conversations.js');
+
+const share = (type, fields) => ({
+  platform: 'messenger',
+  messageId: `m-${type}-${Math.random()}`,
+  senderId: 'customer-1',
+  type,
+  businessLookup: { page_id: 'page-1' },
+  ...fields
+});
+
+const bareDocument = () => share('document', { media: { url: 'https://cdn.example/invoice.pdf', filename: 'invoice.pdf', mimeType: 'application/pdf' } });
+const replyJobs = () => memoryDb.collection('webhook_jobs').docs;
+
+beforeEach(async () => {
+  memoryDb.reset();
+  state.business = createBusiness();
+  await memoryDb.collection('businesses').insertOne(state.business);
+});
+
+test('location pins become a structured address with a maps link', () => {
+  const location = toStructuredLocation({ latitude: '33.8938', longitude: 35.5018, name: ' Hamra St ', address: 'Beirut' });
+
+  assert.deepEqual(location, {
+    latitude: 33.8938,
+    longitude: 35.5018,
+    name: 'Hamra St',
+    address: 'Beirut',
+    mapsUrl: 'https://maps.google.com/?q=33.8938,35.5018'
+  });
+  assert.equal(formatLocationAddress(location), 'Hamra St, Beirut (https://maps.google.com/?q=33.8938,35.5018)');
+  assert.equal(formatLocationAddress(toStructuredLocation({ latitude: 1, longitude: 2 })), 'https://maps.google.com/?q=1,2');
+  assert.equal(toStructuredLocation({ latitude: 'north', longitude: 2 }), null);
+});
+
+test('WhatsApp and Messenger shares are parsed into location, contact and document messages', () => {
+  const parsed = whatsappAdapter.parseInbound({
+    entry: [{
+      changes: [{
+        value: {
+          metadata: { phone_number_id: '111' },
+          messages: [
+            { id: 'w1', from: '961', type: 'location', location: { latitude: 33.9, longitude: 35.5, name: 'Shop' } },
+            { id: 'w2', from: '961', type: 'contacts', contacts: [{ name: { formatted_name: 'Rana K' }, phones: [{ wa_id: '96170000002' }] }] },
+            { id: 'w3', from: '961', type: 'document', document: { id: 'doc-1', mime_type: 'application/pdf', filename: 'cv.pdf', caption: 'My CV' } }
+          ]
+        }
+      }]
+    }]
+  });
+  assert.deepEqual(parsed.map(m => m.type), ['location', 'contact', 'document']);
+  assert.deepEqual(parsed[1].contact, { name: 'Rana K', phone: '+96170000002' });
+  assert.deepEqual(parsed[2].media, { id: 'doc-1', mimeType: 'application/pdf', filename: 'cv.pdf' });
+  assert.equal(parsed[2].text, 'My CV');
+
+  const [pin, file] = metaAdapters.messenger.parseInbound({
+    entry: [{
+      id: 'page-1',
+      messaging: [
+        { sender: { id: 'customer-1' }, message: { mid: 'mid.1', attachments: [{ type: 'location', title: 'Home', payload: { coordinates: { lat: 33.9, long: 35.5 } } }] } },
+        { sender: { id: 'customer-1' }, message: { mid: 'mid.2', attachments: [{ type: 'file', payload: { url: 'https://cdn.example/files/price%20list.pdf?sig=1' } }] } }
+      ]
+    }]
+  });
+  assert.deepEqual(pin.location, { latitude: 33.9, longitude: 35.5, name: 'Home' });
+  assert.equal(file.type, 'document');
+  assert.equal(file.media.filename, 'price list.pdf');
+});
+
+test('a shared location becomes the delivery address of the order on the same channel', async () => {
+  await pipeline.handleInboundMessage(createFakeAdapter('messenger'), share('location', { location: { latitude: 33.9, longitude: 35.5, name: 'Home' } }));
+
+  const [order] = memoryDb.collection('orders').docs;
+  assert.equal(order.platform, 'facebook');
+  assert.equal(order.customer.address, 'Home (https://maps.google.com/?q=33.9,35.5)');
+  assert.equal(order.orderFlow.collectedInfo.hasAddress, true);
+  assert.deepEqual(replyJobs()[0].payload.items[0].text, '[Shared location] Home (https://maps.google.com/?q=33.9,35.5)');
+});
+
+test('a shared contact fills in the customer\'s name and phone', async () => {
+  await pipeline.handleInboundMessage(createFakeAdapter('messenger'), share('contact', { contact: { name: 'Rana K', phone: '+96170000002' } }));
+
+  const [order] = memoryDb.collection('orders').docs;
+  assert.equal(order.customer.name, 'Rana K');
+  assert.equal(order.customer.phone, '+96170000002');
+  assert.equal(replyJobs()[0].payload.items[0].text, '[Shared contact] Rana K - +96170000002');
+});
+
+test('a bare document is stored and acknowledged, a captioned one is answered by the AI', async () => {
+  const adapter = createFakeAdapter('messenger');
+  await pipeline.handleInboundMessage(adapter, bareDocument());
+
+  const [stored] = memoryDb.collection('conversation_documents').docs;
+  assert.equal(stored.filename, 'invoice.pdf');
+  assert.equal(stored.customerId, 'customer-1');
+  assert.match(stored.filePath, /^\/tmp\/messenger_document_/);
+  assert.match(adapter.sent[0].text, /We received "invoice.pdf"/);
+
+  await pipeline.handleInboundMessage(adapter, share('document', { text: 'Is this in stock?', media: { url: 'https://cdn.example/list.pdf', filename: 'list.pdf' } }));
+  assert.equal(adapter.sent.length, 1);
+  assert.equal(replyJobs()[0].payload.items[0].text, '[Document: list.pdf] Is this in stock?');
+});
+
+test('documents on a disabled channel are ignored, and in human mode they are not acknowledged', async () => {
+  state.business = createBusiness({ settings: { advanced: { channels: { messenger: false } } } });
+  const disabled = createFakeAdapter('messenger');
+  await pipeline.handleInboundMessage(disabled, bareDocument());
+  assert.equal(memoryDb.collection('conversation_documents').docs.length, 0);
+  assert.equal(disabled.sent.length, 0);
+
+  state.business = createBusiness();
+  const key = { businessId: state.business._id, platform: 'messenger', customerId: 'customer-1' };
+  await startHandoff(state.business, key, 'merchant', { notify: false });
+  const human = createFakeAdapter('messenger');
+  await pipeline.handleInboundMessage(human, bareDocument());
+  assert.equal(memoryDb.collection('conversation_documents').docs.length, 1);
+  assert.equal(human.sent.length, 0);
+});
+
+test('the inbox lists a conversation\'s documents and downloads them', async () => {
+  const api = await startApi(conversationRoutes);
+  try {
+    const owner = await createOwner(memoryDb);
+    state.business = owner.business;
+    const file = path.join(os.tmpdir(), `invoice-${process.pid}.pdf`);
+    fs.writeFileSync(file, '%PDF-1.4 test');
+    const adapter = createFakeAdapter('messenger', { downloadMedia: async () => file });
+
+    await pipeline.handleInboundMessage(adapter, bareDocument());
+    const [conversation] = memoryDb.collection('conversations').docs;
+    const base = `/${owner.business._id}/conversations/${conversation._id}/documents`;
+
+    const list = await api.request('GET', base, { token: owner.token });
+    assert.equal(list.status, 200);
+    assert.deepEqual(list.body.documents.map(d => [d.filename, d.mimeType]), [['invoice.pdf', 'application/pdf']]);
+    assert.equal(list.body.documents[0].filePath, undefined);
+
+    const download = await api.request('GET', `${base}/${list.body.documents[0]._id}`, { token: owner.token });
+    assert.equal(download.status, 200);
+    assert.equal(download.text, '%PDF-1.4 test');
+    assert.match(download.headers.get('content-disposition'), /invoice\.pdf/);
+
+    const missing = await api.request('GET', `${base}/${'0'.repeat(24)}`, { token: owner.token });
+    assert.equal(missing.status, 404);
+    fs.unlinkSync(file);
+  } finally {
+    await api.close();
+  }
+});
@@ -0,0 +1,178 @@
+// test/handoff.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+const { ObjectId } = require('mongodb');
+const { stubModule, load } = require('./helpers/stub');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+// Node 20's test runner misreads a log line that shares a pipe read with one of its own messages
+// when the line starts with a multi-byte emoji, which every handoff and resume logs
+mock.method(console, 'log', () => {});
+
+const sentMails = [];
+mock.method(nodemailer, 'createTransport', () => ({
+  sendMail: async (mail) => {
+    sentMails.push(mail);
+    return { messageId: `mail-${sentMails.length}` };
+  }
+}));
+
+const memoryDb = createMemoryDb();
+stubModule('db.js', memoryDb.getDb);
+
+const {
+  getHandoffSettings,
+  detectHandoffTrigger,
+  isNegativeSentiment,
+  startHandoff,
+  resumeBot,
+  touchHandoff,
+  applyHandoff
+} = load('services/handoff.js');
+const { getConversation } = load('services/sessionManager.js');
+
+const MINUTE = 60 * 1000;
+
+let business;
+let key;
+
+const withHandoff = (handoff) => ({ ...business, settings: { advanced: { handoff } } });
+
+// Let the fire-and-forget merchant email go out
+async function flush() {
+  for (let i = 0; i < 10; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+beforeEach(async () => {
+  memoryDb.reset();
+  sentMails.length = 0;
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T09:00:00Z') });
+
+  const owner = { _id: new ObjectId(), email: 'owner@shop.example' };
+  await memoryDb.collection('users').insertOne(owner);
+  business = { _id: new ObjectId(), name: 'Test Shop', userId: owner._id, settings: {} };
+  key = { businessId: business._id.toString(), platform: 'whatsapp', customerId: '96171123456' };
+});
+afterEach(() => mock.timers.reset());
+
+test('requests for a person are recognised in English, Arabic and Arabizi', () => {
+  assert.equal(detectHandoffTrigger('Can I talk to a human please?'), 'escalation_request');
+  assert.equal(detectHandoffTrigger('I want a real person'), 'escalation_request');
+  assert.equal(detectHandoffTrigger('بدي احكي مع موظف'), 'escalation_request');
+  assert.equal(detectHandoffTrigger('badde e7ke ma3 7ada'), 'escalation_request');
+
+  assert.equal(detectHandoffTrigger('Do you have this in a human size?'), null);
+  assert.equal(detectHandoffTrigger('How much is the bag?'), null);
+});
+
+test('complaints only start a handoff when the merchant opted in', () => {
+  const complaint = 'This is the worst service, total scam';
+
+  assert.equal(detectHandoffTrigger(complaint), null);
+  assert.equal(detectHandoffTrigger(complaint, getHandoffSettings({ handoff: { detectNegativeSentiment: true } })), 'negative_sentiment');
+});
+
+test('isNegativeSentiment needs more than one complaint signal', () => {
+  assert.equal(isNegativeSentiment('Is this the worst quality or the best?'), false);
+  assert.equal(isNegativeSentiment('I am a bit disappointed'), false);
+  assert.equal(isNegativeSentiment('Worst shop ever, scammers'), true);
+  assert.equal(isNegativeSentiment('Terrible, I am still waiting for my order'), true);
+  assert.equal(isNegativeSentiment('terrible!!!'), true);
+  assert.equal(isNegativeSentiment('WHERE IS MY ORDER, HORRIBLE'), true);
+  assert.equal(isNegativeSentiment('هيدا زفت ونصابين'), true);
+  assert.equal(isNegativeSentiment(''), false);
+});
+
+test('getHandoffSettings defaults to enabled, no sentiment detection and a 2 hour resume', () => {
+  assert.deepEqual(getHandoffSettings(), { enabled: true, detectNegativeSentiment: false, autoResumeMs: 120 * MINUTE });
+  assert.deepEqual(
+    getHandoffSettings({ handoff: { enabled: false, autoResumeAfter: '15mins', detectNegativeSentiment: true } }),
+    { enabled: false, detectNegativeSentiment: true, autoResumeMs: 15 * MINUTE }
+  );
+  assert.equal(getHandoffSettings({ handoff: { autoResumeAfter: 'forever' } }).autoResumeMs, 120 * MINUTE);
+});
+
+test('an escalation pauses the bot, tells the customer and emails the owner', async () => {
+  const result = await applyHandoff(business, key, 'Can I speak to a manager?');
+  await flush();
+
+  assert.equal(result.mode, 'human');
+  assert.equal(result.reason, 'escalation_request');
+  assert.match(result.notice, /asked a member of our team/);
+
+  const conversation = await getConversation(key);
+  assert.equal(conversation.mode, 'human');
+  assert.equal(conversation.handoff.reason, 'escalation_request');
+  assert.equal(conversation.handoff.message, 'Can I speak to a manager?');
+
+  assert.equal(sentMails.length, 1);
+  assert.equal(sentMails[0].to, 'owner@shop.example');
+  assert.equal(sentMails[0].subject, 'A customer needs you on whatsapp - Test Shop');
+
+  // Later messages get no reply and no second notice
+  assert.deepEqual(await applyHandoff(business, key, 'Hello?'), { mode: 'human' });
+  await flush();
+  assert.equal(sentMails.length, 1);
+});
+
+test('the email goes to the business contact and escapes the customer\'s message once', async () => {
+  business.contact = { email: 'team@shop.example' };
+
+  await startHandoff(business, key, 'escalation_request', { message: 'Talk to a human <b>now</b> & "fast"' });
+  await flush();
+
+  const [mail] = sentMails;
+  assert.equal(mail.to, 'team@shop.example');
+  assert.match(mail.text, /"Talk to a human <b>now<\/b> & "fast""/);
+  assert.match(mail.html, /Talk to a human &lt;b&gt;now&lt;\/b&gt; &amp; &quot;fast&quot;/);
+  assert.doesNotMatch(mail.html, /<b>now/);
+});
+
+test('a handoff started without notify sends no email', async () => {
+  await startHandoff(business, key, 'merchant', { notify: false });
+  await flush();
+
+  assert.equal((await getConversation(key)).mode, 'human');
+  assert.equal(sentMails.length, 0);
+});
+
+test('the bot resumes after the idle period, and merchant activity restarts it', async () => {
+  const quick = withHandoff({ autoResumeAfter: '30mins' });
+  await startHandoff(quick, key, 'escalation_request', { notify: false });
+
+  mock.timers.tick(20 * MINUTE);
+  await touchHandoff(key);
+  mock.timers.tick(20 * MINUTE);
+  assert.deepEqual(await applyHandoff(quick, key, 'Anyone there?'), { mode: 'human' });
+
+  mock.timers.tick(11 * MINUTE);
+  assert.deepEqual(await applyHandoff(quick, key, 'Anyone there?'), { mode: 'bot' });
+
+  const { mode, handoff } = await getConversation(key);
+  assert.equal(mode, 'bot');
+  assert.equal(handoff.endedBy, 'idle');
+  assert.equal(handoff.endedAt.toISOString(), '2026-03-02T09:51:00.000Z');
+});
+
+test('the merchant can hand the conversation back', async () => {
+  assert.equal(await resumeBot(key, 'merchant'), null);
+
+  await startHandoff(business, key, 'escalation_request', { notify: false });
+  const resumed = await resumeBot(key, 'merchant');
+
+  assert.equal(resumed.mode, 'bot');
+  assert.equal(resumed.handoff.endedBy, 'merchant');
+  assert.deepEqual(await applyHandoff(business, key, 'Thanks!'), { mode: 'bot' });
+});
+
+test('disabled handoffs and dry runs leave the conversation alone', async () => {
+  assert.deepEqual(await applyHandoff(withHandoff({ enabled: false }), key, 'Talk to a human'), { mode: 'bot' });
+
+  const dryRun = await applyHandoff(business, key, 'Talk to a human', { dryRun: true });
+  await flush();
+
+  assert.equal(dryRun.reason, 'escalation_request');
+  assert.equal(await getConversation(key), null);
+  assert.equal(sentMails.length, 0);
+});
@@ -0,0 +1,62 @@
+// test/helpers/api.js
+// Runs a business sub-router on a local port behind the real authMiddleware / requireVerified,
+// with users and businesses in the in-memory database
+const http = require('http');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+/**
+ * Insert a user who owns a new business
+ * @param {object} memoryDb - createMemoryDb() result
+ * @param {object} [options] - { verified, business } (business fields to merge)
+ * @returns {Promise<object>} { user, business, token }
+ */
+async function createOwner(memoryDb, { verified = true, business: businessFields = {} } = {}) {
+  const user = { _id: new ObjectId(), email: `owner-${Date.now()}-${Math.random()}@example.com`, isEmailVerified: verified };
+  const business = {
+    _id: new ObjectId(),
+    name: 'Test Shop',
+    userId: user._id,
+    subscription: { plan: 'pro', status: 'active' },
+    settings: { features: { aiReplies: true }, limits: { maxMessages: 1000, usedMessages: 0 } },
+    ...businessFields
+  };
+  await memoryDb.collection('users').insertOne(user);
+  await memoryDb.collection('businesses').insertOne(business);
+
+  const token = jwt.sign({ userId: user._id.toString(), email: user.email, verified }, process.env.JWT_SECRET, { algorithm: 'HS256' });
+  return { user, business, token };
+}
+
+/**
+ * Start an app with the router mounted under /businesses
+ * @returns {Promise<object>} { request(method, path, { token, body }), close() }
+ */
+async function startApi(router) {
+  const app = express().use(express.json()).use('/businesses', router);
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/businesses`;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body !== undefined && { 'Content-Type': 'application/json' })
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch { /* not JSON (e.g. a file download) */ }
+    return { status: response.status, body: json, text, headers: response.headers };
+  };
+
+  return { request, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+module.exports = { createOwner, startApi };
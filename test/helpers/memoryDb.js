@@ -0,0 +1,274 @@
+// test/helpers/memoryDb.js
+// In-memory stand-in for the parts of the MongoDB driver the services use: equality (null also
+// matches a missing field), comparison, $in / $exists / $or filters on dotted paths, $set / $setOnInsert / $unset / $inc / $push updates,
+// and $match / $group aggregations
+const { ObjectId } = require('mongodb');
+
+// structuredClone turns ObjectIds into plain objects
+function clone(value) {
+  if (value instanceof ObjectId) return new ObjectId(value.toString());
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+}
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => {
+    if (node[key] == null || typeof node[key] !== 'object') node[key] = {};
+    return node[key];
+  }, doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((node, key) => node?.[key], doc);
+  if (parent) delete parent[last];
+}
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value instanceof ObjectId ? value.toString() : value);
+const isEqual = (a, b) => {
+  if (b === null) return a == null;
+  if (Array.isArray(a) && !Array.isArray(b)) return a.some(item => isEqual(item, b));
+  return JSON.stringify(comparable(a)) === JSON.stringify(comparable(b));
+};
+
+const OPERATORS = {
+  $eq: (value, arg) => isEqual(value, arg),
+  $ne: (value, arg) => !isEqual(value, arg),
+  $gt: (value, arg) => value != null && comparable(value) > comparable(arg),
+  $gte: (value, arg) => value != null && comparable(value) >= comparable(arg),
+  $lt: (value, arg) => value != null && comparable(value) < comparable(arg),
+  $lte: (value, arg) => value != null && comparable(value) <= comparable(arg),
+  $in: (value, arg) => arg.some(item => isEqual(value, item)),
+  $nin: (value, arg) => !arg.some(item => isEqual(value, item)),
+  $exists: (value, arg) => (value !== undefined) === Boolean(arg)
+};
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(sub => matches(doc, sub));
+    if (key === '$and') return condition.every(sub => matches(doc, sub));
+
+    const value = getPath(doc, key);
+    const isOperatorObject = condition && typeof condition === 'object' && !(condition instanceof Date) &&
+      !(condition instanceof ObjectId) && Object.keys(condition).some(op => op.startsWith('$'));
+    if (!isOperatorObject) return isEqual(value, condition);
+
+    return Object.entries(condition).every(([op, arg]) => {
+      if (!OPERATORS[op]) throw new Error(`memoryDb does not support ${op}`);
+      return OPERATORS[op](value, arg);
+    });
+  });
+}
+
+function applyUpdate(doc, update, isInsert) {
+  if (!Object.keys(update).some(key => key.startsWith('$'))) {
+    const { _id } = doc;
+    Object.keys(doc).forEach(key => delete doc[key]);
+    Object.assign(doc, clone(update), { _id });
+    return;
+  }
+  for (const [path, value] of Object.entries(update.$set || {})) setPath(doc, path, clone(value));
+  if (isInsert) {
+    for (const [path, value] of Object.entries(update.$setOnInsert || {})) setPath(doc, path, clone(value));
+  }
+  for (const path of Object.keys(update.$unset || {})) unsetPath(doc, path);
+  for (const [path, value] of Object.entries(update.$inc || {})) setPath(doc, path, (getPath(doc, path) || 0) + value);
+  for (const [path, value] of Object.entries(update.$push || {})) {
+    const list = getPath(doc, path) || [];
+    const items = value && value.$each ? value.$each : [value];
+    list.push(...clone(items));
+    setPath(doc, path, value && value.$slice !== undefined ? list.slice(value.$slice) : list);
+  }
+}
+
+// Seed an upserted document with the filter's plain equality fields
+function documentFromFilter(filter) {
+  const doc = {};
+  for (const [key, value] of Object.entries(filter)) {
+    if (key.startsWith('$')) continue;
+    const isOperatorObject = value && typeof value === 'object' && !(value instanceof Date) &&
+      !(value instanceof ObjectId) && Object.keys(value).some(op => op.startsWith('$'));
+    if (!isOperatorObject) setPath(doc, key, clone(value));
+  }
+  return doc;
+}
+
+function sortDocuments(docs, sort) {
+  if (!sort) return docs;
+  const fields = Object.entries(sort);
+  return [...docs].sort((a, b) => {
+    for (const [field, direction] of fields) {
+      const x = comparable(getPath(a, field));
+      const y = comparable(getPath(b, field));
+      if (x < y) return -direction;
+      if (x > y) return direction;
+    }
+    return 0;
+  });
+}
+
+// '$field' references inside a $group key or accumulator
+function evaluate(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (expression && typeof expression === 'object') {
+    return Object.fromEntries(Object.entries(expression).map(([key, value]) => [key, evaluate(doc, value)]));
+  }
+  return expression;
+}
+
+function groupDocuments(docs, { _id, ...accumulators }) {
+  const groups = new Map();
+  for (const doc of docs) {
+    const key = evaluate(doc, _id);
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) {
+      groups.set(id, { _id: key, ...Object.fromEntries(Object.keys(accumulators).map(field => [field, 0])) });
+    }
+    const group = groups.get(id);
+    for (const [field, { $sum }] of Object.entries(accumulators)) group[field] += Number(evaluate(doc, $sum)) || 0;
+  }
+  return [...groups.values()];
+}
+
+class MemoryCollection {
+  constructor(name) {
+    this.name = name;
+    this.docs = [];
+  }
+
+  async createIndex() {
+    return 'index';
+  }
+
+  async createIndexes(specs) {
+    return specs.map(spec => spec.name);
+  }
+
+  async insertOne(doc) {
+    if (doc._id === undefined) doc._id = new ObjectId();
+    if (this.docs.some(existing => isEqual(existing._id, doc._id))) {
+      throw Object.assign(new Error(`E11000 duplicate key error collection: ${this.name}`), { code: 11000 });
+    }
+    this.docs.push(clone(doc));
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) await this.insertOne(doc);
+    return { insertedCount: docs.length };
+  }
+
+  async findOne(filter, options = {}) {
+    const [doc] = sortDocuments(this.docs.filter(d => matches(d, filter)), options.sort);
+    return doc ? clone(doc) : null;
+  }
+
+  find(filter = {}) {
+    let docs = this.docs.filter(d => matches(d, filter));
+    let skip = 0;
+    let limit = 0;
+    const cursor = {
+      sort: (sort) => { docs = sortDocuments(docs, sort); return cursor; },
+      skip: (n) => { skip = n; return cursor; },
+      limit: (n) => { limit = n; return cursor; },
+      project: () => cursor,
+      toArray: async () => clone(docs.slice(skip, limit ? skip + limit : undefined)),
+      next: async () => clone(docs.slice(skip)[0] ?? null)
+    };
+    return cursor;
+  }
+
+  // $match and $group (with $sum) stages only
+  aggregate(pipeline) {
+    let docs = this.docs;
+    for (const stage of pipeline) {
+      if (stage.$match) docs = docs.filter(d => matches(d, stage.$match));
+      if (stage.$group) docs = groupDocuments(docs, stage.$group);
+    }
+    return { toArray: async () => clone(docs) };
+  }
+
+  async countDocuments(filter = {}) {
+    return this.docs.filter(d => matches(d, filter)).length;
+  }
+
+  async updateOne(filter, update, options = {}) {
+    const doc = this.docs.find(d => matches(d, filter));
+    if (doc) {
+      applyUpdate(doc, update, false);
+      return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    }
+    if (!options.upsert) return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0 };
+
+    const inserted = { _id: new ObjectId(), ...documentFromFilter(filter) };
+    applyUpdate(inserted, update, true);
+    this.docs.push(inserted);
+    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: inserted._id };
+  }
+
+  async updateMany(filter, update) {
+    const docs = this.docs.filter(d => matches(d, filter));
+    docs.forEach(doc => applyUpdate(doc, update, false));
+    return { matchedCount: docs.length, modifiedCount: docs.length };
+  }
+
+  async findOneAndUpdate(filter, update, options = {}) {
+    const [doc] = sortDocuments(this.docs.filter(d => matches(d, filter)), options.sort);
+    if (doc) {
+      const before = clone(doc);
+      applyUpdate(doc, update, false);
+      return clone(options.returnDocument === 'after' ? doc : before);
+    }
+    if (!options.upsert) return null;
+
+    const inserted = { _id: new ObjectId(), ...documentFromFilter(filter) };
+    applyUpdate(inserted, update, true);
+    this.docs.push(inserted);
+    return options.returnDocument === 'after' ? clone(inserted) : null;
+  }
+
+  async deleteOne(filter) {
+    const index = this.docs.findIndex(d => matches(d, filter));
+    if (index === -1) return { deletedCount: 0 };
+    this.docs.splice(index, 1);
+    return { deletedCount: 1 };
+  }
+
+  async deleteMany(filter = {}) {
+    const before = this.docs.length;
+    this.docs = this.docs.filter(d => !matches(d, filter));
+    return { deletedCount: before - this.docs.length };
+  }
+}
+
+/**
+ * A fake database whose collections are created on first use
+ * @returns {{ getDb: Function, collection: Function, reset: Function }}
+ */
+function createMemoryDb() {
+  const collections = new Map();
+  const collection = (name) => {
+    if (!collections.has(name)) collections.set(name, new MemoryCollection(name));
+    return collections.get(name);
+  };
+  const db = { collection };
+
+  return {
+    getDb: async () => db,
+    collection,
+    reset: () => collections.forEach(col => { col.docs = []; })
+  };
+}
+
+module.exports = { createMemoryDb, MemoryCollection, matches };
@@ -0,0 +1,79 @@
+// test/helpers/pipeline.js
+// Loads services/channels/pipeline.js against the in-memory database, with the business lookup and
+// generateReply stubbed, plus a channel adapter that records everything it sends
+const { ObjectId } = require('mongodb');
+const { stubModule, load } = require('./stub');
+const { createMemoryDb } = require('./memoryDb');
+
+/**
+ * A business on an active pro plan with AI replies on
+ */
+function createBusiness(overrides = {}) {
+  return {
+    _id: new ObjectId(),
+    name: 'Test Shop',
+    subscription: { plan: 'pro', status: 'active' },
+    products: [],
+    ...overrides,
+    settings: {
+      features: { aiReplies: true, voiceInput: true, imageAnalysis: true },
+      limits: { maxMessages: 1000, usedMessages: 0, voiceMinutes: 100, usedVoiceMinutes: 0 },
+      enabledChannels: { whatsapp: true, messenger: true, instagram: true, telegram: true, tiktok: true },
+      ...overrides.settings
+    }
+  };
+}
+
+/**
+ * Adapter double: every send is recorded in `sent` as { kind, to, ... } and resolves to a message ID
+ */
+function createFakeAdapter(platform, extra = {}) {
+  const sent = [];
+  let counter = 0;
+  const record = (kind, to, fields) => {
+    sent.push({ kind, to, ...fields });
+    return `${platform}-out-${++counter}`;
+  };
+
+  return {
+    platform,
+    sent,
+    parseInbound: (payload) => payload.messages || [],
+    getCredentials: () => ({ token: 'test-token' }),
+    sendText: async (credentials, to, text) => record('text', to, { text }),
+    sendMedia: async (credentials, to, media) => record('media', to, { media }),
+    downloadMedia: async (credentials, inbound, kind, filename) => `/tmp/${filename}`,
+    markSeen: async () => {},
+    ...extra
+  };
+}
+
+/**
+ * Stub the pipeline's outside world and load it
+ * @returns {object} { pipeline, memoryDb, state } - set state.business and state.reply per test
+ */
+function loadPipeline() {
+  const memoryDb = createMemoryDb();
+  const state = { business: null, reply: null, generateReplyCalls: [] };
+
+  stubModule('db.js', memoryDb.getDb);
+  stubModule('services/business.js', {
+    getBusinessInfo: async () => {
+      if (!state.business) throw new Error('getBusinessInfo: No business found');
+      return state.business;
+    }
+  });
+  stubModule('services/openai.js', {
+    generateReply: async (...args) => {
+      state.generateReplyCalls.push(args);
+      return typeof state.reply === 'function' ? state.reply(...args) : state.reply;
+    }
+  });
+  stubModule('utils/logger.js', { logConversation: () => {} });
+  stubModule('services/advancedLogger.js', { logError: async () => {}, logConversation: async () => {}, logAnalyticsEvent: async () => {} });
+
+  const pipeline = load('services/channels/pipeline.js');
+  return { pipeline, memoryDb, state };
+}
+
+module.exports = { createBusiness, createFakeAdapter, loadPipeline };
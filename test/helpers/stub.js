@@ -0,0 +1,24 @@
+// test/helpers/stub.js
+// Test doubles go into the require cache before the module under test is loaded
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Replace a repo module with the given exports
+ * @param {string} relativePath - Path from the repo root, e.g. 'services/advancedLogger.js'
+ */
+function stubModule(relativePath, exports) {
+  const filename = require.resolve(path.join(ROOT, relativePath));
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+  return exports;
+}
+
+/**
+ * Require a repo module by its path from the repo root
+ */
+function load(relativePath) {
+  return require(path.join(ROOT, relativePath));
+}
+
+module.exports = { stubModule, load };
@@ -0,0 +1,80 @@
+// test/idempotencyStore.test.js
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('./helpers/stub');
+
+// A processed_messages collection with just what MongoIdempotencyStore uses
+const documents = new Map();
+const processedMessages = {
+  createIndex: async () => {},
+  insertOne: async (doc) => {
+    if (documents.has(doc._id)) throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    documents.set(doc._id, doc);
+  },
+  updateOne: async ({ _id, expiresAt }, { $set }) => {
+    const doc = documents.get(_id);
+    if (!doc || doc.expiresAt > expiresAt.$lte) return { modifiedCount: 0 };
+    Object.assign(doc, $set);
+    return { modifiedCount: 1 };
+  },
+  deleteOne: async ({ _id }) => { documents.delete(_id); }
+};
+stubModule('db.js', async () => ({ collection: () => processedMessages }));
+
+const {
+  MemoryIdempotencyStore, MongoIdempotencyStore, setIdempotencyStore, claimMessage, releaseMessage
+} = load('services/idempotencyStore.js');
+
+test('the memory store claims a key once until it expires', async (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  const store = new MemoryIdempotencyStore();
+
+  assert.equal(await store.claim('whatsapp:wamid.1', 1000), true);
+  assert.equal(await store.claim('whatsapp:wamid.1', 1000), false);
+
+  t.mock.timers.tick(1001);
+  assert.equal(await store.claim('whatsapp:wamid.1', 1000), true);
+});
+
+test('a released key can be claimed again', async () => {
+  const store = new MemoryIdempotencyStore();
+  await store.claim('telegram:42:1');
+  await store.release('telegram:42:1');
+  assert.equal(await store.claim('telegram:42:1'), true);
+});
+
+test('claimMessage keys messages by platform', async () => {
+  setIdempotencyStore(new MemoryIdempotencyStore());
+
+  assert.equal(await claimMessage('messenger', 'mid.1'), true);
+  assert.equal(await claimMessage('instagram', 'mid.1'), true);
+  assert.equal(await claimMessage('messenger', 'mid.1'), false);
+
+  await releaseMessage('messenger', 'mid.1');
+  assert.equal(await claimMessage('messenger', 'mid.1'), true);
+});
+
+test('the Mongo store rejects duplicates and takes over expired keys', async () => {
+  const store = new MongoIdempotencyStore();
+  documents.clear();
+
+  assert.equal(await store.claim('whatsapp:wamid.2', 60_000), true);
+  assert.equal(await store.claim('whatsapp:wamid.2', 60_000), false);
+
+  // Expired, but not yet removed by the TTL monitor
+  documents.get('whatsapp:wamid.2').expiresAt = new Date(Date.now() - 1);
+  assert.equal(await store.claim('whatsapp:wamid.2', 60_000), true);
+
+  await store.release('whatsapp:wamid.2');
+  assert.equal(documents.has('whatsapp:wamid.2'), false);
+});
+
+test('the Mongo store passes on database errors other than duplicates', async () => {
+  const store = new MongoIdempotencyStore();
+  const insertOne = mock.method(processedMessages, 'insertOne', async () => { throw new Error('not primary'); });
+  try {
+    await assert.rejects(store.claim('whatsapp:wamid.3'), /not primary/);
+  } finally {
+    insertOne.mock.restore();
+  }
+});
@@ -0,0 +1,127 @@
+// test/interactiveMessages.test.js
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { load } = require('./helpers/stub');
+const { createBusiness, createFakeAdapter, loadPipeline } = require('./helpers/pipeline');
+
+process.env.IDEMPOTENCY_STORE = 'memory';
+
+const { pipeline, memoryDb, state } = loadPipeline();
+const { buildProductDatabase } = load('services/catalogBuilder.js');
+const {
+  buildProductList, buildVariantChoice, parseSelectionId, extractInteractiveAction
+} = load('services/interactiveMessages.js');
+const { startHandoff } = load('services/handoff.js');
+
+const variant = (id, name, price) => ({ id, variantName: name, originalPrice: price, discountedPrice: price, inStock: true });
+const PRODUCTS = [
+  { id: 'p1', title: 'Canvas Tote', description: 'Everyday bag', variants: [variant('v1', 'Natural', 20)] },
+  { id: 'p2', title: 'Running Shoe', variants: [variant('v2', '40', 90), variant('v3', '41', 90), variant('v4', '42', 95)] },
+  { id: 'p3', title: 'Socks', variants: ['S', 'M', 'L', 'XL'].map((size, i) => variant(`s${i}`, size, 5)) }
+];
+const productDatabase = buildProductDatabase(PRODUCTS);
+
+const selection = (messageId, id, title) => ({
+  platform: 'whatsapp',
+  messageId,
+  senderId: '96170000001',
+  type: 'selection',
+  text: title,
+  selection: { id, title },
+  businessLookup: { phone_number_id: 'phone-1' }
+});
+
+beforeEach(async () => {
+  memoryDb.reset();
+  state.business = createBusiness({ products: PRODUCTS });
+  await memoryDb.collection('businesses').insertOne(state.business);
+});
+
+test('buildProductList adds single-variant products directly and opens the others', () => {
+  const list = buildProductList(productDatabase, ['p1', 'p2', 'missing']);
+
+  assert.equal(list.type, 'list');
+  assert.deepEqual(list.action.sections[0].rows.map(row => row.id), ['add:p1:v1', 'product:p2']);
+  assert.match(list.action.sections[0].rows[1].description, /\$90 - \$95/);
+  assert.equal(buildProductList(productDatabase, ['missing']), null);
+});
+
+test('buildVariantChoice uses reply buttons for up to three variants and a list beyond', () => {
+  const buttons = buildVariantChoice(productDatabase, 'p2');
+  assert.equal(buttons.type, 'button');
+  assert.deepEqual(buttons.action.buttons.map(b => b.reply.id), ['add:p2:v2', 'add:p2:v3', 'add:p2:v4']);
+
+  const list = buildVariantChoice(productDatabase, 'p3');
+  assert.equal(list.type, 'list');
+  assert.equal(list.action.sections[0].rows.length, 4);
+});
+
+test('row titles are cut to the WhatsApp limits', () => {
+  const long = buildProductDatabase([{ id: 'p9', title: 'A'.repeat(40), variants: [variant('v9', 'B', 1)] }]);
+  const [row] = buildProductList(long, ['p9']).action.sections[0].rows;
+  assert.equal(row.title.length, 24);
+  assert.ok(row.title.endsWith('…'));
+});
+
+test('parseSelectionId only accepts our own IDs', () => {
+  assert.deepEqual(parseSelectionId('add:p1:v1'), { action: 'add', productId: 'p1', variantId: 'v1' });
+  assert.deepEqual(parseSelectionId('product:p2'), { action: 'product', productId: 'p2' });
+  assert.equal(parseSelectionId('add:p1'), null);
+  assert.equal(parseSelectionId('something-else'), null);
+});
+
+test('extractInteractiveAction reads SHOW_PRODUCTS and SHOW_VARIANTS', () => {
+  assert.deepEqual(
+    extractInteractiveAction('Here you go [AI_ORDER_ACTIONS]\nSHOW_PRODUCTS: "p1", p2\n[/AI_ORDER_ACTIONS]'),
+    { type: 'products', productIds: ['p1', 'p2'] }
+  );
+  assert.deepEqual(extractInteractiveAction('[AI_ORDER_ACTIONS]SHOW_VARIANTS: p2[/AI_ORDER_ACTIONS]'), { type: 'variants', productId: 'p2' });
+  assert.equal(extractInteractiveAction('No actions here'), null);
+});
+
+test('tapping a variant adds it to the customer\'s order and confirms', async () => {
+  const adapter = createFakeAdapter('whatsapp');
+  await pipeline.processChannelPayload(adapter, { messages: [selection('s1', 'add:p2:v3', '41')] });
+
+  const [order] = memoryDb.collection('orders').docs;
+  assert.equal(order.platform, 'whatsapp');
+  assert.deepEqual(order.items.map(item => [item.productId, item.variantId, item.quantity]), [['p2', 'v3', 1]]);
+  assert.match(adapter.sent[0].text, /Added Running Shoe - 41/);
+  assert.equal(state.generateReplyCalls.length, 0);
+});
+
+test('tapping a product answers with its variant buttons', async () => {
+  const sentInteractive = [];
+  const adapter = createFakeAdapter('whatsapp', {
+    sendInteractive: async (credentials, to, interactive) => { sentInteractive.push(interactive); return 'wamid.i'; }
+  });
+  await pipeline.processChannelPayload(adapter, { messages: [selection('s2', 'product:p2', 'Running Shoe')] });
+
+  assert.equal(sentInteractive.length, 1);
+  assert.equal(sentInteractive[0].type, 'button');
+  // The body is the reply, so it is not sent twice as text
+  assert.equal(adapter.sent.filter(s => s.kind === 'text').length, 0);
+});
+
+test('selections are ignored on a channel switched off in the advanced settings', async () => {
+  state.business.settings.advanced = { channels: { whatsapp: false } };
+  const adapter = createFakeAdapter('whatsapp');
+
+  await pipeline.processChannelPayload(adapter, { messages: [selection('s3', 'add:p1:v1', 'Canvas Tote')] });
+
+  assert.equal(adapter.sent.length, 0);
+  assert.equal(memoryDb.collection('orders').docs.length, 0);
+});
+
+test('selections in a conversation handled by a person are left to them', async () => {
+  const key = { businessId: state.business._id, platform: 'whatsapp', customerId: '96170000001' };
+  await startHandoff(state.business, key, 'merchant', { notify: false });
+  const adapter = createFakeAdapter('whatsapp');
+
+  await pipeline.processChannelPayload(adapter, { messages: [selection('s4', 'add:p1:v1', 'Canvas Tote')] });
+
+  assert.equal(adapter.sent.length, 0);
+  assert.equal(memoryDb.collection('orders').docs.length, 0);
+  const turns = memoryDb.collection('conversation_messages').docs;
+  assert.deepEqual(turns.map(t => [t.role, t.content]), [['user', '[Selected] Canvas Tote']]);
+});
@@ -0,0 +1,178 @@
+// test/llmProviders.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { stubModule, load } = require('./helpers/stub');
+const { createMemoryDb } = require('./helpers/memoryDb');
+const { createOwner, startApi } = require('./helpers/api');
+
+const memoryDb = createMemoryDb();
+stubModule('db.js', memoryDb.getDb);
+
+const llm = load('services/llm/index.js');
+const mockProvider = load('services/llm/mock.js');
+const advancedSettingsRoutes = load('routes/business/advanced-settings.js');
+
+const calls = [];
+const scripted = (name, behaviour) => ({
+  name,
+  complete: async (request) => {
+    calls.push(`${name}:${request.model}`);
+    return behaviour(request);
+  }
+});
+llm.registerLlmProvider(scripted('down', () => { throw new Error('503 Service Unavailable'); }));
+llm.registerLlmProvider(scripted('echo', ({ model }) => ({ text: `answer from ${model}`, usage: { total_tokens: 5 } })));
+
+const ask = (text) => ({ input: [{ role: 'user', content: text }] });
+
+beforeEach(() => {
+  calls.length = 0;
+  llm.resetCircuits();
+  delete process.env.LLM_PROVIDER;
+  delete process.env.LLM_ALLOWED_MODELS;
+});
+afterEach(() => mock.timers.reset());
+
+test('the mock provider answers deterministically and fails on the "fail" model', async () => {
+  const first = await mockProvider.complete({ model: 'default', input: [{ role: 'user', content: 'Hi there' }] });
+  const second = await mockProvider.complete({ model: 'default', input: [{ role: 'user', content: 'Hi there' }] });
+
+  assert.deepEqual(first, second);
+  assert.equal(first.text, 'Thanks for your message! You said: "Hi there"');
+  assert.equal(first.usage.total_tokens, first.usage.input_tokens + first.usage.output_tokens);
+  await assert.rejects(mockProvider.complete({ model: 'fail', input: [] }), /Mock provider failure/);
+});
+
+test('providers need a name and a complete function', () => {
+  assert.throws(() => llm.registerLlmProvider({ name: 'half' }), /needs a name and a complete/);
+  assert.ok(llm.listLlmProviders().includes('echo'));
+  assert.deepEqual(llm.parseModelEntry('openai:ft:gpt-4.1-mini:shop'), { provider: 'openai', model: 'ft:gpt-4.1-mini:shop' });
+  assert.deepEqual(llm.parseModelEntry('mock'), { provider: 'mock', model: 'default' });
+});
+
+test('a business may only pick its plan\'s models or the configured ones, and mock only in mock mode', () => {
+  const business = { settings: { currentPlan: 'pro' } };
+  assert.deepEqual(llm.getAllowedModelEntries(business), ['openai:gpt-5-mini', 'openai:gpt-4.1-mini']);
+
+  process.env.LLM_ALLOWED_MODELS = 'echo:large, mock, unknown:model';
+  assert.deepEqual(llm.getAllowedModelEntries(business), ['openai:gpt-5-mini', 'openai:gpt-4.1-mini', 'echo:large']);
+  assert.equal(llm.isAllowedModelEntry('mock', business), false);
+
+  process.env.LLM_PROVIDER = 'mock';
+  assert.equal(llm.isAllowedModelEntry('mock', business), true);
+});
+
+test('the model chain is the business\'s allowed choice, else its plan\'s, and always mock in mock mode', () => {
+  process.env.LLM_ALLOWED_MODELS = 'echo:large';
+  const choosing = { _id: 'b1', settings: { currentPlan: 'pro', advanced: { ai: { models: ['echo:large', 'echo:retired'] } } } };
+  assert.deepEqual(llm.resolveModelChain(choosing), ['echo:large']);
+
+  const retired = { _id: 'b2', settings: { advanced: { ai: { models: ['echo:retired'] } } } };
+  assert.deepEqual(llm.resolveModelChain(retired), ['openai:gpt-5-mini', 'openai:gpt-4.1-mini']);
+
+  process.env.LLM_PROVIDER = 'mock';
+  assert.deepEqual(llm.resolveModelChain(choosing), ['mock']);
+});
+
+test('a failing model falls back to the next one in the chain', async () => {
+  const result = await llm.complete(ask('Hi'), { chain: ['down:primary', 'echo:backup'] });
+
+  assert.equal(result.text, 'answer from backup');
+  assert.equal(result.provider, 'echo');
+  assert.deepEqual(result.attempts, [{ key: 'down:primary', error: '503 Service Unavailable' }]);
+  await assert.rejects(llm.complete(ask('Hi'), { chain: ['down:primary', 'mock:fail'] }), /All LLM providers failed: down:primary \(503 Service Unavailable\), mock:fail/);
+});
+
+test('the circuit opens after three failures and lets one trial call through after the cooldown', async () => {
+  mock.timers.enable({ apis: ['Date'], now: 0 });
+  const chain = ['down:primary', 'echo:backup'];
+
+  for (let i = 0; i < 3; i++) await llm.complete(ask('Hi'), { chain });
+  assert.deepEqual(llm.getCircuitStates().find(c => c.key === 'down:primary'), {
+    key: 'down:primary', failures: 3, open: true, openUntil: new Date(60000)
+  });
+
+  calls.length = 0;
+  const skipped = await llm.complete(ask('Hi'), { chain });
+  assert.deepEqual(skipped.attempts, [{ key: 'down:primary', skipped: 'circuit_open' }]);
+  assert.deepEqual(calls, ['echo:backup']);
+
+  mock.timers.tick(60001);
+  calls.length = 0;
+  await llm.complete(ask('Hi'), { chain });
+  assert.deepEqual(calls, ['down:primary', 'echo:backup']);
+  // The failed trial re-opens the circuit straight away
+  assert.equal(llm.getCircuitStates().find(c => c.key === 'down:primary').open, true);
+});
+
+test('streamed text is not retried on another model once it reached the customer', async () => {
+  llm.registerLlmProvider({
+    name: 'halfway',
+    complete: async () => { throw new Error('unused'); },
+    stream: async (request, onDelta) => {
+      onDelta('Our opening hours');
+      throw new Error('connection reset');
+    }
+  });
+  const deltas = [];
+
+  await assert.rejects(
+    llm.complete(ask('Hours?'), { chain: ['halfway:m', 'echo:backup'], onDelta: d => deltas.push(d) }),
+    /LLM halfway:m failed mid-stream: connection reset/
+  );
+  assert.deepEqual(deltas, ['Our opening hours']);
+
+  const streamed = [];
+  await llm.complete(ask('Hours?'), { chain: ['mock'], onDelta: d => streamed.push(d) });
+  assert.equal(streamed.join(''), 'Thanks for your message! You said: "Hours?"');
+});
+
+test('completeWithTools runs tool calls and returns their results to the model', async () => {
+  let round = 0;
+  llm.registerLlmProvider({
+    name: 'tooly',
+    complete: async ({ input, toolChoice }) => {
+      round++;
+      if (toolChoice === 'none' || input.some(item => item.type === 'function_call_output')) {
+        return { text: `Done after ${round} rounds`, usage: { total_tokens: 2 } };
+      }
+      return {
+        text: 'Let me check.',
+        toolCalls: [{ id: 'c1', name: 'add_item', arguments: '{"productId":"p1"}' }, { id: 'c2', name: 'add_item', arguments: '{oops' }],
+        usage: { total_tokens: 3 }
+      };
+    }
+  });
+  const executed = [];
+
+  const result = await llm.completeWithTools(
+    { ...ask('Add the tote'), tools: [{ name: 'add_item', parameters: {} }] },
+    { chain: ['tooly:m'], executeTool: async (name, args) => { executed.push(args); return { ok: true }; } }
+  );
+
+  assert.deepEqual(executed, [{ productId: 'p1' }]);
+  assert.equal(result.text, 'Let me check.\n\nDone after 2 rounds');
+  assert.deepEqual(result.toolCalls.map(c => c.result), [{ ok: true }, { ok: false, error: 'Arguments are not valid JSON' }]);
+  assert.equal(result.usage.total_tokens, 5);
+});
+
+test('advanced settings reject AI models outside the business\'s plan', async () => {
+  const api = await startApi(advancedSettingsRoutes);
+  try {
+    const owner = await createOwner(memoryDb);
+    const patch = (models) => api.request('PATCH', `/${owner.business._id}/advanced-settings`, {
+      token: owner.token,
+      body: { ai: { models } }
+    });
+
+    const rejected = await patch(['mock']);
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /must be a list of at most 5 of: openai:gpt-5-mini, openai:gpt-4.1-mini/);
+
+    const accepted = await patch(['openai:gpt-4.1-mini']);
+    assert.equal(accepted.status, 200);
+    assert.deepEqual(memoryDb.collection('businesses').docs[0].settings.advanced.ai.models, ['openai:gpt-4.1-mini']);
+  } finally {
+    await api.close();
+  }
+});
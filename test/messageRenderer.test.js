@@ -0,0 +1,76 @@
+// test/messageRenderer.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { load } = require('./helpers/stub');
+const { createBusiness, createFakeAdapter, loadPipeline } = require('./helpers/pipeline');
+
+const { pipeline, memoryDb, state } = loadPipeline();
+const { getRenderProfile, formatText, splitMessage, renderReply } = load('services/messageRenderer.js');
+
+const MARKDOWN = '## Our picks\n**Canvas Tote** is *light* and ~~$25~~ $20.\n- See [the shop](https://shop.example)';
+
+test('each channel has its own length limit, with a default for unknown ones', () => {
+  assert.equal(getRenderProfile('whatsapp').maxLength, 4096);
+  assert.equal(getRenderProfile('messenger').maxLength, 2000);
+  assert.equal(getRenderProfile('instagram').maxLength, 1000);
+  assert.equal(getRenderProfile('website').maxLength, 900);
+  assert.deepEqual(getRenderProfile('fax'), { maxLength: 900, format: 'plain' });
+});
+
+test('markdown becomes WhatsApp formatting', () => {
+  assert.equal(
+    formatText(MARKDOWN, 'whatsapp'),
+    '*Our picks*\n*Canvas Tote* is _light_ and ~$25~ $20.\n- See the shop (https://shop.example)'
+  );
+});
+
+test('markdown is stripped for plain-text channels and kept for the website widget', () => {
+  assert.equal(
+    formatText(MARKDOWN, 'messenger'),
+    'Our picks\nCanvas Tote is light and $25 $20.\n• See the shop (https://shop.example)'
+  );
+  assert.equal(formatText('[https://shop.example](https://shop.example)', 'instagram'), 'https://shop.example');
+  assert.equal(formatText(MARKDOWN, 'website'), MARKDOWN);
+});
+
+test('long messages are split on paragraphs, then sentences, then words', () => {
+  const paragraphs = splitMessage(`${'a'.repeat(60)}\n\n${'b'.repeat(60)}`, 100);
+  assert.deepEqual(paragraphs, ['a'.repeat(60), 'b'.repeat(60)]);
+
+  const sentences = splitMessage(`${'First sentence here. '.repeat(3)}Last one.`, 45);
+  assert.ok(sentences.every(chunk => chunk.length <= 45));
+  assert.equal(sentences.join(' '), `${'First sentence here. '.repeat(3)}Last one.`);
+
+  const words = splitMessage('x'.repeat(250), 100);
+  assert.deepEqual(words.map(chunk => chunk.length), [100, 100, 50]);
+  assert.deepEqual(splitMessage('short', 100), ['short']);
+});
+
+test('renderReply formats the reply and its interactive body, and marks multi-chunk replies', () => {
+  const single = renderReply({ reply: '**Hi**', interactive: { type: 'list', body: { text: '**Pick one**' } } }, 'whatsapp');
+  assert.equal(single.reply, '*Hi*');
+  assert.equal(single.isMultiMessage, false);
+  assert.equal(single.interactive.body.text, '*Pick one*');
+
+  const long = renderReply({ reply: ['a'.repeat(600), 'b'.repeat(600)] }, 'instagram');
+  assert.deepEqual(long.reply, ['a'.repeat(600), 'b'.repeat(600)]);
+  assert.equal(long.isMultiMessage, true);
+  assert.equal(renderReply(null, 'whatsapp'), null);
+});
+
+test('a reply over the channel limit is sent as several messages in order', async () => {
+  memoryDb.reset();
+  state.business = createBusiness();
+  state.reply = { reply: `${'Our totes are sturdy. '.repeat(30)}\n\n**Free delivery** in ${'Beirut '.repeat(80)}` };
+  const adapter = createFakeAdapter('instagram');
+  const job = { _id: new ObjectId(), payload: { senderId: 'ig-user', replyTo: null, businessLookup: { instagram_account_id: 'ig-1' }, items: [{ text: 'Tell me about totes', type: 'text' }] } };
+  await memoryDb.collection('webhook_jobs').insertOne(job);
+
+  await pipeline.sendBatchedReply(adapter, job.payload, job);
+
+  assert.equal(adapter.sent.length, 2);
+  assert.ok(adapter.sent.every(s => s.text.length <= 1000));
+  assert.match(adapter.sent[0].text, /^Our totes are sturdy\./);
+  assert.match(adapter.sent[1].text, /^Free delivery in Beirut/);
+});
@@ -0,0 +1,65 @@
+// test/metaSignature.test.js
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { stubModule, load } = require('./helpers/stub');
+
+const loggedErrors = [];
+stubModule('services/advancedLogger.js', { logError: async (error, context) => loggedErrors.push(context) });
+
+process.env.META_APP_SECRET = 'app-secret';
+delete process.env.FB_APP_SECRET;
+delete process.env.IG_APP_SECRET;
+
+const { verifyMetaSignature, isValidSignature } = load('middlewares/metaSignature.js');
+
+const sign = (body, secret) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+// Runs the middleware, resolving with 'next' or the status it answered with
+const runMiddleware = (headers, rawBody) => new Promise((resolve) => {
+  const req = { headers, rawBody, ip: '127.0.0.1', originalUrl: '/webhook' };
+  const res = { sendStatus: (status) => resolve(status) };
+  verifyMetaSignature('whatsapp')(req, res, () => resolve('next'));
+});
+
+test('isValidSignature accepts a payload signed with any configured secret', () => {
+  const body = Buffer.from('{"object":"page"}');
+  assert.equal(isValidSignature(body, sign(body, 'second'), ['first', 'second']), true);
+});
+
+test('isValidSignature rejects a wrong secret, a changed body and malformed headers', () => {
+  const body = Buffer.from('{"object":"page"}');
+  assert.equal(isValidSignature(body, sign(body, 'other'), ['app-secret']), false);
+  assert.equal(isValidSignature(Buffer.from('{"object":"user"}'), sign(body, 'app-secret'), ['app-secret']), false);
+  assert.equal(isValidSignature(body, 'sha1=abc', ['app-secret']), false);
+  assert.equal(isValidSignature(body, 'sha256=abc', ['app-secret']), false);
+  assert.equal(isValidSignature(undefined, sign(body, 'app-secret'), ['app-secret']), false);
+});
+
+test('verifyMetaSignature lets a signed request through', async () => {
+  const body = Buffer.from('{"entry":[]}');
+  assert.equal(await runMiddleware({ 'x-hub-signature-256': sign(body, 'app-secret') }, body), 'next');
+});
+
+test('verifyMetaSignature answers 403 and logs the reason for missing or bad signatures', async () => {
+  const body = Buffer.from('{"entry":[]}');
+  loggedErrors.length = 0;
+
+  assert.equal(await runMiddleware({}, body), 403);
+  assert.equal(await runMiddleware({ 'x-hub-signature-256': sign(body, 'wrong') }, body), 403);
+
+  assert.deepEqual(loggedErrors.map(context => context.requestData.reason), ['missing_signature', 'signature_mismatch']);
+});
+
+test('verifyMetaSignature rejects everything when no app secret is configured', async () => {
+  const body = Buffer.from('{"entry":[]}');
+  const secret = process.env.META_APP_SECRET;
+  delete process.env.META_APP_SECRET;
+  loggedErrors.length = 0;
+  try {
+    assert.equal(await runMiddleware({ 'x-hub-signature-256': sign(body, secret) }, body), 403);
+    assert.equal(loggedErrors[0].severity, 'critical');
+  } finally {
+    process.env.META_APP_SECRET = secret;
+  }
+});
@@ -0,0 +1,137 @@
+// test/orderNotifications.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { stubModule, load } = require('./helpers/stub');
+const { createMemoryDb } = require('./helpers/memoryDb');
+const { createFakeAdapter } = require('./helpers/pipeline');
+const { createOwner, startApi } = require('./helpers/api');
+
+const memoryDb = createMemoryDb();
+stubModule('db.js', memoryDb.getDb);
+
+const templatesSent = [];
+const adapters = {
+  whatsapp: createFakeAdapter('whatsapp', {
+    sendTemplate: async (credentials, to, template) => { templatesSent.push({ to, template }); return 'wamid.template'; }
+  }),
+  messenger: createFakeAdapter('messenger')
+};
+stubModule('services/channels/index.js', { getChannelAdapter: (channel) => adapters[channel] });
+
+const { sendOrderNotification, resolveTemplateParameters, getNotificationChannel } = load('services/orderNotifications.js');
+const { recordInbound } = load('services/customerWindow.js');
+const { getOrderPlatform } = load('models/Order.js');
+const templateRoutes = load('routes/business/whatsapp-templates.js');
+
+const business = { _id: new ObjectId(), name: 'Test Shop', channels: { whatsapp: { phone_number_id: '111', access_token: 't' } } };
+
+async function createOrder(fields) {
+  const order = {
+    _id: new ObjectId(),
+    orderId: 'ORD-1',
+    businessId: String(business._id),
+    customerId: '96170000001',
+    platform: 'whatsapp',
+    status: 'confirmed',
+    total: 45,
+    subtotal: 45,
+    customer: { name: 'Rana' },
+    items: [{ quantity: 2, productTitle: 'Socks', variantName: 'M' }],
+    ...fields
+  };
+  await memoryDb.collection('orders').insertOne(order);
+  return order;
+}
+
+beforeEach(() => {
+  memoryDb.reset();
+  templatesSent.length = 0;
+  Object.values(adapters).forEach(adapter => { adapter.sent.length = 0; });
+});
+
+test('orders are notified on the channel they were placed on', () => {
+  assert.equal(getNotificationChannel({ platform: getOrderPlatform('whatsapp') }), 'whatsapp');
+  assert.equal(getNotificationChannel({ platform: getOrderPlatform('messenger') }), 'messenger');
+  assert.equal(getNotificationChannel({ platform: getOrderPlatform('telegram') }), 'telegram');
+  assert.equal(getNotificationChannel({ platform: getOrderPlatform('website') }), null);
+});
+
+test('resolveTemplateParameters maps variables to order fields and fills gaps with "-"', () => {
+  const template = { variables: ['customer.name', 'orderId', 'itemsSummary', 'trackingNumber', 'businessName'] };
+  const order = { orderId: 'ORD-7', customer: { name: 'Rana' }, items: [{ quantity: 2, productTitle: 'Socks', variantName: 'M' }] };
+
+  assert.deepEqual(resolveTemplateParameters(template, order, business), ['Rana', 'ORD-7', '2x Socks (M)', '-', 'Test Shop']);
+});
+
+test('inside the 24h window the customer gets a text and the order is updated', async () => {
+  const order = await createOrder();
+  await recordInbound(business._id, 'whatsapp', order.customerId, { businessLookup: { phone_number_id: '111' } });
+
+  const notification = await sendOrderNotification(business, order, 'shipped', { trackingNumber: 'TRK1' });
+
+  assert.equal(notification.via, 'text');
+  assert.equal(adapters.whatsapp.sent[0].to, '96170000001');
+  assert.match(adapters.whatsapp.sent[0].text, /ORD-1 has been shipped!\nTracking number: TRK1/);
+
+  const [saved] = memoryDb.collection('orders').docs;
+  assert.equal(saved.status, 'shipped');
+  assert.equal(saved.trackingNumber, 'TRK1');
+  assert.ok(saved.shippedAt instanceof Date);
+  assert.equal(saved.notifications[0].via, 'text');
+});
+
+test('after the window closes the business\'s approved template is used', async () => {
+  const order = await createOrder();
+  await recordInbound(business._id, 'whatsapp', order.customerId, {}, new Date(Date.now() - 25 * 60 * 60 * 1000));
+  await memoryDb.collection('whatsapp_templates').insertOne({
+    businessId: business._id, event: 'order_delivered', name: 'order_delivered_v1', language: 'en', variables: ['customer.name', 'orderId'], isActive: true
+  });
+
+  const notification = await sendOrderNotification(business, order, 'delivered');
+
+  assert.deepEqual(notification, { via: 'template', template: 'order_delivered_v1', messageId: 'wamid.template' });
+  assert.deepEqual(templatesSent[0].template, { name: 'order_delivered_v1', language: 'en', parameters: ['Rana', 'ORD-1'] });
+  assert.equal(adapters.whatsapp.sent.length, 0);
+});
+
+test('a closed window without a template, or a channel without templates, is an error', async () => {
+  const order = await createOrder();
+  await assert.rejects(sendOrderNotification(business, order, 'shipped'), /no active template is configured for order_shipped/);
+
+  const messengerOrder = await createOrder({ platform: 'facebook' });
+  await assert.rejects(sendOrderNotification(business, messengerOrder, 'shipped'), /messenger does not support templates/);
+});
+
+test('website orders cannot be notified', async () => {
+  const order = await createOrder({ platform: 'website' });
+  await assert.rejects(sendOrderNotification(business, order, 'shipped'), /Customers of website orders cannot be notified/);
+});
+
+test('the templates API rejects malformed templates with 400', async () => {
+  const api = await startApi(templateRoutes);
+  try {
+    const owner = await createOwner(memoryDb);
+    const post = (body) => api.request('POST', `/${owner.business._id}/whatsapp-templates`, { token: owner.token, body });
+    const valid = { event: 'order_shipped', name: 'order_shipped_v1', language: 'en_US', variables: ['orderId'] };
+
+    for (const body of [
+      { ...valid, name: 42 },
+      { ...valid, language: ['en'] },
+      { ...valid, variables: [{ field: 'orderId' }] },
+      { ...valid, variables: ['constructor'] },
+      { ...valid, event: 'order_lost' }
+    ]) {
+      const response = await post(body);
+      assert.equal(response.status, 400, JSON.stringify(body));
+      assert.ok(response.body.error);
+    }
+
+    const created = await post(valid);
+    assert.equal(created.status, 201);
+    assert.equal(created.body.template.name, 'order_shipped_v1');
+    assert.equal((await post(valid)).status, 409);
+  } finally {
+    await api.close();
+  }
+});
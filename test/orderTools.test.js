@@ -0,0 +1,163 @@
+// test/orderTools.test.js
+const { test, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { stubModule, load } = require('./helpers/stub');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+const memoryDb = createMemoryDb();
+stubModule('db.js', memoryDb.getDb);
+
+const { ORDER_TOOLS, createOrderToolExecutor } = load('services/orderTools.js');
+const { createSandboxOrders } = load('services/sandboxOrders.js');
+const { buildProductDatabase } = load('services/catalogBuilder.js');
+const llm = load('services/llm/index.js');
+
+const productDatabase = buildProductDatabase([
+  { id: 1, title: 'Canvas Tote', type: 'Bag', variants: [{ id: 11, option1: 'Natural', discountedPrice: '25' }] },
+  {
+    id: 2,
+    title: 'Running Shoes',
+    type: 'Shoes',
+    variants: [
+      { id: 21, option1: '41', discountedPrice: '80' },
+      { id: 22, option1: '42', discountedPrice: '80' }
+    ]
+  }
+]);
+
+let orders;
+let executeTool;
+
+beforeEach(() => {
+  orders = createSandboxOrders(productDatabase);
+  executeTool = createOrderToolExecutor({
+    senderId: 'customer-1',
+    businessId: new ObjectId(),
+    platform: 'whatsapp',
+    productDatabase,
+    orders
+  });
+});
+
+test('the tool schema covers lookup and every cart change', () => {
+  assert.deepEqual(ORDER_TOOLS.map(tool => tool.name), [
+    'lookup_product', 'add_item', 'remove_item', 'update_customer_info', 'confirm_order', 'cancel_order'
+  ]);
+  for (const tool of ORDER_TOOLS) assert.equal(tool.parameters.type, 'object');
+});
+
+test('lookup_product searches the catalog and lists the variants', async () => {
+  const found = await executeTool('lookup_product', { query: 'running shoes' });
+  assert.equal(found.ok, true);
+  assert.deepEqual(found.products[0], {
+    product_id: '2',
+    title: 'Running Shoes',
+    type: 'Shoes',
+    variants: [{ variant_id: '21', name: '41', price: 80 }, { variant_id: '22', name: '42', price: 80 }]
+  });
+
+  assert.deepEqual(await executeTool('lookup_product', { query: ' ' }), { ok: false, error: 'query is required' });
+  assert.match((await executeTool('lookup_product', { query: 'umbrella' })).error, /No products match "umbrella"/);
+});
+
+test('add_item checks the product, variant and quantity before touching the cart', async () => {
+  assert.match((await executeTool('add_item', { product_id: '9' })).error, /Unknown product_id "9"/);
+  assert.match((await executeTool('add_item', { product_id: '1', quantity: 11 })).error, /from 1 to 10/);
+  assert.match((await executeTool('add_item', { product_id: '1', quantity: 1.5 })).error, /whole number/);
+
+  const ambiguous = await executeTool('add_item', { product_id: '2' });
+  assert.match(ambiguous.error, /has several variants/);
+  assert.deepEqual(ambiguous.variants.map(v => v.variant_id), ['21', '22']);
+
+  assert.match((await executeTool('add_item', { product_id: '2', variant_id: '11' })).error, /not an available variant/);
+  assert.equal(await orders.getActiveOrder('customer-1', 'b', 'whatsapp', { createIfMissing: false }), null);
+});
+
+test('add_item and remove_item return the updated cart', async () => {
+  const single = await executeTool('add_item', { product_id: '1', quantity: 2 });
+  assert.equal(single.ok, true);
+  assert.deepEqual(single.cart.items, [
+    { product_id: '1', variant_id: '11', title: 'Canvas Tote', variant: 'Natural', quantity: 2, total: 50 }
+  ]);
+
+  await executeTool('add_item', { product_id: '2', variant_id: '21' });
+  await executeTool('add_item', { product_id: '2', variant_id: '22' });
+
+  assert.match((await executeTool('remove_item', { product_id: '2' })).error, /pass variant_id/);
+  assert.match((await executeTool('remove_item', { product_id: '3' })).error, /not in the cart/);
+
+  const removed = await executeTool('remove_item', { product_id: '2', variant_id: '21' });
+  assert.deepEqual(removed.removed, { title: 'Running Shoes', variant: '41' });
+  assert.deepEqual(removed.cart.items.map(item => item.variant_id), ['11', '22']);
+});
+
+test('update_customer_info cleans the phone number and rejects invalid ones', async () => {
+  assert.match((await executeTool('update_customer_info', { phone: '12' })).error, /"12" is not a valid phone number/);
+  assert.match((await executeTool('update_customer_info', {})).error, /at least one of/);
+
+  const saved = await executeTool('update_customer_info', { name: ' Rana ', phone: '03 123 456' });
+  assert.deepEqual(saved.saved, { name: 'Rana', phone: '+9613123456' });
+  assert.deepEqual(saved.missing_info, ['address', 'order items']);
+});
+
+test('confirm_order needs items and the delivery details', async () => {
+  assert.match((await executeTool('confirm_order')).error, /cart is empty/);
+
+  await executeTool('add_item', { product_id: '1' });
+  const missing = await executeTool('confirm_order');
+  assert.equal(missing.ok, false);
+  assert.deepEqual(missing.missing_info, ['name', 'phone number', 'address']);
+
+  await executeTool('update_customer_info', { name: 'Rana', phone: '+96171123456', address: 'Hamra, Beirut' });
+  const confirmed = await executeTool('confirm_order', {});
+  assert.equal(confirmed.ok, true);
+  assert.ok(confirmed.order_id);
+  assert.equal(confirmed.total, 25);
+});
+
+test('cancel_order and unknown tools report errors instead of throwing', async () => {
+  assert.deepEqual(await executeTool('cancel_order', {}), { ok: false, error: 'No active order to cancel' });
+  assert.deepEqual(await executeTool('apply_discount', {}), { ok: false, error: 'Unknown tool "apply_discount"' });
+
+  await executeTool('add_item', { product_id: '1' });
+  assert.deepEqual(await executeTool('cancel_order', null), { ok: true });
+});
+
+test('validation errors reach the model in the same turn and only the outcome is logged', async () => {
+  const logged = mock.method(console, 'log', () => {});
+  const seen = [];
+  llm.registerLlmProvider({
+    name: 'cart',
+    complete: async ({ input }) => {
+      const outputs = input.filter(item => item.type === 'function_call_output');
+      seen.push(outputs.map(item => JSON.parse(item.output)));
+      if (outputs.length) return { text: 'Which size do you want?', usage: {} };
+      return {
+        text: '',
+        toolCalls: [
+          { id: 'c1', name: 'add_item', arguments: '{"product_id":"2"}' },
+          { id: 'c2', name: 'update_customer_info', arguments: '{"phone":"+96171123456"}' }
+        ],
+        usage: {}
+      };
+    }
+  });
+
+  try {
+    const result = await llm.completeWithTools(
+      { input: [{ role: 'user', content: 'I want the running shoes, my number is +96171123456' }], tools: ORDER_TOOLS },
+      { chain: ['cart:m'], executeTool }
+    );
+
+    assert.equal(result.text, 'Which size do you want?');
+    assert.match(seen[1][0].error, /has several variants/);
+    assert.equal(seen[1][1].ok, true);
+    assert.deepEqual(logged.mock.calls.map(call => call.arguments[0]), [
+      '🛠️ Tool add_item → error',
+      '🛠️ Tool update_customer_info → ok'
+    ]);
+  } finally {
+    logged.mock.restore();
+  }
+});
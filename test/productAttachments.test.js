@@ -0,0 +1,140 @@
+// test/productAttachments.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { load } = require('./helpers/stub');
+const { createBusiness, createFakeAdapter, loadPipeline } = require('./helpers/pipeline');
+
+process.env.IDEMPOTENCY_STORE = 'memory';
+
+const { pipeline, memoryDb, state } = loadPipeline();
+const { buildProductDatabase } = load('services/catalogBuilder.js');
+const { extractProductAttachmentActions, buildProductAttachments, productCaption } = load('services/productAttachments.js');
+const metaAdapters = load('services/channels/meta.js');
+
+const PRODUCTS = [
+  {
+    id: 'p1',
+    title: 'Canvas Tote',
+    images: [{ src: 'https://cdn.example/tote.jpg' }],
+    variants: [{ id: 'v1', variantName: 'Natural', originalPrice: 25, discountedPrice: 20, isDiscounted: true }]
+  },
+  {
+    id: 'p2',
+    title: 'Running Shoe',
+    variants: [
+      { id: 'v2', variantName: '40', originalPrice: 90, discountedPrice: 90, image: 'https://cdn.example/shoe-40.jpg' },
+      { id: 'v3', variantName: '41', originalPrice: 95, discountedPrice: 95 }
+    ]
+  },
+  { id: 'p3', title: 'Socks', variants: [{ id: 'v4', variantName: 'M', originalPrice: 5, discountedPrice: 5 }] },
+  { id: 'p4', title: 'Cap', variants: [{ id: 'v5', variantName: 'One size', originalPrice: 12, discountedPrice: 12 }] }
+];
+const productDatabase = buildProductDatabase(PRODUCTS);
+
+const originalPost = axios.post;
+afterEach(() => { axios.post = originalPost; });
+
+beforeEach(() => {
+  memoryDb.reset();
+  state.business = createBusiness({ products: PRODUCTS });
+});
+
+test('SEND_PRODUCT lines are read from the order actions block', () => {
+  const reply = 'Here you go\n[AI_ORDER_ACTIONS]\nSEND_PRODUCT: p1\nsend_product: "p2", "v3"\nADD_ITEM: p3\n[/AI_ORDER_ACTIONS]';
+
+  assert.deepEqual(extractProductAttachmentActions(reply), [
+    { productId: 'p1', variantId: undefined },
+    { productId: 'p2', variantId: 'v3' }
+  ]);
+  assert.deepEqual(extractProductAttachmentActions('No actions here'), []);
+});
+
+test('attachments carry price, photo and an order selection, at most three of them', () => {
+  const attachments = buildProductAttachments(productDatabase, [
+    { productId: 'p1' }, { productId: 'missing' }, { productId: 'p1' }, { productId: 'p2' }, { productId: 'p3' }, { productId: 'p4' }
+  ]);
+
+  assert.deepEqual(attachments.map(a => a.productId), ['p1', 'p2', 'p3']);
+  assert.deepEqual(attachments[0], {
+    type: 'product',
+    productId: 'p1',
+    variantId: 'v1',
+    title: 'Canvas Tote',
+    subtitle: '$20 · was $25',
+    imageUrl: 'https://cdn.example/tote.jpg',
+    selectionId: 'add:p1:v1'
+  });
+  // A product with several variants and none chosen opens the variant choice
+  assert.equal(attachments[1].selectionId, 'product:p2');
+  assert.equal(productCaption(attachments[0]), 'Canvas Tote\n$20 · was $25');
+
+  const [variant] = buildProductAttachments(productDatabase, [{ productId: 'p2', variantId: 'v2' }]);
+  assert.equal(variant.title, 'Running Shoe - 40');
+  assert.equal(variant.imageUrl, 'https://cdn.example/shoe-40.jpg');
+  assert.equal(variant.selectionId, 'add:p2:v2');
+});
+
+test('without native cards each product goes out as a captioned photo, or as text when it has none', async () => {
+  const adapter = createFakeAdapter('telegram');
+  state.reply = {
+    reply: 'Two picks for you',
+    attachments: buildProductAttachments(productDatabase, [{ productId: 'p1' }, { productId: 'p3' }])
+  };
+  await pipeline.processChannelPayload(adapter, {
+    messages: [{ platform: 'telegram', messageId: 'm1', senderId: 'chat-1', type: 'text', text: 'Gift ideas?', businessLookup: { telegram_bot_id: 'bot-1' } }]
+  });
+  const [job] = memoryDb.collection('webhook_jobs').docs;
+
+  await pipeline.sendBatchedReply(adapter, job.payload, job);
+
+  assert.deepEqual(adapter.sent, [
+    { kind: 'text', to: 'chat-1', text: 'Two picks for you' },
+    { kind: 'media', to: 'chat-1', media: { type: 'image', url: 'https://cdn.example/tote.jpg', caption: 'Canvas Tote\n$20 · was $25' } },
+    { kind: 'text', to: 'chat-1', text: 'Socks\n$5' }
+  ]);
+});
+
+test('a photo that fails to send falls back to its caption', async () => {
+  const adapter = createFakeAdapter('telegram', {
+    sendMedia: async () => { throw new Error('wrong file identifier'); }
+  });
+  state.reply = { reply: 'Here it is', attachments: buildProductAttachments(productDatabase, [{ productId: 'p1' }]) };
+  await pipeline.processChannelPayload(adapter, {
+    messages: [{ platform: 'telegram', messageId: 'm2', senderId: 'chat-1', type: 'text', text: 'Tote?', businessLookup: { telegram_bot_id: 'bot-1' } }]
+  });
+  const [job] = memoryDb.collection('webhook_jobs').docs;
+
+  await pipeline.sendBatchedReply(adapter, job.payload, job);
+
+  assert.deepEqual(adapter.sent.map(s => s.text), ['Here it is', 'Canvas Tote\n$20 · was $25']);
+});
+
+test('Messenger renders products as generic template cards with an order button', async () => {
+  const requests = [];
+  axios.post = async (url, body) => {
+    requests.push(body);
+    return { data: { message_id: 'mid.cards' } };
+  };
+  const attachments = buildProductAttachments(productDatabase, [{ productId: 'p1' }, { productId: 'p2' }]);
+
+  const messageId = await metaAdapters.messenger.sendAttachments({ token: 'page-token' }, 'customer-1', attachments);
+
+  assert.equal(messageId, 'mid.cards');
+  const { elements } = requests[0].message.attachment.payload;
+  assert.equal(requests[0].message.attachment.payload.template_type, 'generic');
+  assert.deepEqual(elements[0].buttons, [{ type: 'postback', title: 'Order now', payload: 'add:p1:v1' }]);
+  assert.equal(elements[0].image_url, 'https://cdn.example/tote.jpg');
+  assert.equal(elements[1].buttons[0].title, 'See options');
+  assert.equal(elements[1].image_url, undefined);
+});
+
+test('tapping a card comes back as a selection', () => {
+  const [inbound] = metaAdapters.messenger.parseInbound({
+    entry: [{ id: 'page-1', messaging: [{ sender: { id: 'customer-1' }, timestamp: 1700000000000, postback: { mid: 'mid.tap', title: 'Order now', payload: 'add:p1:v1' } }] }]
+  });
+
+  assert.equal(inbound.type, 'selection');
+  assert.deepEqual(inbound.selection, { id: 'add:p1:v1', title: 'Order now' });
+  assert.equal(inbound.messageId, 'mid.tap');
+});
@@ -0,0 +1,192 @@
+// test/sessionManager.test.js
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { ObjectId } = require('mongodb');
+const { stubModule, load } = require('./helpers/stub');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+// Node 20's test runner misreads a log line that shares a pipe read with one of its own messages
+// when the line starts with a multi-byte emoji, which summarising and archiving log
+mock.method(console, 'log', () => {});
+
+process.env.LLM_PROVIDER = 'mock';
+
+const memoryDb = createMemoryDb();
+stubModule('db.js', memoryDb.getDb);
+
+const sessions = load('services/sessionManager.js');
+
+const MINUTE = 60 * 1000;
+
+let business;
+let key;
+
+// Every turn a second apart, so turns never share a timestamp
+async function addTurns(count, { from = 0, conversationKey = key } = {}) {
+  for (let i = from; i < from + count; i++) {
+    await sessions.updateSession(conversationKey, i % 2 ? 'assistant' : 'user', `turn ${i}`);
+    mock.timers.tick(1000);
+  }
+}
+
+// Let the background summary finish
+async function settle() {
+  for (let i = 0; i < 20; i++) await new Promise(resolve => setImmediate(resolve));
+}
+
+beforeEach(async () => {
+  memoryDb.reset();
+  mock.timers.enable({ apis: ['Date'], now: new Date('2026-03-02T09:00:00Z') });
+  business = { _id: new ObjectId(), name: 'Test Shop', settings: {} };
+  await memoryDb.collection('businesses').insertOne(business);
+  key = { businessId: business._id.toString(), platform: 'whatsapp', customerId: '96171123456' };
+});
+afterEach(() => mock.timers.reset());
+
+test('turns are stored per business, channel and customer', async () => {
+  await addTurns(3);
+  await sessions.updateSession({ ...key, platform: 'messenger' }, 'user', 'hello from messenger');
+
+  const conversation = await sessions.getConversation(key);
+  assert.equal(conversation.messageCount, 3);
+  assert.equal(conversation.unreadCount, 2);
+  assert.deepEqual(conversation.lastMessage.content, 'turn 2');
+  assert.equal(memoryDb.collection('conversations').docs.length, 2);
+
+  const history = await sessions.getSessionHistory(key);
+  assert.deepEqual(history.map(({ role, content }) => [role, content]), [
+    ['user', 'turn 0'], ['assistant', 'turn 1'], ['user', 'turn 2']
+  ]);
+  assert.equal(history[0].timestamp, '2026-03-02T09:00:00.000Z');
+  assert.deepEqual(await sessions.getSessionHistory({ ...key, customerId: 'someone-else' }), []);
+});
+
+test('older turns are folded into an LLM summary once enough have piled up', async () => {
+  await addTurns(29);
+  await settle();
+  assert.equal(await sessions.getSessionSummary(key), '');
+
+  await addTurns(1, { from: 29 });
+  await settle();
+
+  const summary = await sessions.getSessionSummary(key);
+  assert.match(summary, /Previous summary:\s+\(none\)/);
+  assert.match(summary, /Customer: turn 0\nAssistant: turn 1/);
+
+  const history = await sessions.getSessionHistory(key);
+  assert.equal(history.length, 20);
+  assert.equal(history[0].content, 'turn 10');
+  assert.equal(history[19].content, 'turn 29');
+  assert.equal((await sessions.getConversation(key)).summarizingAt, null);
+});
+
+test('the inbox lists conversations, pages their turns and tracks unread ones', async () => {
+  await addTurns(3);
+  const otherKey = { ...key, customerId: '96103999888' };
+  await addTurns(2, { conversationKey: otherKey });
+  await sessions.setConversationFields(otherKey, { mode: 'human' });
+
+  const all = await sessions.listConversations(key.businessId);
+  assert.equal(all.total, 2);
+  assert.deepEqual(all.conversations.map(c => c.customerId), ['96103999888', '96171123456']);
+  assert.deepEqual((await sessions.listConversations(key.businessId, { mode: 'human' })).conversations.map(c => c.customerId), ['96103999888']);
+
+  await sessions.markConversationRead(otherKey);
+  assert.deepEqual((await sessions.listConversations(key.businessId, { unread: true })).conversations.map(c => c.customerId), ['96171123456']);
+
+  const { _id } = await sessions.getConversation(key);
+  const latest = await sessions.getConversationMessages(_id, { limit: 2 });
+  assert.deepEqual(latest.messages.map(m => m.content), ['turn 1', 'turn 2']);
+  assert.equal(latest.hasMore, true);
+
+  const older = await sessions.getConversationMessages(_id.toString(), { before: latest.messages[0].createdAt });
+  assert.deepEqual(older.messages.map(m => m.content), ['turn 0']);
+  assert.equal(older.hasMore, false);
+});
+
+test('the website widget polls the team\'s replies since its last check', async () => {
+  await addTurns(1);
+  const since = new Date();
+  mock.timers.tick(1000);
+  await sessions.updateSession(key, 'agent', 'Hi, this is Rana from the shop');
+
+  assert.deepEqual((await sessions.getAgentMessagesSince(key, since)).map(m => m.content), ['Hi, this is Rana from the shop']);
+  assert.deepEqual(await sessions.getAgentMessagesSince(key, new Date()), []);
+  assert.deepEqual(await sessions.getAgentMessagesSince({ ...key, customerId: 'nobody' }, since), []);
+});
+
+test('memory lasts for the business\'s autoClearAfter setting, 24 hours by default', async () => {
+  await addTurns(1);
+  assert.equal((await sessions.getConversation(key)).expiresAt.toISOString(), '2026-03-03T09:00:00.000Z');
+
+  await memoryDb.collection('businesses').updateOne(
+    { _id: business._id },
+    { $set: { 'settings.advanced.conversations.autoClearAfter': '30mins' } }
+  );
+  await addTurns(1, { from: 1 });
+  assert.equal((await sessions.getConversation(key)).expiresAt.toISOString(), '2026-03-02T09:30:01.000Z');
+});
+
+test('an expired session is archived on the next turn and the customer starts over', async () => {
+  await memoryDb.collection('businesses').updateOne(
+    { _id: business._id },
+    { $set: { 'settings.advanced.conversations.autoClearAfter': '30mins' } }
+  );
+  await addTurns(2);
+
+  mock.timers.tick(31 * MINUTE);
+  assert.deepEqual(await sessions.getSessionHistory(key), []);
+
+  await sessions.updateSession(key, 'user', 'back after lunch');
+
+  const [archive] = memoryDb.collection('conversation_archives').docs;
+  assert.equal(archive.reason, 'expired');
+  assert.equal(archive.messageCount, 2);
+  assert.equal(archive.customerId, key.customerId);
+  assert.equal(archive.startedAt.toISOString(), '2026-03-02T09:00:00.000Z');
+  assert.equal(archive.endedAt.toISOString(), '2026-03-02T09:00:01.000Z');
+
+  assert.deepEqual((await sessions.getSessionHistory(key)).map(turn => turn.content), ['back after lunch']);
+
+  // The inbox still shows the whole thread
+  const { _id, messageCount } = await sessions.getConversation(key);
+  const { messages } = await sessions.getConversationMessages(_id);
+  assert.deepEqual(messages.map(m => [m.content, Boolean(m.archiveId)]), [
+    ['turn 0', true], ['turn 1', true], ['back after lunch', false]
+  ]);
+  assert.equal(messageCount, 3);
+});
+
+test('the sweeper archives expired sessions and leaves live ones alone', async () => {
+  const laterKey = { ...key, customerId: '96103999888' };
+  await addTurns(2);
+  mock.timers.tick(23 * 60 * MINUTE);
+  await addTurns(1, { conversationKey: laterKey });
+  mock.timers.tick(2 * 60 * MINUTE);
+
+  assert.equal(await sessions.sweepExpiredSessions(), 1);
+  assert.equal(await sessions.sweepExpiredSessions(), 0);
+
+  const archives = memoryDb.collection('conversation_archives').docs;
+  assert.deepEqual(archives.map(a => a.customerId), [key.customerId]);
+  assert.equal((await sessions.getConversation(key)).expiresAt, null);
+  assert.equal((await sessions.getSessionHistory(laterKey)).length, 1);
+
+  // A second archive of the same session is a no-op
+  const stale = { ...(await sessions.getConversation(laterKey)) };
+  await sessions.archiveSession(stale);
+  assert.equal(await sessions.archiveSession(stale), null);
+  assert.equal(memoryDb.collection('conversation_archives').docs.length, 2);
+});
+
+test('clearSession archives the session instead of deleting it', async () => {
+  assert.equal(await sessions.clearSession(key), null);
+
+  await addTurns(2);
+  const archive = await sessions.clearSession(key);
+
+  assert.equal(archive.reason, 'cleared');
+  assert.equal(archive.messageCount, 2);
+  assert.deepEqual(await sessions.getSessionHistory(key), []);
+  assert.equal(memoryDb.collection('conversation_messages').docs.length, 2);
+});
@@ -0,0 +1,123 @@
+// test/telegram.test.js
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const express = require('express');
+const { stubModule, load } = require('./helpers/stub');
+
+const businesses = {
+  '42': { _id: 'b1', channels: { telegram: { bot_id: '42', webhook_secret: 'hook-secret' } } }
+};
+const enqueued = [];
+stubModule('services/business.js', {
+  getBusinessInfo: async ({ telegram_bot_id }) => {
+    if (!businesses[telegram_bot_id]) throw new Error('Business not found');
+    return businesses[telegram_bot_id];
+  }
+});
+stubModule('services/webhookQueue.js', { enqueueWebhookEvent: async (platform, payload) => enqueued.push({ platform, payload }) });
+stubModule('services/channels/index.js', {});
+
+const telegramAdapter = load('services/channels/telegram.js');
+const telegramWebhook = load('routes/webhook/telegram.js');
+
+// Fake Bot API (TELEGRAM_API_BASE) and our webhook route, each on a random local port
+const botApiCalls = [];
+let botApi;
+let app;
+let appUrl;
+
+before(async () => {
+  botApi = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      botApiCalls.push({ path: req.url, body: JSON.parse(body || '{}') });
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ ok: true, result: { message_id: 7, chat: { id: 555 } } }));
+    });
+  });
+  await new Promise(resolve => botApi.listen(0, '127.0.0.1', resolve));
+  process.env.TELEGRAM_API_BASE = `http://127.0.0.1:${botApi.address().port}/`;
+
+  const server = express().use(express.json()).use('/webhook', telegramWebhook);
+  app = http.createServer(server);
+  await new Promise(resolve => app.listen(0, '127.0.0.1', resolve));
+  appUrl = `http://127.0.0.1:${app.address().port}/webhook/telegram`;
+});
+
+after(() => {
+  botApi.close();
+  app.close();
+});
+
+const privateMessage = (message) => ({
+  botId: '42',
+  update: { update_id: 1001, message: { chat: { id: 555, type: 'private' }, from: { id: 555, is_bot: false }, ...message } }
+});
+
+test('parseInbound turns a private text message into an inbound message keyed by bot and update', () => {
+  const [inbound] = telegramAdapter.parseInbound(privateMessage({ text: 'Hi there' }));
+
+  assert.equal(inbound.platform, 'telegram');
+  assert.equal(inbound.messageId, '42:1001');
+  assert.equal(inbound.senderId, '555');
+  assert.equal(inbound.type, 'text');
+  assert.equal(inbound.text, 'Hi there');
+  assert.deepEqual(inbound.businessLookup, { telegram_bot_id: '42' });
+});
+
+test('parseInbound picks the largest photo and recognises voice notes', () => {
+  const [photo] = telegramAdapter.parseInbound(privateMessage({ photo: [{ file_id: 'small' }, { file_id: 'large' }], caption: 'this one' }));
+  assert.equal(photo.type, 'image');
+  assert.equal(photo.media.id, 'large');
+  assert.equal(photo.text, 'this one');
+
+  const [voice] = telegramAdapter.parseInbound(privateMessage({ voice: { file_id: 'v1' } }));
+  assert.equal(voice.type, 'voice');
+});
+
+test('parseInbound ignores groups and bots', () => {
+  const group = privateMessage({ text: 'hello' });
+  group.update.message.chat.type = 'group';
+  const bot = privateMessage({ text: 'hello' });
+  bot.update.message.from.is_bot = true;
+
+  assert.deepEqual(telegramAdapter.parseInbound(group), []);
+  assert.deepEqual(telegramAdapter.parseInbound(bot), []);
+});
+
+test('sendText calls sendMessage with the bot\'s token and returns a chat-scoped message ID', async () => {
+  botApiCalls.length = 0;
+  const messageId = await telegramAdapter.sendText({ token: '42:secret' }, '555', 'Hello');
+
+  assert.equal(messageId, '555:7');
+  assert.equal(botApiCalls[0].path, '/bot42:secret/sendMessage');
+  assert.deepEqual(botApiCalls[0].body, { chat_id: '555', text: 'Hello' });
+});
+
+test('the webhook queues updates that carry the bot\'s secret token', async () => {
+  enqueued.length = 0;
+  const update = { update_id: 1, message: { text: 'hi' } };
+
+  const accepted = await fetch(`${appUrl}/42`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': 'hook-secret' },
+    body: JSON.stringify(update)
+  });
+  assert.equal(accepted.status, 200);
+  assert.deepEqual(enqueued, [{ platform: 'telegram', payload: { botId: '42', update } }]);
+});
+
+test('the webhook rejects a wrong secret and unknown bots', async () => {
+  enqueued.length = 0;
+  const post = (botId, secret) => fetch(`${appUrl}/${botId}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': secret },
+    body: '{}'
+  });
+
+  assert.equal((await post('42', 'wrong')).status, 403);
+  assert.equal((await post('43', 'hook-secret')).status, 404);
+  assert.equal(enqueued.length, 0);
+});
@@ -0,0 +1,73 @@
+// test/tiktok.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const axios = require('axios');
+const { stubModule, load } = require('./helpers/stub');
+
+stubModule('services/advancedLogger.js', { logError: async () => {} });
+
+const tiktokAdapter = load('services/channels/tiktok.js');
+const { isValidTikTokSignature } = load('middlewares/tiktokSignature.js');
+
+const originalPost = axios.post;
+afterEach(() => { axios.post = originalPost; });
+
+const receiveEvent = (content) => ({
+  event: 'im_receive_msg',
+  user_openid: 'acct-1',
+  content: JSON.stringify({ conversation_id: 'conv-9', message_id: 'm-1', from: 'customer-1', type: 'text', text: { body: 'Do you ship?' }, ...content })
+});
+
+test('parseInbound reads a direct message and replies to its conversation', () => {
+  const [inbound] = tiktokAdapter.parseInbound(receiveEvent());
+
+  assert.equal(inbound.platform, 'tiktok');
+  assert.equal(inbound.messageId, 'acct-1:m-1');
+  assert.equal(inbound.senderId, 'customer-1');
+  assert.equal(inbound.replyTo, 'conv-9');
+  assert.equal(inbound.type, 'text');
+  assert.equal(inbound.text, 'Do you ship?');
+  assert.deepEqual(inbound.businessLookup, { tiktok_account_id: 'acct-1' });
+});
+
+test('parseInbound skips the account\'s own messages, other events and broken content', () => {
+  assert.deepEqual(tiktokAdapter.parseInbound(receiveEvent({ from: 'acct-1' })), []);
+  assert.deepEqual(tiktokAdapter.parseInbound({ ...receiveEvent(), event: 'im_send_msg' }), []);
+  assert.deepEqual(tiktokAdapter.parseInbound({ ...receiveEvent(), content: '{not json' }), []);
+});
+
+test('non-text messages are marked unsupported', () => {
+  const [inbound] = tiktokAdapter.parseInbound(receiveEvent({ type: 'image', text: undefined }));
+  assert.equal(inbound.type, 'unsupported');
+});
+
+test('sendText posts to the conversation with the account\'s token', async () => {
+  const requests = [];
+  axios.post = async (url, body, config) => {
+    requests.push({ url, body, config });
+    return { data: { code: 0, data: { message_id: 'out-1' } } };
+  };
+
+  const messageId = await tiktokAdapter.sendText({ accountId: 'acct-1', token: 'tt-token' }, 'conv-9', 'Yes, we do');
+
+  assert.equal(messageId, 'out-1');
+  assert.match(requests[0].url, /\/business\/message\/send\/$/);
+  assert.equal(requests[0].body.business_id, 'acct-1');
+  assert.equal(requests[0].body.recipient, 'conv-9');
+  assert.equal(requests[0].config.headers['Access-Token'], 'tt-token');
+});
+
+test('sendText fails when the Business API reports an error code', async () => {
+  axios.post = async () => ({ data: { code: 40001, message: 'expired token' } });
+  await assert.rejects(tiktokAdapter.sendText({ accountId: 'acct-1', token: 't' }, 'conv-9', 'Hi'), /expired token/);
+});
+
+test('isValidTikTokSignature checks the timestamped HMAC', () => {
+  const body = Buffer.from('{"event":"im_receive_msg"}');
+  const signature = crypto.createHmac('sha256', 'client-secret').update(`1700000000.${body}`).digest('hex');
+
+  assert.equal(isValidTikTokSignature(body, `t=1700000000,s=${signature}`, 'client-secret'), true);
+  assert.equal(isValidTikTokSignature(body, `t=1700000001,s=${signature}`, 'client-secret'), false);
+  assert.equal(isValidTikTokSignature(body, `s=${signature}`, 'client-secret'), false);
+});
@@ -0,0 +1,140 @@
+// test/voiceReplies.test.js
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { ObjectId } = require('mongodb');
+const { load } = require('./helpers/stub');
+const { createBusiness, createFakeAdapter, loadPipeline } = require('./helpers/pipeline');
+
+process.env.TTS_PROVIDER = 'stub';
+
+const { pipeline, memoryDb, state } = loadPipeline();
+const tts = load('services/tts/index.js');
+const { sendWhatsAppVoice } = load('services/whatsapp.js');
+
+const originalPost = axios.post;
+afterEach(() => {
+  axios.post = originalPost;
+  tts.setTtsProvider(null);
+});
+
+function createVoiceAdapter() {
+  const adapter = createFakeAdapter('whatsapp');
+  adapter.sendVoice = async (credentials, to, audio) => {
+    adapter.sent.push({ kind: 'voice', to, audio });
+    return 'whatsapp-voice-1';
+  };
+  return adapter;
+}
+
+const withVoiceReplies = (features = { voiceReplies: true }) => createBusiness({
+  settings: {
+    limits: { maxMessages: 1000, usedMessages: 0, voiceMinutes: 100, usedVoiceMinutes: 0 },
+    advanced: { features }
+  }
+});
+
+// A reply job for one batch of messages, as the pipeline queues it
+async function replyTo(items) {
+  const job = { _id: new ObjectId(), payload: { senderId: '96170000001', replyTo: null, businessLookup: { phone_number_id: 'phone-1' }, items } };
+  await memoryDb.collection('webhook_jobs').insertOne(job);
+  return job;
+}
+
+beforeEach(async () => {
+  memoryDb.reset();
+  state.reply = { reply: '**Yes**, we deliver to _Beirut_ tomorrow' };
+  state.business = withVoiceReplies();
+  await memoryDb.collection('businesses').insertOne(state.business);
+});
+
+test('the stub provider returns a silent WAV as long as the text takes to read', async () => {
+  const audio = await tts.synthesizeSpeech('one two three');
+
+  assert.equal(audio.mimeType, 'audio/wav');
+  assert.equal(audio.buffer.toString('ascii', 0, 4), 'RIFF');
+  assert.equal(audio.buffer.toString('ascii', 8, 12), 'WAVE');
+  assert.equal(audio.durationSeconds, 1);
+  assert.equal(tts.estimateDurationSeconds('word '.repeat(300)), 120);
+});
+
+test('providers can be registered and swapped, and unknown ones are rejected', async () => {
+  assert.throws(() => tts.registerTtsProvider({ name: 'broken' }), /needs a name and a synthesize/);
+
+  tts.registerTtsProvider({ name: 'fixed', synthesize: async () => ({ buffer: Buffer.from('x'), mimeType: 'audio/ogg', filename: 'a.ogg' }) });
+  process.env.TTS_PROVIDER = 'fixed';
+  try {
+    const audio = await tts.synthesizeSpeech('hello there');
+    assert.equal(audio.mimeType, 'audio/ogg');
+    assert.equal(audio.durationSeconds, 1);
+
+    process.env.TTS_PROVIDER = 'nope';
+    assert.throws(() => tts.getTtsProvider(), /Unknown TTS provider: nope/);
+  } finally {
+    process.env.TTS_PROVIDER = 'stub';
+  }
+});
+
+test('a voice note is answered with a voice note when the business opted in', async () => {
+  const adapter = createVoiceAdapter();
+  const job = await replyTo([{ text: 'Do you deliver to Beirut?', type: 'voice' }]);
+
+  await pipeline.sendBatchedReply(adapter, job.payload, job);
+
+  assert.equal(adapter.sent.length, 1);
+  const [voice] = adapter.sent;
+  assert.equal(voice.kind, 'voice');
+  assert.equal(voice.audio.transcript, 'Yes, we deliver to Beirut tomorrow');
+  assert.equal(voice.audio.mimeType, 'audio/wav');
+
+  const [business] = memoryDb.collection('businesses').docs;
+  assert.equal(business.settings.limits.usedVoiceMinutes, 1);
+  assert.equal(business.settings.limits.usedMessages, 1);
+});
+
+test('text replies are kept for typed messages, businesses without the opt-in and disabled voice input', async () => {
+  const typed = createVoiceAdapter();
+  const job = await replyTo([{ text: 'Hi', type: 'voice' }, { text: 'Do you deliver?', type: 'text' }]);
+  await pipeline.sendBatchedReply(typed, job.payload, job);
+  assert.deepEqual(typed.sent.map(s => s.kind), ['text']);
+
+  for (const features of [{ voiceReplies: false }, { voiceReplies: true, voicesEnabled: false }]) {
+    state.business = withVoiceReplies(features);
+    const adapter = createVoiceAdapter();
+    const voiceJob = await replyTo([{ text: 'Do you deliver?', type: 'voice' }]);
+    await pipeline.sendBatchedReply(adapter, voiceJob.payload, voiceJob);
+    assert.deepEqual(adapter.sent.map(s => s.kind), ['text'], JSON.stringify(features));
+  }
+});
+
+test('the reply goes out as text when voice minutes are used up or synthesis fails', async () => {
+  state.business.settings.limits.usedVoiceMinutes = 100;
+  const exhausted = createVoiceAdapter();
+  const job = await replyTo([{ text: 'Do you deliver?', type: 'voice' }]);
+  await pipeline.sendBatchedReply(exhausted, job.payload, job);
+  assert.deepEqual(exhausted.sent.map(s => s.kind), ['text']);
+
+  state.business.settings.limits.usedVoiceMinutes = 0;
+  tts.setTtsProvider({ name: 'down', synthesize: async () => { throw new Error('TTS unavailable'); } });
+  const failing = createVoiceAdapter();
+  const retry = await replyTo([{ text: 'Do you deliver?', type: 'voice' }]);
+  await pipeline.sendBatchedReply(failing, retry.payload, retry);
+  assert.deepEqual(failing.sent.map(s => [s.kind, s.text]), [['text', '*Yes*, we deliver to _Beirut_ tomorrow']]);
+});
+
+test('WhatsApp voice notes are uploaded first and sent by media ID', async () => {
+  const requests = [];
+  axios.post = async (url, body) => {
+    requests.push({ url, body });
+    return { data: url.endsWith('/media') ? { id: 'media-1' } : { messages: [{ id: 'wamid.voice' }] } };
+  };
+
+  const audio = await tts.synthesizeSpeech('See you soon');
+  const result = await sendWhatsAppVoice('96170000001', audio, { phoneNumberId: '111', accessToken: 'token' });
+
+  assert.match(requests[0].url, /\/111\/media$/);
+  assert.match(requests[1].url, /\/111\/messages$/);
+  assert.deepEqual(requests[1].body.audio, { id: 'media-1' });
+  assert.equal(requests[1].body.type, 'audio');
+  assert.equal(result.messages[0].id, 'wamid.voice');
+});
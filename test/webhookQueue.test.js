@@ -0,0 +1,190 @@
+// test/webhookQueue.test.js
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('timers/promises');
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const { stubModule, load } = require('./helpers/stub');
+const { createMemoryDb } = require('./helpers/memoryDb');
+
+process.env.WEBHOOK_JOB_MAX_ATTEMPTS = '3';
+process.env.WEBHOOK_JOB_BACKOFF_MS = '1000';
+process.env.WEBHOOK_WORKER_POLL_MS = '10';
+
+const memoryDb = createMemoryDb();
+stubModule('db.js', memoryDb.getDb);
+const loggedErrors = [];
+stubModule('services/advancedLogger.js', { logError: async (error, context) => loggedErrors.push(context) });
+stubModule('services/business.js', {});
+stubModule('services/channels/index.js', {});
+process.env.META_APP_SECRET = 'app-secret';
+
+const queue = load('services/webhookQueue.js');
+const jobs = memoryDb.collection('webhook_jobs');
+const deadLetters = memoryDb.collection('webhook_dead_letters');
+
+async function waitFor(predicate, timeoutMs = 2000) {
+  const start = Date.now();
+  while (!(await predicate())) {
+    if (Date.now() - start > timeoutMs) throw new Error('Timed out waiting for the worker');
+    await sleep(5);
+  }
+}
+
+// Pretend the backoff delay has passed
+const makeDue = () => jobs.docs.forEach(job => { job.nextRunAt = new Date(Date.now() - 1); });
+
+before(() => queue.startWebhookWorker());
+after(() => queue.stopWebhookWorker());
+beforeEach(() => {
+  memoryDb.reset();
+  loggedErrors.length = 0;
+});
+
+test('getBackoffDelay doubles per attempt up to 15 minutes', () => {
+  assert.equal(queue.getBackoffDelay(1), 1000);
+  assert.equal(queue.getBackoffDelay(2), 2000);
+  assert.equal(queue.getBackoffDelay(4), 8000);
+  assert.equal(queue.getBackoffDelay(30), 15 * 60 * 1000);
+});
+
+test('a queued event is processed and marked completed', async () => {
+  const processed = [];
+  queue.registerWebhookProcessor('whatsapp', async (payload) => { processed.push(payload); });
+
+  const jobId = await queue.enqueueWebhookEvent('whatsapp', { entry: [1] });
+  await waitFor(() => jobs.docs[0]?.status === 'completed');
+
+  assert.deepEqual(processed, [{ entry: [1] }]);
+  assert.equal(jobs.docs[0]._id.toString(), jobId.toString());
+  assert.equal(jobs.docs[0].payload, undefined);
+});
+
+test('a failing job is retried with backoff and dead-lettered after the last attempt', async () => {
+  let calls = 0;
+  queue.registerWebhookProcessor('messenger', async () => {
+    calls++;
+    throw new Error(`send failed ${calls}`);
+  });
+
+  await queue.enqueueWebhookEvent('messenger', { entry: [2] });
+  await waitFor(() => jobs.docs[0]?.attempts === 1 && jobs.docs[0].status === 'pending');
+
+  const [job] = jobs.docs;
+  assert.equal(job.lastError, 'send failed 1');
+  const delay = job.nextRunAt.getTime() - job.updatedAt.getTime();
+  assert.equal(delay, 1000);
+
+  makeDue();
+  await waitFor(() => jobs.docs[0]?.attempts === 2 && jobs.docs[0].status === 'pending');
+  assert.equal(jobs.docs[0].nextRunAt.getTime() - jobs.docs[0].updatedAt.getTime(), 2000);
+
+  makeDue();
+  await waitFor(() => deadLetters.docs.length === 1);
+
+  assert.equal(calls, 3);
+  assert.equal(jobs.docs.length, 0);
+  const [dead] = deadLetters.docs;
+  assert.equal(dead.status, 'dead');
+  assert.equal(dead.lastError, 'send failed 3');
+  assert.deepEqual(dead.errors.map(e => e.attempt), [1, 2, 3]);
+  assert.deepEqual(dead.payload, { entry: [2] });
+  assert.equal(loggedErrors[0].category, 'webhook_queue');
+});
+
+test('a dead letter can be put back on the queue with a fresh attempt budget', async () => {
+  let fail = true;
+  queue.registerWebhookProcessor('instagram', async () => {
+    if (fail) throw new Error('down');
+  });
+
+  await queue.enqueueWebhookEvent('instagram', { entry: [3] });
+  for (let attempt = 1; attempt <= 3; attempt++) {
+    await waitFor(() => deadLetters.docs.length === 1 || jobs.docs[0]?.attempts === attempt);
+    makeDue();
+  }
+  await waitFor(() => deadLetters.docs.length === 1);
+
+  fail = false;
+  const newJobId = await queue.retryDeadLetter(deadLetters.docs[0]._id.toString());
+  await waitFor(() => jobs.docs[0]?.status === 'completed');
+
+  assert.equal(deadLetters.docs.length, 0);
+  assert.equal(jobs.docs[0]._id.toString(), newJobId.toString());
+});
+
+test('jobs for a platform without a processor fail instead of being dropped', async () => {
+  await queue.enqueueWebhookEvent('carrier-pigeon', {});
+  await waitFor(() => jobs.docs[0]?.attempts === 1 && jobs.docs[0].status === 'pending');
+  assert.match(jobs.docs[0].lastError, /No webhook processor registered/);
+});
+
+test('batched items share one pending job until it is picked up', async () => {
+  queue.stopWebhookWorker();
+  try {
+    await queue.enqueueBatchedEvent('whatsapp:reply', 'b1:961', { businessId: 'b1' }, { text: 'hi' }, 60_000);
+    await queue.enqueueBatchedEvent('whatsapp:reply', 'b1:961', { businessId: 'b1' }, { text: 'price?' }, 60_000);
+    await queue.enqueueBatchedEvent('whatsapp:reply', 'b1:962', { businessId: 'b1' }, { text: 'hello' }, 60_000);
+
+    assert.equal(jobs.docs.length, 2);
+    const [first] = jobs.docs;
+    assert.deepEqual(first.payload, { businessId: 'b1', items: [{ text: 'hi' }, { text: 'price?' }] });
+    assert.ok(first.nextRunAt.getTime() > Date.now() + 50_000);
+
+    // A batch that already failed once is not extended - the next item opens a new batch
+    first.attempts = 1;
+    await queue.enqueueBatchedEvent('whatsapp:reply', 'b1:961', { businessId: 'b1' }, { text: 'again' }, 60_000);
+    assert.equal(jobs.docs.length, 3);
+  } finally {
+    queue.startWebhookWorker();
+  }
+});
+
+test('a batched enqueue that loses the insert race joins the batch that won', async () => {
+  const findOneAndUpdate = jobs.findOneAndUpdate;
+  let raced = false;
+  jobs.findOneAndUpdate = async function (...args) {
+    if (!raced) {
+      raced = true;
+      throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    }
+    return findOneAndUpdate.apply(this, args);
+  };
+  try {
+    queue.stopWebhookWorker();
+    const jobId = await queue.enqueueBatchedEvent('telegram:reply', 'b2:1', { businessId: 'b2' }, { text: 'x' }, 60_000);
+    assert.equal(jobs.docs.length, 1);
+    assert.equal(jobs.docs[0]._id.toString(), jobId.toString());
+  } finally {
+    jobs.findOneAndUpdate = findOneAndUpdate;
+    queue.startWebhookWorker();
+  }
+});
+
+test('the WhatsApp webhook queues signed events and acknowledges them', async () => {
+  queue.stopWebhookWorker();
+  const app = express()
+    .use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }))
+    .use('/webhook', load('routes/whatsapp.js'));
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const body = JSON.stringify({ object: 'whatsapp_business_account', entry: [] });
+    const signature = `sha256=${crypto.createHmac('sha256', 'app-secret').update(body).digest('hex')}`;
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/webhook`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Hub-Signature-256': signature },
+      body
+    });
+
+    assert.equal(response.status, 200);
+    assert.equal(jobs.docs.length, 1);
+    assert.equal(jobs.docs[0].platform, 'whatsapp');
+    assert.deepEqual(jobs.docs[0].payload, JSON.parse(body));
+  } finally {
+    server.close();
+    queue.startWebhookWorker();
+  }
+});
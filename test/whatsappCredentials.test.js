@@ -0,0 +1,54 @@
+// test/whatsappCredentials.test.js
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { load } = require('./helpers/stub');
+
+const whatsappAdapter = load('services/channels/whatsapp.js');
+const { sendWhatsAppMessage } = load('services/whatsapp.js');
+
+const originalPost = axios.post;
+afterEach(() => { axios.post = originalPost; });
+
+test('getCredentials uses the business\'s own phone number and token', () => {
+  const business = { _id: 'b1', channels: { whatsapp: { phone_number_id: '111', access_token: 'business-token' } } };
+  assert.deepEqual(
+    whatsappAdapter.getCredentials(business, { businessLookup: { phone_number_id: '999' } }),
+    { phoneNumberId: '111', accessToken: 'business-token' }
+  );
+});
+
+test('getCredentials falls back to the webhook phone ID, then the global env values', () => {
+  process.env.WHATSAPP_PHONE_ID = 'global-phone';
+  process.env.WHATSAPP_TOKEN = 'global-token';
+
+  assert.deepEqual(
+    whatsappAdapter.getCredentials({ _id: 'b1' }, { businessLookup: { phone_number_id: '999' } }),
+    { phoneNumberId: '999', accessToken: 'global-token' }
+  );
+  assert.deepEqual(
+    whatsappAdapter.getCredentials({ _id: 'b1' }),
+    { phoneNumberId: 'global-phone', accessToken: 'global-token' }
+  );
+});
+
+test('sendWhatsAppMessage posts from the given phone number with its token', async () => {
+  const requests = [];
+  axios.post = async (url, body, config) => {
+    requests.push({ url, body, config });
+    return { data: { messages: [{ id: 'wamid.1' }] } };
+  };
+
+  const result = await sendWhatsAppMessage('96170000000', 'Hello', { phoneNumberId: '111', accessToken: 'business-token' });
+
+  assert.equal(result.messages[0].id, 'wamid.1');
+  assert.match(requests[0].url, /\/111\/messages$/);
+  assert.deepEqual(requests[0].body, { messaging_product: 'whatsapp', to: '96170000000', type: 'text', text: { body: 'Hello' } });
+  assert.equal(requests[0].config.headers.Authorization, 'Bearer business-token');
+});
+
+test('the adapter returns the sent message ID', async () => {
+  axios.post = async () => ({ data: { messages: [{ id: 'wamid.2' }] } });
+  const messageId = await whatsappAdapter.sendText({ phoneNumberId: '111', accessToken: 't' }, '961', 'Hi');
+  assert.equal(messageId, 'wamid.2');
+});
@@ -11,6 +11,7 @@ const planSettings = {
     languages: 2,
     voiceMinutes: 0,
     aiImageProcessing: 100,
+    aiModels: ['openai:gpt-5-mini', 'openai:gpt-4.1-mini'], // LLM fallback chain (services/llm)
     features: {
       aiReplies: true,
       textMessaging: true,
@@ -37,6 +38,7 @@ const planSettings = {
     languages: 2,
     voiceMinutes: 150,
     aiImageProcessing: 150,
+    aiModels: ['openai:gpt-5-mini', 'openai:gpt-4.1-mini'],
     features: {
       aiReplies: true,
       textMessaging: true,
@@ -63,6 +65,7 @@ const planSettings = {
     languages: 3,
     voiceMinutes: 300,
     aiImageProcessing: 200,
+    aiModels: ['openai:gpt-5-mini', 'openai:gpt-4.1-mini'],
     popular: true,
     features: {
       aiReplies: true,
@@ -90,6 +93,7 @@ const planSettings = {
     languages: 99, // Multi-language support
     voiceMinutes: 600,
     aiImageProcessing: 300,
+    aiModels: ['openai:gpt-5-mini', 'openai:gpt-4.1-mini'],
     enterprise: true,
     features: {
       aiReplies: true,
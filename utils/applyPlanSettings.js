@@ -35,7 +35,8 @@ function generateSettingsFromPlan(plan = 'starter') {
       instagram: false,
       messenger: false,
       website: false,
-      telegram: false
+      telegram: false,
+      tiktok: false
     },
     features: {
       ...config.features
@@ -124,8 +124,74 @@ async function sendPasswordResetEmail(toEmail, resetToken, userName = '') {
   }
 }
 
+// Escape a value for the HTML body of an email
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Function to tell a merchant that a conversation needs a human
+async function sendHandoffEmail(toEmail, { businessName, platform, customerId, reason, message }) {
+  try {
+    const inboxUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/inbox`;
+    const reasonText = reason === 'negative_sentiment' ? 'The customer seems unhappy.' : 'The customer asked to talk to a person.';
+    const html = {
+      platform: escapeHtml(platform),
+      customerId: escapeHtml(customerId),
+      message: escapeHtml(message),
+      inboxUrl: escapeHtml(inboxUrl)
+    };
+
+    const info = await transporter.sendMail({
+      from: '"Moaawen" <info@moaawen.ai>',
+      to: toEmail,
+      subject: `A customer needs you on ${platform} - ${businessName}`,
+      text: `Hello,\n\n${reasonText} The assistant has paused in this ${platform} conversation (customer ${customerId}) until you reply or hand it back.\n\nTheir message:\n"${message}"\n\nOpen your inbox: ${inboxUrl}\n\nBest regards,\nMoaawen Team`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="text-align: center; margin-bottom: 30px;">
+            <h1 style="color: #2563eb; margin: 0;">Moaawen</h1>
+            <p style="color: #6b7280; margin: 5px 0;">Business Communication Platform</p>
+          </div>
+
+          <div style="background-color: #f8fafc; padding: 30px; border-radius: 8px; margin-bottom: 20px;">
+            <h2 style="color: #1f2937; margin-top: 0;">A customer needs you</h2>
+            <p style="color: #4b5563; line-height: 1.5;">${reasonText} The assistant has paused in this <strong>${html.platform}</strong> conversation (customer ${html.customerId}) until you reply or hand it back.</p>
+
+            <blockquote style="color: #1f2937; background-color: #ffffff; border-left: 4px solid #2563eb; margin: 20px 0; padding: 10px 15px;">
+              ${html.message}
+            </blockquote>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${html.inboxUrl}" style="background-color: #2563eb; color: white; padding: 12px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+                Open Inbox
+              </a>
+            </div>
+          </div>
+
+          <div style="text-align: center; color: #6b7280; font-size: 12px;">
+            <p>© 2025 Moaawen. All rights reserved.</p>
+            <p>This is an automated message, please do not reply to this email.</p>
+          </div>
+        </div>
+      `,
+    });
+
+    console.log("✅ Handoff email sent:", info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (err) {
+    console.error("❌ Error sending handoff email:", err);
+    return { success: false, error: err.message };
+  }
+}
+
 module.exports = {
   generateOTP,
   sendVerificationEmail,
-  sendPasswordResetEmail
+  sendPasswordResetEmail,
+  sendHandoffEmail
 };
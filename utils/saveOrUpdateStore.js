@@ -1,5 +1,6 @@
 const getDb = require('../db');
 const { generateSettingsFromPlan } = require('./applyPlanSettings');
+const { rebuildCatalogIndex } = require('../services/catalogIndex');
 
 
 
@@ -66,6 +67,7 @@ async function saveOrUpdateStore(shop, accessToken, storeInfo, flatProducts, col
   );
 
   const savedBusiness = await col.findOne({ shop });
+  rebuildCatalogIndex(savedBusiness._id, savedBusiness.products || []);
   
   // Final validation of saved data
   const savedProducts = savedBusiness.products || [];